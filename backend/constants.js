@@ -11,6 +11,8 @@ const HTTP_STATUS = {
   UNAUTHORIZED: 401,
   FORBIDDEN: 403,
   NOT_FOUND: 404,
+  CONFLICT: 409,
+  TOO_MANY_REQUESTS: 429,
   INTERNAL_SERVER_ERROR: 500,
   SERVICE_UNAVAILABLE: 503
 };
@@ -19,10 +21,23 @@ const HTTP_STATUS = {
 const ERROR_MESSAGES = {
   // Chat errors
   MESSAGE_REQUIRED: 'Message and sessionId are required',
+  CONVERSATION_NOT_FOUND: 'Conversation not found',
+  CONVERSATION_TITLE_INVALID: 'title must be a non-empty string of up to 80 characters',
   AI_NOT_CONFIGURED: 'AI service not configured',
   AI_CONFIG_NOTE: 'Please configure GROQ_API_KEY in your environment variables',
   CHAT_FAILED: 'Failed to process chat message',
   STREAM_TIMEOUT: 'Request timeout - the AI response took too long',
+  TOOL_UNKNOWN: 'Unknown tool',
+  TOOL_FAILED: 'The action could not be completed',
+  PROFILE_FIELD_INVALID: 'field must be one of: industry, productsServices, audience, tone, contentPreferences, timezone',
+  PROFILE_VALUE_REQUIRED: 'value is required',
+  
+  // Auth errors
+  AUTH_REQUIRED: 'Widget session token required',
+  AUTH_INVALID: 'Widget session token is invalid or expired',
+  AUTH_FORBIDDEN: 'You do not have access to this resource',
+  AUTH_IDENTITY_REQUIRED: 'userId is required to start a widget session',
+  AUTH_UNVERIFIED: 'A widget session needs a verified HighLevel user context',
   
   // Profile errors
   PROFILE_NOT_FOUND: 'Business profile not found',
@@ -35,34 +50,78 @@ const ERROR_MESSAGES = {
   FACEBOOK_RECONNECT_REQUIRED: 'Please reconnect your Facebook account',
   FACEBOOK_API_ERROR: 'Failed to connect to Facebook API',
   FACEBOOK_OAUTH_ERROR: 'Facebook OAuth error',
+  FACEBOOK_NO_PAGES: 'No Facebook pages found. Please create a page first.',
+  FACEBOOK_PAGE_NOT_CONNECTED: 'One or more target pages are not connected to this profile',
+  FACEBOOK_PAGE_NOT_FOUND: 'Facebook page not found. Reconnect Facebook to refresh your page list.',
   
   // Calendar errors
   USER_ID_REQUIRED: 'userId is required',
   CALENDAR_GENERATION_FAILED: 'Failed to generate calendar',
+  CALENDAR_NOT_FOUND: 'Calendar not found. Please generate a new calendar.',
+  POST_NOT_FOUND: 'Calendar post not found',
+  POST_VERSION_CONFLICT: 'This post was changed elsewhere. Reload the calendar and try again.',
+  POST_SCHEDULED_LOCKED: 'This post is scheduled. Change its time or text with PATCH /api/scheduling/post/:facebookPostId, or cancel it (or its queued jobs) and schedule it again.',
   
   // Scheduling errors
-  SCHEDULE_REQUIRED_FIELDS: 'userId, date, and caption are required',
+  SCHEDULE_REQUIRED_FIELDS: 'date and caption are required',
+  POSTS_REQUIRED: 'posts array is required',
+  IDEMPOTENCY_CONFLICT: 'This post was already scheduled with different content. Cancel it before scheduling it again.',
+  SCHEDULE_IN_PROGRESS: 'This post is still being scheduled. Try again in a moment.',
   SCHEDULE_FAILED: 'Failed to schedule post',
   BULK_SCHEDULE_FAILED: 'Failed to schedule some posts',
+  SCHEDULE_PARTIALLY_FAILED: 'Post scheduled, but some pages failed',
+  RESCHEDULE_FAILED: 'Failed to update scheduled post',
+  CANCEL_FAILED: 'Failed to cancel scheduled post',
   INVALID_DATE: 'Invalid date format',
-  PAST_DATE: 'Cannot schedule posts in the past'
+  INVALID_POSTING_TIME: 'Posting time must be HH:MM (24-hour)',
+  INVALID_TIMEZONE: 'timezone must be an IANA timezone name such as America/New_York',
+  PAST_DATE: 'Cannot schedule posts in the past',
+  FACEBOOK_RATE_LIMITED: 'Facebook rate limit reached. Please try again in a few minutes.',
+  SCHEDULE_TOO_SOON: 'Facebook needs at least 10 minutes\' notice to schedule a post',
+  INVALID_SCHEDULING_POLICY: 'policy must be "reject", "nextAvailable" or "shiftCalendar"',
+  INVALID_SCHEDULING_MODE: 'mode must be "native" or "queue"',
+  
+  // Publish queue errors
+  JOB_NOT_FOUND: 'Publish job not found',
+  JOB_NOT_CANCELLABLE: 'Only queued or failed jobs can be cancelled',
+  JOB_NOT_RETRYABLE: 'Only failed jobs can be retried',
+  
+  // Media errors
+  ATTACHMENT_INVALID: 'Attachment must be an image or link with an http(s) URL',
+  MEDIA_REQUIRED: 'dataUrl with a base64 encoded image is required',
+  MEDIA_NOT_FOUND: 'Uploaded image not found',
+  MEDIA_TYPE_UNSUPPORTED: 'Unsupported image type. Use JPEG, PNG or GIF.',
+  MEDIA_TOO_LARGE: 'Image is too large. The maximum size is 4 MB.',
+  MEDIA_UNREACHABLE: 'Could not load the image URL',
+  MEDIA_URL_NOT_ALLOWED: 'Image URLs must point to a public internet address'
 };
 
 // Success Messages
 const SUCCESS_MESSAGES = {
   POST_SCHEDULED: 'Post scheduled successfully',
   POSTS_SCHEDULED: 'Posts scheduled successfully',
+  POST_RESCHEDULED: 'Scheduled post updated',
+  POST_CANCELLED: 'Scheduled post cancelled',
+  POST_QUEUED: 'Post queued for publishing',
+  JOB_CANCELLED: 'Publish job cancelled',
+  JOB_REQUEUED: 'Publish job queued for another attempt',
   FACEBOOK_CONNECTED: 'Facebook account connected successfully',
+  FACEBOOK_PAGE_SELECTED: 'Active Facebook page updated',
+  FACEBOOK_PAGES_UPDATED: 'Connected Facebook pages updated',
   CALENDAR_GENERATED: 'Calendar generated successfully',
+  POST_UPDATED: 'Post updated successfully',
+  POST_DELETED: 'Post deleted successfully',
   PROFILE_UPDATED: 'Profile updated successfully',
-  HISTORY_CLEARED: 'Conversation history cleared'
+  HISTORY_CLEARED: 'Conversation history cleared',
+  MEDIA_UPLOADED: 'Image uploaded successfully'
 };
 
-// API URLs
-const API_URLS = {
-  FACEBOOK_GRAPH: 'https://graph.facebook.com/v18.0',
-  FACEBOOK_OAUTH: 'https://www.facebook.com/v18.0/dialog/oauth',
-  FACEBOOK_TOKEN: 'https://graph.facebook.com/v18.0/oauth/access_token'
+// Media Limits (Facebook photo uploads accept up to 4 MB for these types)
+const MEDIA_LIMITS = {
+  MAX_IMAGE_BYTES: 4 * 1024 * 1024,
+  IMAGE_TYPES: ['image/jpeg', 'image/png', 'image/gif'],
+  // JSON body limit for uploads - base64 adds ~33% on top of MAX_IMAGE_BYTES
+  UPLOAD_BODY_LIMIT: '6mb'
 };
 
 // Facebook Permissions
@@ -72,17 +131,44 @@ const FACEBOOK_PERMISSIONS = [
   'pages_show_list'
 ];
 
-// Action Keywords (for UI triggers)
-const ACTION_KEYWORDS = {
-  CONNECT_FACEBOOK: ['Connect Facebook', 'Connect to Facebook'],
-  SCHEDULE_POSTS: ['Schedule FB Posts', 'Generate Posts', 'Create Calendar'],
-  SKIP: ['Skip', 'Maybe Later']
+// Chat Agent Limits
+const CHAT_AGENT = {
+  // Model calls per turn - each round of tool calls costs one, the final reply another
+  MAX_STEPS: 4,
+  // A streamed reply fails when nothing arrives for this long (tools can run for a while)
+  IDLE_TIMEOUT_MS: 30000
+};
+
+// Chat Profile Extraction
+const PROFILE_EXTRACTION = {
+  // Extracted values the model is less sure about are not saved
+  MIN_CONFIDENCE: 0.6,
+  // Earlier messages shown to the extraction model for context
+  CONTEXT_MESSAGES: 6
+};
+
+// Chat Session List
+const CHAT_SESSIONS = {
+  // Conversation titles (given or taken from the first message)
+  TITLE_MAX_LENGTH: 80,
+  // Last message preview in the history list
+  PREVIEW_LENGTH: 120
+};
+
+// Conversation State Checkpoints
+const CONVERSATION_CHECKPOINTS = {
+  // Checkpoints kept per chat session (each turn's graph run writes a few)
+  MAX_PER_THREAD: 10
 };
 
-// Conversation Flow Constants
-const CONVERSATION_FLOW = {
-  MIN_QUESTIONS_BEFORE_FACEBOOK: 3,
-  MAX_QUESTIONS_BEFORE_FACEBOOK: 4
+// Conversation Memory (what a chat turn sends to the model - see utils/conversationMemory)
+const CONVERSATION_MEMORY = {
+  // Rough token estimate - close enough for budgeting without a tokenizer per model
+  CHARS_PER_TOKEN: 4,
+  // Over budget, the oldest turns are summarized until the rest fill this share of it (so it happens in batches)
+  TRIM_TO: 0.6,
+  // Longest message quoted to the summary model
+  SUMMARY_MESSAGE_CHARS: 2000
 };
 
 // Quick Reply Limits
@@ -96,10 +182,13 @@ module.exports = {
   HTTP_STATUS,
   ERROR_MESSAGES,
   SUCCESS_MESSAGES,
-  API_URLS,
+  MEDIA_LIMITS,
   FACEBOOK_PERMISSIONS,
-  ACTION_KEYWORDS,
-  CONVERSATION_FLOW,
+  CHAT_AGENT,
+  PROFILE_EXTRACTION,
+  CHAT_SESSIONS,
+  CONVERSATION_CHECKPOINTS,
+  CONVERSATION_MEMORY,
   QUICK_REPLY_LIMITS
 };
 
@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+const config = require('../../config/config');
+const { isValidIdentity, verifyHighLevelContext, isTrustedIssuer, signSessionToken } = require('../utils/widgetAuth');
+const { HTTP_STATUS, ERROR_MESSAGES } = require('../constants');
+
+/**
+ * Identity for a session request - never the body's userId unless the caller is trusted
+ * Returns { success, data?: { userId, locationId }, error?: { message, code, status } }
+ */
+function resolveSessionIdentity(req) {
+  const { highLevelContext, userId, locationId } = req.body;
+
+  // The widget inside HighLevel: the SSO user context, encrypted by HighLevel with the app's shared secret
+  if (highLevelContext) {
+    const result = verifyHighLevelContext(highLevelContext);
+    return result.success ? result : { ...result, error: { ...result.error, status: HTTP_STATUS.UNAUTHORIZED } };
+  }
+
+  // A trusted server-side caller, or the standalone widget in local development
+  if (!isTrustedIssuer(req) && !config.auth.devSessions) {
+    return {
+      success: false,
+      error: { message: ERROR_MESSAGES.AUTH_UNVERIFIED, code: 'AUTH_UNVERIFIED', status: HTTP_STATUS.UNAUTHORIZED }
+    };
+  }
+  if (!isValidIdentity(userId)) {
+    return {
+      success: false,
+      error: { message: ERROR_MESSAGES.AUTH_IDENTITY_REQUIRED, code: 'AUTH_IDENTITY_REQUIRED', status: HTTP_STATUS.BAD_REQUEST }
+    };
+  }
+  if (locationId && !isValidIdentity(locationId)) {
+    return {
+      success: false,
+      error: { message: 'Invalid locationId', code: 'AUTH_IDENTITY_INVALID', status: HTTP_STATUS.BAD_REQUEST }
+    };
+  }
+  return { success: true, data: { userId, locationId: locationId || null } };
+}
+
+/**
+ * POST /api/auth/session
+ * Issue a widget session token
+ * Body: { highLevelContext } - the widget inside HighLevel (SSO user context)
+ *    or { userId, locationId? } - with the X-Widget-Issuer-Secret header (or WIDGET_DEV_SESSIONS locally)
+ */
+router.post('/session', (req, res) => {
+  try {
+    const identity = resolveSessionIdentity(req);
+    if (!identity.success) {
+      return res.status(identity.error.status).json({
+        error: identity.error.message,
+        code: identity.error.code
+      });
+    }
+
+    const { userId, locationId } = identity.data;
+    const { token, expiresAt } = signSessionToken({ userId, locationId });
+
+    res.json({
+      token,
+      expiresAt,
+      userId,
+      locationId
+    });
+  } catch (error) {
+    console.error('Session token error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: 'Failed to create widget session',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
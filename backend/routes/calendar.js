@@ -1,183 +1,80 @@
 const express = require('express');
 const router = express.Router();
-const Groq = require('groq-sdk');
 const config = require('../../config/config');
 const { getBusinessProfile } = require('../utils/profileStorage');
+const { getCalendar, getCalendarPost, updateCalendarPost, deleteCalendarPost } = require('../utils/calendarStorage');
+const { requireOwnUserId } = require('../utils/widgetAuth');
+const { generateCalendar } = require('../utils/calendarGenerator');
+const {
+  DATE_PATTERN,
+  resolveTimeZone,
+  zonedTimeToUtc,
+  describeTime
+} = require('../utils/timezone');
 const { HTTP_STATUS, ERROR_MESSAGES, SUCCESS_MESSAGES } = require('../constants');
 
-// Initialize Groq client
-const groq = config.ai.groq.apiKey ? new Groq({
-  apiKey: config.ai.groq.apiKey
-}) : null;
+// The :userId in the URL must match the widget session token
+router.param('userId', requireOwnUserId);
 
 // Mock functions removed - AI service must be configured
 
+/**
+ * Add the UTC and local publish times of each post (computed in the profile's timezone)
+ * Stored posts keep only wall-clock date/time, so these always follow the current timezone
+ */
+function withPublishTimes(posts, timeZone) {
+  return posts.map(post => {
+    if (!DATE_PATTERN.test(post.date || '')) {
+      return post;
+    }
+    const publishAt = describeTime(
+      zonedTimeToUtc(post.date, post.time || config.scheduling.defaultPostingTime, timeZone),
+      timeZone
+    );
+    const decorated = { ...post, publishAtUtc: publishAt.utc, publishAtLocal: publishAt.local };
+    // Once scheduled, the actual publish time (it may have been adjusted) in local time too
+    if (post.scheduledTime) {
+      decorated.scheduledTimeLocal = describeTime(new Date(post.scheduledTime), timeZone).local;
+    }
+    return decorated;
+  });
+}
+
 /**
  * POST /api/calendar/generate
  * Generate a 30-day content calendar based on business profile
+ * Body: { startDate? } - 'YYYY-MM-DD', defaults to today in the profile's timezone
  */
 router.post('/generate', async (req, res) => {
   try {
-    const { userId, startDate } = req.body;
-
-    if (!userId) {
-      return res.status(HTTP_STATUS.BAD_REQUEST).json({
-        error: ERROR_MESSAGES.USER_ID_REQUIRED
-      });
-    }
-
-    // Get business profile
-    const profile = getBusinessProfile(userId);
-
-    if (!profile) {
-      return res.status(HTTP_STATUS.NOT_FOUND).json({
-        error: ERROR_MESSAGES.PROFILE_NOT_FOUND,
-        message: ERROR_MESSAGES.PROFILE_SETUP_REQUIRED
-      });
-    }
-
-    // Check if Groq is configured
-    if (!groq) {
+    const { userId } = req.auth;
+    const { startDate } = req.body;
+
+    const result = await generateCalendar(userId, { startDate });
+    if (!result.success) {
+      if (result.error.code === 'PROFILE_NOT_FOUND') {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          error: ERROR_MESSAGES.PROFILE_NOT_FOUND,
+          message: ERROR_MESSAGES.PROFILE_SETUP_REQUIRED
+        });
+      }
       return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
         error: ERROR_MESSAGES.AI_NOT_CONFIGURED,
         note: ERROR_MESSAGES.AI_CONFIG_NOTE
       });
     }
 
-    // Calculate start date (default to today)
-    const start = startDate ? new Date(startDate) : new Date();
-    const calendar = [];
-    const posts = [];
-
-    // Generate 30 days of content
-    const prompt = `Generate a 30-day social media content calendar for a business with the following profile:
-
-Industry: ${profile.industry || 'General business'}
-Target Audience: ${profile.audience || 'General audience'}
-Brand Tone: ${profile.tone || 'Professional'}
-Content Preferences: ${profile.contentPreferences || 'Mixed content'}
-
-Requirements:
-1. Create 30 unique post ideas (one per day)
-2. Each post should include:
-   - Date (starting from ${start.toLocaleDateString()})
-   - Post theme/topic
-   - Suggested caption/content (2-3 sentences)
-   - Post type (e.g., educational, promotional, inspirational, behind-the-scenes, user-generated)
-   - Hashtag suggestions (3-5 relevant hashtags)
-
-3. Vary the content types throughout the month
-4. Make content relevant to the business industry and audience
-5. Ensure posts are engaging and actionable
-
-Return the response as a JSON object with a "posts" array containing exactly 30 items with this structure:
-{
-  "posts": [
-    {
-      "day": 1,
-      "date": "YYYY-MM-DD",
-      "theme": "Theme/topic",
-      "caption": "Full caption text",
-      "type": "Post type",
-      "hashtags": ["hashtag1", "hashtag2", "hashtag3"]
-    },
-    ...
-  ]
-}
-
-Generate exactly 30 posts, one for each day.`;
-
-    // Call Groq to generate calendar
-    let completion;
-    try {
-      completion = await groq.chat.completions.create({
-        model: config.ai.groq.model,
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a social media content strategist. Generate detailed, actionable content calendars. Always return a valid JSON object with a "posts" array containing exactly 30 items.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: 0.8,
-        max_tokens: 4000,
-        response_format: { type: 'json_object' }
-      });
-    } catch (groqError) {
-      console.error('Groq API error:', groqError.message);
-      throw groqError;
-    }
-
-    let generatedContent;
-    try {
-      // Try to parse as JSON
-      const responseText = completion.choices[0].message.content;
-      generatedContent = JSON.parse(responseText);
-
-      // Handle case where response might be wrapped in a property
-      if (generatedContent.posts || generatedContent.calendar) {
-        posts.push(...(generatedContent.posts || generatedContent.calendar));
-      } else if (Array.isArray(generatedContent)) {
-        posts.push(...generatedContent);
-      } else {
-        // If it's an object with numeric keys, convert to array
-        posts.push(...Object.values(generatedContent));
-      }
-    } catch (parseError) {
-      // Fallback: parse the response manually if JSON parsing fails
-      console.warn('Failed to parse JSON response, using fallback parser');
-      posts.push(...parseFallbackContent(completion.choices[0].message.content, start));
-    }
-
-    // Ensure we have exactly 30 posts
-    while (posts.length < 30) {
-      const day = posts.length + 1;
-      const date = new Date(start);
-      date.setDate(date.getDate() + day - 1);
-
-      posts.push({
-        day: day,
-        date: date.toISOString().split('T')[0],
-        theme: `Content Theme ${day}`,
-        caption: `Engaging content for day ${day} related to ${profile.industry || 'your business'}.`,
-        type: 'Educational',
-        hashtags: ['business', 'marketing', 'socialmedia']
-      });
-    }
-
-    // Truncate to 30 if we have more
-    const finalPosts = posts.slice(0, 30);
-
-    // Format calendar response
-    finalPosts.forEach((post, index) => {
-      const postDate = new Date(start);
-      postDate.setDate(postDate.getDate() + index);
-
-      calendar.push({
-        id: `post-${index + 1}`,
-        day: index + 1,
-        date: postDate.toISOString().split('T')[0],
-        theme: post.theme || `Theme ${index + 1}`,
-        caption: post.caption || post.content || `Post content for day ${index + 1}`,
-        type: post.type || 'General',
-        hashtags: Array.isArray(post.hashtags) ? post.hashtags : (post.hashtags ? post.hashtags.split(',') : []),
-        scheduled: false,
-        createdAt: new Date().toISOString()
-      });
-    });
-
+    const { calendar: savedCalendar, timeZone } = result.data;
+    const calendarPosts = withPublishTimes(savedCalendar.posts, timeZone);
     res.json({
       success: true,
-      calendar: calendar,
-      profile: {
-        industry: profile.industry,
-        audience: profile.audience,
-        tone: profile.tone
-      },
-      generatedAt: new Date().toISOString()
+      calendar: calendarPosts,
+      posts: calendarPosts, // Same list as calendar, under the name API clients expect
+      timezone: timeZone,
+      calendarId: savedCalendar.id,
+      version: savedCalendar.version,
+      profile: savedCalendar.profile,
+      generatedAt: savedCalendar.createdAt
     });
 
   } catch (error) {
@@ -190,66 +87,86 @@ Generate exactly 30 posts, one for each day.`;
 });
 
 /**
- * Fallback parser for non-JSON responses
+ * Timezone of the user's business profile
  */
-function parseFallbackContent(content, startDate) {
-  const posts = [];
-  const lines = content.split('\n');
-  let currentPost = null;
+async function getUserTimeZone(userId) {
+  return resolveTimeZone(await getBusinessProfile(userId));
+}
 
-  for (let i = 0; i < lines.length && posts.length < 30; i++) {
-    const line = lines[i].trim();
+/**
+ * Map a calendar storage error to an HTTP status code
+ */
+function getCalendarErrorStatus(error) {
+  if (['ATTACHMENT_INVALID', 'INVALID_TIME', 'INVALID_DATE'].includes(error.code)) {
+    return HTTP_STATUS.BAD_REQUEST;
+  }
+  return ['VERSION_CONFLICT', 'POST_SCHEDULED'].includes(error.code) ? HTTP_STATUS.CONFLICT : HTTP_STATUS.NOT_FOUND;
+}
 
-    if (line.includes('Day') || line.match(/^\d+\./)) {
-      if (currentPost) {
-        posts.push(currentPost);
-      }
-      currentPost = {
-        day: posts.length + 1,
-        date: new Date(startDate.getTime() + posts.length * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-        theme: '',
-        caption: '',
-        type: 'General',
-        hashtags: []
-      };
-    } else if (currentPost) {
-      if (line.toLowerCase().includes('theme') || line.toLowerCase().includes('topic')) {
-        currentPost.theme = line.replace(/theme|topic:/gi, '').trim();
-      } else if (line.toLowerCase().includes('caption') || line.toLowerCase().includes('content')) {
-        currentPost.caption = line.replace(/caption|content:/gi, '').trim();
-      } else if (line.length > 20 && !currentPost.caption) {
-        currentPost.caption = line;
-      }
+/**
+ * GET /api/calendar/post/:postId
+ * Get a single calendar post
+ */
+router.get('/post/:postId', async (req, res) => {
+  try {
+    const { postId } = req.params;
+    const { userId } = req.auth;
+
+    const result = await getCalendarPost(userId, postId);
+    if (!result.success) {
+      return res.status(getCalendarErrorStatus(result.error)).json({
+        error: result.error.message,
+        code: result.error.code
+      });
     }
-  }
 
-  if (currentPost && posts.length < 30) {
-    posts.push(currentPost);
+    const [post] = withPublishTimes([result.data.post], await getUserTimeZone(userId));
+    res.json({
+      success: true,
+      post,
+      calendarVersion: result.data.calendar.version
+    });
+  } catch (error) {
+    console.error('Get post error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: 'Failed to fetch post',
+      details: error.message
+    });
   }
-
-  return posts;
-}
+});
 
 /**
  * PATCH /api/calendar/post/:postId
  * Update/edit a calendar post
+ * Body: { updates: { theme, caption, type, hashtags, date, time, pageIds, attachment }, version? }
+ * time: 'HH:MM' posting time in the profile's timezone
+ * attachment: { type: 'image', url } | { type: 'image', mediaId } | { type: 'link', url } | null to remove
+ * When `version` is sent, the update is rejected with 409 if the post changed since it was loaded
+ * Scheduled and queued posts are rejected with 409 POST_SCHEDULED - use PATCH /api/scheduling/post/:facebookPostId,
+ * or cancel and schedule again
  */
-router.patch('/post/:postId', (req, res) => {
+router.patch('/post/:postId', async (req, res) => {
   try {
     const { postId } = req.params;
-    const { userId, updates } = req.body;
-
-    if (!userId) {
-      return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: ERROR_MESSAGES.USER_ID_REQUIRED });
+    const { userId } = req.auth;
+    const { updates, version } = req.body;
+
+    const result = await updateCalendarPost(userId, postId, updates, version);
+    if (!result.success) {
+      return res.status(getCalendarErrorStatus(result.error)).json({
+        error: result.error.message,
+        code: result.error.code,
+        post: result.data?.post
+      });
     }
 
-    // In production, update in database
-    // For now, return success (frontend will handle local updates)
+    const [post] = withPublishTimes([result.data.post], await getUserTimeZone(userId));
     res.json({
       success: true,
-      message: 'Post updated successfully',
+      message: SUCCESS_MESSAGES.POST_UPDATED,
       postId: postId,
-      updates: updates
+      post,
+      calendarVersion: result.data.calendar.version
     });
   } catch (error) {
     console.error('Update post error:', error);
@@ -260,17 +177,74 @@ router.patch('/post/:postId', (req, res) => {
   }
 });
 
+/**
+ * DELETE /api/calendar/post/:postId?version=
+ * Remove a post from the calendar
+ */
+router.delete('/post/:postId', async (req, res) => {
+  try {
+    const { postId } = req.params;
+    const { userId } = req.auth;
+    const version = req.query.version ?? req.body?.version;
+
+    const result = await deleteCalendarPost(userId, postId, version);
+    if (!result.success) {
+      return res.status(getCalendarErrorStatus(result.error)).json({
+        error: result.error.message,
+        code: result.error.code,
+        post: result.data?.post
+      });
+    }
+
+    res.json({
+      success: true,
+      message: SUCCESS_MESSAGES.POST_DELETED,
+      postId: postId,
+      calendarVersion: result.data.calendar.version
+    });
+  } catch (error) {
+    console.error('Delete post error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: 'Failed to delete post',
+      details: error.message
+    });
+  }
+});
+
 /**
  * GET /api/calendar/:userId
  * Get saved calendar for a user
  */
-router.get('/:userId', (req, res) => {
-  // In production, store calendars in database
-  // For now, return a message that calendar needs to be generated
-  res.json({
-    message: 'Calendar not found. Please generate a new calendar.',
-    endpoint: 'POST /api/calendar/generate'
-  });
+router.get('/:userId', async (req, res) => {
+  try {
+    const { userId } = req.auth;
+    const savedCalendar = await getCalendar(userId);
+    const timeZone = await getUserTimeZone(userId);
+
+    if (!savedCalendar) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        error: ERROR_MESSAGES.CALENDAR_NOT_FOUND,
+        endpoint: 'POST /api/calendar/generate'
+      });
+    }
+
+    res.json({
+      success: true,
+      calendar: withPublishTimes(savedCalendar.posts, timeZone),
+      timezone: timeZone,
+      calendarId: savedCalendar.id,
+      version: savedCalendar.version,
+      profile: savedCalendar.profile,
+      createdAt: savedCalendar.createdAt,
+      updatedAt: savedCalendar.updatedAt
+    });
+  } catch (error) {
+    console.error('Get calendar error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: 'Failed to fetch calendar',
+      details: error.message
+    });
+  }
 });
 
 module.exports = router;
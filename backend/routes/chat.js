@@ -1,29 +1,59 @@
 const express = require('express');
 const router = express.Router();
-const Groq = require('groq-sdk');
-const config = require('../../config/config');
-const { getBusinessProfile, updateBusinessProfile } = require('../utils/profileStorage');
-const { HTTP_STATUS, ERROR_MESSAGES, CONVERSATION_FLOW, QUICK_REPLY_LIMITS } = require('../constants');
-const { initializeState, updateState, getContextReminderForState } = require('../utils/conversationState');
-
-// Initialize Groq client
-const groq = config.ai.groq.apiKey ? new Groq({
-  apiKey: config.ai.groq.apiKey
-}) : null;
-
-// Store conversation histories per session
-const conversations = new Map();
+const { getLLMClient } = require('../utils/llm');
+const { getBusinessProfile } = require('../utils/profileStorage');
+const { extractProfileUpdates } = require('../utils/profileExtraction');
+const { runChatTurn } = require('../utils/chatAgent');
+const { setContextReminder, buildChatContext } = require('../utils/conversationMemory');
+const { HTTP_STATUS, ERROR_MESSAGES, SUCCESS_MESSAGES, CHAT_AGENT, CHAT_SESSIONS } = require('../constants');
+const {
+  updateState,
+  getContextReminderForState,
+  summarizeState,
+  getStateSummary,
+  clearConversationState
+} = require('../utils/conversationState');
+const { getOnboardingFlow, getProfileFields, describeOnboardingFlow } = require('../utils/onboardingFlow');
+const {
+  getConversation,
+  getOrCreateConversation,
+  appendConversationTurn,
+  deleteConversation,
+  isConversationOwner,
+  listConversations,
+  renameConversation
+} = require('../utils/conversationStore');
+const { requireOwnUserId } = require('../utils/widgetAuth');
+
+// Shared LLM client for the configured provider (null when AI isn't configured)
+const llm = getLLMClient();
+
+// The :userId in the URL must match the widget session token
+router.param('userId', requireOwnUserId);
+
+// User messages before the Facebook connection is due (onboarding flow gating rule)
+const FACEBOOK_AFTER_MESSAGES = getOnboardingFlow().facebook.afterUserMessages;
 
 /**
- * Build dynamic context prompt based on conversation state
- * Uses LangGraph-based state machine for cleaner state management
+ * Run the conversation flow again after a turn's tools ran - they can change the profile
  */
-function buildContextReminder(conversationHistory, facebookConnected, businessProfile = null) {
-  // Initialize state using state machine (no hardcoded triggers - purely data-driven)
-  const state = initializeState(businessProfile, conversationHistory, facebookConnected);
+async function refreshFlowState(sessionId, userId, conversationHistory) {
+  const businessProfile = await getBusinessProfile(userId);
+  return updateState(sessionId, {
+    businessProfile,
+    conversationHistory,
+    facebookConnected: businessProfile?.facebookConnected || false
+  });
+}
 
-  // Get context reminder based on current state
-  return getContextReminderForState(state);
+/**
+ * Business profile lines for the system message - every field the onboarding flow collects
+ */
+function describeBusinessProfile(businessProfile) {
+  const fields = getProfileFields().map(({ field, label }) => `- ${label}: ${businessProfile[field] || 'Not specified'}`);
+  return `\n\nUser's Business Profile:
+${fields.join('\n')}
+- Facebook Connected: ${businessProfile.facebookConnected ? 'Yes' : 'No'}`;
 }
 
 /**
@@ -91,19 +121,15 @@ function parseQuickReplies(response) {
 const SYSTEM_PROMPT = `You are a helpful AI Copilot assistant for HighLevel. Your role is to:
 1. Engage users in friendly, natural conversation
 2. Learn about their business organically through conversation
-3. Guide them to connect their Facebook account (MANDATORY after 3-4 questions)
+3. Guide them to connect their Facebook account (MANDATORY after ${FACEBOOK_AFTER_MESSAGES} answers)
 4. Help them generate content calendars and schedule social media posts
 
 CONVERSATION FLOW (Required):
-- Question 1: Ask about their industry/business type (if not already known)
-- Question 2: Ask about specific products/services they offer OR target audience (provide relevant options based on their industry)
-- Question 3: Ask about any missing business details (target audience, brand tone, content preferences, etc.)
-- Question 4 (MANDATORY): If Facebook is NOT connected, you MUST suggest connecting Facebook with "Connect Facebook" as a quick reply option
-- After Facebook connection: Continue gathering any missing details or proceed to post generation
+${describeOnboardingFlow()}
 
 IMPORTANT: Always check what business information you already have before asking. Don't repeat questions about information that's already been shared. If business profile information is missing, prioritize gathering it before suggesting post generation.
 
-Be conversational and helpful, but ALWAYS suggest Facebook connection after 3-4 questions if not yet connected.
+Be conversational and helpful, but ALWAYS suggest Facebook connection after ${FACEBOOK_AFTER_MESSAGES} answers if not yet connected.
 
 CRITICAL - Quick Reply Generation Rules:
 After each response where you ask a question or need user input, you MUST generate 3-5 relevant quick reply options that are contextually appropriate.
@@ -134,7 +160,7 @@ IMPORTANT DYNAMIC RULES:
    - Generate relevant demographic or customer type options
    - Include "All of these" if showing multiple audience segments
    - Keep options short and clear
-7. After 3-4 questions, if Facebook NOT connected:
+7. After ${FACEBOOK_AFTER_MESSAGES} answers, if Facebook NOT connected:
    - Your next message MUST include "Connect Facebook" as a quick reply option
    - Make it clear that connecting Facebook is the next step
 8. DO NOT repeat industry selection options after the first question
@@ -149,14 +175,17 @@ Guidelines for quick replies:
 - Always include an "Other" option when asking for categories
 - Think: "What did the user already tell me? What am I asking now? What options make sense for THIS specific question?"
 
-SPECIAL ACTION KEYWORDS (use these exact phrases when suggesting these actions):
-- When suggesting Facebook connection: Use "Connect Facebook" or "Connect to Facebook"
-- When suggesting post/calendar generation: Use "Schedule FB Posts" or "Generate Posts" or "Create Calendar"
-- When offering to skip: Use "Skip" or "Maybe Later"
-These keywords trigger specific UI actions, so use them verbatim.
+TOOLS (call them - don't just describe the action):
+- get_profile: read what you already know about the business before asking
+- update_profile_field: save a detail the user gives you or asks to change
+- check_facebook_status: check whether their Facebook Page is connected
+- connect_facebook: when the user wants to connect (or reconnect) Facebook - it shows them a Connect button
+- generate_calendar: when the user asks for posts or a content calendar - the posts are shown to them, so only summarize
+- schedule_post: when the user asks to schedule a calendar post (use its id, e.g. post-3)
+After a tool runs, tell the user briefly what happened. If it failed, explain the error in plain words.
 
 CRITICAL FACEBOOK CONNECTION RULES:
-- After 3-4 user responses (excluding greetings), you MUST suggest "Connect Facebook" if not yet connected
+- After ${FACEBOOK_AFTER_MESSAGES} user responses (excluding greetings), you MUST suggest "Connect Facebook" if not yet connected
 - ONLY suggest "Schedule FB Posts", "Generate Posts", or "Create Calendar" if the user has ALREADY connected their Facebook account
 - If Facebook is NOT connected yet, suggest "Connect Facebook" as the next step
 - NEVER suggest scheduling posts before Facebook connection is established
@@ -166,10 +195,16 @@ CRITICAL FACEBOOK CONNECTION RULES:
 /**
  * POST /api/chat/stream
  * Handle chat messages with streaming response (character by character)
+ * The model can call tools (see utils/chatTools); each call streams as `action` events -
+ * { type: 'action', id, tool, status: 'running' | 'completed' | 'failed', summary?, data? }
+ * Profile details learned from the message come first, as { type: 'profile_update', changes: [{ field, label, old, new, confidence }] }
+ * then where the conversation is, as { type: 'state', state, collected, missing, steps, nextAction, readyForCalendar, ... }
+ * (sent again before `done` when tools ran - see summarizeState in utils/conversationState)
  */
 router.post('/stream', async (req, res) => {
   try {
-    const { message, sessionId, userId, url, referrer } = req.body;
+    const { message, sessionId, url, referrer } = req.body;
+    const { userId } = req.auth;
 
     if (!message || !sessionId) {
       return res.status(HTTP_STATUS.BAD_REQUEST).json({
@@ -177,111 +212,120 @@ router.post('/stream', async (req, res) => {
       });
     }
 
+    // Load persisted conversation (or start a new one seeded with the system prompt)
+    const conversation = await getOrCreateConversation(sessionId, userId, SYSTEM_PROMPT);
+    if (!isConversationOwner(conversation, userId)) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        error: ERROR_MESSAGES.AUTH_FORBIDDEN,
+        code: 'AUTH_FORBIDDEN'
+      });
+    }
+    const conversationHistory = conversation.messages;
+
+    // Check if the LLM is configured
+    if (!llm) {
+      return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: ERROR_MESSAGES.AI_NOT_CONFIGURED,
+        note: ERROR_MESSAGES.AI_CONFIG_NOTE
+      });
+    }
+
+    // Learn from the message first (new details and corrections), so this reply already knows them
+    const extraction = await extractProfileUpdates(llm, userId, message, conversationHistory);
+    const profileChanges = extraction.success ? extraction.data.changes : [];
+
     // Set up Server-Sent Events
     res.setHeader('Content-Type', 'text/event-stream');
     res.setHeader('Cache-Control', 'no-cache');
     res.setHeader('Connection', 'keep-alive');
     res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
 
-    // Get or create conversation history
-    if (!conversations.has(sessionId)) {
-      conversations.set(sessionId, [{
-        role: 'system',
-        content: SYSTEM_PROMPT
-      }]);
+    // What was learned from this message - the widget shows it as an editable card
+    if (profileChanges.length > 0) {
+      res.write(`data: ${JSON.stringify({ type: 'profile_update', changes: profileChanges })}\n\n`);
     }
 
-    const conversationHistory = conversations.get(sessionId);
-
     // Add all messages to history - state machine and LLM will determine intent
-    conversationHistory.push({
-      role: 'user',
-      content: message
-    });
+    const userMessage = { role: 'user', content: message };
+    conversationHistory.push(userMessage);
 
     // URL context removed - AI will generate industry options dynamically
 
     // Get business profile if available
-    const businessProfile = getBusinessProfile(userId || sessionId);
+    const businessProfile = await getBusinessProfile(userId);
     let contextPrompt = '';
 
     if (businessProfile) {
-      contextPrompt = `\n\nUser's Business Profile:
-- Industry: ${businessProfile.industry || 'Not specified'}
-- Target Audience: ${businessProfile.audience || 'Not specified'}
-- Brand Tone: ${businessProfile.tone || 'Not specified'}
-- Content Preferences: ${businessProfile.contentPreferences || 'Not specified'}
-- Facebook Connected: ${businessProfile.facebookConnected ? 'Yes' : 'No'}`;
+      contextPrompt = describeBusinessProfile(businessProfile);
     } else {
       // Always include Facebook connection status, even if no full profile exists
       contextPrompt = `\n\nUser Status:
 - Facebook Connected: No`;
     }
 
-    // Add context to system message
-    if (contextPrompt) {
-      conversationHistory[0].content = SYSTEM_PROMPT + contextPrompt + "\n\nUse smileys in post generation";
-    }
-
-    // Add dynamic context reminder based on conversation history and business profile
+    // Move the conversation flow on from where the session's last turn left it (checkpointed per session)
     const facebookConnected = businessProfile?.facebookConnected || false;
-    const contextReminder = buildContextReminder(conversationHistory, facebookConnected, businessProfile);
-    if (contextReminder) {
-      conversationHistory.push({
-        role: 'system',
-        content: contextReminder
-      });
-    }
-
-    // Check if Groq is configured
-    if (!groq) {
-      return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
-        error: ERROR_MESSAGES.AI_NOT_CONFIGURED,
-        note: ERROR_MESSAGES.AI_CONFIG_NOTE
-      });
-    }
+    const flowState = await updateState(sessionId, { businessProfile, conversationHistory, facebookConnected });
+    res.write(`data: ${JSON.stringify({ type: 'state', ...summarizeState(flowState) })}\n\n`);
+    setContextReminder(conversationHistory, getContextReminderForState(flowState));
 
-    // Call Groq API with streaming
-    const stream = await groq.chat.completions.create({
-      model: config.ai.groq.model,
-      messages: conversationHistory,
-      temperature: 0.7,
-      max_tokens: 1000,
-      stream: true
+    // What the model sees: system prompt with the profile, summary of older turns, recent turns, the reminder
+    const modelMessages = await buildChatContext(llm, conversation, {
+      systemPrompt: SYSTEM_PROMPT + contextPrompt + "\n\nUse smileys in post generation"
     });
+    const turnStart = modelMessages.length;
+
+    // Run the turn - the model's reply and its tool calls stream as they happen
+    const turn = runChatTurn(llm, modelMessages, { userId });
 
     let fullResponse = '';
     let chunkCount = 0;
     let hasContent = false;
+    let actionCount = 0;
 
-    // Set a timeout to prevent hanging (30 seconds)
+    // Fail the request when the model (or a tool) goes quiet for too long
     let timeoutTriggered = false;
-    const streamTimeout = setTimeout(() => {
-      timeoutTriggered = true;
-      console.error('Stream timeout after 30 seconds');
-      try {
-        res.write(`data: ${JSON.stringify({
-          type: 'error',
-          error: 'Request timeout - the AI response took too long',
-        })}\n\n`);
-        res.write(`data: [DONE]\n\n`);
-        res.end();
-      } catch (e) {
-        console.error('Error sending timeout error:', e);
-      }
-    }, 30000);
+    let streamTimeout;
+    const resetStreamTimeout = () => {
+      clearTimeout(streamTimeout);
+      streamTimeout = setTimeout(() => {
+        timeoutTriggered = true;
+        console.error(`Stream timeout after ${CHAT_AGENT.IDLE_TIMEOUT_MS / 1000} seconds without output`);
+        try {
+          res.write(`data: ${JSON.stringify({
+            type: 'error',
+            error: ERROR_MESSAGES.STREAM_TIMEOUT,
+          })}\n\n`);
+          res.write(`data: [DONE]\n\n`);
+          res.end();
+        } catch (e) {
+          console.error('Error sending timeout error:', e);
+        }
+      }, CHAT_AGENT.IDLE_TIMEOUT_MS);
+    };
+    resetStreamTimeout();
 
     // Stream response character by character
     try {
-      for await (const chunk of stream) {
+      for await (const event of turn) {
         // Check if timeout was triggered
         if (timeoutTriggered) {
           break;
         }
+        resetStreamTimeout();
 
-        const content = chunk.choices[0]?.delta?.content || '';
-        const finishReason = chunk.choices[0]?.finish_reason;
+        if (event.type === 'action') {
+          // Text before a tool call was saved with it - the final reply starts over
+          if (event.status === 'running') {
+            actionCount++;
+            fullResponse = '';
+          }
+          res.write(`data: ${JSON.stringify(event)}\n\n`);
+          if (res.flush) res.flush();
+          continue;
+        }
 
+        const { content } = event;
         if (content) {
           hasContent = true;
           fullResponse += content;
@@ -300,13 +344,6 @@ router.post('/stream', async (req, res) => {
           // Flush to client immediately
           if (res.flush) res.flush();
         }
-
-        // Check if stream is finished
-        if (finishReason) {
-          console.log('Stream finished with reason:', finishReason);
-          clearTimeout(streamTimeout);
-          break;
-        }
       }
 
       clearTimeout(streamTimeout);
@@ -321,13 +358,22 @@ router.post('/stream', async (req, res) => {
       return;
     }
 
-    // Ensure we have a response even if stream was empty
-    if (!hasContent && fullResponse === '') {
+    // Keep the turn's tool calls and results with the conversation
+    conversationHistory.push(...modelMessages.slice(turnStart));
+
+    // Ensure we have a response even if stream was empty (an action card can stand on its own)
+    if (!hasContent && actionCount === 0) {
       console.warn('Stream completed with no content');
       fullResponse = 'I apologize, but I encountered an issue processing your message. Could you please try again?';
     }
 
-    console.log(`Stream completed: ${chunkCount} chunks, ${fullResponse.length} characters`);
+    console.log(`Stream completed: ${chunkCount} chunks, ${actionCount} actions, ${fullResponse.length} characters`);
+
+    // Tools may have filled in the profile - let the widget's stepper catch up
+    if (actionCount > 0) {
+      const refreshedState = await refreshFlowState(sessionId, userId, conversationHistory);
+      res.write(`data: ${JSON.stringify({ type: 'state', ...summarizeState(refreshedState) })}\n\n`);
+    }
 
     // Parse quick replies from response
     const { quickReplies, cleanedResponse } = parseQuickReplies(fullResponse);
@@ -346,22 +392,12 @@ router.post('/stream', async (req, res) => {
       content: cleanedResponse
     });
 
-    // Extract business information if mentioned (async, don't await to avoid blocking)
-    extractBusinessInfo(message, fullResponse, userId || sessionId, conversationHistory).catch(err => {
-      console.error('Background business info extraction error:', err);
+    // Persist the completed turn (user message, context reminder, tool calls, assistant reply)
+    await appendConversationTurn(conversation, conversationHistory.slice(conversationHistory.indexOf(userMessage)), {
+      url: url || conversation.metadata.url || null,
+      referrer: referrer || conversation.metadata.referrer || null
     });
 
-    // Update conversation state after processing (async with LangGraph)
-    const updatedBusinessProfile = getBusinessProfile(userId || sessionId);
-    updateState(
-      initializeState(updatedBusinessProfile, conversationHistory, facebookConnected),
-      updatedBusinessProfile,
-      conversationHistory
-    ).catch(err => {
-      console.error('State update error:', err);
-    });
-    // State is now updated and will be used in next interaction
-
     // Close the stream
     res.write(`data: [DONE]\n\n`);
     res.end();
@@ -382,10 +418,13 @@ router.post('/stream', async (req, res) => {
 /**
  * POST /api/chat
  * Handle chat messages (non-streaming fallback)
+ * Returns { response, quickReplies, actions, profileUpdate, state } - profileUpdate is the diff learned from the message,
+ * state the conversation state summary (as in the stream's `state` event)
  */
 router.post('/', async (req, res) => {
   try {
-    const { message, sessionId, userId, url, referrer } = req.body;
+    const { message, sessionId, url, referrer } = req.body;
+    const { userId } = req.auth;
 
     if (!message || !sessionId) {
       return res.status(HTTP_STATUS.BAD_REQUEST).json({
@@ -393,73 +432,76 @@ router.post('/', async (req, res) => {
       });
     }
 
-    // Get or create conversation history
-    if (!conversations.has(sessionId)) {
-      conversations.set(sessionId, [{
-        role: 'system',
-        content: SYSTEM_PROMPT
-      }]);
+    // Load persisted conversation (or start a new one seeded with the system prompt)
+    const conversation = await getOrCreateConversation(sessionId, userId, SYSTEM_PROMPT);
+    if (!isConversationOwner(conversation, userId)) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        error: ERROR_MESSAGES.AUTH_FORBIDDEN,
+        code: 'AUTH_FORBIDDEN'
+      });
+    }
+    const conversationHistory = conversation.messages;
+
+    // Check if the LLM is configured
+    if (!llm) {
+      return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: ERROR_MESSAGES.AI_NOT_CONFIGURED,
+        note: ERROR_MESSAGES.AI_CONFIG_NOTE
+      });
     }
 
-    const conversationHistory = conversations.get(sessionId);
+    // Learn from the message first (new details and corrections), so this reply already knows them
+    const extraction = await extractProfileUpdates(llm, userId, message, conversationHistory);
+    const profileChanges = extraction.success ? extraction.data.changes : [];
 
     // Add all messages to history - state machine and LLM will determine intent
-    conversationHistory.push({
-      role: 'user',
-      content: message
-    });
+    const userMessage = { role: 'user', content: message };
+    conversationHistory.push(userMessage);
 
     // URL context removed - AI will generate industry options dynamically
 
     // Get business profile if available
-    const businessProfile = getBusinessProfile(userId || sessionId);
+    const businessProfile = await getBusinessProfile(userId);
     let contextPrompt = '';
 
     if (businessProfile) {
-      contextPrompt = `\n\nUser's Business Profile:
-- Industry: ${businessProfile.industry || 'Not specified'}
-- Target Audience: ${businessProfile.audience || 'Not specified'}
-- Brand Tone: ${businessProfile.tone || 'Not specified'}
-- Content Preferences: ${businessProfile.contentPreferences || 'Not specified'}
-- Facebook Connected: ${businessProfile.facebookConnected ? 'Yes' : 'No'}`;
+      contextPrompt = describeBusinessProfile(businessProfile);
     } else {
       // Always include Facebook connection status, even if no full profile exists
       contextPrompt = `\n\nUser Status:
 - Facebook Connected: No`;
     }
 
-    // Add context to system message
-    if (contextPrompt) {
-      conversationHistory[0].content = SYSTEM_PROMPT + contextPrompt;
-    }
-
-    // Add dynamic context reminder based on conversation history and business profile
+    // Move the conversation flow on from where the session's last turn left it (checkpointed per session)
     const facebookConnected = businessProfile?.facebookConnected || false;
-    const contextReminder = buildContextReminder(conversationHistory, facebookConnected, businessProfile);
-    if (contextReminder) {
-      conversationHistory.push({
-        role: 'system',
-        content: contextReminder
-      });
-    }
-
-    // Check if Groq is configured
-    if (!groq) {
-      return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
-        error: ERROR_MESSAGES.AI_NOT_CONFIGURED,
-        note: ERROR_MESSAGES.AI_CONFIG_NOTE
-      });
+    let flowState = await updateState(sessionId, { businessProfile, conversationHistory, facebookConnected });
+    setContextReminder(conversationHistory, getContextReminderForState(flowState));
+
+    // What the model sees: system prompt with the profile, summary of older turns, recent turns, the reminder
+    const modelMessages = await buildChatContext(llm, conversation, { systemPrompt: SYSTEM_PROMPT + contextPrompt });
+    const turnStart = modelMessages.length;
+
+    // Run the turn, keeping the finished tool calls for the response
+    const actions = [];
+    let assistantMessage = '';
+    for await (const event of runChatTurn(llm, modelMessages, { userId })) {
+      if (event.type === 'text') {
+        assistantMessage += event.content;
+      } else if (event.status === 'running') {
+        // Text before a tool call was saved with it - the final reply starts over
+        assistantMessage = '';
+      } else {
+        actions.push(event);
+      }
     }
 
-    // Call Groq API
-    const completion = await groq.chat.completions.create({
-      model: config.ai.groq.model,
-      messages: conversationHistory,
-      temperature: 0.7,
-      max_tokens: 1000
-    });
+    // Keep the turn's tool calls and results with the conversation
+    conversationHistory.push(...modelMessages.slice(turnStart));
 
-    const assistantMessage = completion.choices[0].message.content;
+    // Tools may have filled in the profile
+    if (actions.length > 0) {
+      flowState = await refreshFlowState(sessionId, userId, conversationHistory);
+    }
 
     // Parse quick replies from response
     const { quickReplies, cleanedResponse } = parseQuickReplies(assistantMessage);
@@ -470,27 +512,20 @@ router.post('/', async (req, res) => {
       content: cleanedResponse
     });
 
-    // Extract business information if mentioned (async, don't await to avoid blocking)
-    extractBusinessInfo(message, cleanedResponse, userId || sessionId, conversationHistory).catch(err => {
-      console.error('Background business info extraction error:', err);
-    });
-
-    // Update conversation state after processing (async with LangGraph)
-    const updatedBusinessProfile = getBusinessProfile(userId || sessionId);
-    updateState(
-      initializeState(updatedBusinessProfile, conversationHistory, facebookConnected),
-      updatedBusinessProfile,
-      conversationHistory
-    ).catch(err => {
-      console.error('State update error:', err);
+    // Persist the completed turn (user message, context reminder, tool calls, assistant reply)
+    await appendConversationTurn(conversation, conversationHistory.slice(conversationHistory.indexOf(userMessage)), {
+      url: url || conversation.metadata.url || null,
+      referrer: referrer || conversation.metadata.referrer || null
     });
-    // State is now updated and will be used in next interaction
 
     // Return response
     res.json({
       response: cleanedResponse,
       sessionId: sessionId,
-      quickReplies: quickReplies || null
+      quickReplies: quickReplies || null,
+      actions,
+      profileUpdate: profileChanges,
+      state: summarizeState(flowState)
     });
 
   } catch (error) {
@@ -503,139 +538,155 @@ router.post('/', async (req, res) => {
 });
 
 /**
- * Extract business information from conversation using LLM
- * Uses Groq to intelligently parse conversation and extract structured business profile data
+ * GET /api/chat/state/:sessionId
+ * Where a session's conversation is - the stream's `state` summary, brought up to date with the current profile
  */
-async function extractBusinessInfo(userMessage, assistantMessage, userId, conversationHistory = []) {
-  if (!groq) {
-    console.warn('Groq not configured, skipping business info extraction');
-    return;
-  }
-
-  const profile = getBusinessProfile(userId) || {};
+router.get('/state/:sessionId', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const conversation = await getConversation(sessionId);
 
-  // Only extract missing information to avoid unnecessary LLM calls
-  const missingFields = [];
-  if (!profile.industry) missingFields.push('industry');
-  if (!profile.productsServices) missingFields.push('productsServices');
-  if (!profile.audience) missingFields.push('audience');
-  if (!profile.tone) missingFields.push('tone');
-  if (!profile.contentPreferences) missingFields.push('contentPreferences');
+    if (!isConversationOwner(conversation, req.auth.userId)) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        error: ERROR_MESSAGES.AUTH_FORBIDDEN,
+        code: 'AUTH_FORBIDDEN'
+      });
+    }
 
-  if (missingFields.length === 0) {
-    return; // Nothing to extract
+    const businessProfile = await getBusinessProfile(req.auth.userId);
+    res.json({
+      sessionId,
+      state: await getStateSummary(sessionId, businessProfile)
+    });
+  } catch (error) {
+    console.error('State fetch error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: 'Failed to fetch conversation state',
+      details: error.message
+    });
   }
+});
 
+/**
+ * GET /api/chat/history/:sessionId
+ * Get conversation history for a session
+ */
+router.get('/history/:sessionId', async (req, res) => {
   try {
-    // Build context from recent conversation
-    const recentMessages = conversationHistory.slice(-6).map(msg =>
-      `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}`
-    ).join('\n');
-
-    const extractionPrompt = `You are a business information extraction assistant. Analyze the conversation below and extract business profile information.
-
-Current conversation context:
-${recentMessages}
-
-Latest exchange:
-Assistant: ${assistantMessage}
-User: ${userMessage}
-
-Extract the following information from the conversation (ONLY if clearly mentioned):
-${missingFields.map(field => `- ${field}: Extract the ${field} if the user mentioned it`).join('\n')}
-
-Return ONLY a valid JSON object with the extracted information. Use null for fields that cannot be determined.
-Example format:
-{
-  "industry": "Restaurant & Food" or null,
-  "productsServices": "Burgers, Salads, Desserts" or null,
-  "audience": "Young Professionals" or null,
-  "tone": "Friendly and Casual" or null,
-  "contentPreferences": "Food photography, recipes" or null
-}
+    const { sessionId } = req.params;
+    const conversation = await getConversation(sessionId);
 
-IMPORTANT:
-- Only extract information that is EXPLICITLY mentioned or clearly implied
-- If the user mentions "Burgers" when asked about products, extract "Burgers" or similar
-- If the user says "Young professionals" when asked about audience, extract that
-- If information is not clear, use null
-- Return ONLY the JSON object, no other text`;
-
-    const completion = await groq.chat.completions.create({
-      messages: [
-        {
-          role: 'system',
-          content: 'You are a precise information extraction assistant. Extract only explicitly mentioned business information and return valid JSON.'
-        },
-        {
-          role: 'user',
-          content: extractionPrompt
-        }
-      ],
-      model: 'llama-3.1-8b-instant', // Use fast model for extraction
-      temperature: 0.1, // Low temperature for consistent extraction
-      max_tokens: 300
-    });
+    if (!isConversationOwner(conversation, req.auth.userId)) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        error: ERROR_MESSAGES.AUTH_FORBIDDEN,
+        code: 'AUTH_FORBIDDEN'
+      });
+    }
 
-    const response = completion.choices[0].message.content.trim();
+    const history = conversation?.messages || [];
 
-    // Parse JSON response (handle markdown code blocks if present)
-    let extractedData;
-    try {
-      // Try to extract JSON from markdown code blocks
-      const jsonMatch = response.match(/```(?:json)?\s*(\{[\s\S]*\})\s*```/);
-      if (jsonMatch) {
-        extractedData = JSON.parse(jsonMatch[1]);
-      } else {
-        extractedData = JSON.parse(response);
-      }
-    } catch (parseError) {
-      console.error('Error parsing LLM extraction response:', parseError);
-      console.error('Response was:', response);
-      return; // Skip extraction if JSON is invalid
-    }
+    // Only the visible conversation: no system prompt, context reminders or tool results
+    const userHistory = history
+      .filter(msg => (msg.role === 'user' || msg.role === 'assistant') && msg.content)
+      .map(({ role, content }) => ({ role, content }));
 
-    // Update profile with extracted information (only non-null values)
-    const updates = {};
-    for (const field of missingFields) {
-      if (extractedData[field] && extractedData[field] !== null && extractedData[field] !== 'null') {
-        updates[field] = extractedData[field];
-      }
-    }
+    res.json({
+      history: userHistory,
+      metadata: conversation?.metadata || null
+    });
+  } catch (error) {
+    console.error('History fetch error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: 'Failed to fetch conversation history',
+      details: error.message
+    });
+  }
+});
 
-    if (Object.keys(updates).length > 0) {
-      Object.assign(profile, updates);
-      updateBusinessProfile(userId, profile);
-      console.log('Business profile updated:', updates);
-    }
+/**
+ * GET /api/chat/sessions/:userId
+ * The user's conversations, most recently active first:
+ * [{ sessionId, title, createdAt, updatedAt, turnCount, lastMessage: { role, content } | null }]
+ */
+router.get('/sessions/:userId', async (req, res) => {
+  try {
+    const sessions = await listConversations(req.auth.userId);
+    res.json({ sessions });
   } catch (error) {
-    console.error('Error extracting business info with LLM:', error);
-    // Fail silently - don't break the conversation flow
+    console.error('Sessions fetch error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: 'Failed to fetch conversations',
+      details: error.message
+    });
   }
-}
+});
 
 /**
- * GET /api/chat/history/:sessionId
- * Get conversation history for a session
+ * PATCH /api/chat/history/:sessionId
+ * Rename a conversation ({ title })
  */
-router.get('/history/:sessionId', (req, res) => {
-  const { sessionId } = req.params;
-  const history = conversations.get(sessionId) || [];
+router.patch('/history/:sessionId', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const title = typeof req.body.title === 'string' ? req.body.title.trim() : '';
+    if (!title || title.length > CHAT_SESSIONS.TITLE_MAX_LENGTH) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: ERROR_MESSAGES.CONVERSATION_TITLE_INVALID,
+        code: 'CONVERSATION_TITLE_INVALID'
+      });
+    }
 
-  // Filter out system message for client
-  const userHistory = history.filter(msg => msg.role !== 'system');
+    const conversation = await getConversation(sessionId);
+    if (!conversation) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        error: ERROR_MESSAGES.CONVERSATION_NOT_FOUND,
+        code: 'CONVERSATION_NOT_FOUND'
+      });
+    }
+    if (!isConversationOwner(conversation, req.auth.userId)) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        error: ERROR_MESSAGES.AUTH_FORBIDDEN,
+        code: 'AUTH_FORBIDDEN'
+      });
+    }
 
-  res.json({ history: userHistory });
+    const session = await renameConversation(sessionId, title);
+    res.json({ session });
+  } catch (error) {
+    console.error('Conversation rename error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: 'Failed to rename conversation',
+      details: error.message
+    });
+  }
 });
 
 /**
  * DELETE /api/chat/history/:sessionId
  * Clear conversation history
  */
-router.delete('/history/:sessionId', (req, res) => {
-  const { sessionId } = req.params;
-  conversations.delete(sessionId);
-  res.json({ message: 'Conversation history cleared' });
+router.delete('/history/:sessionId', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const conversation = await getConversation(sessionId);
+
+    if (!isConversationOwner(conversation, req.auth.userId)) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        error: ERROR_MESSAGES.AUTH_FORBIDDEN,
+        code: 'AUTH_FORBIDDEN'
+      });
+    }
+
+    await deleteConversation(sessionId);
+    await clearConversationState(sessionId);
+    res.json({ message: SUCCESS_MESSAGES.HISTORY_CLEARED });
+  } catch (error) {
+    console.error('History delete error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: 'Failed to clear conversation history',
+      details: error.message
+    });
+  }
 });
 
 module.exports = router;
\ No newline at end of file
@@ -3,29 +3,44 @@ const router = express.Router();
 const axios = require('axios');
 const config = require('../../config/config');
 const { updateBusinessProfile, getBusinessProfile } = require('../utils/profileStorage');
-const { HTTP_STATUS, ERROR_MESSAGES, SUCCESS_MESSAGES, API_URLS, FACEBOOK_PERMISSIONS } = require('../constants');
+const {
+  savePageCandidates,
+  getPageCandidates,
+  getPageTokenInfo,
+  findPageCandidate,
+  clearPageCandidates,
+  createPageSelection,
+  consumePageSelection,
+  getConnectedPages,
+  toPublicPage
+} = require('../utils/facebookPageStorage');
+const {
+  exchangeForLongLivedToken,
+  inspectToken,
+  fetchPagesWithTokens,
+  summarizePageTokens,
+  isReconnectRequired
+} = require('../utils/facebookTokens');
+const { createOAuthState, consumeOAuthState } = require('../utils/oauthStateStorage');
+const { encryptToken, redactSecrets } = require('../utils/tokenCrypto');
+const { requireOwnUserId } = require('../utils/widgetAuth');
+const { HTTP_STATUS, ERROR_MESSAGES, SUCCESS_MESSAGES, FACEBOOK_PERMISSIONS } = require('../constants');
 
 const FACEBOOK_APP_ID = config.facebook.appId;
 const FACEBOOK_APP_SECRET = config.facebook.appSecret;
 const FACEBOOK_REDIRECT_URI = config.facebook.getRedirectUri();
-const FACEBOOK_GRAPH_API = API_URLS.FACEBOOK_GRAPH;
 
-// Store temporary OAuth state (in production, use Redis or database)
-const oauthStates = new Map();
+// The :userId in the URL must match the widget session token
+router.param('userId', requireOwnUserId);
 
 /**
  * GET /api/facebook/auth-url
  * Get Facebook OAuth authorization URL
  */
-router.get('/auth-url', (req, res) => {
+router.get('/auth-url', async (req, res) => {
   try {
-    const { userId } = req.query;
-
-    if (!userId) {
-      return res.status(HTTP_STATUS.BAD_REQUEST).json({
-        error: ERROR_MESSAGES.USER_ID_REQUIRED
-      });
-    }
+    // The OAuth state binds the callback to the authenticated caller
+    const { userId } = req.auth;
 
     // Check if Facebook is configured
     if (!config.facebook.isConfigured()) {
@@ -36,11 +51,10 @@ router.get('/auth-url', (req, res) => {
     }
 
     // Real OAuth flow
-    const state = `${userId}_${Date.now()}_${Math.random().toString(36).substring(7)}`;
-    oauthStates.set(state, { userId, timestamp: Date.now() });
+    const state = await createOAuthState(userId);
 
     const scope = FACEBOOK_PERMISSIONS.join(',');
-    const authUrl = `${API_URLS.FACEBOOK_OAUTH}?` +
+    const authUrl = `${config.facebook.oauthDialogUrl}?` +
       `client_id=${FACEBOOK_APP_ID}` +
       `&redirect_uri=${encodeURIComponent(FACEBOOK_REDIRECT_URI)}` +
       `&state=${state}` +
@@ -51,7 +65,7 @@ router.get('/auth-url', (req, res) => {
       state
     });
   } catch (error) {
-    console.error('Facebook auth URL error:', error);
+    console.error('Facebook auth URL error:', redactSecrets(error));
     res.status(500).json({
       error: 'Failed to generate auth URL',
       details: error.message
@@ -62,92 +76,33 @@ router.get('/auth-url', (req, res) => {
 // Mock callback removed - Facebook OAuth must be properly configured
 
 /**
- * GET /api/facebook/callback
- * Handle Facebook OAuth callback
+ * Escape text for safe inclusion in the HTML pages below
  */
-router.get('/callback', async (req, res) => {
-  try {
-    const { code, state, error } = req.query;
-
-    if (error) {
-      return res.status(HTTP_STATUS.BAD_REQUEST).json({
-        error: ERROR_MESSAGES.FACEBOOK_OAUTH_ERROR,
-        details: error
-      });
-    }
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
 
-    if (!code || !state) {
-      return res.status(HTTP_STATUS.BAD_REQUEST).json({
-        error: 'Missing code or state parameter'
-      });
-    }
-
-    // Verify state
-    const stateData = oauthStates.get(state);
-    if (!stateData) {
-      return res.status(HTTP_STATUS.BAD_REQUEST).json({
-        error: 'Invalid state parameter'
-      });
-    }
-
-    const { userId } = stateData;
-    oauthStates.delete(state);
-
-    // Exchange code for access token
-    const tokenUrl = `${API_URLS.FACEBOOK_TOKEN}?` +
-      `client_id=${FACEBOOK_APP_ID}` +
-      `&client_secret=${FACEBOOK_APP_SECRET}` +
-      `&redirect_uri=${encodeURIComponent(FACEBOOK_REDIRECT_URI)}` +
-      `&code=${code}`;
-
-    const tokenResponse = await axios.get(tokenUrl);
-    const accessToken = tokenResponse.data.access_token;
-
-    if (!accessToken) {
-      return res.status(500).json({
-        error: 'Failed to obtain access token'
-      });
-    }
-
-    // Get user's pages
-    const pagesResponse = await axios.get(
-      `${FACEBOOK_GRAPH_API}/me/accounts?access_token=${accessToken}`
-    );
-
-    const pages = pagesResponse.data.data || [];
-
-    if (pages.length === 0) {
-      return res.status(400).json({
-        error: 'No Facebook pages found. Please create a page first.'
-      });
-    }
-
-    // Use the first page (in production, let user choose)
-    const page = pages[0];
-    const pageAccessToken = page.access_token;
-    const pageId = page.id;
-
-    // Store Facebook connection in profile
-    updateBusinessProfile(userId, {
-      facebookConnected: true,
-      facebookPageId: pageId,
-      facebookPageName: page.name,
-      facebookAccessToken: pageAccessToken,
-      facebookConnectedAt: new Date().toISOString()
-    });
-
-    res.send(`
+/**
+ * Shared layout for the OAuth popup pages
+ */
+function renderPopupPage(title, body, script = '') {
+  return `
       <!DOCTYPE html>
       <html>
       <head>
-        <title>Facebook Connected</title>
+        <title>${escapeHtml(title)}</title>
         <style>
           body {
             font-family: Arial, sans-serif;
             display: flex;
             justify-content: center;
             align-items: center;
-            height: 100vh;
+            min-height: 100vh;
             margin: 0;
             background: #f5f5f5;
           }
@@ -157,12 +112,18 @@ router.get('/callback', async (req, res) => {
             border-radius: 8px;
             box-shadow: 0 2px 10px rgba(0,0,0,0.1);
             text-align: center;
+            max-width: 420px;
           }
           .success {
             color: #4CAF50;
             font-size: 48px;
             margin-bottom: 20px;
           }
+          .error {
+            color: #f44336;
+            font-size: 48px;
+            margin-bottom: 20px;
+          }
           h1 {
             color: #333;
             margin-bottom: 10px;
@@ -171,15 +132,63 @@ router.get('/callback', async (req, res) => {
             color: #666;
             margin-bottom: 20px;
           }
+          .page-option {
+            display: flex;
+            align-items: flex-start;
+            gap: 10px;
+            padding: 12px 16px;
+            margin-bottom: 10px;
+            border: 1px solid #ddd;
+            border-radius: 6px;
+            background: white;
+            text-align: left;
+            font-size: 15px;
+            cursor: pointer;
+          }
+          .page-option:hover {
+            border-color: #6938EF;
+            background: #f5f3ff;
+          }
+          .page-submit {
+            width: 100%;
+            padding: 12px 16px;
+            margin-top: 10px;
+            border: none;
+            border-radius: 6px;
+            background: #6938EF;
+            color: white;
+            font-size: 15px;
+            cursor: pointer;
+          }
+          .page-category {
+            display: block;
+            color: #888;
+            font-size: 12px;
+            margin-top: 2px;
+          }
         </style>
       </head>
       <body>
         <div class="container">
+          ${body}
+        </div>
+        ${script}
+      </body>
+      </html>
+    `;
+}
+
+/**
+ * Success page - notifies the widget and closes the popup
+ */
+function renderConnectedPage(pages) {
+  const pageNames = pages.map(page => `"${escapeHtml(page.name)}"`).join(', ');
+  return renderPopupPage('Facebook Connected', `
           <div class="success">✓</div>
           <h1>Facebook Connected Successfully!</h1>
-          <p>Your Facebook page "${page.name}" has been connected.</p>
+          <p>${pages.length === 1 ? 'Your Facebook page' : 'Your Facebook pages'} ${pageNames} ${pages.length === 1 ? 'has' : 'have'} been connected.</p>
           <p>You can now close this window and return to the Copilot.</p>
-        </div>
+  `, `
         <script>
           // Immediately notify the opener window
           if (window.opener) {
@@ -191,51 +200,347 @@ router.get('/callback', async (req, res) => {
             window.close();
           }, 500);
         </script>
-      </body>
-      </html>
-    `);
+  `);
+}
 
-  } catch (error) {
-    console.error('Facebook callback error:', error);
-    res.status(500).send(`
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <title>Connection Error</title>
-        <style>
-          body {
-            font-family: Arial, sans-serif;
-            display: flex;
-            justify-content: center;
-            align-items: center;
-            height: 100vh;
-            margin: 0;
-            background: #f5f5f5;
-          }
-          .container {
-            background: white;
-            padding: 40px;
-            border-radius: 8px;
-            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-            text-align: center;
-          }
-          .error {
-            color: #f44336;
-            font-size: 48px;
-            margin-bottom: 20px;
-          }
-        </style>
-      </head>
-      <body>
-        <div class="container">
+/**
+ * Page picker - shown when the user manages more than one page
+ * Several pages can be connected; the first one checked becomes the default
+ */
+function renderPagePicker(pages, selectionId) {
+  const options = pages.map((page, index) => `
+          <label class="page-option">
+            <input type="checkbox" name="pageIds" value="${escapeHtml(page.id)}" ${index === 0 ? 'checked' : ''}>
+            <span>
+              ${escapeHtml(page.name)}
+              ${page.category ? `<span class="page-category">${escapeHtml(page.category)}</span>` : ''}
+            </span>
+          </label>`).join('');
+
+  return renderPopupPage('Choose Facebook Pages', `
+          <h1>Choose Facebook Pages</h1>
+          <p>Select the pages the Copilot should publish to. You can change this later.</p>
+          <form method="POST" action="select-page">
+            <input type="hidden" name="selectionId" value="${escapeHtml(selectionId)}">
+            ${options}
+            <button class="page-submit" type="submit">Connect selected pages</button>
+          </form>
+  `);
+}
+
+/**
+ * Error page
+ */
+function renderErrorPage(message) {
+  return renderPopupPage('Connection Error', `
           <div class="error">✗</div>
           <h1>Connection Failed</h1>
-          <p>${error.message}</p>
+          <p>${escapeHtml(message)}</p>
           <p>Please try again.</p>
-        </div>
-      </body>
-      </html>
-    `);
+  `);
+}
+
+/**
+ * Work out expiry and scopes for a new grant, inspecting every page's token
+ * Page tokens derived from a long-lived user token usually never expire, but all of them
+ * stop working once the user's data access expires (~90 days) or the app is removed
+ * Returns { userTokenExpiresAt, scopes, pages: { [pageId]: { tokenExpiresAt, dataAccessExpiresAt, isValid } } }
+ */
+async function describeGrant(userToken, pages) {
+  const tokenInfo = {
+    userTokenExpiresAt: userToken.expiresAt,
+    scopes: [],
+    pages: {}
+  };
+
+  for (const page of pages) {
+    try {
+      const pageToken = await inspectToken(page.access_token);
+      tokenInfo.pages[page.id] = {
+        tokenExpiresAt: pageToken.expiresAt,
+        dataAccessExpiresAt: pageToken.dataAccessExpiresAt,
+        isValid: pageToken.isValid
+      };
+      tokenInfo.scopes = pageToken.scopes;
+    } catch (error) {
+      // Not fatal - the page still works, we just can't warn before its token lapses
+      console.warn(`Could not inspect Facebook token for page ${page.id}:`, redactSecrets(error));
+    }
+  }
+
+  return tokenInfo;
+}
+
+/**
+ * Replace the set of pages the profile publishes to
+ * The default page is `defaultPageId` if connected, else the current default, else the first page
+ */
+async function setConnectedPages(userId, pages, defaultPageId) {
+  const [profile, tokenInfo] = await Promise.all([
+    getBusinessProfile(userId),
+    getPageTokenInfo(userId)
+  ]);
+  const previous = getConnectedPages(profile);
+  const now = new Date().toISOString();
+
+  const connected = pages.map(page => ({
+    id: page.id,
+    name: page.name,
+    category: page.category || null,
+    accessToken: encryptToken(page.accessToken),
+    connectedAt: previous.find(p => p.id === page.id)?.connectedAt || now
+  }));
+
+  const defaultPage = connected.find(page => page.id === String(defaultPageId))
+    || connected.find(page => page.id === profile?.facebookPageId)
+    || connected[0];
+  const pageTokens = summarizePageTokens(tokenInfo, connected.map(page => page.id));
+
+  return updateBusinessProfile(userId, {
+    facebookConnected: true,
+    facebookPages: connected,
+    facebookPageId: defaultPage.id,
+    facebookPageName: defaultPage.name,
+    facebookAccessToken: defaultPage.accessToken,
+    facebookConnectedAt: now,
+    facebookTokenExpiresAt: pageTokens.tokenExpiresAt,
+    facebookUserTokenExpiresAt: tokenInfo.userTokenExpiresAt || null,
+    facebookDataAccessExpiresAt: pageTokens.dataAccessExpiresAt,
+    facebookScopes: tokenInfo.scopes || [],
+    facebookReconnectRequired: pageTokens.invalid
+  });
+}
+
+/**
+ * Look up stored page candidates by id - returns { pages, missingPageIds }
+ */
+async function findPageCandidates(userId, pageIds) {
+  const candidates = await getPageCandidates(userId);
+  const uniqueIds = [...new Set(pageIds.map(String))];
+  return {
+    pages: uniqueIds.map(id => candidates.find(page => page.id === id)).filter(Boolean),
+    missingPageIds: uniqueIds.filter(id => !candidates.some(page => page.id === id))
+  };
+}
+
+/**
+ * Public view of a user's pages (tokens stripped)
+ */
+async function listPublicPages(userId) {
+  const [pages, profile] = await Promise.all([
+    getPageCandidates(userId),
+    getBusinessProfile(userId)
+  ]);
+  const activePageId = profile?.facebookConnected ? profile.facebookPageId : null;
+  const connectedPageIds = getConnectedPages(profile).map(page => page.id);
+
+  return {
+    pages: pages.map(page => toPublicPage(page, activePageId, connectedPageIds)),
+    activePageId,
+    connectedPageIds
+  };
+}
+
+/**
+ * GET /api/facebook/callback
+ * Handle Facebook OAuth callback
+ * Connects directly when the user has one page, otherwise renders a page picker
+ */
+router.get('/callback', async (req, res) => {
+  try {
+    const { code, state, error } = req.query;
+
+    if (error) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: ERROR_MESSAGES.FACEBOOK_OAUTH_ERROR,
+        details: error
+      });
+    }
+
+    if (!code || !state) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: 'Missing code or state parameter'
+      });
+    }
+
+    // Verify state (one-time use)
+    const userId = await consumeOAuthState(state);
+    if (!userId) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: 'Invalid state parameter'
+      });
+    }
+
+    // Exchange code for access token
+    const tokenUrl = `${config.facebook.graphApiUrl}/oauth/access_token?` +
+      `client_id=${FACEBOOK_APP_ID}` +
+      `&client_secret=${FACEBOOK_APP_SECRET}` +
+      `&redirect_uri=${encodeURIComponent(FACEBOOK_REDIRECT_URI)}` +
+      `&code=${code}`;
+
+    const tokenResponse = await axios.get(tokenUrl);
+    const accessToken = tokenResponse.data.access_token;
+
+    if (!accessToken) {
+      return res.status(500).json({
+        error: 'Failed to obtain access token'
+      });
+    }
+
+    // The code exchange gives a short-lived (~1-2 hour) token - swap it for a long-lived one
+    // so the page tokens derived from it keep working for scheduled posts
+    const userToken = await exchangeForLongLivedToken(accessToken);
+
+    // Get user's pages
+    const pages = await fetchPagesWithTokens(userToken.accessToken);
+
+    if (pages.length === 0) {
+      return res.status(400).json({
+        error: ERROR_MESSAGES.FACEBOOK_NO_PAGES
+      });
+    }
+
+    const tokenInfo = await describeGrant(userToken, pages);
+
+    // Keep every page so the user can pick now and switch later without OAuth
+    const storedPages = (await savePageCandidates(userId, pages, tokenInfo)).pages;
+
+    if (storedPages.length === 1) {
+      await setConnectedPages(userId, storedPages);
+      return res.send(renderConnectedPage(storedPages));
+    }
+
+    const selectionId = await createPageSelection(userId);
+    res.send(renderPagePicker(storedPages, selectionId));
+
+  } catch (error) {
+    console.error('Facebook callback error:', redactSecrets(error));
+    res.status(500).send(renderErrorPage(error.message));
+  }
+});
+
+/**
+ * POST /api/facebook/select-page
+ * Page picker form submission from the OAuth popup
+ * Authorized by the one-time selectionId issued in the callback
+ */
+router.post('/select-page', async (req, res) => {
+  try {
+    const { selectionId } = req.body;
+    const pageIds = [].concat(req.body.pageIds || []);
+    const userId = await consumePageSelection(selectionId);
+
+    if (!userId) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).send(
+        renderErrorPage('This page selection has expired.')
+      );
+    }
+
+    const { pages } = await findPageCandidates(userId, pageIds);
+    if (pages.length === 0) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).send(renderErrorPage(ERROR_MESSAGES.FACEBOOK_PAGE_NOT_FOUND));
+    }
+
+    await setConnectedPages(userId, pages, pages[0].id);
+    res.send(renderConnectedPage(pages));
+  } catch (error) {
+    console.error('Facebook page selection error:', redactSecrets(error));
+    res.status(500).send(renderErrorPage(error.message));
+  }
+});
+
+/**
+ * GET /api/facebook/pages/:userId
+ * List the pages available from the user's last OAuth grant (tokens stripped)
+ */
+router.get('/pages/:userId', async (req, res) => {
+  try {
+    res.json(await listPublicPages(req.auth.userId));
+  } catch (error) {
+    console.error('Facebook pages error:', redactSecrets(error));
+    res.status(500).json({
+      error: 'Failed to fetch Facebook pages',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/facebook/pages/:userId/select
+ * Switch the default page without redoing OAuth (connects it if needed)
+ * Body: { pageId }
+ */
+router.post('/pages/:userId/select', async (req, res) => {
+  try {
+    const { userId } = req.auth;
+    const { pageId } = req.body;
+
+    if (!pageId) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: 'pageId is required'
+      });
+    }
+
+    const page = await findPageCandidate(userId, pageId);
+    if (!page) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        error: ERROR_MESSAGES.FACEBOOK_PAGE_NOT_FOUND
+      });
+    }
+
+    const connected = getConnectedPages(await getBusinessProfile(userId)).filter(p => p.id !== page.id);
+    const profile = await setConnectedPages(userId, [page, ...connected], page.id);
+
+    res.json({
+      message: SUCCESS_MESSAGES.FACEBOOK_PAGE_SELECTED,
+      pageId: profile.facebookPageId,
+      pageName: profile.facebookPageName
+    });
+  } catch (error) {
+    console.error('Facebook page select error:', redactSecrets(error));
+    res.status(500).json({
+      error: 'Failed to select Facebook page',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/facebook/pages/:userId/connected
+ * Replace the set of pages the profile publishes to
+ * Body: { pageIds: [String], defaultPageId?: String }
+ */
+router.put('/pages/:userId/connected', async (req, res) => {
+  try {
+    const { userId } = req.auth;
+    const { pageIds, defaultPageId } = req.body;
+
+    if (!Array.isArray(pageIds) || pageIds.length === 0) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: 'pageIds must be a non-empty array'
+      });
+    }
+
+    const { pages, missingPageIds } = await findPageCandidates(userId, pageIds);
+    if (missingPageIds.length > 0) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        error: ERROR_MESSAGES.FACEBOOK_PAGE_NOT_FOUND,
+        missingPageIds
+      });
+    }
+
+    await setConnectedPages(userId, pages, defaultPageId);
+
+    res.json({
+      message: SUCCESS_MESSAGES.FACEBOOK_PAGES_UPDATED,
+      ...(await listPublicPages(userId))
+    });
+  } catch (error) {
+    console.error('Facebook connected pages error:', redactSecrets(error));
+    res.status(500).json({
+      error: 'Failed to update connected Facebook pages',
+      details: error.message
+    });
   }
 });
 
@@ -243,10 +548,10 @@ router.get('/callback', async (req, res) => {
  * GET /api/facebook/status/:userId
  * Check Facebook connection status
  */
-router.get('/status/:userId', (req, res) => {
+router.get('/status/:userId', async (req, res) => {
   try {
-    const { userId } = req.params;
-    const profile = getBusinessProfile(userId);
+    const { userId } = req.auth;
+    const profile = await getBusinessProfile(userId);
 
     if (!profile) {
       return res.json({
@@ -255,14 +560,23 @@ router.get('/status/:userId', (req, res) => {
       });
     }
 
+    const pages = await getPageCandidates(userId);
+    const activePageId = profile.facebookPageId || null;
+
     res.json({
       connected: profile.facebookConnected || false,
-      pageId: profile.facebookPageId || null,
+      pageId: activePageId,
       pageName: profile.facebookPageName || null,
-      connectedAt: profile.facebookConnectedAt || null
+      connectedAt: profile.facebookConnectedAt || null,
+      tokenExpiresAt: profile.facebookTokenExpiresAt || null,
+      dataAccessExpiresAt: profile.facebookDataAccessExpiresAt || null,
+      scopes: profile.facebookScopes || [],
+      reconnectRequired: isReconnectRequired(profile),
+      pageCount: pages.length,
+      pages: getConnectedPages(profile).map(page => toPublicPage(page, activePageId, [page.id]))
     });
   } catch (error) {
-    console.error('Facebook status error:', error);
+    console.error('Facebook status error:', redactSecrets(error));
     res.status(500).json({
       error: 'Failed to check Facebook status',
       details: error.message
@@ -274,22 +588,29 @@ router.get('/status/:userId', (req, res) => {
  * POST /api/facebook/disconnect/:userId
  * Disconnect Facebook account
  */
-router.post('/disconnect/:userId', (req, res) => {
+router.post('/disconnect/:userId', async (req, res) => {
   try {
-    const { userId } = req.params;
-    updateBusinessProfile(userId, {
+    const { userId } = req.auth;
+    await updateBusinessProfile(userId, {
       facebookConnected: false,
       facebookPageId: null,
       facebookPageName: null,
       facebookAccessToken: null,
-      facebookConnectedAt: null
+      facebookConnectedAt: null,
+      facebookPages: [],
+      facebookTokenExpiresAt: null,
+      facebookUserTokenExpiresAt: null,
+      facebookDataAccessExpiresAt: null,
+      facebookScopes: [],
+      facebookReconnectRequired: false
     });
+    await clearPageCandidates(userId);
 
     res.json({
       message: 'Facebook account disconnected successfully'
     });
   } catch (error) {
-    console.error('Facebook disconnect error:', error);
+    console.error('Facebook disconnect error:', redactSecrets(error));
     res.status(500).json({
       error: 'Failed to disconnect Facebook',
       details: error.message
@@ -0,0 +1,65 @@
+const express = require('express');
+const router = express.Router();
+const { saveUploadedImage, getUploadedImage } = require('../utils/mediaStorage');
+const { HTTP_STATUS, ERROR_MESSAGES, SUCCESS_MESSAGES } = require('../constants');
+
+/**
+ * POST /api/media
+ * Upload an image to attach to a calendar post
+ * Body: { dataUrl: 'data:image/png;base64,...', fileName? }
+ * Returns { mediaId, url, contentType, size, fileName } - store it on the post as
+ * attachment: { type: 'image', mediaId }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { userId } = req.auth;
+    const { dataUrl, fileName } = req.body;
+
+    const result = await saveUploadedImage(userId, { dataUrl, fileName });
+    if (!result.success) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: result.error.message,
+        code: result.error.code
+      });
+    }
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      message: SUCCESS_MESSAGES.MEDIA_UPLOADED,
+      ...result.data.media
+    });
+  } catch (error) {
+    console.error('Media upload error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: 'Failed to upload image',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/media/:mediaId
+ * Serve an uploaded image (public - media ids are unguessable)
+ */
+router.get('/:mediaId', async (req, res) => {
+  try {
+    const upload = await getUploadedImage(req.params.mediaId);
+    if (!upload) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        error: ERROR_MESSAGES.MEDIA_NOT_FOUND
+      });
+    }
+
+    res.setHeader('Content-Type', upload.contentType);
+    res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+    res.send(upload.buffer);
+  } catch (error) {
+    console.error('Media fetch error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: 'Failed to fetch image',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
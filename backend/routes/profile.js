@@ -3,17 +3,40 @@ const router = express.Router();
 const { 
   getBusinessProfile, 
   updateBusinessProfile, 
-  saveBusinessProfile 
+  saveBusinessProfile,
+  pickBusinessProfileFields
 } = require('../utils/profileStorage');
+const { redactSecrets } = require('../utils/tokenCrypto');
+const { requireOwnUserId } = require('../utils/widgetAuth');
+const { isValidTimeZone } = require('../utils/timezone');
+const { HTTP_STATUS, ERROR_MESSAGES } = require('../constants');
+
+// The :userId in the URL must match the widget session token
+router.param('userId', requireOwnUserId);
+
+/**
+ * Reject a timezone that isn't an IANA name - scheduling math depends on it
+ * Returns true when a response was sent
+ */
+function rejectInvalidTimezone(res, timezone) {
+  if (timezone === undefined || timezone === null || isValidTimeZone(timezone)) {
+    return false;
+  }
+  res.status(HTTP_STATUS.BAD_REQUEST).json({
+    error: ERROR_MESSAGES.INVALID_TIMEZONE,
+    code: 'INVALID_TIMEZONE'
+  });
+  return true;
+}
 
 /**
  * GET /api/profile/:userId
  * Get business profile for a user
  */
-router.get('/:userId', (req, res) => {
+router.get('/:userId', async (req, res) => {
   try {
-    const { userId } = req.params;
-    const profile = getBusinessProfile(userId);
+    const { userId } = req.auth;
+    const profile = await getBusinessProfile(userId);
     
     if (!profile) {
       return res.status(404).json({ 
@@ -22,7 +45,7 @@ router.get('/:userId', (req, res) => {
       });
     }
     
-    res.json({ profile });
+    res.json({ profile: redactSecrets(profile) });
   } catch (error) {
     console.error('Profile fetch error:', error);
     res.status(500).json({ 
@@ -34,18 +57,21 @@ router.get('/:userId', (req, res) => {
 
 /**
  * POST /api/profile/:userId
- * Create or update business profile
+ * Create or update business profile (the Facebook connection is left as it is)
  */
-router.post('/:userId', (req, res) => {
+router.post('/:userId', async (req, res) => {
   try {
-    const { userId } = req.params;
-    const profileData = req.body;
+    const { userId } = req.auth;
+    const profileData = pickBusinessProfileFields(req.body);
+    if (rejectInvalidTimezone(res, profileData.timezone)) {
+      return;
+    }
     
-    const profile = saveBusinessProfile(userId, profileData);
+    const profile = await saveBusinessProfile(userId, profileData);
     
     res.json({ 
       message: 'Profile saved successfully',
-      profile 
+      profile: redactSecrets(profile)
     });
   } catch (error) {
     console.error('Profile save error:', error);
@@ -58,18 +84,23 @@ router.post('/:userId', (req, res) => {
 
 /**
  * PATCH /api/profile/:userId
- * Update specific fields of business profile
+ * Update specific fields of business profile - the onboarding fields and timezone, nothing else
+ * `timezone` must be an IANA name (e.g. America/New_York) - it drives scheduling times
  */
-router.patch('/:userId', (req, res) => {
+router.patch('/:userId', async (req, res) => {
   try {
-    const { userId } = req.params;
-    const updates = req.body;
+    const { userId } = req.auth;
+    // The facebook* fields are only ever written by the Facebook OAuth flow
+    const updates = pickBusinessProfileFields(req.body);
+    if (rejectInvalidTimezone(res, updates.timezone)) {
+      return;
+    }
     
-    const updatedProfile = updateBusinessProfile(userId, updates);
+    const updatedProfile = await updateBusinessProfile(userId, updates);
     
     res.json({ 
       message: 'Profile updated successfully',
-      profile: updatedProfile 
+      profile: redactSecrets(updatedProfile)
     });
   } catch (error) {
     console.error('Profile update error:', error);
@@ -1,345 +1,789 @@
 const express = require('express');
 const router = express.Router();
-const axios = require('axios');
 const config = require('../../config/config');
-const { getBusinessProfile } = require('../utils/profileStorage');
-const { HTTP_STATUS, ERROR_MESSAGES, SUCCESS_MESSAGES, API_URLS } = require('../constants');
+const { getBusinessProfile, updateBusinessProfile } = require('../utils/profileStorage');
+const { getConnectedPages } = require('../utils/facebookPageStorage');
+const { isReconnectRequired } = require('../utils/facebookTokens');
+const { redactSecrets } = require('../utils/tokenCrypto');
+const {
+  RECONNECT_REQUIRED_CODE,
+  RATE_LIMITED_CODE,
+  reconnectRequiredError,
+  getPageAccessToken,
+  describeGraphError,
+  formatCaption
+} = require('../utils/facebookPublisher');
+const {
+  getCalendar,
+  findPostByFacebookPostId,
+  updateScheduledCalendarPost,
+  markFacebookPostCancelled,
+  reconcileScheduledPosts,
+  syncQueuedPost
+} = require('../utils/calendarStorage');
+const {
+  listJobs,
+  countByStatus,
+  cancelJob,
+  retryJob,
+  toPublicJob,
+  JOB_STATUSES
+} = require('../utils/publishQueue');
+const { listScheduledPosts, updateScheduledPost, deleteScheduledPost } = require('../utils/facebookScheduledPosts');
+const {
+  DATE_PATTERN,
+  isValidPostingTime,
+  resolveTimeZone,
+  zonedTimeToUtc,
+  getLocalDate,
+  getLocalTime,
+  formatLocalIso
+} = require('../utils/timezone');
+const {
+  SCHEDULING_POLICIES,
+  NATIVE_MIN_LEAD_MS,
+  getCalendarShiftDays
+} = require('../utils/scheduleValidation');
+const { scheduleOnce } = require('../utils/scheduleIdempotency');
+const { schedulePostToFacebook } = require('../utils/postScheduler');
+const { requireOwnUserId } = require('../utils/widgetAuth');
+const { HTTP_STATUS, ERROR_MESSAGES, SUCCESS_MESSAGES } = require('../constants');
+
+// The :userId in the URL must match the widget session token
+router.param('userId', requireOwnUserId);
+
+// Error codes caused by the request itself (Graph error 100 included) rather than the server
+const BAD_REQUEST_CODES = [
+  100,
+  'REQUIRED_FIELDS',
+  'FACEBOOK_NOT_CONNECTED',
+  'PAGE_NOT_CONNECTED',
+  'INVALID_DATE',
+  'INVALID_TIME',
+  'INVALID_MODE',
+  'INVALID_POLICY',
+  'POSTS_REQUIRED',
+  'TOO_SOON',
+  'PAST_DATE',
+  'ATTACHMENT_INVALID',
+  'MEDIA_NOT_FOUND',
+  'MEDIA_TYPE_UNSUPPORTED',
+  'MEDIA_TOO_LARGE',
+  'MEDIA_UNREACHABLE',
+  'MEDIA_URL_NOT_ALLOWED'
+];
 
-const FACEBOOK_GRAPH_API = API_URLS.FACEBOOK_GRAPH;
+/**
+ * Map a schedule error code to an HTTP status
+ */
+function getScheduleErrorStatus(code) {
+  if (code === RECONNECT_REQUIRED_CODE) {
+    return HTTP_STATUS.UNAUTHORIZED;
+  }
+  if (code === RATE_LIMITED_CODE) {
+    return HTTP_STATUS.TOO_MANY_REQUESTS;
+  }
+  if (code === 'IDEMPOTENCY_CONFLICT' || code === 'SCHEDULE_IN_PROGRESS') {
+    return HTTP_STATUS.CONFLICT;
+  }
+  if (BAD_REQUEST_CODES.includes(code)) {
+    return HTTP_STATUS.BAD_REQUEST;
+  }
+  return HTTP_STATUS.INTERNAL_SERVER_ERROR;
+}
 
 /**
- * Schedule a single post to Facebook (shared function)
- * Returns { success: boolean, data?: object, error?: object }
+ * Tally batch results per target page
  */
-async function schedulePostToFacebook(userId, postData) {
-  const { postId, date, caption, hashtags } = postData;
-
-  if (!userId || !date || !caption) {
-    return {
-      success: false,
-      error: {
-        message: ERROR_MESSAGES.SCHEDULE_REQUIRED_FIELDS
+function summarizeByPage(postResults) {
+  const summary = new Map();
+  for (const result of postResults) {
+    for (const pageResult of result.pages || []) {
+      const entry = summary.get(pageResult.pageId) || {
+        pageId: pageResult.pageId,
+        pageName: pageResult.pageName,
+        succeeded: 0,
+        failed: 0
+      };
+      if (pageResult.success) {
+        entry.succeeded++;
+      } else {
+        entry.failed++;
       }
-    };
+      summary.set(pageResult.pageId, entry);
+    }
   }
+  return Array.from(summary.values());
+}
 
-  // Get business profile and Facebook connection
-  const profile = getBusinessProfile(userId);
+/**
+ * POST /api/scheduling/schedule
+ * Schedule a post to Facebook
+ * Body: { postId, date, time?, caption, hashtags, pageIds?, attachment? }
+ * A YYYY-MM-DD date is published at `time` (HH:MM, default 09:00) in the profile's timezone
+ * attachment: { type: 'image', url | mediaId } publishes a photo post, { type: 'link', url } a link post
+ * mode: 'native' (Facebook scheduled post) or 'queue' (local publish queue) - defaults to SCHEDULING_MODE
+ * policy: what to do with a past date - 'reject' (default, 400 PAST_DATE/TOO_SOON with a suggestedTime),
+ * 'nextAvailable' or 'shiftCalendar' (move it forward by whole days; see scheduleValidation)
+ * Repeating a request for the same calendar post returns the first result (replayed: true) instead of
+ * posting again; posts outside the calendar can pass idempotencyKey (or an Idempotency-Key header)
+ */
+router.post('/schedule', async (req, res) => {
+  try {
+    const { userId } = req.auth;
+    const { postId, date, time, caption, hashtags, pageIds, attachment, mode, policy } = req.body;
+    const idempotencyKey = req.body.idempotencyKey || req.get('Idempotency-Key');
+
+    const result = await scheduleOnce(
+      userId,
+      { postId, date, time, caption, hashtags, pageIds, attachment, mode, policy, idempotencyKey },
+      postData => schedulePostToFacebook(userId, postData)
+    );
 
-  if (!profile) {
-    return {
-      success: false,
-      error: {
-        message: ERROR_MESSAGES.PROFILE_NOT_FOUND
+    if (result.success) {
+      let message = result.data.queued ? SUCCESS_MESSAGES.POST_QUEUED : SUCCESS_MESSAGES.POST_SCHEDULED;
+      if (result.data.failedPages > 0) {
+        message = ERROR_MESSAGES.SCHEDULE_PARTIALLY_FAILED;
       }
-    };
+      res.json({
+        success: true,
+        message,
+        postId: result.data.postId,
+        scheduledTime: result.data.scheduledTime,
+        scheduledTimeLocal: result.data.scheduledTimeLocal,
+        timezone: result.data.timezone,
+        facebookPostId: result.data.facebookPostId,
+        mediaType: result.data.mediaType,
+        pages: result.data.pages,
+        failedPages: result.data.failedPages,
+        queued: Boolean(result.data.queued),
+        replayed: Boolean(result.data.replayed),
+        note: result.data.queued
+          ? 'Post will be published by the publish queue at the scheduled time'
+          : 'Post will be published on Facebook at the scheduled time',
+        adjusted: result.data.adjusted
+      });
+    } else {
+      res.status(getScheduleErrorStatus(result.error.code)).json({
+        error: result.error.message || ERROR_MESSAGES.SCHEDULE_FAILED,
+        code: result.error.code,
+        details: result.error.details,
+        fbtrace_id: result.error.fbtrace_id,
+        pages: result.error.pages
+      });
+    }
+  } catch (error) {
+    console.error('Scheduling error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: ERROR_MESSAGES.SCHEDULE_FAILED,
+      details: error.message
+    });
   }
+});
 
-  if (!profile.facebookConnected || !profile.facebookPageId) {
-    return {
-      success: false,
-      error: {
-        message: ERROR_MESSAGES.FACEBOOK_NOT_CONNECTED
-      }
-    };
-  }
+/**
+ * Run `worker` over items with at most `limit` calls in flight; results keep the items' order
+ */
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+  return results;
+}
 
-  const accessToken = profile.facebookAccessToken;
+/**
+ * Check a batch request before any post is scheduled
+ * Returns { success, data?: { shiftDays }, error? }
+ */
+async function validateBatch(userId, { posts, mode, policy }) {
+  if (!posts || !Array.isArray(posts)) {
+    return { success: false, error: { message: ERROR_MESSAGES.POSTS_REQUIRED, code: 'POSTS_REQUIRED' } };
+  }
 
-  if (!accessToken) {
-    return {
-      success: false,
-      error: {
-        message: ERROR_MESSAGES.FACEBOOK_TOKEN_MISSING
-      }
-    };
+  if (!SCHEDULING_POLICIES.includes(policy)) {
+    return { success: false, error: { message: ERROR_MESSAGES.INVALID_SCHEDULING_POLICY, code: 'INVALID_POLICY' } };
   }
 
-  // Format caption with hashtags
-  let fullCaption = caption;
-  if (hashtags && Array.isArray(hashtags) && hashtags.length > 0) {
-    const hashtagString = hashtags.map(tag => tag.startsWith('#') ? tag : `#${tag}`).join(' ');
-    fullCaption = `${caption}\n\n${hashtagString}`;
+  const profile = await getBusinessProfile(userId);
+
+  if (!profile || !profile.facebookConnected) {
+    return { success: false, error: { message: ERROR_MESSAGES.FACEBOOK_NOT_CONNECTED, code: 'FACEBOOK_NOT_CONNECTED' } };
   }
 
-  // Parse scheduled date
-  // Handle both date strings (YYYY-MM-DD) and full datetime strings
-  let scheduledTime;
-  const now = new Date();
-
-  if (typeof date === 'string' && date.match(/^\d{4}-\d{2}-\d{2}$/)) {
-    // Date-only format (YYYY-MM-DD) - set to 9 AM local time on that date
-    const dateParts = date.split('-');
-    const year = parseInt(dateParts[0]);
-    const month = parseInt(dateParts[1]) - 1; // 0-indexed
-    const day = parseInt(dateParts[2]);
-
-    scheduledTime = new Date(year, month, day, 9, 0, 0); // 9 AM local time
-
-    // If the date is in the past, assume they mean next year (or adjust to future)
-    if (scheduledTime < now) {
-      // Check if it's just the time that's past (same day) or the whole date
-      const scheduledDateOnly = new Date(year, month, day);
-      const todayDateOnly = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-
-      if (scheduledDateOnly < todayDateOnly) {
-        // The date itself is in the past - assume next occurrence of that date
-        // If it's November 15 and we're past it this year, schedule for next year
-        const nextYear = new Date(now.getFullYear() + 1, month, day, 9, 0, 0);
-        // But if we're still in the same year and the date hasn't passed yet this year, use this year
-        if (month > now.getMonth() || (month === now.getMonth() && day >= now.getDate())) {
-          scheduledTime = new Date(now.getFullYear(), month, day, 9, 0, 0);
-        } else {
-          scheduledTime = nextYear;
-        }
-        console.log(`Date ${date} was in the past, adjusted to: ${scheduledTime.toISOString()}`);
-      } else {
-        // Same day but time has passed - set to 10 minutes from now (or tomorrow 9 AM if too late)
-        const minTime = new Date(now.getTime() + 10 * 60 * 1000);
-        if (minTime.getDate() === now.getDate()) {
-          scheduledTime = minTime;
-        } else {
-          // Too late today, schedule for tomorrow 9 AM
-          const tomorrow = new Date(now);
-          tomorrow.setDate(tomorrow.getDate() + 1);
-          tomorrow.setHours(9, 0, 0, 0);
-          scheduledTime = tomorrow;
-        }
-      }
-    }
-  } else {
-    // Full datetime string
-    scheduledTime = new Date(date);
-
-    // If in the past, adjust
-    if (scheduledTime < now) {
-      const tomorrow = new Date(now);
-      tomorrow.setDate(tomorrow.getDate() + 1);
-      tomorrow.setHours(9, 0, 0, 0);
-      scheduledTime = tomorrow;
-      console.log(`Scheduled time was in the past, adjusted to tomorrow at 9 AM: ${scheduledTime.toISOString()}`);
-    }
+  if (isReconnectRequired(profile)) {
+    return { success: false, error: reconnectRequiredError() };
   }
 
-  // Facebook requires scheduled posts to be at least 10 minutes in the future
-  const minScheduledTime = new Date(now.getTime() + 10 * 60 * 1000); // 10 minutes from now
-  let finalScheduledTime = scheduledTime;
+  const shiftDays = policy === 'shiftCalendar'
+    ? getCalendarShiftDays(posts, {
+      timeZone: resolveTimeZone(profile),
+      minLeadMs: (mode || config.scheduling.mode) === 'queue' ? 0 : NATIVE_MIN_LEAD_MS
+    })
+    : 0;
 
-  if (scheduledTime < minScheduledTime) {
-    // If less than 10 minutes away, but it's a future date, keep the date and just ensure minimum time
-    const scheduledDateOnly = new Date(scheduledTime.getFullYear(), scheduledTime.getMonth(), scheduledTime.getDate());
-    const todayDateOnly = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  return { success: true, data: { shiftDays } };
+}
 
-    if (scheduledDateOnly > todayDateOnly) {
-      // It's a future date - keep the date, but ensure time is at least 10 minutes from now
-      // If the scheduled time on that future date is still too close, use minimum time
-      finalScheduledTime = scheduledTime < minScheduledTime ? minScheduledTime : scheduledTime;
-    } else {
-      // Same day - use minimum time (10 minutes from now)
-      finalScheduledTime = minScheduledTime;
-    }
-    console.log(`Scheduled time adjusted to meet Facebook minimum: ${finalScheduledTime.toISOString()}`);
-  }
+/**
+ * Schedule a batch's posts, config.scheduling.batchConcurrency at a time
+ * onProgress({ index, postId, status, result?, error? }) is called as each post starts and finishes
+ * Returns the batch summary sent to the client
+ */
+async function runBatch(userId, { posts, pageIds, mode, policy }, shiftDays, onProgress = () => {}) {
+  const outcomes = await mapWithConcurrency(posts, config.scheduling.batchConcurrency, async (post, index) => {
+    onProgress({ index, postId: post.id, status: 'scheduling' });
 
-  // Calculate Unix timestamp (seconds since epoch)
-  const unixTimestamp = Math.floor(finalScheduledTime.getTime() / 1000);
-
-  // Schedule post to Facebook
-  // For scheduled posts, we MUST set published=false and provide scheduled_publish_time
-  // According to Facebook API docs: published must be false when scheduling
-  const facebookPostData = {
-    message: fullCaption,
-    published: false, // REQUIRED: Must be false for scheduled posts
-    scheduled_publish_time: unixTimestamp,
-    access_token: accessToken
-  };
+    let scheduleResult;
+    try {
+      scheduleResult = await scheduleOnce(userId, {
+        postId: post.id,
+        idempotencyKey: post.idempotencyKey,
+        date: post.date,
+        time: post.time,
+        caption: post.caption,
+        hashtags: post.hashtags,
+        pageIds: post.pageIds || pageIds,
+        attachment: post.attachment,
+        mode,
+        policy,
+        shiftDays
+      }, postData => schedulePostToFacebook(userId, postData));
+    } catch (error) {
+      // One broken post must not stop the rest of the batch
+      console.error(`Batch scheduling error for post ${post.id}:`, error);
+      scheduleResult = { success: false, error: { message: error.message } };
+    }
 
-  console.log('Scheduling post to Facebook:', {
-    pageId: profile.facebookPageId,
-    scheduledTime: finalScheduledTime.toISOString(),
-    unixTimestamp: unixTimestamp,
-    messageLength: fullCaption.length
+    const outcome = scheduleResult.success
+      ? { postId: post.id, success: true, ...scheduleResult.data }
+      : {
+        postId: post.id,
+        success: false,
+        error: scheduleResult.error.message || ERROR_MESSAGES.SCHEDULE_FAILED,
+        code: scheduleResult.error.code,
+        details: scheduleResult.error.details,
+        pages: scheduleResult.error.pages
+      };
+    onProgress({ index, postId: post.id, status: outcome.success ? 'scheduled' : 'failed', outcome });
+    return outcome;
   });
 
+  const results = outcomes.filter(outcome => outcome.success);
+  const errors = outcomes.filter(outcome => !outcome.success);
+  const partial = results.some(result => result.failedPages > 0);
+
+  return {
+    message: errors.length > 0 || partial ? ERROR_MESSAGES.BULK_SCHEDULE_FAILED : SUCCESS_MESSAGES.POSTS_SCHEDULED,
+    total: posts.length,
+    succeeded: results.length,
+    failed: errors.length,
+    results: results,
+    errors: errors,
+    shiftedDays: shiftDays,
+    pages: summarizeByPage(outcomes)
+  };
+}
+
+/**
+ * POST /api/scheduling/schedule-batch
+ * Schedule multiple posts at once
+ * Each post targets its own pageIds, falling back to the request's pageIds, then the default page
+ * mode and policy apply to every post (see /schedule); with policy 'shiftCalendar' every post
+ * moves by the same number of days, enough for the earliest one to be schedulable
+ * Posts are scheduled a few at a time (BATCH_SCHEDULE_CONCURRENCY); see /schedule-batch/stream for progress
+ */
+router.post('/schedule-batch', async (req, res) => {
   try {
-    const response = await axios.post(
-      `${FACEBOOK_GRAPH_API}/${profile.facebookPageId}/feed`,
-      facebookPostData
-    );
+    const { userId } = req.auth;
+    const { posts, pageIds, mode, policy = 'reject' } = req.body;
+
+    const validation = await validateBatch(userId, { posts, mode, policy });
+    if (!validation.success) {
+      return res.status(getScheduleErrorStatus(validation.error.code)).json({
+        error: validation.error.message,
+        code: validation.error.code
+      });
+    }
 
-    return {
+    const summary = await runBatch(userId, { posts, pageIds, mode, policy }, validation.data.shiftDays);
+
+    res.json({
       success: true,
-      data: {
-        postId: postId,
-        facebookPostId: response.data.id,
-        scheduledTime: finalScheduledTime.toISOString(),
-        adjusted: finalScheduledTime.getTime() !== scheduledTime.getTime() ? 'Time adjusted to meet Facebook minimum (10 minutes)' : null
+      ...summary
+    });
+
+  } catch (error) {
+    console.error('Batch scheduling error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: ERROR_MESSAGES.BULK_SCHEDULE_FAILED,
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/scheduling/schedule-batch/stream
+ * Same as /schedule-batch, reporting progress as Server-Sent Events:
+ *   { type: 'start', total, shiftedDays }
+ *   { type: 'progress', index, postId, status: 'scheduling' | 'scheduled' | 'failed', outcome?, completed, total }
+ *   { type: 'done', ...summary }   then [DONE]
+ * Validation errors are returned as plain JSON before the stream starts
+ */
+router.post('/schedule-batch/stream', async (req, res) => {
+  try {
+    const { userId } = req.auth;
+    const { posts, pageIds, mode, policy = 'reject' } = req.body;
+
+    const validation = await validateBatch(userId, { posts, mode, policy });
+    if (!validation.success) {
+      return res.status(getScheduleErrorStatus(validation.error.code)).json({
+        error: validation.error.message,
+        code: validation.error.code
+      });
+    }
+
+    // Set up Server-Sent Events
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
+
+    // The batch keeps going if the widget disconnects - the calendar records what was scheduled
+    const send = (event) => {
+      if (!res.writableEnded && !res.destroyed) {
+        res.write(`data: ${JSON.stringify(event)}\n\n`);
+        if (res.flush) res.flush();
       }
     };
 
-  } catch (facebookError) {
-    console.error('Facebook API error:', facebookError.response?.data || facebookError.message);
+    const { shiftDays } = validation.data;
+    let completed = 0;
+    send({ type: 'start', total: posts.length, shiftedDays: shiftDays });
 
-    // Handle specific Facebook API errors
-    const errorData = facebookError.response?.data?.error;
-    if (errorData) {
-      // Error 100: Cannot schedule published post or invalid scheduled time
-      if (errorData.code === 100) {
-        return {
-          success: false,
-          error: {
-            message: errorData.message || 'Cannot schedule this post. Ensure the scheduled time is at least 10 minutes in the future.',
-            code: errorData.code,
-            fbtrace_id: errorData.fbtrace_id
-          }
-        };
+    const summary = await runBatch(userId, { posts, pageIds, mode, policy }, shiftDays, (progress) => {
+      if (progress.status !== 'scheduling') {
+        completed++;
       }
+      send({ type: 'progress', ...progress, completed, total: posts.length });
+    });
+
+    send({ type: 'done', ...summary });
+    if (!res.writableEnded && !res.destroyed) {
+      res.write(`data: [DONE]\n\n`);
+    }
+    res.end();
+  } catch (error) {
+    console.error('Batch scheduling stream error:', error);
+    if (!res.headersSent) {
+      return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: ERROR_MESSAGES.BULK_SCHEDULE_FAILED,
+        details: error.message
+      });
     }
+    res.write(`data: ${JSON.stringify({
+      type: 'error',
+      error: ERROR_MESSAGES.BULK_SCHEDULE_FAILED,
+      details: error.message
+    })}\n\n`);
+    res.end();
+  }
+});
 
-    return {
-      success: false,
-      error: {
-        message: facebookError.message || ERROR_MESSAGES.SCHEDULE_FAILED,
-        details: facebookError.response?.data || facebookError.message
-      }
-    };
+/**
+ * Load the profile's Facebook pages, failing when scheduling is impossible
+ * Returns { success, data?: { profile, pages }, error? }
+ */
+async function getSchedulingPages(userId) {
+  const profile = await getBusinessProfile(userId);
+  const pages = getConnectedPages(profile);
+
+  if (pages.length === 0) {
+    return { success: false, error: { message: ERROR_MESSAGES.FACEBOOK_NOT_CONNECTED, code: 'FACEBOOK_NOT_CONNECTED' } };
+  }
+  if (isReconnectRequired(profile)) {
+    return { success: false, error: reconnectRequiredError() };
   }
+  return { success: true, data: { profile, pages } };
 }
 
 /**
- * POST /api/scheduling/schedule
- * Schedule a post to Facebook
+ * Find the connected page a scheduled Facebook post belongs to
+ * Uses the calendar record, then an explicit pageId, then the "{pageId}_{postId}" id format
  */
-router.post('/schedule', async (req, res) => {
+async function findScheduledPostPage(userId, pages, facebookPostId, pageId) {
+  const match = await findPostByFacebookPostId(userId, facebookPostId);
+  const candidateId = match?.facebookPost.pageId || pageId || facebookPostId.split('_')[0];
+  return pages.find(page => page.id === String(candidateId)) || null;
+}
+
+/**
+ * Parse and check a new publish time for a scheduled post
+ * Returns { success, data?: { scheduledTime }, error? } - Facebook needs at least 10 minutes' notice
+ */
+function parseRescheduleTime(value) {
+  const scheduledTime = new Date(value);
+  if (!value || Number.isNaN(scheduledTime.getTime())) {
+    return { success: false, error: { message: ERROR_MESSAGES.INVALID_DATE, code: 'INVALID_DATE' } };
+  }
+  if (scheduledTime.getTime() < Date.now() + 10 * 60 * 1000) {
+    return { success: false, error: { message: ERROR_MESSAGES.PAST_DATE, code: 'PAST_DATE' } };
+  }
+  return { success: true, data: { scheduledTime } };
+}
+
+/**
+ * Send a failed scheduled-post operation to the client, remembering revoked tokens
+ */
+async function sendScheduledPostError(res, userId, error) {
+  if (error.code === RECONNECT_REQUIRED_CODE) {
+    await updateBusinessProfile(userId, { facebookReconnectRequired: true });
+  }
+  res.status(getScheduleErrorStatus(error.code)).json({
+    error: error.message,
+    code: error.code,
+    details: error.details,
+    fbtrace_id: error.fbtrace_id
+  });
+}
+
+/**
+ * GET /api/scheduling/posts/:userId
+ * List the posts scheduled on every connected page, merged with the calendar post each came from
+ * Calendar schedule state is reconciled with what Facebook reports (published or deleted elsewhere)
+ */
+router.get('/posts/:userId', async (req, res) => {
   try {
-    const { userId, postId, date, caption, hashtags } = req.body;
+    const { userId } = req.auth;
+    const pagesResult = await getSchedulingPages(userId);
 
-    const result = await schedulePostToFacebook(userId, { postId, date, caption, hashtags });
+    if (!pagesResult.success) {
+      if (pagesResult.error.code === 'FACEBOOK_NOT_CONNECTED') {
+        return res.json({ success: true, posts: [], pageErrors: [], message: 'No Facebook connection found' });
+      }
+      return sendScheduledPostError(res, userId, pagesResult.error);
+    }
 
-    if (result.success) {
-      res.json({
-        success: true,
-        message: SUCCESS_MESSAGES.POST_SCHEDULED,
-        postId: result.data.postId,
-        scheduledTime: result.data.scheduledTime,
-        facebookPostId: result.data.facebookPostId,
-        note: 'Post will be published on Facebook at the scheduled time',
-        adjusted: result.data.adjusted
-      });
-    } else {
-      const statusCode = result.error.code === 100 ? HTTP_STATUS.BAD_REQUEST : HTTP_STATUS.INTERNAL_SERVER_ERROR;
-      res.status(statusCode).json({
-        error: result.error.message || ERROR_MESSAGES.SCHEDULE_FAILED,
-        code: result.error.code,
-        details: result.error.details,
-        fbtrace_id: result.error.fbtrace_id
-      });
+    const scheduledPosts = [];
+    const pageErrors = [];
+    const checkedPageIds = [];
+
+    for (const page of pagesResult.data.pages) {
+      const { accessToken, error } = getPageAccessToken(page);
+      if (error) {
+        pageErrors.push({ pageId: page.id, pageName: page.name, error });
+        continue;
+      }
+      try {
+        scheduledPosts.push(...await listScheduledPosts(page, accessToken));
+        checkedPageIds.push(page.id);
+      } catch (facebookError) {
+        console.error(`Failed to list scheduled posts for page ${page.id}:`, redactSecrets(facebookError));
+        pageErrors.push({ pageId: page.id, pageName: page.name, error: describeGraphError(facebookError) });
+      }
+    }
+
+    if (pageErrors.some(entry => entry.error.code === RECONNECT_REQUIRED_CODE)) {
+      await updateBusinessProfile(userId, { facebookReconnectRequired: true });
     }
+
+    await reconcileScheduledPosts(userId, scheduledPosts.map(post => post.facebookPostId), checkedPageIds);
+
+    // Index calendar posts by the Facebook posts they were scheduled as
+    const calendar = await getCalendar(userId);
+    const calendarPosts = new Map();
+    for (const post of calendar?.posts || []) {
+      for (const entry of post.facebookPosts || []) {
+        calendarPosts.set(entry.facebookPostId, post);
+      }
+    }
+
+    const timeZone = resolveTimeZone(pagesResult.data.profile);
+    const posts = scheduledPosts
+      .map(post => {
+        const calendarPost = calendarPosts.get(post.facebookPostId);
+        return {
+          ...post,
+          scheduledTimeLocal: post.scheduledTime ? formatLocalIso(new Date(post.scheduledTime), timeZone) : null,
+          calendarPostId: calendarPost?.id || null,
+          day: calendarPost?.day ?? null,
+          theme: calendarPost?.theme || null,
+          type: calendarPost?.type || null,
+          caption: calendarPost?.caption ?? null,
+          hashtags: calendarPost?.hashtags || [],
+          attachment: calendarPost?.attachment || null
+        };
+      })
+      .sort((a, b) => new Date(a.scheduledTime) - new Date(b.scheduledTime));
+
+    res.json({
+      success: true,
+      timezone: timeZone,
+      posts,
+      pageErrors
+    });
   } catch (error) {
-    console.error('Scheduling error:', error);
+    console.error('Get posts error:', redactSecrets(error));
     res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
-      error: ERROR_MESSAGES.SCHEDULE_FAILED,
+      error: 'Failed to fetch scheduled posts',
       details: error.message
     });
   }
 });
 
 /**
- * POST /api/scheduling/schedule-batch
- * Schedule multiple posts at once
+ * PATCH /api/scheduling/post/:facebookPostId
+ * Reschedule and/or edit the text of a scheduled post
+ * Body: { scheduledTime? | date? + time?, caption?, hashtags?, pageId? }
+ * scheduledTime is an ISO instant; date ('YYYY-MM-DD') and time ('HH:MM') are in the profile's timezone
+ * A new time also moves the calendar post's date and time (in the profile's timezone)
+ * pageId is only needed for posts not scheduled from the calendar
  */
-router.post('/schedule-batch', async (req, res) => {
+router.patch('/post/:facebookPostId', async (req, res) => {
   try {
-    const { userId, posts } = req.body;
+    const { userId } = req.auth;
+    const { facebookPostId } = req.params;
+    const { date, time, caption, hashtags, pageId } = req.body;
+    let { scheduledTime } = req.body;
 
-    if (!userId || !posts || !Array.isArray(posts)) {
+    if (scheduledTime === undefined && !date && caption === undefined) {
       return res.status(HTTP_STATUS.BAD_REQUEST).json({
-        error: 'userId and posts array are required'
+        error: 'scheduledTime, date or caption is required'
       });
     }
 
-    // Get business profile
-    const profile = getBusinessProfile(userId);
+    const pagesResult = await getSchedulingPages(userId);
+    if (!pagesResult.success) {
+      return sendScheduledPostError(res, userId, pagesResult.error);
+    }
 
-    if (!profile || !profile.facebookConnected) {
-      return res.status(HTTP_STATUS.BAD_REQUEST).json({
-        error: ERROR_MESSAGES.FACEBOOK_NOT_CONNECTED
+    const page = await findScheduledPostPage(userId, pagesResult.data.pages, facebookPostId, pageId);
+    if (!page) {
+      return sendScheduledPostError(res, userId, {
+        message: ERROR_MESSAGES.FACEBOOK_PAGE_NOT_CONNECTED,
+        code: 'PAGE_NOT_CONNECTED'
       });
     }
 
-    const results = [];
-    const errors = [];
+    const fields = {};
+    const calendarChanges = {};
+    const timeZone = resolveTimeZone(pagesResult.data.profile);
 
-    // Schedule each post directly (no HTTP call needed)
-    for (const post of posts) {
-      const scheduleResult = await schedulePostToFacebook(userId, {
-        postId: post.id,
-        date: post.date,
-        caption: post.caption,
-        hashtags: post.hashtags
-      });
+    // A local date/time is converted in the business's timezone
+    if (scheduledTime === undefined && date) {
+      if (!DATE_PATTERN.test(date) || (time && !isValidPostingTime(time))) {
+        return sendScheduledPostError(res, userId, { message: ERROR_MESSAGES.INVALID_DATE, code: 'INVALID_DATE' });
+      }
+      scheduledTime = zonedTimeToUtc(date, time || config.scheduling.defaultPostingTime, timeZone).toISOString();
+    }
 
-      if (scheduleResult.success) {
-        results.push({
-          postId: post.id,
-          success: true,
-          ...scheduleResult.data
-        });
-      } else {
-        errors.push({
-          postId: post.id,
-          success: false,
-          error: scheduleResult.error.message || 'Failed to schedule post'
-        });
+    if (scheduledTime !== undefined) {
+      const parsed = parseRescheduleTime(scheduledTime);
+      if (!parsed.success) {
+        return sendScheduledPostError(res, userId, parsed.error);
       }
+      fields.scheduledPublishTime = Math.floor(parsed.data.scheduledTime.getTime() / 1000);
+      calendarChanges.scheduledTime = parsed.data.scheduledTime.toISOString();
+      // The calendar shows the post in its new slot, in the business's timezone
+      calendarChanges.date = getLocalDate(parsed.data.scheduledTime, timeZone);
+      calendarChanges.time = getLocalTime(parsed.data.scheduledTime, timeZone);
+    }
+
+    if (caption !== undefined) {
+      // Keep the calendar's hashtags unless new ones are sent
+      const match = await findPostByFacebookPostId(userId, facebookPostId);
+      const tags = hashtags !== undefined ? [].concat(hashtags || []) : (match?.post.hashtags || []);
+      fields.message = formatCaption(caption, tags);
+      calendarChanges.caption = caption;
+      calendarChanges.hashtags = tags;
+    }
+
+    const { accessToken, error } = getPageAccessToken(page);
+    if (error) {
+      return sendScheduledPostError(res, userId, error);
+    }
+
+    try {
+      await updateScheduledPost(facebookPostId, accessToken, fields);
+    } catch (facebookError) {
+      console.error(`Failed to update scheduled post ${facebookPostId}:`, redactSecrets(facebookError));
+      return sendScheduledPostError(res, userId, describeGraphError(facebookError, ERROR_MESSAGES.RESCHEDULE_FAILED));
     }
 
+    const updated = await updateScheduledCalendarPost(userId, facebookPostId, calendarChanges);
+
     res.json({
       success: true,
-      message: errors.length > 0 ? ERROR_MESSAGES.BULK_SCHEDULE_FAILED : SUCCESS_MESSAGES.POSTS_SCHEDULED,
-      total: posts.length,
-      succeeded: results.length,
-      failed: errors.length,
-      results: results,
-      errors: errors
+      message: SUCCESS_MESSAGES.POST_RESCHEDULED,
+      facebookPostId,
+      pageId: page.id,
+      scheduledTime: calendarChanges.scheduledTime,
+      scheduledTimeLocal: calendarChanges.scheduledTime
+        ? formatLocalIso(new Date(calendarChanges.scheduledTime), timeZone)
+        : undefined,
+      timezone: timeZone,
+      post: updated.success ? updated.data.post : null
+    });
+  } catch (error) {
+    console.error('Reschedule error:', redactSecrets(error));
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: ERROR_MESSAGES.RESCHEDULE_FAILED,
+      details: error.message
     });
+  }
+});
+
+/**
+ * DELETE /api/scheduling/post/:facebookPostId?pageId=
+ * Cancel a scheduled post - the calendar post stays, marked cancelled, so it can be scheduled again
+ */
+router.delete('/post/:facebookPostId', async (req, res) => {
+  try {
+    const { userId } = req.auth;
+    const { facebookPostId } = req.params;
+
+    const pagesResult = await getSchedulingPages(userId);
+    if (!pagesResult.success) {
+      return sendScheduledPostError(res, userId, pagesResult.error);
+    }
+
+    const page = await findScheduledPostPage(userId, pagesResult.data.pages, facebookPostId, req.query.pageId);
+    if (!page) {
+      return sendScheduledPostError(res, userId, {
+        message: ERROR_MESSAGES.FACEBOOK_PAGE_NOT_CONNECTED,
+        code: 'PAGE_NOT_CONNECTED'
+      });
+    }
+
+    const { accessToken, error } = getPageAccessToken(page);
+    if (error) {
+      return sendScheduledPostError(res, userId, error);
+    }
+
+    try {
+      await deleteScheduledPost(facebookPostId, accessToken);
+    } catch (facebookError) {
+      console.error(`Failed to cancel scheduled post ${facebookPostId}:`, redactSecrets(facebookError));
+      const errorData = facebookError.response?.data?.error;
+      // Already gone on Facebook - still mark it cancelled here
+      if (!(errorData && errorData.code === 100)) {
+        return sendScheduledPostError(res, userId, describeGraphError(facebookError, ERROR_MESSAGES.CANCEL_FAILED));
+      }
+    }
 
+    const updated = await markFacebookPostCancelled(userId, facebookPostId);
+
+    res.json({
+      success: true,
+      message: SUCCESS_MESSAGES.POST_CANCELLED,
+      facebookPostId,
+      pageId: page.id,
+      post: updated.success ? updated.data.post : null
+    });
   } catch (error) {
-    console.error('Batch scheduling error:', error);
+    console.error('Cancel scheduled post error:', redactSecrets(error));
     res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
-      error: ERROR_MESSAGES.BULK_SCHEDULE_FAILED,
+      error: ERROR_MESSAGES.CANCEL_FAILED,
       details: error.message
     });
   }
 });
 
 /**
- * GET /api/scheduling/posts/:userId
- * Get scheduled posts for a user
+ * GET /api/scheduling/queue/:userId?status=
+ * Inspect the local publish queue: the user's jobs (optionally one status) and counts per status
  */
-router.get('/posts/:userId', async (req, res) => {
+router.get('/queue/:userId', async (req, res) => {
   try {
-    const { userId } = req.params;
-    const profile = getBusinessProfile(userId);
+    const { userId } = req.auth;
+    const { status } = req.query;
 
-    if (!profile || !profile.facebookConnected) {
-      return res.json({
-        posts: [],
-        message: 'No Facebook connection found'
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: `status must be one of: ${JOB_STATUSES.join(', ')}`
       });
     }
 
-    // In production, fetch from Facebook API or database
-    // For now, return empty array
+    const allJobs = await listJobs(userId);
+    const jobs = status ? allJobs.filter(job => job.status === status) : allJobs;
+
     res.json({
-      posts: [],
-      message: 'Scheduled posts will be stored in database in production'
+      success: true,
+      mode: config.scheduling.mode,
+      workerEnabled: config.scheduling.queue.workerEnabled,
+      counts: countByStatus(allJobs),
+      jobs: jobs.map(toPublicJob)
+    });
+  } catch (error) {
+    console.error('Get publish queue error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: 'Failed to get publish queue',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Apply a queue job change (cancel/retry) and keep its calendar post in step
+ */
+async function changeQueueJob(res, userId, result, message) {
+  if (!result.success) {
+    const status = result.error.code === 'JOB_NOT_FOUND' ? HTTP_STATUS.NOT_FOUND : HTTP_STATUS.CONFLICT;
+    return res.status(status).json({
+      error: result.error.message,
+      code: result.error.code
     });
+  }
 
+  const { job } = result.data;
+  if (job.calendarId && job.calendarPostId) {
+    const { calendarId, calendarPostId } = job;
+    await syncQueuedPost(userId, calendarId, calendarPostId, await listJobs(userId, { calendarId, calendarPostId }));
+  }
+
+  res.json({
+    success: true,
+    message,
+    job: toPublicJob(job)
+  });
+}
+
+/**
+ * DELETE /api/scheduling/queue/job/:jobId
+ * Cancel a queued (or failed) job so it is never published
+ */
+router.delete('/queue/job/:jobId', async (req, res) => {
+  try {
+    const { userId } = req.auth;
+    const result = await cancelJob(userId, req.params.jobId);
+    await changeQueueJob(res, userId, result, SUCCESS_MESSAGES.JOB_CANCELLED);
   } catch (error) {
-    console.error('Get posts error:', error);
+    console.error('Cancel publish job error:', error);
     res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
-      error: 'Failed to fetch scheduled posts',
+      error: ERROR_MESSAGES.CANCEL_FAILED,
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/scheduling/queue/job/:jobId/retry
+ * Queue a failed job again, to be published on the worker's next run
+ */
+router.post('/queue/job/:jobId/retry', async (req, res) => {
+  try {
+    const { userId } = req.auth;
+    const result = await retryJob(userId, req.params.jobId);
+    await changeQueueJob(res, userId, result, SUCCESS_MESSAGES.JOB_REQUEUED);
+  } catch (error) {
+    console.error('Retry publish job error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: 'Failed to retry publish job',
       details: error.message
     });
   }
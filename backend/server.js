@@ -5,11 +5,16 @@ const session = require('express-session');
 const bodyParser = require('body-parser');
 const path = require('path');
 
+const { requireWidgetSession } = require('./utils/widgetAuth');
+const authRoutes = require('./routes/auth');
 const chatRoutes = require('./routes/chat');
 const profileRoutes = require('./routes/profile');
 const facebookRoutes = require('./routes/facebook');
 const calendarRoutes = require('./routes/calendar');
 const schedulingRoutes = require('./routes/scheduling');
+const mediaRoutes = require('./routes/media');
+const { startPublishWorker } = require('./utils/publishWorker');
+const { MEDIA_LIMITS } = require('./constants');
 
 const app = express();
 const PORT = config.server.port;
@@ -19,6 +24,8 @@ app.use(cors({
   origin: '*', // In production, restrict to HighLevel domain
   credentials: true
 }));
+// Image uploads arrive as base64 JSON - only that route gets the larger body limit
+app.use('/api/media', bodyParser.json({ limit: MEDIA_LIMITS.UPLOAD_BODY_LIMIT }));
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 app.use(session({
@@ -71,11 +78,15 @@ app.get('/widget.html', (req, res) => {
 });
 
 // API Routes
+// Every /api call needs a widget session token, except issuing one and the OAuth popup pages
+app.use('/api', requireWidgetSession);
+app.use('/api/auth', authRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/profile', profileRoutes);
 app.use('/api/facebook', facebookRoutes);
 app.use('/api/calendar', calendarRoutes);
 app.use('/api/scheduling', schedulingRoutes);
+app.use('/api/media', mediaRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -94,11 +105,13 @@ app.get('/', (req, res) => {
       version: '1.0.0',
       endpoints: {
         health: '/health',
+        auth: '/api/auth',
         chat: '/api/chat',
         profile: '/api/profile',
         facebook: '/api/facebook',
         calendar: '/api/calendar',
         scheduling: '/api/scheduling',
+        media: '/api/media',
         widget: '/widget/widget.html'
       }
     });
@@ -117,6 +130,10 @@ if (!config.server.isVercel) {
     console.log(`   • Widget (root): ${config.server.backendUrl}/`);
     console.log(`   • Health: ${config.server.backendUrl}/health`);
 
+    if (config.scheduling.queue.workerEnabled) {
+      startPublishWorker();
+    }
+
     // Show configuration summary
     const summary = config.getSummary();
     if (summary.validation.warnings.length > 0 || summary.validation.errors.length > 0) {
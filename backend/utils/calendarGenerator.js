@@ -0,0 +1,210 @@
+/**
+ * Calendar Generator
+ * Builds a 30-day content calendar from the business profile with the calendar model and saves it
+ * (replacing any previous calendar). Used by POST /api/calendar/generate and the chat agent.
+ */
+
+const config = require('../../config/config');
+const { getBusinessProfile } = require('./profileStorage');
+const { saveCalendar } = require('./calendarStorage');
+const { getLLMClient } = require('./llm');
+const { getProfileFields } = require('./onboardingFlow');
+const { DATE_PATTERN, resolveTimeZone, getLocalDate, addDays } = require('./timezone');
+const { ERROR_MESSAGES } = require('../constants');
+
+// Profile fields with a line of their own in the calendar prompt - other onboarding answers are listed after them
+const PROMPT_FIELDS = ['industry', 'audience', 'tone', 'contentPreferences'];
+
+/**
+ * Generate and save a calendar for the user
+ * options: { startDate? } - 'YYYY-MM-DD', defaults to today in the profile's timezone
+ * Returns { success, data?: { calendar, timeZone }, error?: { message, code } } - calendar is the saved calendar
+ */
+async function generateCalendar(userId, { startDate } = {}) {
+  const profile = await getBusinessProfile(userId);
+  if (!profile) {
+    return {
+      success: false,
+      error: { message: ERROR_MESSAGES.PROFILE_NOT_FOUND, code: 'PROFILE_NOT_FOUND' }
+    };
+  }
+
+  const llm = getLLMClient();
+  if (!llm) {
+    return {
+      success: false,
+      error: { message: ERROR_MESSAGES.AI_NOT_CONFIGURED, code: 'AI_NOT_CONFIGURED' }
+    };
+  }
+
+  // Calculate start date (default to today in the business's timezone)
+  const timeZone = resolveTimeZone(profile);
+  const startDay = DATE_PATTERN.test(startDate || '') ? startDate : getLocalDate(new Date(), timeZone);
+  const start = new Date(`${startDay}T00:00:00Z`);
+  const calendar = [];
+  const posts = [];
+
+  // Answers to onboarding questions beyond the standard ones (products, location, promotions, ...)
+  const otherDetails = getProfileFields()
+    .filter(({ field }) => !PROMPT_FIELDS.includes(field) && profile[field])
+    .map(({ field, label }) => `\n${label}: ${profile[field]}`)
+    .join('');
+
+  // Generate 30 days of content
+  const prompt = `Generate a 30-day social media content calendar for a business with the following profile:
+
+Industry: ${profile.industry || 'General business'}
+Target Audience: ${profile.audience || 'General audience'}
+Brand Tone: ${profile.tone || 'Professional'}
+Content Preferences: ${profile.contentPreferences || 'Mixed content'}${otherDetails}
+
+Requirements:
+1. Create 30 unique post ideas (one per day)
+2. Each post should include:
+   - Date (starting from ${startDay})
+   - Post theme/topic
+   - Suggested caption/content (2-3 sentences)
+   - Post type (e.g., educational, promotional, inspirational, behind-the-scenes, user-generated)
+   - Hashtag suggestions (3-5 relevant hashtags)
+
+3. Vary the content types throughout the month
+4. Make content relevant to the business industry and audience
+5. Ensure posts are engaging and actionable
+
+Return the response as a JSON object with a "posts" array containing exactly 30 items with this structure:
+{
+  "posts": [
+    {
+      "day": 1,
+      "date": "YYYY-MM-DD",
+      "theme": "Theme/topic",
+      "caption": "Full caption text",
+      "type": "Post type",
+      "hashtags": ["hashtag1", "hashtag2", "hashtag3"]
+    },
+    ...
+  ]
+}
+
+Generate exactly 30 posts, one for each day.`;
+
+  // Ask the calendar model for the posts
+  let generated;
+  try {
+    generated = await llm.json('calendar', [
+      {
+        role: 'system',
+        content: 'You are a social media content strategist. Generate detailed, actionable content calendars. Always return a valid JSON object with a "posts" array containing exactly 30 items.'
+      },
+      {
+        role: 'user',
+        content: prompt
+      }
+    ]);
+  } catch (llmError) {
+    console.error('LLM API error:', llmError.message);
+    throw llmError;
+  }
+
+  const generatedContent = generated.data;
+  if (!generatedContent) {
+    // Fallback: parse the response manually if JSON parsing fails
+    console.warn('Failed to parse JSON response, using fallback parser');
+    posts.push(...parseFallbackContent(generated.content, start));
+  } else if (generatedContent.posts || generatedContent.calendar) {
+    // Handle case where response might be wrapped in a property
+    posts.push(...(generatedContent.posts || generatedContent.calendar));
+  } else if (Array.isArray(generatedContent)) {
+    posts.push(...generatedContent);
+  } else {
+    // If it's an object with numeric keys, convert to array
+    posts.push(...Object.values(generatedContent));
+  }
+
+  // Ensure we have exactly 30 posts
+  while (posts.length < 30) {
+    const day = posts.length + 1;
+
+    posts.push({
+      day: day,
+      date: addDays(startDay, day - 1),
+      theme: `Content Theme ${day}`,
+      caption: `Engaging content for day ${day} related to ${profile.industry || 'your business'}.`,
+      type: 'Educational',
+      hashtags: ['business', 'marketing', 'socialmedia']
+    });
+  }
+
+  // Truncate to 30 if we have more
+  const finalPosts = posts.slice(0, 30);
+
+  // Format calendar response
+  finalPosts.forEach((post, index) => {
+    calendar.push({
+      id: `post-${index + 1}`,
+      day: index + 1,
+      date: addDays(startDay, index),
+      time: config.scheduling.defaultPostingTime,
+      theme: post.theme || `Theme ${index + 1}`,
+      caption: post.caption || post.content || `Post content for day ${index + 1}`,
+      type: post.type || 'General',
+      hashtags: Array.isArray(post.hashtags) ? post.hashtags : (post.hashtags ? post.hashtags.split(',') : []),
+      scheduled: false,
+      createdAt: new Date().toISOString()
+    });
+  });
+
+  // Persist the calendar so it survives reloads (replaces any previous calendar)
+  const savedCalendar = await saveCalendar(userId, calendar, {
+    industry: profile.industry,
+    audience: profile.audience,
+    tone: profile.tone
+  });
+
+  return { success: true, data: { calendar: savedCalendar, timeZone } };
+}
+
+/**
+ * Fallback parser for non-JSON responses
+ */
+function parseFallbackContent(content, startDate) {
+  const posts = [];
+  const lines = content.split('\n');
+  let currentPost = null;
+
+  for (let i = 0; i < lines.length && posts.length < 30; i++) {
+    const line = lines[i].trim();
+
+    if (line.includes('Day') || line.match(/^\d+\./)) {
+      if (currentPost) {
+        posts.push(currentPost);
+      }
+      currentPost = {
+        day: posts.length + 1,
+        date: new Date(startDate.getTime() + posts.length * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
+        theme: '',
+        caption: '',
+        type: 'General',
+        hashtags: []
+      };
+    } else if (currentPost) {
+      if (line.toLowerCase().includes('theme') || line.toLowerCase().includes('topic')) {
+        currentPost.theme = line.replace(/theme|topic:/gi, '').trim();
+      } else if (line.toLowerCase().includes('caption') || line.toLowerCase().includes('content')) {
+        currentPost.caption = line.replace(/caption|content:/gi, '').trim();
+      } else if (line.length > 20 && !currentPost.caption) {
+        currentPost.caption = line;
+      }
+    }
+  }
+
+  if (currentPost && posts.length < 30) {
+    posts.push(currentPost);
+  }
+
+  return posts;
+}
+
+module.exports = {
+  generateCalendar
+};
@@ -0,0 +1,367 @@
+/**
+ * Calendar Storage
+ * Persists generated content calendars per user through the storage adapter
+ *
+ * Record shape:
+ * {
+ *   id: String,            // calendar id (changes on every regeneration)
+ *   userId: String,
+ *   version: Number,       // bumped on every change to the calendar or one of its posts
+ *   createdAt, updatedAt,
+ *   profile: Object,       // snapshot of the profile fields the calendar was generated from
+ *   posts: Array<{ id, day, date, time, theme, caption, type, hashtags, pageIds, attachment, scheduled, version, createdAt, updatedAt, editedAt }>
+ *                          // date ('YYYY-MM-DD') and time ('HH:MM') are wall-clock values in the profile's timezone
+ *                          // pageIds: Facebook pages to publish to (empty/missing = the profile's default page)
+ *                          // editedAt: last change to the editable fields (updatedAt also moves on server writes)
+ *                          // attachment: optional image or link (see mediaStorage)
+ *                          // schedule state is written by the server, never by clients:
+ *                          //   scheduled, scheduleStatus ('scheduled' | 'queued' | 'failed' | 'cancelled' | 'published'), scheduledTime,
+ *                          //   facebookPosts: [{ pageId, pageName, facebookPostId }]
+ *                          //   queueJobs: [{ jobId, pageId, pageName, status }] - set when published through the local queue
+ * }
+ */
+
+const { createStore } = require('./storage');
+const { normalizeAttachment } = require('./mediaStorage');
+const { DATE_PATTERN, addDays, isValidPostingTime } = require('./timezone');
+const { ERROR_MESSAGES } = require('../constants');
+
+const calendars = createStore('calendars');
+
+// Fields a client is allowed to change on a calendar post
+const EDITABLE_POST_FIELDS = ['theme', 'caption', 'type', 'hashtags', 'date', 'time', 'pageIds', 'attachment'];
+// Posts whose content Facebook or the publish queue already holds
+const LOCKED_SCHEDULE_STATUSES = ['scheduled', 'queued'];
+
+/**
+ * Generate a calendar id
+ */
+function generateCalendarId() {
+  return `cal_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+}
+
+/**
+ * A real calendar day as 'YYYY-MM-DD' (rejects e.g. 2026-02-30)
+ */
+function isValidPostDate(value) {
+  return typeof value === 'string' && DATE_PATTERN.test(value) && addDays(value, 0) === value;
+}
+
+/**
+ * Keep only editable fields from a client-supplied update
+ */
+function pickEditableFields(updates = {}) {
+  const picked = {};
+  for (const field of EDITABLE_POST_FIELDS) {
+    if (updates[field] !== undefined) {
+      picked[field] = updates[field];
+    }
+  }
+  if (picked.hashtags !== undefined && !Array.isArray(picked.hashtags)) {
+    picked.hashtags = String(picked.hashtags).split(',').map(tag => tag.trim()).filter(Boolean);
+  }
+  if (picked.pageIds !== undefined) {
+    picked.pageIds = [].concat(picked.pageIds || []).map(String);
+  }
+  return picked;
+}
+
+/**
+ * Save a freshly generated calendar, replacing any previous calendar for the user
+ */
+async function saveCalendar(userId, posts, profile = {}) {
+  return calendars.update(userId, (existing) => {
+    const now = new Date().toISOString();
+    return {
+      id: generateCalendarId(),
+      userId,
+      version: (existing?.version || 0) + 1,
+      createdAt: now,
+      updatedAt: now,
+      profile,
+      posts: posts.map(post => ({
+        ...post,
+        version: 1,
+        createdAt: post.createdAt || now,
+        updatedAt: now
+      }))
+    };
+  });
+}
+
+/**
+ * Get the saved calendar for a user (null if none)
+ */
+async function getCalendar(userId) {
+  if (!userId) {
+    return null;
+  }
+  return calendars.get(userId);
+}
+
+/**
+ * Get a single post from a user's calendar
+ * Returns { success: boolean, data?: { post, calendar }, error?: { message, code } }
+ */
+async function getCalendarPost(userId, postId) {
+  const calendar = await getCalendar(userId);
+  if (!calendar) {
+    return { success: false, error: { message: ERROR_MESSAGES.CALENDAR_NOT_FOUND, code: 'CALENDAR_NOT_FOUND' } };
+  }
+
+  const post = calendar.posts.find(p => p.id === postId);
+  if (!post) {
+    return { success: false, error: { message: ERROR_MESSAGES.POST_NOT_FOUND, code: 'POST_NOT_FOUND' } };
+  }
+
+  return { success: true, data: { post, calendar } };
+}
+
+/**
+ * Apply a change to one post inside the calendar record
+ * `mutate` receives the current post and returns the fields to merge, null to delete it, or a failed
+ * result ({ success: false, error }) to leave it as it is
+ * If `expectedVersion` is given and doesn't match, nothing is written and a conflict is returned
+ * If `calendarId` is given, the post must belong to that calendar (not one generated since)
+ */
+async function modifyCalendarPost(userId, postId, mutate, expectedVersion, calendarId) {
+  let result;
+
+  await calendars.update(userId, (calendar) => {
+    if (!calendar || (calendarId && calendar.id !== calendarId)) {
+      result = { success: false, error: { message: ERROR_MESSAGES.CALENDAR_NOT_FOUND, code: 'CALENDAR_NOT_FOUND' } };
+      return undefined;
+    }
+
+    const index = calendar.posts.findIndex(p => p.id === postId);
+    if (index === -1) {
+      result = { success: false, error: { message: ERROR_MESSAGES.POST_NOT_FOUND, code: 'POST_NOT_FOUND' } };
+      return undefined;
+    }
+
+    const current = calendar.posts[index];
+    if (expectedVersion !== undefined && expectedVersion !== null && Number(expectedVersion) !== current.version) {
+      result = {
+        success: false,
+        error: { message: ERROR_MESSAGES.POST_VERSION_CONFLICT, code: 'VERSION_CONFLICT' },
+        data: { post: current }
+      };
+      return undefined;
+    }
+
+    const now = new Date().toISOString();
+    const changes = mutate(current);
+    if (changes?.success === false) {
+      result = { ...changes, data: { post: current } };
+      return undefined;
+    }
+    const posts = [...calendar.posts];
+    let post = null;
+
+    if (changes === null) {
+      posts.splice(index, 1);
+    } else {
+      post = { ...current, ...changes, version: current.version + 1, updatedAt: now };
+      posts[index] = post;
+    }
+
+    const updatedCalendar = { ...calendar, posts, version: calendar.version + 1, updatedAt: now };
+    result = { success: true, data: { post, calendar: updatedCalendar } };
+    return updatedCalendar;
+  });
+
+  return result;
+}
+
+/**
+ * Update editable fields of a calendar post
+ * Scheduled and queued posts are refused - Facebook or the queue already holds their content, so they are
+ * changed through the scheduling API (or cancelled and scheduled again)
+ */
+async function updateCalendarPost(userId, postId, updates, expectedVersion) {
+  const changes = pickEditableFields(updates);
+  if (changes.time !== undefined && changes.time !== null && !isValidPostingTime(changes.time)) {
+    return { success: false, error: { message: ERROR_MESSAGES.INVALID_POSTING_TIME, code: 'INVALID_TIME' } };
+  }
+  if (changes.date !== undefined && !isValidPostDate(changes.date)) {
+    return { success: false, error: { message: ERROR_MESSAGES.INVALID_DATE, code: 'INVALID_DATE' } };
+  }
+  if (changes.attachment !== undefined) {
+    const normalized = normalizeAttachment(changes.attachment);
+    if (!normalized.success) {
+      return normalized;
+    }
+    changes.attachment = normalized.data.attachment;
+  }
+  return modifyCalendarPost(userId, postId, (current) => {
+    if (LOCKED_SCHEDULE_STATUSES.includes(current.scheduleStatus)) {
+      return { success: false, error: { message: ERROR_MESSAGES.POST_SCHEDULED_LOCKED, code: 'POST_SCHEDULED' } };
+    }
+    return { ...changes, editedAt: new Date().toISOString() };
+  }, expectedVersion);
+}
+
+/**
+ * Move a calendar post to the slot it was actually scheduled for (past-date policies)
+ * Not an edit: what was scheduled already matches the post
+ */
+async function moveScheduledPost(userId, postId, { date, time }) {
+  return modifyCalendarPost(userId, postId, () => ({ date, time }));
+}
+
+/**
+ * Find the calendar post that a Facebook post was scheduled from
+ * Returns { post, facebookPost } or null
+ */
+async function findPostByFacebookPostId(userId, facebookPostId) {
+  const calendar = await getCalendar(userId);
+  for (const post of calendar?.posts || []) {
+    const facebookPost = (post.facebookPosts || []).find(entry => entry.facebookPostId === facebookPostId);
+    if (facebookPost) {
+      return { post, facebookPost };
+    }
+  }
+  return null;
+}
+
+/**
+ * Record a successful schedule on a calendar post
+ * facebookPosts replace earlier entries for the same pages
+ */
+async function markPostScheduled(userId, postId, { scheduledTime, facebookPosts }) {
+  return modifyCalendarPost(userId, postId, (current) => {
+    const pageIds = new Set(facebookPosts.map(entry => entry.pageId));
+    return {
+      scheduled: true,
+      scheduleStatus: 'scheduled',
+      scheduledTime,
+      facebookPosts: [...(current.facebookPosts || []).filter(entry => !pageIds.has(entry.pageId)), ...facebookPosts]
+    };
+  });
+}
+
+/**
+ * Derive a calendar post's schedule state from its publish queue jobs (see publishQueue)
+ * Any pending job keeps the post 'queued'; after that one published page is enough for 'published'
+ * Only touches the post while calendarId is still the saved calendar - a regenerated one reuses post ids
+ */
+async function syncQueuedPost(userId, calendarId, postId, jobs) {
+  return modifyCalendarPost(userId, postId, (current) => {
+    const statuses = jobs.map(job => job.status);
+    let scheduleStatus = 'cancelled';
+    if (statuses.some(status => status === 'queued' || status === 'publishing')) {
+      scheduleStatus = 'queued';
+    } else if (statuses.includes('published')) {
+      scheduleStatus = 'published';
+    } else if (statuses.includes('failed')) {
+      scheduleStatus = 'failed';
+    }
+
+    const published = jobs
+      .filter(job => job.status === 'published')
+      .map(job => ({ pageId: job.pageId, pageName: job.pageName, facebookPostId: job.facebookPostId }));
+    const publishedPageIds = new Set(published.map(entry => entry.pageId));
+    const pending = jobs.find(job => job.status === 'queued' || job.status === 'publishing');
+
+    return {
+      scheduled: scheduleStatus === 'queued' || scheduleStatus === 'published',
+      scheduleStatus,
+      scheduledTime: (pending || jobs[jobs.length - 1])?.publishAt || current.scheduledTime || null,
+      facebookPosts: [...(current.facebookPosts || []).filter(entry => !publishedPageIds.has(entry.pageId)), ...published],
+      queueJobs: jobs.map(job => ({ jobId: job.id, pageId: job.pageId, pageName: job.pageName, status: job.status }))
+    };
+  }, undefined, calendarId);
+}
+
+/**
+ * Apply changes made to a scheduled Facebook post (new time/text) to its calendar post
+ */
+async function updateScheduledCalendarPost(userId, facebookPostId, changes) {
+  const match = await findPostByFacebookPostId(userId, facebookPostId);
+  if (!match) {
+    return { success: false, error: { message: ERROR_MESSAGES.POST_NOT_FOUND, code: 'POST_NOT_FOUND' } };
+  }
+  return modifyCalendarPost(userId, match.post.id, () => changes);
+}
+
+/**
+ * Forget a cancelled Facebook post - the calendar post is cancelled once no page still has it scheduled
+ */
+async function markFacebookPostCancelled(userId, facebookPostId) {
+  const match = await findPostByFacebookPostId(userId, facebookPostId);
+  if (!match) {
+    return { success: false, error: { message: ERROR_MESSAGES.POST_NOT_FOUND, code: 'POST_NOT_FOUND' } };
+  }
+  return modifyCalendarPost(userId, match.post.id, (current) => {
+    const facebookPosts = current.facebookPosts.filter(entry => entry.facebookPostId !== facebookPostId);
+    if (facebookPosts.length > 0) {
+      return { facebookPosts };
+    }
+    return { facebookPosts, scheduled: false, scheduleStatus: 'cancelled', cancelledAt: new Date().toISOString() };
+  });
+}
+
+/**
+ * Bring calendar schedule state in line with what Facebook reports
+ * `liveIds` are the scheduled post ids Facebook still lists for `checkedPageIds`;
+ * entries missing from that list were published (time passed) or deleted on Facebook
+ */
+async function reconcileScheduledPosts(userId, liveIds, checkedPageIds) {
+  const live = new Set(liveIds);
+  const checked = new Set(checkedPageIds);
+
+  return calendars.update(userId, (calendar) => {
+    if (!calendar) {
+      return undefined;
+    }
+
+    const now = new Date();
+    let changed = false;
+    const posts = calendar.posts.map(post => {
+      if (post.scheduleStatus !== 'scheduled' || !Array.isArray(post.facebookPosts)) {
+        return post;
+      }
+      const remaining = post.facebookPosts.filter(entry => !checked.has(entry.pageId) || live.has(entry.facebookPostId));
+      if (remaining.length === post.facebookPosts.length) {
+        return post;
+      }
+
+      changed = true;
+      const updated = { ...post, version: post.version + 1, updatedAt: now.toISOString() };
+      if (post.scheduledTime && new Date(post.scheduledTime) <= now) {
+        return { ...updated, scheduleStatus: 'published' };
+      }
+      if (remaining.length > 0) {
+        return { ...updated, facebookPosts: remaining };
+      }
+      return { ...updated, facebookPosts: remaining, scheduled: false, scheduleStatus: 'cancelled', cancelledAt: now.toISOString() };
+    });
+
+    if (!changed) {
+      return undefined;
+    }
+    return { ...calendar, posts, version: calendar.version + 1, updatedAt: now.toISOString() };
+  });
+}
+
+/**
+ * Delete a post from a user's calendar
+ */
+async function deleteCalendarPost(userId, postId, expectedVersion) {
+  return modifyCalendarPost(userId, postId, () => null, expectedVersion);
+}
+
+module.exports = {
+  saveCalendar,
+  getCalendar,
+  getCalendarPost,
+  updateCalendarPost,
+  moveScheduledPost,
+  deleteCalendarPost,
+  findPostByFacebookPostId,
+  markPostScheduled,
+  syncQueuedPost,
+  updateScheduledCalendarPost,
+  markFacebookPostCancelled,
+  reconcileScheduledPosts
+};
@@ -0,0 +1,76 @@
+/**
+ * Chat Agent
+ * Runs one chat turn with tool calling: the model's reply streams out as it arrives, tools it calls run
+ * server-side (see chatTools) and their results go back to the model, which then continues - up to
+ * CHAT_AGENT.MAX_STEPS model calls per turn (the last one may not call tools).
+ *
+ * Events yielded, in order:
+ *   { type: 'text', content }                                          // reply delta
+ *   { type: 'action', id, tool, status: 'running', arguments }         // a tool call started
+ *   { type: 'action', id, tool, status: 'completed', summary, data }   // ...and finished
+ *   { type: 'action', id, tool, status: 'failed', summary, error }
+ * Text streamed before an action belongs to that step; the text after the last action is the final reply.
+ *
+ * Each step that calls tools appends its assistant message (with tool_calls) and the tool results to
+ * `messages`; the final reply is left for the caller to append.
+ */
+
+const { getToolDefinitions, runTool, toToolMessageContent } = require('./chatTools');
+const { CHAT_AGENT } = require('../constants');
+
+/**
+ * Run a turn over the conversation messages for the user
+ * context: { userId }
+ */
+async function* runChatTurn(llm, messages, context, options = {}) {
+  const tools = getToolDefinitions();
+  const maxSteps = options.maxSteps || CHAT_AGENT.MAX_STEPS;
+
+  for (let step = 1; step <= maxSteps; step++) {
+    let text = '';
+    const toolCalls = [];
+
+    const stream = llm.stream('chat', messages, {
+      tools,
+      // Out of steps: the model has to answer with what it has
+      toolChoice: step === maxSteps ? 'none' : 'auto'
+    });
+    for await (const event of stream) {
+      if (event.type === 'text') {
+        text += event.content;
+        yield event;
+      } else if (event.type === 'tool_call') {
+        toolCalls.push(event);
+      }
+    }
+
+    if (toolCalls.length === 0) {
+      return;
+    }
+
+    messages.push({
+      role: 'assistant',
+      content: text,
+      tool_calls: toolCalls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+      }))
+    });
+
+    for (const call of toolCalls) {
+      yield { type: 'action', id: call.id, tool: call.name, status: 'running', arguments: call.arguments };
+
+      const result = await runTool(call.name, call.arguments, context);
+      messages.push({ role: 'tool', tool_call_id: call.id, content: toToolMessageContent(call.name, result) });
+
+      yield result.success
+        ? { type: 'action', id: call.id, tool: call.name, status: 'completed', summary: result.data.summary, data: result.data }
+        : { type: 'action', id: call.id, tool: call.name, status: 'failed', summary: result.error.message, error: result.error };
+    }
+  }
+}
+
+module.exports = {
+  runChatTurn
+};
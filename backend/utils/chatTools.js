@@ -0,0 +1,251 @@
+/**
+ * Chat Tools
+ * Functions the chat model can call. Each tool runs server-side for the signed-in user and returns
+ * the usual result shape; data.summary is a one-line description shown on the widget's action card
+ * and sent back to the model together with the rest of data (minus anything listed in `uiOnly`).
+ *
+ * Tool shape:
+ * {
+ *   name, description, parameters,   // OpenAI-style function definition (JSON schema parameters)
+ *   uiOnly: ['field'],               // data fields only the widget needs (kept out of the model's context)
+ *   run(args, { userId })            // -> { success, data?: { summary, ... }, error?: { message, code } }
+ * }
+ */
+
+const { getBusinessProfile, updateBusinessProfile } = require('./profileStorage');
+const { getConnectedPages } = require('./facebookPageStorage');
+const { isReconnectRequired } = require('./facebookTokens');
+const { getCalendarPost } = require('./calendarStorage');
+const { generateCalendar } = require('./calendarGenerator');
+const { schedulePostToFacebook } = require('./postScheduler');
+const { scheduleOnce } = require('./scheduleIdempotency');
+const { isValidTimeZone } = require('./timezone');
+const { getProfileFields } = require('./onboardingFlow');
+const { ERROR_MESSAGES } = require('../constants');
+
+// Profile fields the model may read and change - the onboarding flow's, plus the scheduling timezone
+const PROFILE_FIELDS = [...getProfileFields().map(({ field }) => field), 'timezone'];
+
+/**
+ * The profile without Facebook tokens or page details
+ */
+function toToolProfile(profile) {
+  const fields = Object.fromEntries(PROFILE_FIELDS.map(field => [field, profile?.[field] || null]));
+  return {
+    ...fields,
+    facebookConnected: Boolean(profile?.facebookConnected),
+    facebookPageName: profile?.facebookPageName || null
+  };
+}
+
+const TOOLS = [
+  {
+    name: 'get_profile',
+    description: `Read the business profile collected so far (${getProfileFields().map(({ label }) => label.toLowerCase()).join(', ')}, timezone) and whether Facebook is connected.`,
+    parameters: { type: 'object', properties: {} },
+    async run(args, { userId }) {
+      const profile = toToolProfile(await getBusinessProfile(userId));
+      const missing = PROFILE_FIELDS.filter(field => field !== 'timezone' && !profile[field]);
+      return {
+        success: true,
+        data: {
+          summary: missing.length > 0 ? `Profile loaded - missing ${missing.join(', ')}` : 'Profile loaded',
+          profile,
+          missing
+        }
+      };
+    }
+  },
+  {
+    name: 'update_profile_field',
+    description: 'Save one business profile field the user told you about or asked to change.',
+    parameters: {
+      type: 'object',
+      properties: {
+        field: { type: 'string', enum: PROFILE_FIELDS },
+        value: { type: 'string', description: 'New value; timezone must be an IANA name such as America/New_York' }
+      },
+      required: ['field', 'value']
+    },
+    async run({ field, value }, { userId }) {
+      if (!PROFILE_FIELDS.includes(field)) {
+        return { success: false, error: { message: ERROR_MESSAGES.PROFILE_FIELD_INVALID, code: 'PROFILE_FIELD_INVALID' } };
+      }
+      const text = typeof value === 'string' ? value.trim() : '';
+      if (!text) {
+        return { success: false, error: { message: ERROR_MESSAGES.PROFILE_VALUE_REQUIRED, code: 'PROFILE_VALUE_REQUIRED' } };
+      }
+      if (field === 'timezone' && !isValidTimeZone(text)) {
+        return { success: false, error: { message: ERROR_MESSAGES.INVALID_TIMEZONE, code: 'INVALID_TIMEZONE' } };
+      }
+
+      const profile = await updateBusinessProfile(userId, { [field]: text });
+      return {
+        success: true,
+        data: { summary: `Saved ${field}: ${text}`, field, value: text, profile: toToolProfile(profile) }
+      };
+    }
+  },
+  {
+    name: 'generate_calendar',
+    description: 'Generate a new 30-day content calendar from the business profile (replaces the current calendar). The posts are shown to the user.',
+    parameters: {
+      type: 'object',
+      properties: {
+        startDate: { type: 'string', description: 'First day, YYYY-MM-DD. Defaults to today.' }
+      }
+    },
+    uiOnly: ['posts'],
+    async run({ startDate }, { userId }) {
+      const result = await generateCalendar(userId, { startDate });
+      if (!result.success) {
+        return result;
+      }
+
+      const { calendar, timeZone } = result.data;
+      const posts = calendar.posts;
+      return {
+        success: true,
+        data: {
+          summary: `Generated ${posts.length} posts from ${posts[0].date} to ${posts[posts.length - 1].date}`,
+          calendarId: calendar.id,
+          timezone: timeZone,
+          // Ids, dates and themes are enough for the model to refer to posts
+          outline: posts.map(post => ({ id: post.id, date: post.date, theme: post.theme })),
+          posts
+        }
+      };
+    }
+  },
+  {
+    name: 'schedule_post',
+    description: 'Schedule one post of the saved calendar on the connected Facebook Page at its date and time.',
+    parameters: {
+      type: 'object',
+      properties: {
+        postId: { type: 'string', description: 'Calendar post id, e.g. post-3' },
+        policy: {
+          type: 'string',
+          enum: ['reject', 'nextAvailable'],
+          description: 'For a date in the past: reject (default) or move it to the next available day'
+        }
+      },
+      required: ['postId']
+    },
+    async run({ postId, policy }, { userId }) {
+      const found = await getCalendarPost(userId, postId);
+      if (!found.success) {
+        return found;
+      }
+
+      const { post } = found.data;
+      const result = await scheduleOnce(userId, {
+        postId: post.id,
+        date: post.date,
+        time: post.time,
+        caption: post.caption,
+        hashtags: post.hashtags,
+        pageIds: post.pageIds,
+        attachment: post.attachment,
+        policy: policy || 'reject'
+      }, postData => schedulePostToFacebook(userId, postData));
+      if (!result.success) {
+        return result;
+      }
+
+      const { scheduledTimeLocal, timezone, queued, replayed } = result.data;
+      return {
+        success: true,
+        data: {
+          summary: `${replayed ? 'Already scheduled' : queued ? 'Queued' : 'Scheduled'} "${post.theme}" for ${scheduledTimeLocal} (${timezone})`,
+          postId: post.id,
+          scheduledTime: result.data.scheduledTime,
+          scheduledTimeLocal,
+          timezone,
+          queued: Boolean(queued),
+          failedPages: result.data.failedPages
+        }
+      };
+    }
+  },
+  {
+    name: 'check_facebook_status',
+    description: 'Check whether a Facebook Page is connected and whether the connection needs to be renewed.',
+    parameters: { type: 'object', properties: {} },
+    async run(args, { userId }) {
+      const profile = await getBusinessProfile(userId);
+      const connected = Boolean(profile?.facebookConnected);
+      const reconnectRequired = connected && isReconnectRequired(profile);
+      const pages = connected ? getConnectedPages(profile).map(page => page.name) : [];
+
+      let summary = 'Facebook is not connected';
+      if (reconnectRequired) {
+        summary = 'Facebook needs to be reconnected';
+      } else if (connected) {
+        summary = `Connected to ${pages.join(', ') || profile.facebookPageName || 'a Facebook Page'}`;
+      }
+      return { success: true, data: { summary, connected, reconnectRequired, pages } };
+    }
+  },
+  {
+    name: 'connect_facebook',
+    description: 'Show the user a Connect Facebook button. The login window needs their click, so call this instead of telling them where to find the button.',
+    parameters: { type: 'object', properties: {} },
+    async run(args, { userId }) {
+      const profile = await getBusinessProfile(userId);
+      const reconnect = Boolean(profile?.facebookConnected) && isReconnectRequired(profile);
+      return {
+        success: true,
+        data: {
+          summary: reconnect ? 'Asked the user to reconnect Facebook' : 'Asked the user to connect Facebook',
+          reconnect
+        }
+      };
+    }
+  }
+];
+
+/**
+ * Function definitions for the LLM request
+ */
+function getToolDefinitions() {
+  return TOOLS.map(({ name, description, parameters }) => ({
+    type: 'function',
+    function: { name, description, parameters }
+  }));
+}
+
+/**
+ * Run a tool call for the user; unknown tools and thrown errors come back as failed results
+ */
+async function runTool(name, args, context) {
+  const tool = TOOLS.find(candidate => candidate.name === name);
+  if (!tool) {
+    return { success: false, error: { message: `${ERROR_MESSAGES.TOOL_UNKNOWN}: ${name}`, code: 'TOOL_UNKNOWN' } };
+  }
+
+  try {
+    return await tool.run(args || {}, context);
+  } catch (error) {
+    console.error(`Chat tool ${name} failed:`, error);
+    return { success: false, error: { message: ERROR_MESSAGES.TOOL_FAILED, code: 'TOOL_FAILED' } };
+  }
+}
+
+/**
+ * Tool result as the model sees it (tool message content)
+ */
+function toToolMessageContent(name, result) {
+  if (!result.success) {
+    return JSON.stringify({ success: false, error: result.error.message, code: result.error.code });
+  }
+  const hidden = TOOLS.find(candidate => candidate.name === name)?.uiOnly || [];
+  const data = Object.fromEntries(Object.entries(result.data).filter(([key]) => !hidden.includes(key)));
+  return JSON.stringify({ success: true, ...data });
+}
+
+module.exports = {
+  getToolDefinitions,
+  runTool,
+  toToolMessageContent
+};
@@ -0,0 +1,174 @@
+/**
+ * Conversation Memory
+ * Builds what a chat turn sends to the model, within a token budget (config.ai.contextTokens). The stored
+ * conversation keeps every message; the model gets:
+ *   1. the system prompt with the current business profile (built fresh every turn)
+ *   2. a rolling summary of the turns that no longer fit, if any
+ *   3. the most recent turns, verbatim (the current one always)
+ *   4. the current turn's context reminder - earlier reminders are dropped from the conversation
+ *
+ * When the recent turns outgrow the budget, the oldest are folded into the summary with the summary model
+ * until the rest fill CONVERSATION_MEMORY.TRIM_TO of it. The summary is kept on the conversation record:
+ *   memory: { summary, summarizedCount }   // summarizedCount: dialogue (non-system) messages folded into it
+ */
+
+const config = require('../../config/config');
+const { CONVERSATION_MEMORY } = require('../constants');
+
+/**
+ * Rough token count of a message (or text), tool calls included
+ */
+function estimateTokens(message) {
+  const text = typeof message === 'string'
+    ? message
+    : `${message.content || ''}${message.tool_calls ? JSON.stringify(message.tool_calls) : ''}`;
+  return Math.ceil(text.length / CONVERSATION_MEMORY.CHARS_PER_TOKEN);
+}
+
+/**
+ * Replace the conversation's context reminder (the system messages after the system prompt) with this turn's
+ */
+function setContextReminder(messages, reminder) {
+  for (let i = messages.length - 1; i > 0; i--) {
+    if (messages[i].role === 'system') {
+      messages.splice(i, 1);
+    }
+  }
+  if (reminder) {
+    messages.push({ role: 'system', content: reminder });
+  }
+}
+
+/**
+ * Dialogue messages grouped into turns - each starts with a user message and holds the replies and tool calls after it
+ */
+function groupTurns(messages) {
+  const turns = [];
+  for (const message of messages) {
+    if (message.role === 'user' || turns.length === 0) {
+      turns.push([]);
+    }
+    turns[turns.length - 1].push(message);
+  }
+  return turns;
+}
+
+/**
+ * How many of the newest turns fit in the token allowance (the current turn always does)
+ */
+function countRecentTurns(turns, allowance) {
+  let used = 0;
+  let count = 0;
+  for (let i = turns.length - 1; i >= 0; i--) {
+    used += turns[i].reduce((sum, message) => sum + estimateTokens(message), 0);
+    if (count > 0 && used > allowance) {
+      break;
+    }
+    count++;
+  }
+  return count;
+}
+
+function toSummaryMessage(summary) {
+  return { role: 'system', content: `Summary of the conversation so far (earlier messages are not shown):\n${summary}` };
+}
+
+/**
+ * Messages as a transcript for the summary model
+ */
+function toTranscript(messages) {
+  const quote = text => (text.length > CONVERSATION_MEMORY.SUMMARY_MESSAGE_CHARS
+    ? `${text.slice(0, CONVERSATION_MEMORY.SUMMARY_MESSAGE_CHARS)}…`
+    : text);
+
+  return messages.map((message) => {
+    if (message.role === 'tool') {
+      return `Tool result: ${quote(message.content || '')}`;
+    }
+    const calls = (message.tool_calls || []).map(call => `${call.function.name}(${call.function.arguments})`);
+    const content = message.content ? quote(message.content) : '';
+    const text = [content, calls.length ? `[called ${calls.join(', ')}]` : ''].filter(Boolean).join(' ');
+    return `${message.role === 'user' ? 'User' : 'Assistant'}: ${text}`;
+  }).join('\n');
+}
+
+/**
+ * Fold messages into the rolling summary
+ * Returns { success, data?: { summary }, error? }
+ */
+async function summarizeMessages(llm, previousSummary, messages) {
+  try {
+    const { content } = await llm.complete('summary', [
+      {
+        role: 'system',
+        content: 'You keep a running summary of a conversation for an assistant that can no longer see the older messages.'
+      },
+      {
+        role: 'user',
+        content: `Summarize this conversation between a business owner and their social media copilot.
+
+Summary so far:
+${previousSummary || '(none)'}
+
+Messages to add:
+${toTranscript(messages)}
+
+Write the updated summary in at most 150 words: what the user asked for and decided, business details they shared, what was generated, scheduled or connected, and anything still open. Plain text, no preamble.`
+      }
+    ]);
+
+    const summary = (content || '').trim();
+    if (!summary) {
+      return { success: false, error: { message: 'Summary reply was empty', code: 'SUMMARY_EMPTY' } };
+    }
+    return { success: true, data: { summary } };
+  } catch (error) {
+    return { success: false, error: { message: error.message, code: 'SUMMARY_FAILED' } };
+  }
+}
+
+/**
+ * Messages for the model's next turn (see the file header)
+ * Summarizing updates conversation.memory, which is saved with the conversation. If the summary model
+ * fails, the oldest turns are left out this time and summarized on a later turn.
+ * options: { systemPrompt, budget }
+ */
+async function buildChatContext(llm, conversation, options = {}) {
+  const budget = options.budget || config.ai.contextTokens;
+  const memory = conversation.memory || { summary: null, summarizedCount: 0 };
+  const system = { role: 'system', content: options.systemPrompt || conversation.messages[0]?.content || '' };
+  const reminders = conversation.messages.slice(1).filter(message => message.role === 'system');
+  const dialogue = conversation.messages.filter(message => message.role !== 'system');
+
+  const fixedTokens = [system, ...reminders].reduce((sum, message) => sum + estimateTokens(message), 0);
+  const summaryTokens = memory.summary ? estimateTokens(toSummaryMessage(memory.summary)) : 0;
+  const turns = groupTurns(dialogue.slice(memory.summarizedCount));
+
+  let summary = memory.summary;
+  let recentTurns = turns;
+  if (countRecentTurns(turns, budget - fixedTokens - summaryTokens) < turns.length) {
+    recentTurns = turns.slice(-countRecentTurns(turns, budget * CONVERSATION_MEMORY.TRIM_TO - fixedTokens - summaryTokens));
+    const older = turns.slice(0, turns.length - recentTurns.length).flat();
+
+    const result = await summarizeMessages(llm, memory.summary, older);
+    if (result.success) {
+      summary = result.data.summary;
+      conversation.memory = { summary, summarizedCount: memory.summarizedCount + older.length };
+    } else {
+      console.error('Conversation summary error:', result.error.message);
+    }
+  }
+
+  return [
+    system,
+    ...(summary ? [toSummaryMessage(summary)] : []),
+    ...recentTurns.flat(),
+    ...reminders
+  ];
+}
+
+module.exports = {
+  estimateTokens,
+  setContextReminder,
+  buildChatContext
+};
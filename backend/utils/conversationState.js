@@ -1,20 +1,30 @@
 /**
  * Conversation State Machine
- * Manages conversation flow and state transitions
- * Uses LangGraph.js StateGraph for robust qstate management
+ * Manages conversation flow and state transitions as a LangGraph.js StateGraph
+ *
+ * Each conversation state is a node. A turn's run resumes at the state the session's last run ended in
+ * (checkpointed per session through the store-backed checkpointer) and follows conditional edges forward
+ * while the current step is complete - e.g. once the industry is known, collecting_industry moves on to
+ * collecting_products_services - stopping at the first step that still needs the user. If something an
+ * earlier step needs goes missing (a profile field cleared, Facebook disconnected), the run goes back to it.
+ *
+ * The questions between the greeting and Facebook come from the onboarding flow (config/onboardingFlow.js).
  */
 
-const { StateGraph, Annotation, END } = require('@langchain/langgraph');
+const { StateGraph, Annotation, START, END } = require('@langchain/langgraph');
+const { StoreCheckpointSaver } = require('./storeCheckpointer');
+const { getOnboardingFlow } = require('./onboardingFlow');
+
+// Questions, prompts and gating rules (config/onboardingFlow.js)
+const onboardingFlow = getOnboardingFlow();
 
 /**
  * Conversation States
+ * One collecting_<id> state per onboarding step, e.g. COLLECTING_INDUSTRY: 'collecting_industry'
  */
 const CONVERSATION_STATES = {
     GREETING: 'greeting',
-    COLLECTING_INDUSTRY: 'collecting_industry',
-    COLLECTING_PRODUCTS_SERVICES: 'collecting_products_services',
-    COLLECTING_AUDIENCE: 'collecting_audience',
-    COLLECTING_TONE: 'collecting_tone',
+    ...Object.fromEntries(onboardingFlow.steps.map(step => [`COLLECTING_${step.id.toUpperCase()}`, `collecting_${step.id}`])),
     FACEBOOK_CONNECTION_REQUIRED: 'facebook_connection_required',
     FACEBOOK_CONNECTED: 'facebook_connected',
     POST_GENERATION_READY: 'post_generation_ready'
@@ -32,10 +42,6 @@ const StateSchema = Annotation.Root({
         reducer: (x, y) => y ?? x,
         default: () => ({})
     }),
-    conversationHistory: Annotation({
-        reducer: (x, y) => y ?? x,
-        default: () => []
-    }),
     userResponseCount: Annotation({
         reducer: (x, y) => y ?? x,
         default: () => 0
@@ -44,10 +50,6 @@ const StateSchema = Annotation.Root({
         reducer: (x, y) => y ?? x,
         default: () => false
     }),
-    lastQuestionAsked: Annotation({
-        reducer: (x, y) => y ?? x,
-        default: () => null
-    }),
     metadata: Annotation({
         reducer: (x, y) => ({ ...x, ...y }),
         default: () => ({})
@@ -55,385 +57,273 @@ const StateSchema = Annotation.Root({
 });
 
 /**
- * Helper function to check missing information
+ * Whether the conversation has been in a state since an earlier turn (it was shown to the user)
  */
-function getMissingInfo(businessProfile) {
-    return {
-        industry: !businessProfile?.industry,
-        productsServices: !businessProfile?.productsServices,
-        audience: !businessProfile?.audience,
-        tone: !businessProfile?.tone
-    };
+function shownInEarlierTurn(state, name) {
+    return state.currentState === name && state.userResponseCount > state.metadata.enteredAtResponse;
 }
 
 /**
- * State Node Functions
- * Each function represents a state and determines the next state
+ * The flow's steps in order
+ * isComplete: whether the conversation can move on to the next step
+ * required: later steps need this one complete (the run goes back to it otherwise)
  */
-
-function greetingNode(state) {
-    const missingInfo = getMissingInfo(state.businessProfile);
-    const previousState = state.currentState;
-    let nextState;
-
-    if (missingInfo.industry) {
-        nextState = CONVERSATION_STATES.COLLECTING_INDUSTRY;
-    } else if (missingInfo.productsServices) {
-        nextState = CONVERSATION_STATES.COLLECTING_PRODUCTS_SERVICES;
-    } else if (missingInfo.audience) {
-        nextState = CONVERSATION_STATES.COLLECTING_AUDIENCE;
-    } else if (missingInfo.tone) {
-        nextState = CONVERSATION_STATES.COLLECTING_TONE;
-    } else if (!state.facebookConnected && state.userResponseCount >= 3) {
-        nextState = CONVERSATION_STATES.FACEBOOK_CONNECTION_REQUIRED;
-    } else if (state.facebookConnected) {
-        nextState = CONVERSATION_STATES.POST_GENERATION_READY;
-    } else {
-        nextState = CONVERSATION_STATES.COLLECTING_INDUSTRY;
-    }
-
-    return {
-        currentState: nextState,
-        metadata: { ...state.metadata, previousState }
-    };
-}
-
-function collectingIndustryNode(state) {
-    const missingInfo = getMissingInfo(state.businessProfile);
-    const previousState = state.currentState;
-    let nextState;
-
-    if (missingInfo.productsServices) {
-        nextState = CONVERSATION_STATES.COLLECTING_PRODUCTS_SERVICES;
-    } else if (missingInfo.audience) {
-        nextState = CONVERSATION_STATES.COLLECTING_AUDIENCE;
-    } else if (missingInfo.tone) {
-        nextState = CONVERSATION_STATES.COLLECTING_TONE;
-    } else if (!state.facebookConnected && state.userResponseCount >= 3) {
-        nextState = CONVERSATION_STATES.FACEBOOK_CONNECTION_REQUIRED;
-    } else if (state.facebookConnected) {
-        nextState = CONVERSATION_STATES.POST_GENERATION_READY;
-    } else {
-        nextState = CONVERSATION_STATES.COLLECTING_PRODUCTS_SERVICES;
-    }
-
-    return {
-        currentState: nextState,
-        metadata: { ...state.metadata, previousState }
-    };
-}
-
-function collectingProductsServicesNode(state) {
-    const missingInfo = getMissingInfo(state.businessProfile);
-    const previousState = state.currentState;
-    let nextState;
-
-    if (missingInfo.audience) {
-        nextState = CONVERSATION_STATES.COLLECTING_AUDIENCE;
-    } else if (missingInfo.tone) {
-        nextState = CONVERSATION_STATES.COLLECTING_TONE;
-    } else if (!state.facebookConnected && state.userResponseCount >= 3) {
-        nextState = CONVERSATION_STATES.FACEBOOK_CONNECTION_REQUIRED;
-    } else if (state.facebookConnected) {
-        nextState = CONVERSATION_STATES.POST_GENERATION_READY;
-    } else {
-        nextState = CONVERSATION_STATES.COLLECTING_AUDIENCE;
-    }
-
-    return {
-        currentState: nextState,
-        metadata: { ...state.metadata, previousState }
-    };
-}
-
-function collectingAudienceNode(state) {
-    const missingInfo = getMissingInfo(state.businessProfile);
-    const previousState = state.currentState;
-    let nextState;
-
-    if (missingInfo.tone) {
-        nextState = CONVERSATION_STATES.COLLECTING_TONE;
-    } else if (!state.facebookConnected && state.userResponseCount >= 3) {
-        nextState = CONVERSATION_STATES.FACEBOOK_CONNECTION_REQUIRED;
-    } else if (state.facebookConnected) {
-        nextState = CONVERSATION_STATES.POST_GENERATION_READY;
-    } else {
-        nextState = CONVERSATION_STATES.FACEBOOK_CONNECTION_REQUIRED;
-    }
-
-    return {
-        currentState: nextState,
-        metadata: { ...state.metadata, previousState }
-    };
-}
-
-function collectingToneNode(state) {
-    const previousState = state.currentState;
-    let nextState;
-
-    if (!state.facebookConnected && state.userResponseCount >= 3) {
-        nextState = CONVERSATION_STATES.FACEBOOK_CONNECTION_REQUIRED;
-    } else if (state.facebookConnected) {
-        nextState = CONVERSATION_STATES.POST_GENERATION_READY;
-    } else {
-        nextState = CONVERSATION_STATES.FACEBOOK_CONNECTION_REQUIRED;
+const FLOW = [
+    {
+        state: CONVERSATION_STATES.GREETING,
+        required: true,
+        isComplete: state => state.userResponseCount > 0
+    },
+    ...onboardingFlow.steps.map((step) => {
+        const name = `collecting_${step.id}`;
+        return {
+            state: name,
+            step,
+            required: step.required,
+            // Optional questions are asked for one turn, then skipped when unanswered
+            isComplete: state => Boolean(state.businessProfile[step.field]) || (!step.required && shownInEarlierTurn(state, name))
+        };
+    }),
+    {
+        state: CONVERSATION_STATES.FACEBOOK_CONNECTION_REQUIRED,
+        required: true,
+        isComplete: state => state.facebookConnected
+    },
+    {
+        // Lasts one turn, then on to post generation
+        state: CONVERSATION_STATES.FACEBOOK_CONNECTED,
+        isComplete: state => shownInEarlierTurn(state, CONVERSATION_STATES.FACEBOOK_CONNECTED)
+    },
+    {
+        state: CONVERSATION_STATES.POST_GENERATION_READY
     }
+];
 
-    return {
-        currentState: nextState,
-        metadata: { ...state.metadata, previousState }
-    };
-}
-
-function facebookConnectionRequiredNode(state) {
-    const previousState = state.currentState;
-    const nextState = state.facebookConnected
-        ? CONVERSATION_STATES.FACEBOOK_CONNECTED
-        : CONVERSATION_STATES.FACEBOOK_CONNECTION_REQUIRED;
-
-    return {
-        currentState: nextState,
-        metadata: { ...state.metadata, previousState }
-    };
-}
-
-function facebookConnectedNode(state) {
-    const previousState = state.currentState;
-
-    return {
-        currentState: CONVERSATION_STATES.POST_GENERATION_READY,
-        metadata: { ...state.metadata, previousState }
-    };
-}
-
-function postGenerationReadyNode(state) {
-    const previousState = state.currentState;
-
-    return {
-        currentState: CONVERSATION_STATES.POST_GENERATION_READY,
-        metadata: { ...state.metadata, previousState }
+/**
+ * Node for a state - entering it records where the conversation came from and when
+ */
+function createStateNode(name) {
+    return (state) => {
+        if (state.currentState === name) {
+            return {};
+        }
+        return {
+            currentState: name,
+            metadata: { previousState: state.currentState, enteredAtResponse: state.userResponseCount }
+        };
     };
 }
 
-
 /**
- * Single node that determines next state based on current state
- * This is simpler and more efficient than routing through multiple nodes
+ * Where a run starts: the checkpointed state, or an earlier required step that is no longer complete
  */
-function determineStateNode(state) {
-    const currentState = state.currentState;
-    let nextState;
+function routeFromCheckpoint(state) {
+    const current = FLOW.findIndex(step => step.state === state.currentState);
+    const firstOpen = FLOW.findIndex(step => step.required && !step.isComplete(state));
 
-    // Route to appropriate node function based on current state
-    switch (currentState) {
-        case CONVERSATION_STATES.GREETING:
-            nextState = greetingNode(state).currentState;
-            break;
-        case CONVERSATION_STATES.COLLECTING_INDUSTRY:
-            nextState = collectingIndustryNode(state).currentState;
-            break;
-        case CONVERSATION_STATES.COLLECTING_PRODUCTS_SERVICES:
-            nextState = collectingProductsServicesNode(state).currentState;
-            break;
-        case CONVERSATION_STATES.COLLECTING_AUDIENCE:
-            nextState = collectingAudienceNode(state).currentState;
-            break;
-        case CONVERSATION_STATES.COLLECTING_TONE:
-            nextState = collectingToneNode(state).currentState;
-            break;
-        case CONVERSATION_STATES.FACEBOOK_CONNECTION_REQUIRED:
-            nextState = facebookConnectionRequiredNode(state).currentState;
-            break;
-        case CONVERSATION_STATES.FACEBOOK_CONNECTED:
-            nextState = facebookConnectedNode(state).currentState;
-            break;
-        case CONVERSATION_STATES.POST_GENERATION_READY:
-            nextState = postGenerationReadyNode(state).currentState;
-            break;
-        default:
-            nextState = CONVERSATION_STATES.GREETING;
+    if (firstOpen !== -1 && (current === -1 || firstOpen < current)) {
+        return FLOW[firstOpen].state;
     }
-
-    return { currentState: nextState };
+    return FLOW[Math.max(current, 0)].state;
 }
 
 /**
  * Build LangGraph StateGraph
- * Uses a single node that determines the next state, then ends
+ * One node per state, conditional edges forward while steps are complete
  */
-function buildStateGraph() {
+function buildStateGraph(checkpointer) {
     const workflow = new StateGraph(StateSchema);
 
-    // Add single node that determines next state
-    workflow.addNode('determine_state', determineStateNode);
+    for (const step of FLOW) {
+        workflow.addNode(step.state, createStateNode(step.state));
+    }
 
-    // Set entry point
-    workflow.setEntryPoint('determine_state');
+    workflow.addConditionalEdges(START, routeFromCheckpoint, FLOW.map(step => step.state));
 
-    // Always end after determining state (no loops needed)
-    workflow.addEdge('determine_state', END);
+    FLOW.forEach((step, index) => {
+        const next = FLOW[index + 1];
+        if (!next) {
+            workflow.addEdge(step.state, END);
+            return;
+        }
+        workflow.addConditionalEdges(step.state, state => (step.isComplete(state) ? next.state : END), [next.state, END]);
+    });
 
-    // Compile the graph
-    return workflow.compile();
+    return workflow.compile({ checkpointer });
 }
 
-// Create the compiled graph instance
+// Create the compiled graph instance (and a copy without checkpoints for previews)
 let stateGraph = null;
+let previewGraph = null;
+const checkpointer = new StoreCheckpointSaver();
 
 /**
  * Get or create the state graph instance
  */
 function getStateGraph() {
     if (!stateGraph) {
-        stateGraph = buildStateGraph();
+        stateGraph = buildStateGraph(checkpointer);
     }
     return stateGraph;
 }
 
 /**
- * Initialize conversation state
- * Purely data-driven - no hardcoded patterns, relies on conversation history length and profile completeness
+ * Only the fields the flow asks for - the rest of the profile stays out of the checkpoints
  */
-function initializeState(businessProfile, conversationHistory, facebookConnected) {
-    // Count all user messages (let LLM/system prompt determine if they're meaningful)
-    const userMessages = conversationHistory.filter(msg => msg.role === 'user');
-    const userResponseCount = userMessages.length;
-
-    const missingInfo = getMissingInfo(businessProfile);
-
-    // Determine initial state based purely on data (conversation length and profile completeness)
-    let currentState = CONVERSATION_STATES.GREETING;
-    if (userResponseCount === 0) {
-        // First interaction - always start with greeting
-        currentState = CONVERSATION_STATES.GREETING;
-    } else if (missingInfo.industry) {
-        currentState = CONVERSATION_STATES.COLLECTING_INDUSTRY;
-    } else if (missingInfo.productsServices) {
-        currentState = CONVERSATION_STATES.COLLECTING_PRODUCTS_SERVICES;
-    } else if (missingInfo.audience) {
-        currentState = CONVERSATION_STATES.COLLECTING_AUDIENCE;
-    } else if (missingInfo.tone) {
-        currentState = CONVERSATION_STATES.COLLECTING_TONE;
-    } else if (!facebookConnected && userResponseCount >= 3) {
-        currentState = CONVERSATION_STATES.FACEBOOK_CONNECTION_REQUIRED;
-    } else if (facebookConnected) {
-        currentState = CONVERSATION_STATES.POST_GENERATION_READY;
-    }
+function toFlowProfile(businessProfile) {
+    return Object.fromEntries(onboardingFlow.steps.map(({ field }) => [field, businessProfile?.[field] || null]));
+}
 
-    return {
-        currentState,
-        businessProfile: businessProfile || {},
-        conversationHistory,
-        userResponseCount: userResponseCount,
-        facebookConnected: facebookConnected || false,
-        lastQuestionAsked: null,
-        metadata: {}
-    };
+/**
+ * Run the flow for a session's turn with what is known now, and checkpoint the result
+ * conversationHistory includes the user's latest message
+ * Returns the state ({ currentState, businessProfile, userResponseCount, facebookConnected, metadata })
+ */
+async function updateState(sessionId, { businessProfile, conversationHistory, facebookConnected }) {
+    return getStateGraph().invoke(
+        {
+            businessProfile: toFlowProfile(businessProfile),
+            userResponseCount: conversationHistory.filter(msg => msg.role === 'user').length,
+            facebookConnected: Boolean(facebookConnected)
+        },
+        { configurable: { thread_id: sessionId } }
+    );
 }
 
 /**
- * Determine next state using LangGraph StateGraph
- * The graph routes through nodes to determine the final state
+ * The session's checkpointed state (null before its first turn)
  */
-async function determineNextState(state) {
-    const graph = getStateGraph();
+async function getConversationState(sessionId) {
+    const snapshot = await getStateGraph().getState({ configurable: { thread_id: sessionId } });
+    return snapshot.createdAt ? snapshot.values : null;
+}
 
-    // Run the graph with current state and recursion limit
-    // We only want to determine the next state, not loop infinitely
-    const result = await graph.invoke(
+/**
+ * What the widget needs to know about a state: where the conversation is, which profile fields are
+ * collected or missing, a progress stepper (the onboarding steps, then Facebook and posts) and what to do next
+ * Returns {
+ *   state, collected: [field], missing: [field], facebookConnected, readyForCalendar,
+ *   steps: [{ id, label, field?, status: 'done' | 'current' | 'skipped' | 'pending' }],
+ *   nextAction: { type: 'answer_question' | 'connect_facebook' | 'generate_calendar', label, field? }
+ * }
+ */
+function summarizeState(state) {
+    const { currentState, businessProfile, facebookConnected } = state;
+    const position = FLOW.findIndex(candidate => candidate.state === currentState);
+    const readyForCalendar = currentState === CONVERSATION_STATES.FACEBOOK_CONNECTED
+        || currentState === CONVERSATION_STATES.POST_GENERATION_READY;
+
+    const steps = onboardingFlow.steps.map((step) => {
+        const index = FLOW.findIndex(candidate => candidate.step === step);
+        let status = 'pending';
+        if (businessProfile[step.field]) {
+            status = 'done';
+        } else if (index === position) {
+            status = 'current';
+        } else if (index < position) {
+            status = 'skipped';
+        }
+        return { id: step.id, label: step.label, field: step.field, status };
+    });
+    steps.push(
         {
-            currentState: state.currentState,
-            businessProfile: state.businessProfile,
-            conversationHistory: state.conversationHistory,
-            userResponseCount: state.userResponseCount,
-            facebookConnected: state.facebookConnected,
-            lastQuestionAsked: state.lastQuestionAsked,
-            metadata: state.metadata
+            id: 'facebook',
+            label: 'Connect Facebook',
+            status: facebookConnected ? 'done' : currentState === CONVERSATION_STATES.FACEBOOK_CONNECTION_REQUIRED ? 'current' : 'pending'
         },
-        { recursionLimit: 10 } // Limit recursion to prevent infinite loops
+        { id: 'posts', label: 'Generate posts', status: readyForCalendar ? 'current' : 'pending' }
     );
 
-    return result.currentState;
+    let nextAction = { type: 'generate_calendar', label: 'Generate calendar' };
+    const question = FLOW[position]?.step || (currentState === CONVERSATION_STATES.GREETING
+        ? onboardingFlow.steps.find(step => !businessProfile[step.field])
+        : null);
+    if (question) {
+        nextAction = { type: 'answer_question', label: question.label, field: question.field };
+    } else if (!readyForCalendar) {
+        nextAction = { type: 'connect_facebook', label: 'Connect Facebook' };
+    }
+
+    return {
+        state: currentState,
+        collected: onboardingFlow.steps.filter(step => businessProfile[step.field]).map(step => step.field),
+        missing: onboardingFlow.steps.filter(step => !businessProfile[step.field]).map(step => step.field),
+        facebookConnected,
+        readyForCalendar,
+        steps,
+        nextAction
+    };
+}
+
+/**
+ * Summary of a session's state for the widget, brought up to date with the current profile
+ * (e.g. Facebook connected since the last turn) without checkpointing - only turns move the session on.
+ * A session without turns yet is at the greeting.
+ */
+async function getStateSummary(sessionId, businessProfile) {
+    if (!previewGraph) {
+        previewGraph = buildStateGraph();
+    }
+
+    const saved = await getConversationState(sessionId);
+    const state = await previewGraph.invoke({
+        ...(saved || {}),
+        businessProfile: toFlowProfile(businessProfile),
+        facebookConnected: Boolean(businessProfile?.facebookConnected)
+    });
+    return summarizeState(state);
+}
+
+/**
+ * Forget a session's state (its next turn starts the flow over)
+ */
+async function clearConversationState(sessionId) {
+    await checkpointer.deleteThread(sessionId);
 }
 
 /**
  * Get context reminder based on current state
  * Uses state machine to determine what context to provide to the LLM
- * No keyword matching - relies purely on state machine logic
+ * No keyword matching - the wording comes from the onboarding flow definition
  */
 function getContextReminderForState(state) {
-    const { currentState, businessProfile, facebookConnected, userResponseCount } = state;
-    const missingInfo = getMissingInfo(businessProfile);
-
-    let contextReminder = '';
+    const { currentState, businessProfile, userResponseCount } = state;
+    const { greeting, steps, facebook } = onboardingFlow;
+    const instruction = step => [step.prompt, step.quickReplies].filter(Boolean).join(' ');
 
     switch (currentState) {
-        case CONVERSATION_STATES.GREETING:
-            if (missingInfo.industry) {
-                contextReminder = '\n\nCRITICAL: This is the first interaction. You MUST start with a friendly greeting "Hope you are doing well! How can I help you today?" Then IMMEDIATELY ask "What industry are you in?" as the FIRST question. Generate 4-5 diverse industry quick reply options such as: Restaurant & Food, Fitness & Health, E-commerce, Professional Services, Beauty & Wellness, Education & Training, Real Estate, Technology & Software. Always include an "Other" option as the last option. DO NOT ask about anything else until you know their industry.';
-            } else {
-                contextReminder = '\n\nCONTEXT: This is the first interaction. Start with a friendly greeting like "Hope you are doing well! How can I help you today?" The user\'s industry is known, but you should gather more business information. Ask about their specific products/services or target audience.';
+        case CONVERSATION_STATES.GREETING: {
+            const firstQuestion = steps.find(step => !businessProfile?.[step.field]);
+            if (firstQuestion) {
+                return `\n\nCRITICAL: This is the first interaction. You MUST start with a friendly greeting "${greeting}" Then IMMEDIATELY ask the first question: ${instruction(firstQuestion)} DO NOT ask about anything else until you know their ${firstQuestion.description}.`;
             }
-            break;
-
-        case CONVERSATION_STATES.COLLECTING_INDUSTRY:
-            contextReminder = '\n\nCONTEXT: Ask "What industry are you in?" and generate 4-5 diverse industry quick reply options. Always include an "Other" option.';
-            break;
-
-        case CONVERSATION_STATES.COLLECTING_PRODUCTS_SERVICES:
-            contextReminder = '\n\nCONTEXT: Ask about their specific products/services. Generate relevant options based on their industry. IMPORTANT: Start quick replies with "All of these" as the FIRST option, then list 3-4 specific categories, then "Other" as the last option.';
-            break;
-
-        case CONVERSATION_STATES.COLLECTING_AUDIENCE:
-            contextReminder = '\n\nCONTEXT: Ask about their target audience. Generate relevant demographic or customer type options based on their industry.';
-            break;
-
-        case CONVERSATION_STATES.COLLECTING_TONE:
-            contextReminder = '\n\nCONTEXT: Ask about their brand tone/voice. Generate relevant options.';
-            break;
+            return `\n\nCONTEXT: This is the first interaction. Start with a friendly greeting like "${greeting}" The business profile is already complete, so help them with what they need.`;
+        }
 
         case CONVERSATION_STATES.FACEBOOK_CONNECTION_REQUIRED:
-            if (userResponseCount >= 3) {
-                contextReminder = '\n\n🚨 CRITICAL: The user has answered multiple questions but Facebook is NOT connected. You MUST now ask them to connect their Facebook account. Include "Connect Facebook" as a quick reply option.';
-            }
-            break;
+            // Gating rule: don't push for Facebook before the user has said enough
+            return userResponseCount >= facebook.afterUserMessages ? `\n\n🚨 CRITICAL: ${facebook.prompts.required}` : '';
 
         case CONVERSATION_STATES.FACEBOOK_CONNECTED:
-            contextReminder = '\n\nCONTEXT: Facebook is connected! You can now ask if they want to generate posts. Include "Schedule FB Posts" or "Generate Posts" as a quick reply option.';
-            break;
+            return `\n\nCONTEXT: ${facebook.prompts.connected}`;
 
         case CONVERSATION_STATES.POST_GENERATION_READY:
-            contextReminder = '\n\nCONTEXT: All information gathered and Facebook is connected. You can help generate posts or calendars.';
-            break;
-    }
-
-    return contextReminder;
-}
-
-/**
- * Update state after processing a message
- */
-async function updateState(state, newBusinessProfile, newConversationHistory) {
-    const updatedState = {
-        ...state,
-        businessProfile: newBusinessProfile || state.businessProfile,
-        conversationHistory: newConversationHistory || state.conversationHistory
-    };
+            return `\n\nCONTEXT: ${facebook.prompts.ready}`;
 
-    // Recalculate user response count (all user messages)
-    updatedState.userResponseCount = updatedState.conversationHistory.filter(msg => msg.role === 'user').length;
-
-    // Determine next state using LangGraph
-    updatedState.currentState = await determineNextState(updatedState);
-
-    return updatedState;
+        default: {
+            const step = FLOW.find(candidate => candidate.state === currentState)?.step;
+            return step ? `\n\nCONTEXT: ${instruction(step)}` : '';
+        }
+    }
 }
 
 module.exports = {
     CONVERSATION_STATES,
-    determineNextState,
     getContextReminderForState,
-    initializeState,
     updateState,
+    getConversationState,
+    summarizeState,
+    getStateSummary,
+    clearConversationState,
     getStateGraph
 };
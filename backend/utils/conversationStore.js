@@ -0,0 +1,225 @@
+/**
+ * Conversation Store
+ * Persists chat sessions through the storage adapter so history survives restarts
+ * and is shared between serverless instances (when the storage driver is shared)
+ *
+ * Record shape:
+ * {
+ *   sessionId: String,
+ *   userId: String,
+ *   messages: Array<{ role, content }>,   // includes system prompt, the latest context reminder and tool calls
+ *   metadata: { createdAt, updatedAt, turnCount, url, referrer, title? }   // title is set when the user renames it
+ *   memory?: { summary, summarizedCount }   // rolling summary of older turns (see conversationMemory)
+ * }
+ *
+ * Each user's session ids are indexed (conversation_index: userId -> { sessionIds }) so listing a
+ * user's conversations doesn't read everyone else's
+ */
+
+const { createStore } = require('./storage');
+const { CHAT_SESSIONS } = require('../constants');
+
+const conversations = createStore('conversations');
+const conversationIndex = createStore('conversation_index');
+
+// Not a valid userId (see widgetAuth), so it can't collide with a user's index
+const INDEX_MIGRATED_KEY = '*migrated';
+let indexReady = false;
+
+/**
+ * Build an empty conversation record
+ */
+function createConversation(sessionId, userId, systemPrompt) {
+  const now = new Date().toISOString();
+  return {
+    sessionId,
+    userId: userId || sessionId,
+    messages: systemPrompt ? [{ role: 'system', content: systemPrompt }] : [],
+    metadata: {
+      createdAt: now,
+      updatedAt: now,
+      turnCount: 0
+    }
+  };
+}
+
+/**
+ * Get a conversation by session ID (null if it doesn't exist)
+ */
+async function getConversation(sessionId) {
+  if (!sessionId) {
+    return null;
+  }
+  return conversations.get(sessionId);
+}
+
+/**
+ * Get a conversation, creating a fresh one seeded with the system prompt if missing
+ */
+async function getOrCreateConversation(sessionId, userId, systemPrompt) {
+  const existing = await getConversation(sessionId);
+  return existing || createConversation(sessionId, userId, systemPrompt);
+}
+
+/**
+ * Whether a message is a context reminder (a system message after the system prompt)
+ */
+function isContextReminder(message, index) {
+  return index > 0 && message.role === 'system';
+}
+
+/**
+ * Persist a finished chat turn
+ * turnMessages (the user message, its context reminder, tool calls and the reply) are appended to the
+ * stored messages, not to the copy loaded before the turn, so overlapping turns on a session keep each
+ * other's messages. The turn's reminder replaces the stored one; turnCount is incremented here and
+ * metadataUpdates are merged in.
+ */
+async function appendConversationTurn(conversation, turnMessages, metadataUpdates = {}) {
+  const saved = await conversations.update(conversation.sessionId, (existing) => {
+    const base = existing || {
+      ...conversation,
+      messages: conversation.messages.filter(message => !turnMessages.includes(message))
+    };
+    const memory = [existing?.memory, conversation.memory]
+      .filter(Boolean)
+      .sort((a, b) => b.summarizedCount - a.summarizedCount)[0];
+
+    return {
+      ...base,
+      messages: [
+        ...base.messages.filter((message, index) => !isContextReminder(message, index)),
+        ...turnMessages
+      ],
+      ...(memory ? { memory } : {}),
+      metadata: {
+        ...base.metadata,
+        ...metadataUpdates,
+        turnCount: (base.metadata.turnCount || 0) + 1,
+        updatedAt: new Date().toISOString()
+      }
+    };
+  });
+  await addToIndex(saved.userId, saved.sessionId);
+  return saved;
+}
+
+/**
+ * Whether a conversation belongs to a user (a missing conversation belongs to no one yet)
+ */
+function isConversationOwner(conversation, userId) {
+  return !conversation || conversation.userId === userId;
+}
+
+/**
+ * Shorten text for a list entry (whitespace collapsed)
+ */
+function truncate(text, maxLength) {
+  const flat = String(text || '').replace(/\s+/g, ' ').trim();
+  return flat.length > maxLength ? `${flat.slice(0, maxLength - 1)}…` : flat;
+}
+
+/**
+ * List entry for a conversation - untitled ones are named after their first message
+ */
+function toConversationSummary(conversation) {
+  const visible = conversation.messages.filter(msg => (msg.role === 'user' || msg.role === 'assistant') && msg.content);
+  const firstUserMessage = visible.find(msg => msg.role === 'user');
+  const lastMessage = visible[visible.length - 1];
+
+  return {
+    sessionId: conversation.sessionId,
+    title: conversation.metadata.title || truncate(firstUserMessage?.content, CHAT_SESSIONS.TITLE_MAX_LENGTH) || 'New conversation',
+    createdAt: conversation.metadata.createdAt,
+    updatedAt: conversation.metadata.updatedAt,
+    turnCount: conversation.metadata.turnCount || 0,
+    lastMessage: lastMessage
+      ? { role: lastMessage.role, content: truncate(lastMessage.content, CHAT_SESSIONS.PREVIEW_LENGTH) }
+      : null
+  };
+}
+
+/**
+ * Add a session id to its user's index (no write if it's already there)
+ */
+async function addToIndex(userId, sessionId) {
+  await conversationIndex.update(userId, (existing) => {
+    const sessionIds = existing?.sessionIds || [];
+    return sessionIds.includes(sessionId) ? undefined : { sessionIds: [...sessionIds, sessionId] };
+  });
+}
+
+async function removeFromIndex(userId, sessionId) {
+  await conversationIndex.update(userId, (existing) => {
+    if (!existing?.sessionIds.includes(sessionId)) {
+      return undefined;
+    }
+    return { sessionIds: existing.sessionIds.filter(id => id !== sessionId) };
+  });
+}
+
+/**
+ * Index conversations saved before the index existed - once per store, marked by a key no userId can take
+ */
+async function ensureIndexed() {
+  if (indexReady) {
+    return;
+  }
+  if (!(await conversationIndex.get(INDEX_MIGRATED_KEY))) {
+    const entries = await conversations.entries();
+    for (const [sessionId, conversation] of entries) {
+      await addToIndex(conversation.userId, sessionId);
+    }
+    await conversationIndex.set(INDEX_MIGRATED_KEY, { migratedAt: new Date().toISOString() });
+  }
+  indexReady = true;
+}
+
+/**
+ * A user's conversations, most recently active first
+ */
+async function listConversations(userId) {
+  await ensureIndexed();
+  const index = await conversationIndex.get(userId);
+  const sessionIds = index?.sessionIds || [];
+  const loaded = await Promise.all(sessionIds.map(sessionId => conversations.get(sessionId)));
+  return loaded
+    .filter(conversation => conversation && conversation.userId === userId)
+    .sort((a, b) => String(b.metadata.updatedAt).localeCompare(String(a.metadata.updatedAt)))
+    .map(toConversationSummary);
+}
+
+/**
+ * Rename a conversation (null if it doesn't exist)
+ */
+async function renameConversation(sessionId, title) {
+  const renamed = await conversations.update(sessionId, (existing) => {
+    if (!existing) {
+      return undefined;
+    }
+    return { ...existing, metadata: { ...existing.metadata, title } };
+  });
+  return renamed ? toConversationSummary(renamed) : null;
+}
+
+/**
+ * Delete a conversation (false if it doesn't exist)
+ */
+async function deleteConversation(sessionId) {
+  const conversation = await conversations.get(sessionId);
+  const deleted = await conversations.delete(sessionId);
+  if (conversation) {
+    await removeFromIndex(conversation.userId, sessionId);
+  }
+  return deleted;
+}
+
+module.exports = {
+  getConversation,
+  getOrCreateConversation,
+  appendConversationTurn,
+  isConversationOwner,
+  listConversations,
+  renameConversation,
+  deleteConversation
+};
@@ -0,0 +1,154 @@
+/**
+ * Facebook Page Storage
+ * Keeps the pages a user granted access to during OAuth so they can pick
+ * (or later switch) the active page without going through OAuth again
+ *
+ * Pages the profile actually publishes to live on the profile as `facebookPages`;
+ * `facebookPageId` stays the default page used when a post doesn't name its targets
+ */
+
+const { createStore } = require('./storage');
+const { encryptToken } = require('./tokenCrypto');
+const createOneTimeTokens = require('./oneTimeTokens');
+
+// How long the post-OAuth page picker stays valid
+const SELECTION_TTL_MS = 15 * 60 * 1000;
+
+const pageCandidates = createStore('facebook_pages');
+const pageSelections = createOneTimeTokens('facebook_page_selections', SELECTION_TTL_MS);
+
+/**
+ * Save the pages returned by /me/accounts for a user (page tokens are encrypted before storage)
+ * `tokenInfo` describes the grant the page tokens came from:
+ *   { userTokenExpiresAt, scopes, pages: { [pageId]: { tokenExpiresAt, dataAccessExpiresAt, isValid } } }
+ */
+async function savePageCandidates(userId, pages, tokenInfo = {}) {
+  return pageCandidates.set(userId, {
+    userId,
+    pages: pages.map(page => ({
+      id: page.id,
+      name: page.name,
+      category: page.category || null,
+      accessToken: encryptToken(page.access_token || page.accessToken)
+    })),
+    tokenInfo,
+    fetchedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Get the stored pages for a user (empty array if none)
+ */
+async function getPageCandidates(userId) {
+  const record = await pageCandidates.get(userId);
+  return record?.pages || [];
+}
+
+/**
+ * Get expiry/scope details of the grant the stored pages came from
+ */
+async function getPageTokenInfo(userId) {
+  const record = await pageCandidates.get(userId);
+  return record?.tokenInfo || {};
+}
+
+/**
+ * Find one stored page by id
+ */
+async function findPageCandidate(userId, pageId) {
+  const pages = await getPageCandidates(userId);
+  return pages.find(page => page.id === String(pageId)) || null;
+}
+
+/**
+ * Remove stored pages (on disconnect)
+ */
+async function clearPageCandidates(userId) {
+  return pageCandidates.delete(userId);
+}
+
+/**
+ * Create a short-lived selection id for the OAuth popup's page picker
+ * The popup has no widget session, so this id is what authorizes the choice
+ */
+async function createPageSelection(userId) {
+  return pageSelections.issue(userId);
+}
+
+/**
+ * Resolve and invalidate a selection id - returns the userId or null if unknown/expired/used
+ * Of two concurrent picks with one id, only one gets the userId
+ */
+async function consumePageSelection(selectionId) {
+  return pageSelections.consume(selectionId);
+}
+
+/**
+ * Get the pages a profile publishes to
+ * Profiles connected before multi-page support only carry the single-page fields
+ */
+function getConnectedPages(profile) {
+  if (!profile?.facebookConnected) {
+    return [];
+  }
+  if (Array.isArray(profile.facebookPages) && profile.facebookPages.length > 0) {
+    return profile.facebookPages;
+  }
+  if (profile.facebookPageId) {
+    return [{
+      id: profile.facebookPageId,
+      name: profile.facebookPageName,
+      category: null,
+      accessToken: profile.facebookAccessToken,
+      connectedAt: profile.facebookConnectedAt
+    }];
+  }
+  return [];
+}
+
+/**
+ * Resolve which connected pages a post should go to
+ * No pageIds means the profile's default page
+ * Returns { pages, missingPageIds }
+ */
+function resolveTargetPages(profile, pageIds) {
+  const connected = getConnectedPages(profile);
+
+  if (!Array.isArray(pageIds) || pageIds.length === 0) {
+    const defaultPage = connected.find(page => page.id === profile?.facebookPageId) || connected[0];
+    return { pages: defaultPage ? [defaultPage] : [], missingPageIds: [] };
+  }
+
+  const uniqueIds = [...new Set(pageIds.map(String))];
+  return {
+    pages: uniqueIds.map(id => connected.find(page => page.id === id)).filter(Boolean),
+    missingPageIds: uniqueIds.filter(id => !connected.some(page => page.id === id))
+  };
+}
+
+/**
+ * Strip tokens before sending pages to a client
+ * `active` marks the default page, `connected` the pages the profile publishes to
+ */
+function toPublicPage(page, activePageId, connectedPageIds = []) {
+  return {
+    id: page.id,
+    name: page.name,
+    category: page.category,
+    active: page.id === activePageId,
+    connected: connectedPageIds.includes(page.id)
+  };
+}
+
+module.exports = {
+  savePageCandidates,
+  getPageCandidates,
+  getPageTokenInfo,
+  findPageCandidate,
+  clearPageCandidates,
+  createPageSelection,
+  consumePageSelection,
+  getConnectedPages,
+  resolveTargetPages,
+  toPublicPage
+};
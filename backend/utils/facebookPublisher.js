@@ -0,0 +1,222 @@
+/**
+ * Facebook Publisher
+ * Sends posts to a page through the Graph API - shared by the scheduling routes (native
+ * scheduled_publish_time) and the local publish queue worker (immediate publishing)
+ */
+
+const axios = require('axios');
+const config = require('../../config/config');
+const { isReconnectError } = require('./facebookTokens');
+const { recordGraphUsage, getWaitTime, isRateLimitError, getRetryDelay } = require('./graphRateLimit');
+const { decryptToken, redactSecrets } = require('./tokenCrypto');
+const { ERROR_MESSAGES } = require('../constants');
+
+const FACEBOOK_GRAPH_API = config.facebook.graphApiUrl;
+
+const RECONNECT_REQUIRED_CODE = 'FACEBOOK_RECONNECT_REQUIRED';
+const RATE_LIMITED_CODE = 'FACEBOOK_RATE_LIMITED';
+
+// Graph error codes worth retrying: unknown/temporary errors and rate limits
+const RETRYABLE_GRAPH_CODES = [1, 2, 4, 17, 32, 341, 613];
+
+/**
+ * Error returned when the Facebook token is expired or revoked
+ */
+function reconnectRequiredError(extra = {}) {
+  return {
+    message: ERROR_MESSAGES.FACEBOOK_RECONNECT_REQUIRED,
+    code: RECONNECT_REQUIRED_CODE,
+    ...extra
+  };
+}
+
+/**
+ * Build the Graph API request for a post
+ * Photos go to /{page}/photos (by URL, or as a multipart upload), links and text to /{page}/feed
+ */
+function buildGraphRequest(pageId, postFields, media, accessToken) {
+  if (media?.kind === 'photo') {
+    const { message, ...scheduling } = postFields;
+    const photoFields = { ...scheduling, caption: message, access_token: accessToken };
+
+    if (media.upload) {
+      const form = new FormData();
+      for (const [key, value] of Object.entries(photoFields)) {
+        form.append(key, String(value));
+      }
+      form.append('source', new Blob([media.upload.buffer], { type: media.upload.contentType }), media.upload.fileName || 'image');
+      return { url: `${FACEBOOK_GRAPH_API}/${pageId}/photos`, body: form };
+    }
+
+    return { url: `${FACEBOOK_GRAPH_API}/${pageId}/photos`, body: { ...photoFields, url: media.url } };
+  }
+
+  const feedFields = media?.kind === 'link' ? { ...postFields, link: media.url } : postFields;
+  return { url: `${FACEBOOK_GRAPH_API}/${pageId}/feed`, body: { ...feedFields, access_token: accessToken } };
+}
+
+/**
+ * Decrypt a page's stored access token
+ * Returns { accessToken } or { error } when it was encrypted with a different TOKEN_ENCRYPTION_KEY
+ */
+function getPageAccessToken(page) {
+  try {
+    return { accessToken: decryptToken(page.accessToken) };
+  } catch (error) {
+    // Only a fresh OAuth grant recovers from this
+    console.error(`Could not decrypt token for page ${page.id}:`, error.message);
+    return { error: reconnectRequiredError({ details: 'Stored Facebook token could not be decrypted' }) };
+  }
+}
+
+/**
+ * Turn a Graph API failure into an error object ({ message, code?, details?, fbtrace_id? })
+ */
+function describeGraphError(facebookError, fallbackMessage = ERROR_MESSAGES.SCHEDULE_FAILED) {
+  const errorData = facebookError.response?.data?.error;
+  // Error 190: token expired or revoked - only a new OAuth grant fixes this
+  if (isReconnectError(errorData)) {
+    return reconnectRequiredError({
+      details: errorData.message,
+      fbtrace_id: errorData.fbtrace_id
+    });
+  }
+  // Error 100: Cannot schedule published post or invalid scheduled time
+  if (errorData && errorData.code === 100) {
+    return {
+      message: errorData.message || 'Cannot schedule this post. Ensure the scheduled time is at least 10 minutes in the future.',
+      code: errorData.code,
+      fbtrace_id: errorData.fbtrace_id
+    };
+  }
+  return {
+    message: facebookError.message || fallbackMessage,
+    details: redactSecrets(facebookError.response?.data || facebookError.message)
+  };
+}
+
+/**
+ * Whether a failed Graph call may succeed if tried again later
+ * Network errors, 5xx responses and rate limits are; token, permission and validation errors are not
+ */
+function isRetryableGraphError(facebookError) {
+  if (!facebookError.response) {
+    return true;
+  }
+  const errorData = facebookError.response.data?.error;
+  if (errorData && RETRYABLE_GRAPH_CODES.includes(errorData.code)) {
+    return true;
+  }
+  return facebookError.response.status >= 500 || isRateLimitError(facebookError);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Error for a call skipped because the page (or app) is still over its Graph quota
+ */
+function rateLimitedError(waitMs) {
+  return {
+    message: ERROR_MESSAGES.FACEBOOK_RATE_LIMITED,
+    code: RATE_LIMITED_CODE,
+    details: { retryAfterSeconds: Math.ceil(waitMs / 1000) }
+  };
+}
+
+/**
+ * POST to the Graph API for a page, waiting out reported quota usage and retrying throttled calls
+ * Waits longer than rateLimit.maxWaitMs throw a rate-limited error instead of blocking the caller
+ */
+async function postWithRateLimit(pageId, buildRequest) {
+  const { maxRetries, maxWaitMs } = config.facebook.rateLimit;
+
+  for (let attempt = 0; ; attempt++) {
+    const waitMs = getWaitTime(pageId);
+    if (waitMs > maxWaitMs) {
+      const error = new Error(ERROR_MESSAGES.FACEBOOK_RATE_LIMITED);
+      error.rateLimited = rateLimitedError(waitMs);
+      throw error;
+    }
+    if (waitMs > 0) {
+      await sleep(waitMs);
+    }
+
+    try {
+      const request = buildRequest();
+      const response = await axios.post(request.url, request.body);
+      recordGraphUsage(pageId, response.headers);
+      return response;
+    } catch (facebookError) {
+      const throttled = isRateLimitError(facebookError);
+      recordGraphUsage(pageId, facebookError.response?.headers, { throttled });
+      if (!throttled || attempt >= maxRetries) {
+        throw facebookError;
+      }
+      const delay = getRetryDelay(pageId, attempt);
+      if (delay > maxWaitMs) {
+        throw facebookError;
+      }
+      console.warn(`Graph API rate limit for page ${pageId}, retrying in ${Math.round(delay / 1000)}s`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Publish one post to one page - scheduled when postFields carry scheduled_publish_time, immediate otherwise
+ * Returns a per-page result: { pageId, pageName, success, facebookPostId?, error?, retryable? }
+ */
+async function publishToPage(page, postFields, media = null) {
+  const { accessToken, error } = getPageAccessToken(page);
+  if (error) {
+    return { pageId: page.id, pageName: page.name, success: false, error };
+  }
+
+  try {
+    // Rebuilt per attempt - a multipart body is consumed when it is sent
+    const response = await postWithRateLimit(page.id, () => buildGraphRequest(page.id, postFields, media, accessToken));
+
+    return {
+      pageId: page.id,
+      pageName: page.name,
+      success: true,
+      // /photos returns the photo id plus the id of the feed post wrapping it
+      facebookPostId: response.data.post_id || response.data.id
+    };
+  } catch (facebookError) {
+    if (facebookError.rateLimited) {
+      return { pageId: page.id, pageName: page.name, success: false, retryable: true, error: facebookError.rateLimited };
+    }
+    console.error(`Facebook API error for page ${page.id}:`, redactSecrets(facebookError));
+    return {
+      pageId: page.id,
+      pageName: page.name,
+      success: false,
+      retryable: isRetryableGraphError(facebookError),
+      error: describeGraphError(facebookError)
+    };
+  }
+}
+
+/**
+ * Append hashtags to a caption the way they are published
+ */
+function formatCaption(caption, hashtags) {
+  if (hashtags && Array.isArray(hashtags) && hashtags.length > 0) {
+    const hashtagString = hashtags.map(tag => tag.startsWith('#') ? tag : `#${tag}`).join(' ');
+    return `${caption}\n\n${hashtagString}`;
+  }
+  return caption;
+}
+
+module.exports = {
+  RECONNECT_REQUIRED_CODE,
+  RATE_LIMITED_CODE,
+  reconnectRequiredError,
+  getPageAccessToken,
+  describeGraphError,
+  publishToPage,
+  formatCaption
+};
@@ -0,0 +1,86 @@
+/**
+ * Facebook Scheduled Posts
+ * Graph API calls for posts that are already scheduled on a page: list, reschedule/edit, cancel
+ *
+ * Callers pass the page's decrypted access token; Graph errors are thrown as axios errors
+ */
+
+const axios = require('axios');
+const config = require('../../config/config');
+
+const FACEBOOK_GRAPH_API = config.facebook.graphApiUrl;
+
+const SCHEDULED_POST_FIELDS = 'id,message,scheduled_publish_time,created_time,full_picture,permalink_url';
+
+// Stop following pagination after this many posts - Facebook caps scheduling at 75 days out anyway
+const MAX_SCHEDULED_POSTS = 500;
+
+/**
+ * Convert a Graph scheduled post to our shape
+ */
+function toScheduledPost(post, page) {
+  return {
+    facebookPostId: post.id,
+    pageId: page.id,
+    pageName: page.name,
+    message: post.message || '',
+    scheduledTime: post.scheduled_publish_time
+      ? new Date(Number(post.scheduled_publish_time) * 1000).toISOString()
+      : null,
+    createdTime: post.created_time || null,
+    imageUrl: post.full_picture || null,
+    permalinkUrl: post.permalink_url || null
+  };
+}
+
+/**
+ * List the posts scheduled on a page (follows pagination)
+ */
+async function listScheduledPosts(page, accessToken) {
+  const posts = [];
+  let url = `${FACEBOOK_GRAPH_API}/${page.id}/scheduled_posts`;
+  let params = { fields: SCHEDULED_POST_FIELDS, limit: 100, access_token: accessToken };
+
+  while (url && posts.length < MAX_SCHEDULED_POSTS) {
+    const response = await axios.get(url, { params });
+    posts.push(...(response.data.data || []).map(post => toScheduledPost(post, page)));
+    // paging.next already carries every query parameter
+    url = response.data.paging?.next || null;
+    params = undefined;
+  }
+
+  return posts;
+}
+
+/**
+ * Change the text and/or publish time of a scheduled post
+ * `fields` may hold message and scheduledPublishTime (unix seconds)
+ */
+async function updateScheduledPost(facebookPostId, accessToken, fields) {
+  const body = { access_token: accessToken };
+  if (fields.message !== undefined) {
+    body.message = fields.message;
+  }
+  if (fields.scheduledPublishTime !== undefined) {
+    body.scheduled_publish_time = fields.scheduledPublishTime;
+  }
+
+  const response = await axios.post(`${FACEBOOK_GRAPH_API}/${facebookPostId}`, body);
+  return response.data;
+}
+
+/**
+ * Delete a scheduled post so it never publishes
+ */
+async function deleteScheduledPost(facebookPostId, accessToken) {
+  const response = await axios.delete(`${FACEBOOK_GRAPH_API}/${facebookPostId}`, {
+    params: { access_token: accessToken }
+  });
+  return response.data;
+}
+
+module.exports = {
+  listScheduledPosts,
+  updateScheduledPost,
+  deleteScheduledPost
+};
@@ -0,0 +1,127 @@
+/**
+ * Facebook Token Helpers
+ * Long-lived token exchange, token inspection and detection of expired/revoked tokens
+ */
+
+const axios = require('axios');
+const config = require('../../config/config');
+
+const FACEBOOK_GRAPH_API = config.facebook.graphApiUrl;
+
+// Graph error code for invalid/expired/revoked access tokens
+const OAUTH_ERROR_CODE = 190;
+
+/**
+ * Exchange a short-lived user token for a long-lived one (~60 days)
+ * Returns { accessToken, expiresAt } - expiresAt is an ISO string or null when Facebook doesn't say
+ */
+async function exchangeForLongLivedToken(shortLivedToken) {
+  const response = await axios.get(`${FACEBOOK_GRAPH_API}/oauth/access_token`, {
+    params: {
+      grant_type: 'fb_exchange_token',
+      client_id: config.facebook.appId,
+      client_secret: config.facebook.appSecret,
+      fb_exchange_token: shortLivedToken
+    }
+  });
+
+  const { access_token: accessToken, expires_in: expiresIn } = response.data;
+  if (!accessToken) {
+    throw new Error('Facebook did not return a long-lived access token');
+  }
+
+  return {
+    accessToken,
+    expiresAt: expiresIn ? new Date(Date.now() + expiresIn * 1000).toISOString() : null
+  };
+}
+
+/**
+ * Inspect a token with /debug_token
+ * Returns { expiresAt, dataAccessExpiresAt, scopes, isValid } - expiry fields are null when the token never expires
+ */
+async function inspectToken(accessToken) {
+  const response = await axios.get(`${FACEBOOK_GRAPH_API}/debug_token`, {
+    params: {
+      input_token: accessToken,
+      access_token: `${config.facebook.appId}|${config.facebook.appSecret}`
+    }
+  });
+
+  const data = response.data.data || {};
+  const toIso = (seconds) => (seconds ? new Date(seconds * 1000).toISOString() : null);
+
+  return {
+    expiresAt: toIso(data.expires_at),
+    dataAccessExpiresAt: toIso(data.data_access_expires_at),
+    scopes: data.scopes || [],
+    isValid: data.is_valid !== false
+  };
+}
+
+/**
+ * Get the pages (with page tokens) a user token can manage
+ * Page tokens derived from a long-lived user token don't expire on their own
+ */
+async function fetchPagesWithTokens(userAccessToken) {
+  const response = await axios.get(`${FACEBOOK_GRAPH_API}/me/accounts`, {
+    params: { access_token: userAccessToken }
+  });
+  return response.data.data || [];
+}
+
+/**
+ * Token state of the pages a profile publishes to: the earliest expiry among their page tokens,
+ * and whether any of them is already invalid
+ * tokenInfo is the grant's saved token info; grants saved before every page was inspected only
+ * carry the first page's expiry (tokenExpiresAt, dataAccessExpiresAt)
+ */
+function summarizePageTokens(tokenInfo, pageIds) {
+  if (!tokenInfo.pages) {
+    return {
+      tokenExpiresAt: tokenInfo.tokenExpiresAt || null,
+      dataAccessExpiresAt: tokenInfo.dataAccessExpiresAt || null,
+      invalid: false
+    };
+  }
+
+  const inspected = pageIds.map(id => tokenInfo.pages[id]).filter(Boolean);
+  // ISO timestamps sort in time order
+  const earliest = field => inspected.map(token => token[field]).filter(Boolean).sort()[0] || null;
+  return {
+    tokenExpiresAt: earliest('tokenExpiresAt'),
+    dataAccessExpiresAt: earliest('dataAccessExpiresAt'),
+    invalid: inspected.some(token => !token.isValid)
+  };
+}
+
+/**
+ * Whether a Graph API error means the token is expired or revoked
+ */
+function isReconnectError(graphError) {
+  return graphError?.code === OAUTH_ERROR_CODE;
+}
+
+/**
+ * Whether the profile's Facebook connection needs the user to go through OAuth again
+ */
+function isReconnectRequired(profile) {
+  if (!profile?.facebookConnected) {
+    return false;
+  }
+  if (profile.facebookReconnectRequired) {
+    return true;
+  }
+  const now = Date.now();
+  const expired = (isoDate) => !!isoDate && new Date(isoDate).getTime() <= now;
+  return expired(profile.facebookTokenExpiresAt) || expired(profile.facebookDataAccessExpiresAt);
+}
+
+module.exports = {
+  exchangeForLongLivedToken,
+  inspectToken,
+  fetchPagesWithTokens,
+  summarizePageTokens,
+  isReconnectError,
+  isReconnectRequired
+};
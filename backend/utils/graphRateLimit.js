@@ -0,0 +1,120 @@
+/**
+ * Graph API Rate Limits
+ * Tracks the usage Facebook reports in response headers and pauses calls before a quota runs out
+ *
+ * Headers read (values are percentages of the quota used):
+ *   X-App-Usage                 - { call_count, total_cputime, total_time } for the whole app
+ *   X-Page-Usage                - same shape, for the page the call was made for
+ *   X-Business-Use-Case-Usage   - { [businessId]: [{ call_count, ..., estimated_time_to_regain_access }] }
+ *
+ * State is per process - good enough for one server; several instances each back off on their own.
+ */
+
+const config = require('../../config/config');
+
+// Graph error codes for throttling: app, user, page and business use case limits
+const RATE_LIMIT_CODES = [4, 17, 32, 613, 80001, 80002, 80003, 80004, 80005, 80006, 80008, 80009, 80014];
+
+// Used when a quota is exhausted but Facebook doesn't say for how long
+const DEFAULT_COOLDOWN_MS = 60 * 1000;
+
+const APP_KEY = 'app';
+
+// key ('app' or a page id) -> timestamp (ms) until which calls should wait
+const blockedUntil = new Map();
+
+function parseJsonHeader(value) {
+  if (!value) {
+    return null;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Highest usage percentage in one usage object
+ */
+function maxUsage(usage) {
+  return Math.max(0, ...['call_count', 'total_cputime', 'total_time'].map(field => Number(usage?.[field]) || 0));
+}
+
+/**
+ * Read the usage headers of a Graph response
+ * Returns { appPercent, pagePercent, regainAccessMs }
+ */
+function parseUsageHeaders(headers = {}) {
+  const appPercent = maxUsage(parseJsonHeader(headers['x-app-usage']));
+  let pagePercent = maxUsage(parseJsonHeader(headers['x-page-usage']));
+  let regainAccessMs = 0;
+
+  const businessUsage = parseJsonHeader(headers['x-business-use-case-usage']) || {};
+  for (const entries of Object.values(businessUsage)) {
+    for (const entry of [].concat(entries || [])) {
+      pagePercent = Math.max(pagePercent, maxUsage(entry));
+      regainAccessMs = Math.max(regainAccessMs, (Number(entry.estimated_time_to_regain_access) || 0) * 60 * 1000);
+    }
+  }
+
+  return { appPercent, pagePercent, regainAccessMs };
+}
+
+function block(key, durationMs) {
+  const until = Date.now() + durationMs;
+  if (until > (blockedUntil.get(key) || 0)) {
+    blockedUntil.set(key, until);
+  }
+}
+
+/**
+ * Remember the usage reported by a Graph response (or a failed call's response)
+ * `throttled` marks a call Facebook rejected for rate limiting - the page waits even without usage headers
+ */
+function recordGraphUsage(pageId, headers, { throttled = false } = {}) {
+  const { appPercent, pagePercent, regainAccessMs } = parseUsageHeaders(headers);
+  const threshold = config.facebook.rateLimit.usageThreshold;
+  const cooldown = regainAccessMs || DEFAULT_COOLDOWN_MS;
+
+  if (appPercent >= threshold) {
+    block(APP_KEY, cooldown);
+  }
+  if (pagePercent >= threshold || regainAccessMs > 0) {
+    block(pageId, cooldown);
+  } else if (throttled) {
+    block(pageId, config.facebook.rateLimit.retryBaseDelayMs);
+  }
+}
+
+/**
+ * How long calls for a page must wait (ms, 0 when free to go)
+ */
+function getWaitTime(pageId) {
+  const until = Math.max(blockedUntil.get(APP_KEY) || 0, blockedUntil.get(pageId) || 0);
+  return Math.max(0, until - Date.now());
+}
+
+/**
+ * Whether a failed Graph call was throttled
+ */
+function isRateLimitError(facebookError) {
+  const errorData = facebookError.response?.data?.error;
+  return Boolean(errorData && RATE_LIMIT_CODES.includes(errorData.code)) || facebookError.response?.status === 429;
+}
+
+/**
+ * Delay before retrying a throttled call: what Facebook asked for, else exponential backoff
+ */
+function getRetryDelay(pageId, attempt) {
+  const backoff = config.facebook.rateLimit.retryBaseDelayMs * 2 ** attempt;
+  return Math.max(backoff, getWaitTime(pageId));
+}
+
+module.exports = {
+  parseUsageHeaders,
+  recordGraphUsage,
+  getWaitTime,
+  isRateLimitError,
+  getRetryDelay
+};
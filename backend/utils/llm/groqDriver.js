@@ -0,0 +1,57 @@
+/**
+ * Groq LLM Driver
+ * Chat completions through groq-sdk
+ */
+
+const Groq = require('groq-sdk');
+const { toolRequestFields, readToolCalls, createToolCallCollector } = require('./toolCalls');
+
+/**
+ * Create a Groq-backed driver
+ */
+function createGroqDriver(options) {
+  const client = new Groq({ apiKey: options.apiKey });
+
+  function buildRequest({ model, messages, temperature, maxTokens, json, tools, toolChoice }) {
+    return {
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      ...(json ? { response_format: { type: 'json_object' } } : {}),
+      ...toolRequestFields({ tools, toolChoice })
+    };
+  }
+
+  return {
+    name: 'groq',
+
+    async complete(request) {
+      const completion = await client.chat.completions.create(buildRequest(request));
+      const message = completion.choices[0]?.message;
+      return {
+        content: message?.content || '',
+        toolCalls: readToolCalls(message),
+        usage: completion.usage || null,
+        model: completion.model || request.model
+      };
+    },
+
+    async *stream(request) {
+      const stream = await client.chat.completions.create({ ...buildRequest(request), stream: true });
+      const toolCalls = createToolCallCollector();
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0]?.delta;
+        if (delta?.content) {
+          yield { type: 'text', content: delta.content };
+        }
+        toolCalls.add(delta?.tool_calls);
+      }
+      for (const call of toolCalls.finish()) {
+        yield { type: 'tool_call', ...call };
+      }
+    }
+  };
+}
+
+module.exports = createGroqDriver;
@@ -0,0 +1,129 @@
+/**
+ * LLM Client
+ * Provider-agnostic access to the language model selected in config.ai
+ * (or the scripted mock model when config.features.mockMode.ai is on)
+ *
+ * Every call names a task ('chat', 'extraction', 'calendar', 'summary'); the task decides the model,
+ * temperature and max tokens (config.ai.tasks), and callers can override them per call:
+ *   complete(task, messages, options) -> { content, toolCalls, usage, model }
+ *   stream(task, messages, options)   -> async iterable of events:
+ *                                        { type: 'text', content } deltas, then { type: 'tool_call', id, name, arguments }
+ *   json(task, messages, options)     -> { data, content } - data is null when the reply isn't JSON
+ *
+ * options.tools takes OpenAI-style function definitions ({ type: 'function', function: { name, description,
+ * parameters } }) and options.toolChoice 'auto' (default) or 'none'; tool call arguments arrive parsed.
+ *
+ * Example:
+ *   const llm = getLLMClient();
+ *   const { data } = await llm.json('extraction', messages);
+ */
+
+const config = require('../../../config/config');
+const createGroqDriver = require('./groqDriver');
+const createOpenAIDriver = require('./openaiDriver');
+const createMockDriver = require('./mockDriver');
+
+const DRIVERS = {
+  groq: createGroqDriver,
+  openai: createOpenAIDriver
+};
+
+let client;
+
+/**
+ * Parse a JSON reply, tolerating a markdown code fence or text around the object
+ */
+function parseJsonContent(content) {
+  const fenced = content.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+  const candidates = [content.trim(), fenced?.[1]];
+  const start = content.indexOf('{');
+  const end = content.lastIndexOf('}');
+  if (start !== -1 && end > start) {
+    candidates.push(content.slice(start, end + 1));
+  }
+
+  for (const candidate of candidates) {
+    if (!candidate) {
+      continue;
+    }
+    try {
+      return JSON.parse(candidate);
+    } catch (error) {
+      // Try the next candidate
+    }
+  }
+  return null;
+}
+
+/**
+ * Driver request for a task, with per-call overrides
+ */
+function buildRequest(task, messages, options = {}) {
+  const settings = config.ai.tasks[task];
+  if (!settings) {
+    throw new Error(`Unknown LLM task "${task}". Use one of: ${Object.keys(config.ai.tasks).join(', ')}`);
+  }
+  return {
+    task,
+    model: options.model || config.ai.getModel(task),
+    messages,
+    temperature: options.temperature ?? settings.temperature,
+    maxTokens: options.maxTokens ?? settings.maxTokens,
+    json: Boolean(options.json),
+    tools: options.tools || null,
+    toolChoice: options.toolChoice || null
+  };
+}
+
+/**
+ * Wrap a driver in the task-based interface
+ */
+function createClient(driver) {
+  return {
+    provider: driver.name,
+
+    async complete(task, messages, options) {
+      return driver.complete(buildRequest(task, messages, options));
+    },
+
+    stream(task, messages, options) {
+      return driver.stream(buildRequest(task, messages, options));
+    },
+
+    async json(task, messages, options = {}) {
+      const result = await driver.complete(buildRequest(task, messages, { ...options, json: true }));
+      return { data: parseJsonContent(result.content), content: result.content, usage: result.usage };
+    }
+  };
+}
+
+/**
+ * Create the driver for the current configuration (null when AI isn't configured)
+ */
+function createDriver() {
+  if (config.features.mockMode.ai) {
+    return createMockDriver(config.ai.mock);
+  }
+
+  const driverFactory = DRIVERS[config.ai.provider];
+  if (!driverFactory) {
+    throw new Error(`Unknown AI provider "${config.ai.provider}". Use one of: ${Object.keys(DRIVERS).join(', ')}`);
+  }
+  return config.ai.isConfigured() ? driverFactory(config.ai[config.ai.provider]) : null;
+}
+
+/**
+ * Get the shared client (null when AI isn't configured and mock mode is off)
+ */
+function getLLMClient() {
+  if (client === undefined) {
+    const driver = createDriver();
+    client = driver ? createClient(driver) : null;
+  }
+  return client;
+}
+
+module.exports = {
+  getLLMClient,
+  parseJsonContent
+};
@@ -0,0 +1,268 @@
+/**
+ * Mock LLM Driver
+ * Deterministic scripted model for offline development and tests - no network, same input, same output
+ *
+ * Replies come from fixture rules, checked in order (files from config.ai.mock.fixtures first,
+ * then fixtures/default.json):
+ * {
+ *   "chat":       [{ "match": "regex", "context": "regex", "reply": "text", "quickReplies": ["..."] },
+ *                  { "match": "regex", "toolCalls": [{ "name": "tool", "arguments": {} }] },
+ *                  { "tool": "regex", "reply": "text with {{result}}" }],
+ *   "extraction": [{ "match": "regex", "data": { "industry": "..." } }],
+ *   "calendar":   [{ "match": "regex", "data": { "posts": [...] } }],
+ *   "summary":    [{ "match": "regex", "reply": "text" }]
+ * }
+ *   match   - tested against the latest user message (case-insensitive)
+ *   context - tested against the system messages sent after it (the state's context reminder)
+ *   reply   - raw reply text; quickReplies are appended as a QUICK_REPLIES: trailer
+ *   data    - JSON reply
+ *   toolCalls - call these tools (only offered when the request has them)
+ *   tool    - answers the result of a tool just called (name tested against the regex); {{result}} in the
+ *             reply is replaced with the result's summary or error. Rules without it never answer a tool result.
+ * A rule without match/context always applies. Extraction, calendar and summary requests no rule answers
+ * get generated replies: the latest answer fills the first missing profile field (or corrects the one it
+ * names), calendars get 30 posts from the prompt's start date and industry, and summaries list what the user said.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures', 'default.json');
+
+const CALENDAR_DAYS = 30;
+const POST_TYPES = ['Educational', 'Promotional', 'Inspirational', 'Behind-the-scenes', 'User-generated'];
+const POST_THEMES = ['Tips & how-tos', 'Product spotlight', 'Motivation Monday', 'Meet the team', 'Customer stories', 'FAQ', 'Weekend special'];
+
+// Greetings, yes/no and questions don't describe the business
+const NON_ANSWERS = /^(hi|hello|hey|other|yes|no|ok|okay|thanks|thank you)\b|\?$/i;
+
+// "Actually our audience is students" - a correction of a field captured earlier
+const CORRECTION = /^(?:actually|no|sorry)\b.*?\b(industry|products|services|audience|tone|content)\b.*?\b(?:is|are|should be)\s+(.+?)[.!]?$/i;
+const CORRECTION_FIELDS = {
+  industry: 'industry',
+  products: 'productsServices',
+  services: 'productsServices',
+  audience: 'audience',
+  tone: 'tone',
+  content: 'contentPreferences'
+};
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Load and merge fixture files (earlier files win)
+ */
+function loadFixtures(files) {
+  const merged = { chat: [], extraction: [], calendar: [] };
+  for (const file of files) {
+    const fixtures = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    for (const task of Object.keys(fixtures)) {
+      merged[task] = [...(merged[task] || []), ...fixtures[task]];
+    }
+  }
+  return merged;
+}
+
+function matches(pattern, text) {
+  return !pattern || new RegExp(pattern, 'i').test(text);
+}
+
+/**
+ * Latest user message, the system messages that follow it and the tool result answering it (if any)
+ */
+function splitMessages(messages) {
+  let lastUser = -1;
+  messages.forEach((message, index) => {
+    if (message.role === 'user') {
+      lastUser = index;
+    }
+  });
+  const after = messages.slice(lastUser + 1);
+  return {
+    userMessage: lastUser === -1 ? '' : messages[lastUser].content,
+    context: after.filter(m => m.role === 'system').map(m => m.content).join('\n'),
+    toolResult: findToolResult(after)
+  };
+}
+
+/**
+ * The last tool result in the messages, with the name of the tool that produced it
+ */
+function findToolResult(messages) {
+  const result = [...messages].reverse().find(m => m.role === 'tool');
+  if (!result) {
+    return null;
+  }
+  const call = messages
+    .flatMap(m => m.tool_calls || [])
+    .find(candidate => candidate.id === result.tool_call_id);
+  return { name: call?.function?.name || '', content: result.content || '' };
+}
+
+/**
+ * Summary (or error) of a tool result, for {{result}} in replies
+ */
+function describeToolResult(toolResult) {
+  try {
+    const parsed = JSON.parse(toolResult.content);
+    return parsed.summary || parsed.error || toolResult.content;
+  } catch (error) {
+    return toolResult.content;
+  }
+}
+
+/**
+ * Whether a rule answers this request
+ */
+function ruleApplies(rule, { userMessage, context, toolResult }, tools) {
+  if (Boolean(rule.tool) !== Boolean(toolResult)) {
+    return false;
+  }
+  if (rule.tool && !matches(rule.tool, toolResult.name)) {
+    return false;
+  }
+  if (rule.toolCalls && !rule.toolCalls.every(call => tools.includes(call.name))) {
+    return false;
+  }
+  return matches(rule.match, userMessage) && matches(rule.context, context);
+}
+
+/**
+ * Rule output as reply text and tool calls
+ */
+function renderRule(rule, toolResult, callPrefix) {
+  if (rule.data !== undefined) {
+    return { content: JSON.stringify(rule.data), toolCalls: [] };
+  }
+  const trailer = rule.quickReplies ? `\n\nQUICK_REPLIES: ${JSON.stringify(rule.quickReplies)}` : '';
+  const reply = toolResult ? (rule.reply || '').replace(/\{\{result\}\}/g, describeToolResult(toolResult)) : rule.reply;
+  return {
+    content: rule.toolCalls && !reply ? '' : `${reply || ''}${trailer}`,
+    toolCalls: (rule.toolCalls || []).map((call, index) => ({
+      id: `${callPrefix}_${index}`,
+      name: call.name,
+      arguments: call.arguments || {}
+    }))
+  };
+}
+
+/**
+ * Extraction reply: the latest user answer fills the first field the prompt lists as not captured,
+ * or corrects the field it names ("actually our audience is students")
+ */
+function generateExtraction(prompt) {
+  const missing = ((prompt.match(/^Fields not captured yet: (.*)$/m) || [])[1] || '')
+    .split(',').map(field => field.trim()).filter(field => field && field !== 'none');
+  const answer = ((prompt.match(/Latest exchange:[\s\S]*?\nUser: ([\s\S]*?)\n\nReturn ONLY/) || [])[1] || '').trim();
+
+  const correction = answer.match(CORRECTION);
+  if (correction) {
+    return { updates: [{ field: CORRECTION_FIELDS[correction[1].toLowerCase()], value: correction[2].trim(), confidence: 0.9 }] };
+  }
+  if (missing.length > 0 && answer && !NON_ANSWERS.test(answer)) {
+    return { updates: [{ field: missing[0], value: answer, confidence: 0.8 }] };
+  }
+  return { updates: [] };
+}
+
+/**
+ * Calendar reply: 30 posts starting from the prompt's start date
+ */
+function generateCalendar(prompt) {
+  const startDate = (prompt.match(/starting from (\d{4}-\d{2}-\d{2})/) || [])[1] || new Date().toISOString().slice(0, 10);
+  const industry = (prompt.match(/Industry: (.+)/) || [])[1] || 'your business';
+  const audience = (prompt.match(/Target Audience: (.+)/) || [])[1] || 'your audience';
+  const tag = industry.toLowerCase().replace(/[^a-z0-9]+/g, '');
+  const start = Date.parse(`${startDate}T00:00:00Z`);
+
+  const posts = [];
+  for (let day = 1; day <= CALENDAR_DAYS; day++) {
+    const theme = POST_THEMES[(day - 1) % POST_THEMES.length];
+    posts.push({
+      day,
+      date: new Date(start + (day - 1) * 86400000).toISOString().slice(0, 10),
+      theme,
+      caption: `${theme} for ${audience}: day ${day} of sharing what makes ${industry} special. ✨ What would you like to see next?`,
+      type: POST_TYPES[(day - 1) % POST_TYPES.length],
+      hashtags: [tag || 'business', 'smallbusiness', 'socialmedia']
+    });
+  }
+  return { posts };
+}
+
+/**
+ * Summary reply: the summary so far, then the start of each user message being added
+ */
+function generateSummary(prompt) {
+  const previous = ((prompt.match(/Summary so far:\n([\s\S]*?)\n\nMessages to add:/) || [])[1] || '').trim();
+  const said = [...prompt.matchAll(/^User: (.*)$/gm)].map(match => match[1].slice(0, 40).trim());
+  return [
+    previous === '(none)' ? '' : previous,
+    said.length > 0 ? `The user said: ${said.join('; ')}.` : ''
+  ].filter(Boolean).join(' ');
+}
+
+/**
+ * Rough token count (~4 characters per token), so usage looks like a real provider's
+ */
+function estimateUsage(messages, content) {
+  const promptTokens = Math.ceil(messages.reduce((sum, m) => sum + (m.content || '').length, 0) / 4);
+  const completionTokens = Math.ceil(content.length / 4);
+  return { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens };
+}
+
+/**
+ * Create the scripted driver
+ * options: { fixtures (comma-separated paths), chunkDelayMs }
+ */
+function createMockDriver(options = {}) {
+  const files = (options.fixtures ? options.fixtures.split(',').map(file => file.trim()).filter(Boolean) : []);
+  const fixtures = loadFixtures([...files, DEFAULT_FIXTURES]);
+
+  function reply({ messages, task, tools, toolChoice }) {
+    const split = splitMessages(messages);
+    const offered = toolChoice === 'none' ? [] : (tools || []).map(tool => tool.function.name);
+    const rule = (fixtures[task] || []).find(candidate => ruleApplies(candidate, split, offered));
+    if (rule) {
+      // Call ids only have to be unique within the conversation
+      return renderRule(rule, split.toolResult, `mock_call_${messages.length}`);
+    }
+    if (task === 'extraction') {
+      return { content: JSON.stringify(generateExtraction(split.userMessage)), toolCalls: [] };
+    }
+    if (task === 'calendar') {
+      return { content: JSON.stringify(generateCalendar(split.userMessage)), toolCalls: [] };
+    }
+    if (task === 'summary') {
+      return { content: generateSummary(split.userMessage), toolCalls: [] };
+    }
+    return { content: '', toolCalls: [] };
+  }
+
+  return {
+    name: 'mock',
+
+    async complete(request) {
+      const { content, toolCalls } = reply(request);
+      return { content, toolCalls, usage: estimateUsage(request.messages, content), model: 'mock' };
+    },
+
+    async *stream(request) {
+      const { content, toolCalls } = reply(request);
+      // Word-sized chunks, like a real model's deltas
+      for (const chunk of content.match(/\S+\s*|\s+/g) || []) {
+        if (options.chunkDelayMs) {
+          await sleep(options.chunkDelayMs);
+        }
+        yield { type: 'text', content: chunk };
+      }
+      for (const call of toolCalls) {
+        yield { type: 'tool_call', ...call };
+      }
+    }
+  };
+}
+
+module.exports = createMockDriver;
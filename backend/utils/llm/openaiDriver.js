@@ -0,0 +1,138 @@
+/**
+ * OpenAI-Compatible LLM Driver
+ * Talks to any server implementing POST {baseUrl}/chat/completions - OpenAI itself, or a local
+ * Ollama / llama.cpp / vLLM server. Uses axios, so no vendor SDK is needed.
+ */
+
+const axios = require('axios');
+const { toolRequestFields, readToolCalls, createToolCallCollector } = require('./toolCalls');
+
+/**
+ * Read the error message out of a failed call (streamed responses carry the body as a stream)
+ */
+async function toDriverError(error) {
+  if (!error.response) {
+    return error;
+  }
+
+  let body = error.response.data;
+  if (body && typeof body.on === 'function') {
+    let text = '';
+    try {
+      for await (const chunk of body) {
+        text += chunk;
+      }
+      body = JSON.parse(text);
+    } catch (readError) {
+      body = text;
+    }
+  }
+
+  const message = body?.error?.message || (typeof body === 'string' && body) || error.message;
+  const driverError = new Error(`LLM request failed (${error.response.status}): ${message}`);
+  driverError.status = error.response.status;
+  return driverError;
+}
+
+/**
+ * Stream events for the tool calls collected from a response
+ */
+function* toolCallEvents(toolCalls) {
+  for (const call of toolCalls.finish()) {
+    yield { type: 'tool_call', ...call };
+  }
+}
+
+/**
+ * Create a driver for an OpenAI-compatible endpoint
+ */
+function createOpenAIDriver(options) {
+  const http = axios.create({
+    baseURL: options.baseUrl.replace(/\/+$/, ''),
+    timeout: options.timeoutMs,
+    headers: options.apiKey ? { Authorization: `Bearer ${options.apiKey}` } : {}
+  });
+
+  function buildRequest({ model, messages, temperature, maxTokens, json, tools, toolChoice }) {
+    return {
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      ...(json ? { response_format: { type: 'json_object' } } : {}),
+      ...toolRequestFields({ tools, toolChoice })
+    };
+  }
+
+  return {
+    name: 'openai',
+
+    async complete(request) {
+      let response;
+      try {
+        response = await http.post('/chat/completions', buildRequest(request));
+      } catch (error) {
+        throw await toDriverError(error);
+      }
+      const message = response.data.choices?.[0]?.message;
+      return {
+        content: message?.content || '',
+        toolCalls: readToolCalls(message),
+        usage: response.data.usage || null,
+        model: response.data.model || request.model
+      };
+    },
+
+    async *stream(request) {
+      let response;
+      try {
+        response = await http.post('/chat/completions', { ...buildRequest(request), stream: true }, {
+          responseType: 'stream'
+        });
+      } catch (error) {
+        throw await toDriverError(error);
+      }
+
+      // Server-sent events: "data: {chunk}" lines, ending with "data: [DONE]"
+      response.data.setEncoding('utf8');
+      const toolCalls = createToolCallCollector();
+      let buffer = '';
+      for await (const data of response.data) {
+        buffer += data;
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          const payload = line.trim();
+          if (!payload.startsWith('data:')) {
+            continue;
+          }
+          const event = payload.slice(5).trim();
+          if (event === '[DONE]') {
+            yield* toolCallEvents(toolCalls);
+            return;
+          }
+
+          let chunk;
+          try {
+            chunk = JSON.parse(event);
+          } catch (parseError) {
+            continue;
+          }
+          if (chunk.error) {
+            throw new Error(`LLM stream error: ${chunk.error.message || chunk.error}`);
+          }
+          const delta = chunk.choices?.[0]?.delta;
+          if (delta?.content) {
+            yield { type: 'text', content: delta.content };
+          }
+          toolCalls.add(delta?.tool_calls);
+        }
+      }
+      // Some servers close the stream without a [DONE] line
+      yield* toolCallEvents(toolCalls);
+    }
+  };
+}
+
+module.exports = createOpenAIDriver;
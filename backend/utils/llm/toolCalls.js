@@ -0,0 +1,73 @@
+/**
+ * Tool Calls
+ * Function-calling helpers shared by the OpenAI-style drivers (Groq and OpenAI-compatible servers
+ * use the same wire format). Tool calls reach callers as { id, name, arguments } with parsed arguments.
+ */
+
+/**
+ * Request fields for the tools a call may use (none when the request has no tools)
+ */
+function toolRequestFields({ tools, toolChoice }) {
+  if (!tools || tools.length === 0) {
+    return {};
+  }
+  return { tools, tool_choice: toolChoice || 'auto' };
+}
+
+/**
+ * Parse a call's JSON arguments - a model that sends broken JSON gets an empty object
+ */
+function parseArguments(text) {
+  try {
+    const parsed = JSON.parse(text || '{}');
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Tool calls of a complete (non-streamed) assistant message
+ */
+function readToolCalls(message) {
+  return (message?.tool_calls || []).map(call => ({
+    id: call.id,
+    name: call.function?.name,
+    arguments: parseArguments(call.function?.arguments)
+  }));
+}
+
+/**
+ * Collect streamed tool call fragments: the first fragment of a call carries its id and name,
+ * later ones (same index) append to the arguments text
+ */
+function createToolCallCollector() {
+  const calls = [];
+
+  return {
+    // Servers send tool_calls: null (not just no field) on chunks without tool calls
+    add(deltas) {
+      for (const delta of deltas || []) {
+        const index = delta.index ?? calls.length;
+        const call = calls[index] || (calls[index] = { id: null, name: '', arguments: '' });
+        call.id = delta.id || call.id;
+        call.name += delta.function?.name || '';
+        call.arguments += delta.function?.arguments || '';
+      }
+    },
+
+    finish() {
+      return calls.filter(Boolean).map((call, index) => ({
+        id: call.id || `call_${index}`,
+        name: call.name,
+        arguments: parseArguments(call.arguments)
+      }));
+    }
+  };
+}
+
+module.exports = {
+  toolRequestFields,
+  readToolCalls,
+  createToolCallCollector
+};
@@ -0,0 +1,298 @@
+/**
+ * Media Storage
+ * Image uploads for calendar post attachments, plus validation of attachments
+ * before they are sent to the Graph API
+ *
+ * Attachment shape on a calendar post:
+ *   { type: 'image', url, mediaId? }  // mediaId set when the image was uploaded here
+ *   { type: 'link', url }
+ *
+ * Uploads are stored through the storage adapter as base64 with their content type.
+ * Media ids are random and unguessable, so GET /api/media/:mediaId can be served
+ * without a widget token (the widget shows uploads with a plain <img> tag).
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const config = require('../../config/config');
+const { createStore } = require('./storage');
+const { ERROR_MESSAGES, MEDIA_LIMITS } = require('../constants');
+
+const media = createStore('media');
+
+const DATA_URL_PATTERN = /^data:([\w/+.-]+);base64,(.+)$/s;
+
+// Addresses a user-supplied image URL may not reach from the server: loopback, private, link-local
+// (cloud metadata at 169.254.169.254), carrier-grade NAT, unspecified and multicast ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+const MEDIA_ID_PATTERN = /^med_[a-f0-9]{32}$/;
+
+function mediaError(message, code) {
+  return { success: false, error: { message, code } };
+}
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check an image's content type and size against the Facebook photo limits
+ * Returns null when valid, otherwise { message, code }
+ */
+function validateImage({ contentType, size }) {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  if (!MEDIA_LIMITS.IMAGE_TYPES.includes(type)) {
+    return { message: ERROR_MESSAGES.MEDIA_TYPE_UNSUPPORTED, code: 'MEDIA_TYPE_UNSUPPORTED' };
+  }
+  if (size > MEDIA_LIMITS.MAX_IMAGE_BYTES) {
+    return { message: ERROR_MESSAGES.MEDIA_TOO_LARGE, code: 'MEDIA_TOO_LARGE' };
+  }
+  return null;
+}
+
+/**
+ * Public URL for an uploaded image
+ */
+function getMediaUrl(mediaId) {
+  return `${config.server.backendUrl}/api/media/${mediaId}`;
+}
+
+function toPublicMedia(record) {
+  return {
+    mediaId: record.id,
+    url: getMediaUrl(record.id),
+    contentType: record.contentType,
+    size: record.size,
+    fileName: record.fileName
+  };
+}
+
+/**
+ * Store an uploaded image sent as a data URL
+ * Returns { success: boolean, data?: { media }, error?: { message, code } }
+ */
+async function saveUploadedImage(userId, { dataUrl, fileName } = {}) {
+  const match = typeof dataUrl === 'string' ? dataUrl.match(DATA_URL_PATTERN) : null;
+  if (!match) {
+    return mediaError(ERROR_MESSAGES.MEDIA_REQUIRED, 'MEDIA_REQUIRED');
+  }
+
+  const [, contentType, base64] = match;
+  const buffer = Buffer.from(base64, 'base64');
+  const invalid = validateImage({ contentType, size: buffer.length });
+  if (invalid) {
+    return { success: false, error: invalid };
+  }
+
+  const record = {
+    id: `med_${crypto.randomBytes(16).toString('hex')}`,
+    userId,
+    contentType: contentType.toLowerCase(),
+    size: buffer.length,
+    fileName: typeof fileName === 'string' ? fileName.slice(0, 200) : null,
+    data: buffer.toString('base64'),
+    createdAt: new Date().toISOString()
+  };
+  await media.set(record.id, record);
+
+  return { success: true, data: { media: toPublicMedia(record) } };
+}
+
+/**
+ * Get an uploaded image as { contentType, size, fileName, userId, buffer } (null if unknown)
+ */
+async function getUploadedImage(mediaId) {
+  if (!MEDIA_ID_PATTERN.test(String(mediaId))) {
+    return null;
+  }
+  const record = await media.get(mediaId);
+  if (!record) {
+    return null;
+  }
+  return {
+    contentType: record.contentType,
+    size: record.size,
+    fileName: record.fileName,
+    userId: record.userId,
+    buffer: Buffer.from(record.data, 'base64')
+  };
+}
+
+/**
+ * Normalize a client-supplied attachment (null/empty removes it)
+ * Returns { success: boolean, data?: { attachment }, error?: { message, code } }
+ */
+function normalizeAttachment(attachment) {
+  if (!attachment) {
+    return { success: true, data: { attachment: null } };
+  }
+
+  const invalid = mediaError(ERROR_MESSAGES.ATTACHMENT_INVALID, 'ATTACHMENT_INVALID');
+  if (typeof attachment !== 'object') {
+    return invalid;
+  }
+
+  if (attachment.type === 'image') {
+    if (attachment.mediaId) {
+      if (!MEDIA_ID_PATTERN.test(String(attachment.mediaId))) {
+        return invalid;
+      }
+      return {
+        success: true,
+        data: { attachment: { type: 'image', mediaId: attachment.mediaId, url: getMediaUrl(attachment.mediaId) } }
+      };
+    }
+    if (!isHttpUrl(attachment.url)) {
+      return invalid;
+    }
+    return { success: true, data: { attachment: { type: 'image', url: attachment.url } } };
+  }
+
+  if (attachment.type === 'link') {
+    if (!isHttpUrl(attachment.url)) {
+      return invalid;
+    }
+    return { success: true, data: { attachment: { type: 'link', url: attachment.url } } };
+  }
+
+  return invalid;
+}
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && !BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function notAllowedError() {
+  const error = new Error(ERROR_MESSAGES.MEDIA_URL_NOT_ALLOWED);
+  error.code = 'MEDIA_URL_NOT_ALLOWED';
+  return error;
+}
+
+/**
+ * DNS lookup for outgoing image requests that refuses non-public addresses
+ * Used at connect time, so a name can't resolve to a public address for the check and a private one for the request
+ */
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    if (addresses.length === 0 || !addresses.every(entry => isPublicAddress(entry.address))) {
+      return callback(notAllowedError());
+    }
+    return options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Refuse URLs whose host is (or resolves to) a non-public address - IP literals skip the DNS lookup
+ */
+async function assertPublicHost(url) {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(hostname)
+    ? [hostname]
+    : (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+  if (addresses.length === 0 || !addresses.every(isPublicAddress)) {
+    throw notAllowedError();
+  }
+}
+
+/**
+ * Check a remote image with a HEAD request before handing its URL to Facebook
+ * The server only requests public addresses (redirects included), so the check can't probe the internal network
+ * Servers that don't report a size are given the benefit of the doubt - Facebook enforces the limit too
+ */
+async function inspectRemoteImage(url) {
+  try {
+    await assertPublicHost(url);
+    const response = await axios.head(url, {
+      timeout: 10000,
+      maxRedirects: 5,
+      lookup: publicOnlyLookup,
+      // Redirects to IP literals don't go through the lookup
+      beforeRedirect: (options) => {
+        const hostname = String(options.hostname || '').replace(/^\[|\]$/g, '');
+        if (net.isIP(hostname) && !isPublicAddress(hostname)) {
+          throw notAllowedError();
+        }
+      }
+    });
+    const invalid = validateImage({
+      contentType: response.headers['content-type'],
+      size: Number(response.headers['content-length']) || 0
+    });
+    return invalid ? { success: false, error: invalid } : { success: true };
+  } catch (error) {
+    if (error.code === 'MEDIA_URL_NOT_ALLOWED' || error.cause?.code === 'MEDIA_URL_NOT_ALLOWED') {
+      return mediaError(ERROR_MESSAGES.MEDIA_URL_NOT_ALLOWED, 'MEDIA_URL_NOT_ALLOWED');
+    }
+    return mediaError(ERROR_MESSAGES.MEDIA_UNREACHABLE, 'MEDIA_UNREACHABLE');
+  }
+}
+
+/**
+ * Validate a post's attachment and resolve what the Graph API call needs
+ * Returns { success, data?: { media }, error? } where media is one of:
+ *   null                                    - text-only post
+ *   { kind: 'link', url }                   - feed post with a link preview
+ *   { kind: 'photo', url }                  - Facebook fetches the image itself
+ *   { kind: 'photo', upload: { buffer, contentType, fileName } } - multipart upload
+ */
+async function prepareAttachment(userId, attachment) {
+  const normalized = normalizeAttachment(attachment);
+  if (!normalized.success) {
+    return normalized;
+  }
+
+  const resolved = normalized.data.attachment;
+  if (!resolved) {
+    return { success: true, data: { media: null } };
+  }
+
+  if (resolved.type === 'link') {
+    return { success: true, data: { media: { kind: 'link', url: resolved.url } } };
+  }
+
+  if (resolved.mediaId) {
+    const upload = await getUploadedImage(resolved.mediaId);
+    if (!upload || upload.userId !== userId) {
+      return mediaError(ERROR_MESSAGES.MEDIA_NOT_FOUND, 'MEDIA_NOT_FOUND');
+    }
+    const invalid = validateImage(upload);
+    if (invalid) {
+      return { success: false, error: invalid };
+    }
+    return { success: true, data: { media: { kind: 'photo', upload } } };
+  }
+
+  const inspected = await inspectRemoteImage(resolved.url);
+  if (!inspected.success) {
+    return inspected;
+  }
+  return { success: true, data: { media: { kind: 'photo', url: resolved.url } } };
+}
+
+module.exports = {
+  validateImage,
+  saveUploadedImage,
+  getUploadedImage,
+  normalizeAttachment,
+  prepareAttachment
+};
@@ -0,0 +1,31 @@
+/**
+ * OAuth State Storage
+ * One-time `state` values that tie a Facebook OAuth callback to the user who started it
+ * Kept in the storage adapter (not process memory) so the callback can land on any server instance
+ */
+
+const createOneTimeTokens = require('./oneTimeTokens');
+
+// How long the user has to get through Facebook's OAuth dialog
+const STATE_TTL_MS = 15 * 60 * 1000;
+
+const oauthStates = createOneTimeTokens('facebook_oauth_states', STATE_TTL_MS);
+
+/**
+ * Issue a state value for a user starting OAuth
+ */
+async function createOAuthState(userId) {
+  return oauthStates.issue(userId);
+}
+
+/**
+ * Resolve and invalidate a state value - returns the userId or null if unknown/expired/used
+ */
+async function consumeOAuthState(state) {
+  return oauthStates.consume(state);
+}
+
+module.exports = {
+  createOAuthState,
+  consumeOAuthState
+};
@@ -0,0 +1,143 @@
+/**
+ * Onboarding Flow
+ * Loads and checks the onboarding flow definition (config/onboardingFlow.js, or the JSON file in
+ * config.onboarding.flowFile) that the state machine, context reminders, system prompt and profile
+ * extraction all read. A broken definition throws on load, so it shows up at startup.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config/config');
+const defaultFlow = require('../../config/onboardingFlow');
+
+// Profile fields the flow can't ask for - they are set by scheduling and the Facebook connection
+const RESERVED_FIELDS = ['userId', 'timezone', 'createdAt', 'updatedAt'];
+const STEP_ID_PATTERN = /^[a-z][a-z0-9_]*$/;
+const FIELD_PATTERN = /^[a-zA-Z][a-zA-Z0-9]*$/;
+
+let flow = null;
+
+/**
+ * The custom flow file merged over the default definition
+ */
+function readFlowDefinition() {
+  if (!config.onboarding.flowFile) {
+    return defaultFlow;
+  }
+
+  const custom = JSON.parse(fs.readFileSync(path.resolve(config.onboarding.flowFile), 'utf8'));
+  return {
+    ...defaultFlow,
+    ...custom,
+    facebook: {
+      ...defaultFlow.facebook,
+      ...custom.facebook,
+      prompts: { ...defaultFlow.facebook.prompts, ...custom.facebook?.prompts }
+    }
+  };
+}
+
+/**
+ * Problems with a flow definition (empty when it is usable)
+ */
+function validateFlow(definition) {
+  const problems = [];
+  const ids = new Set();
+  const fields = new Set();
+
+  if (!Array.isArray(definition.steps) || definition.steps.length === 0) {
+    return ['steps must be a non-empty array'];
+  }
+
+  const checkField = (field, where) => {
+    if (typeof field !== 'string' || !FIELD_PATTERN.test(field) || field.startsWith('facebook') || RESERVED_FIELDS.includes(field)) {
+      problems.push(`${where}: field "${field}" is not a usable profile field name`);
+    } else if (fields.has(field)) {
+      problems.push(`${where}: field "${field}" is used twice`);
+    }
+    fields.add(field);
+  };
+
+  definition.steps.forEach((step, index) => {
+    const where = `steps[${index}]`;
+    if (typeof step.id !== 'string' || !STEP_ID_PATTERN.test(step.id)) {
+      problems.push(`${where}: id must be lowercase letters, digits and underscores`);
+    } else if (ids.has(step.id)) {
+      problems.push(`${where}: id "${step.id}" is used twice`);
+    }
+    ids.add(step.id);
+    checkField(step.field, where);
+    if (typeof step.prompt !== 'string' || !step.prompt.trim()) {
+      problems.push(`${where}: prompt is required`);
+    }
+  });
+
+  (definition.learnedFields || []).forEach((learned, index) => checkField(learned.field, `learnedFields[${index}]`));
+
+  const threshold = definition.facebook?.afterUserMessages;
+  if (!Number.isInteger(threshold) || threshold < 0) {
+    problems.push('facebook.afterUserMessages must be a whole number');
+  }
+  for (const prompt of ['required', 'connected', 'ready']) {
+    if (typeof definition.facebook?.prompts?.[prompt] !== 'string') {
+      problems.push(`facebook.prompts.${prompt} is required`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * The onboarding flow, with defaults filled in:
+ * { greeting, steps: [{ id, field, label, description, prompt, quickReplies, required }], learnedFields, facebook }
+ */
+function getOnboardingFlow() {
+  if (flow) {
+    return flow;
+  }
+
+  const definition = readFlowDefinition();
+  const problems = validateFlow(definition);
+  if (problems.length > 0) {
+    throw new Error(`Invalid onboarding flow (${config.onboarding.flowFile || 'config/onboardingFlow.js'}): ${problems.join('; ')}`);
+  }
+
+  const withDefaults = field => ({
+    label: field.field,
+    description: field.label || field.field,
+    ...field
+  });
+  flow = {
+    ...definition,
+    steps: definition.steps.map(step => ({ quickReplies: '', required: true, ...withDefaults(step) })),
+    learnedFields: (definition.learnedFields || []).map(withDefaults)
+  };
+  return flow;
+}
+
+/**
+ * Every profile field the conversation collects - the steps' fields, then the learned ones
+ * Returns [{ field, label, description }]
+ */
+function getProfileFields() {
+  const { steps, learnedFields } = getOnboardingFlow();
+  return [...steps, ...learnedFields].map(({ field, label, description }) => ({ field, label, description }));
+}
+
+/**
+ * The flow as system prompt lines
+ */
+function describeOnboardingFlow() {
+  const { steps, facebook } = getOnboardingFlow();
+  return [
+    ...steps.map((step, index) => `- Question ${index + 1}: Ask about their ${step.description}${step.required ? '' : ' (optional - move on if they skip it)'} (if not already known)`),
+    `- Then (MANDATORY): If Facebook is NOT connected and the user has sent at least ${facebook.afterUserMessages} messages, you MUST suggest connecting Facebook with "Connect Facebook" as a quick reply option`,
+    '- After Facebook connection: Continue gathering any missing details or proceed to post generation'
+  ].join('\n');
+}
+
+module.exports = {
+  getOnboardingFlow,
+  getProfileFields,
+  describeOnboardingFlow
+};
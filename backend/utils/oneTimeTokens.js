@@ -0,0 +1,56 @@
+/**
+ * One-Time Tokens
+ * Short-lived random values that stand in for a user where there is no widget session
+ * (the OAuth callback, the post-OAuth page picker). Each can be consumed once; expired
+ * ones are deleted whenever a new one is issued, so the namespace only holds live tokens.
+ */
+
+const crypto = require('crypto');
+const { createStore } = require('./storage');
+
+/**
+ * Create a token store for a namespace - { issue(userId), consume(token) }
+ */
+function createOneTimeTokens(namespace, ttlMs) {
+  const tokens = createStore(namespace);
+
+  async function pruneExpired(now) {
+    for (const [token, record] of await tokens.entries()) {
+      if (record.expiresAt < now) {
+        await tokens.delete(token);
+      }
+    }
+  }
+
+  return {
+    /**
+     * Issue a token for a user
+     */
+    async issue(userId) {
+      const now = Date.now();
+      await pruneExpired(now);
+      const token = crypto.randomBytes(24).toString('hex');
+      await tokens.set(token, { userId, expiresAt: now + ttlMs });
+      return token;
+    },
+
+    /**
+     * Resolve and invalidate a token - returns the userId, or null if unknown, expired or already used
+     */
+    async consume(token) {
+      if (!token) {
+        return null;
+      }
+      const record = await tokens.get(token);
+      // Deletes are serialized per key - only the caller whose delete removed it gets to use it
+      const deleted = await tokens.delete(token);
+
+      if (!record || !deleted || record.expiresAt < Date.now()) {
+        return null;
+      }
+      return record.userId;
+    }
+  };
+}
+
+module.exports = createOneTimeTokens;
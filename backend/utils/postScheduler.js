@@ -0,0 +1,279 @@
+/**
+ * Post Scheduler
+ * Schedules one post on every target Facebook Page - natively (Facebook scheduled post) or through
+ * the local publish queue. Shared by the scheduling routes and the chat agent's schedule_post tool.
+ */
+
+const config = require('../../config/config');
+const { getBusinessProfile, updateBusinessProfile } = require('./profileStorage');
+const { resolveTargetPages } = require('./facebookPageStorage');
+const { isReconnectRequired } = require('./facebookTokens');
+const {
+  RECONNECT_REQUIRED_CODE,
+  reconnectRequiredError,
+  publishToPage,
+  formatCaption
+} = require('./facebookPublisher');
+const { normalizeAttachment, prepareAttachment } = require('./mediaStorage');
+const { getCalendarPost, moveScheduledPost, markPostScheduled, syncQueuedPost } = require('./calendarStorage');
+const { enqueueJob, listJobs } = require('./publishQueue');
+const { resolveTimeZone, formatLocalIso } = require('./timezone');
+const { NATIVE_MIN_LEAD_MS, resolvePublishTime } = require('./scheduleValidation');
+const { ERROR_MESSAGES } = require('../constants');
+
+const SCHEDULING_MODES = ['native', 'queue'];
+
+/**
+ * Schedule a single post to Facebook (shared function)
+ * Fans out to every target page (postData.pageIds, or the profile's default page)
+ * Succeeds when at least one page accepted the post; data.pages holds the per-page results
+ * Returns { success: boolean, data?: object, error?: object }
+ */
+async function schedulePostToFacebook(userId, postData) {
+  const { postId, date, time, caption, hashtags, pageIds, attachment } = postData;
+  const mode = postData.mode || config.scheduling.mode;
+
+  if (!userId || !date || !caption) {
+    return {
+      success: false,
+      error: {
+        message: ERROR_MESSAGES.SCHEDULE_REQUIRED_FIELDS,
+        code: 'REQUIRED_FIELDS'
+      }
+    };
+  }
+
+  if (!SCHEDULING_MODES.includes(mode)) {
+    return {
+      success: false,
+      error: {
+        message: ERROR_MESSAGES.INVALID_SCHEDULING_MODE,
+        code: 'INVALID_MODE'
+      }
+    };
+  }
+
+  const attachmentCheck = normalizeAttachment(attachment);
+  if (!attachmentCheck.success) {
+    return attachmentCheck;
+  }
+
+  // Get business profile and Facebook connection
+  const profile = await getBusinessProfile(userId);
+
+  // Validate the date in the business's timezone (not the server's - Vercel runs in UTC)
+  // Past dates are only moved when the caller chose a policy that allows it
+  const timeZone = resolveTimeZone(profile);
+  const resolved = resolvePublishTime({ date, time }, {
+    timeZone,
+    policy: postData.policy || 'reject',
+    // Facebook needs 10 minutes' notice; the local queue can publish right away
+    minLeadMs: mode === 'queue' ? 0 : NATIVE_MIN_LEAD_MS,
+    shiftDays: postData.shiftDays
+  });
+  if (!resolved.success) {
+    return resolved;
+  }
+  const { scheduledTime, adjusted } = resolved.data;
+
+  if (!profile) {
+    return {
+      success: false,
+      error: {
+        message: ERROR_MESSAGES.PROFILE_NOT_FOUND
+      }
+    };
+  }
+
+  const { pages, missingPageIds } = resolveTargetPages(profile, pageIds);
+
+  if (pages.length === 0 && missingPageIds.length === 0) {
+    return {
+      success: false,
+      error: {
+        message: ERROR_MESSAGES.FACEBOOK_NOT_CONNECTED,
+        code: 'FACEBOOK_NOT_CONNECTED'
+      }
+    };
+  }
+
+  if (missingPageIds.length > 0) {
+    return {
+      success: false,
+      error: {
+        message: ERROR_MESSAGES.FACEBOOK_PAGE_NOT_CONNECTED,
+        code: 'PAGE_NOT_CONNECTED',
+        details: { missingPageIds }
+      }
+    };
+  }
+
+  if (isReconnectRequired(profile)) {
+    return {
+      success: false,
+      error: reconnectRequiredError()
+    };
+  }
+
+  if (pages.some(page => !page.accessToken)) {
+    return {
+      success: false,
+      error: {
+        message: ERROR_MESSAGES.FACEBOOK_TOKEN_MISSING
+      }
+    };
+  }
+
+  // Check the image itself (type, size, ownership) before anything reaches Facebook
+  const prepared = await prepareAttachment(userId, attachment);
+  if (!prepared.success) {
+    return prepared;
+  }
+  const { media } = prepared.data;
+
+  // Format caption with hashtags
+  const fullCaption = formatCaption(caption, hashtags);
+
+  if (adjusted) {
+    console.log(`Scheduled time moved ${adjusted.days} day(s) (${adjusted.policy}): ${adjusted.from} -> ${adjusted.to}`);
+  }
+
+  if (mode === 'queue') {
+    const post = { postId, caption, hashtags, attachment: attachmentCheck.data.attachment };
+    const queued = await queuePost(userId, post, pages, resolved.data, timeZone);
+    await recordMovedPost(userId, postId, resolved.data);
+    return queued;
+  }
+
+  // Calculate Unix timestamp (seconds since epoch)
+  const unixTimestamp = Math.floor(scheduledTime.getTime() / 1000);
+
+  // Schedule post to Facebook
+  // For scheduled posts, we MUST set published=false and provide scheduled_publish_time
+  // According to Facebook API docs: published must be false when scheduling
+  const facebookPostData = {
+    message: fullCaption,
+    published: false, // REQUIRED: Must be false for scheduled posts
+    scheduled_publish_time: unixTimestamp
+  };
+
+  console.log('Scheduling post to Facebook:', {
+    pageIds: pages.map(page => page.id),
+    scheduledTime: scheduledTime.toISOString(),
+    timeZone,
+    unixTimestamp: unixTimestamp,
+    messageLength: fullCaption.length,
+    media: media ? media.kind : null
+  });
+
+  const pageResults = [];
+  for (const page of pages) {
+    pageResults.push(await publishToPage(page, facebookPostData, media));
+  }
+
+  const succeeded = pageResults.filter(result => result.success);
+
+  // Remember a revoked/expired token so later attempts fail fast and the widget can prompt a reconnect
+  if (pageResults.some(result => result.error?.code === RECONNECT_REQUIRED_CODE)) {
+    await updateBusinessProfile(userId, { facebookReconnectRequired: true });
+  }
+
+  if (succeeded.length > 0 && postId) {
+    // Remember the Facebook post ids so the calendar can list, reschedule and cancel them later
+    // Posts scheduled from outside the saved calendar have nothing to update
+    await markPostScheduled(userId, postId, {
+      scheduledTime: scheduledTime.toISOString(),
+      facebookPosts: succeeded.map(result => ({
+        pageId: result.pageId,
+        pageName: result.pageName,
+        facebookPostId: result.facebookPostId
+      }))
+    });
+    await recordMovedPost(userId, postId, resolved.data);
+  }
+
+  if (succeeded.length === 0) {
+    // Surface a reconnect error first, otherwise the first page's error (same as single-page callers saw before)
+    const primaryFailure = pageResults.find(result => result.error.code === RECONNECT_REQUIRED_CODE) || pageResults[0];
+    return {
+      success: false,
+      error: {
+        ...primaryFailure.error,
+        pages: pageResults
+      }
+    };
+  }
+
+  return {
+    success: true,
+    data: {
+      postId: postId,
+      mediaType: media ? media.kind : null,
+      // First successful page - kept for callers that expect a single Facebook post
+      facebookPostId: succeeded[0].facebookPostId,
+      scheduledTime: scheduledTime.toISOString(),
+      scheduledTimeLocal: formatLocalIso(scheduledTime, timeZone),
+      timezone: timeZone,
+      adjusted,
+      pages: pageResults,
+      failedPages: pageResults.length - succeeded.length
+    }
+  };
+}
+
+/**
+ * Move a calendar post to the date it was actually scheduled for (past-date policies)
+ */
+async function recordMovedPost(userId, postId, { adjusted, date, time }) {
+  if (adjusted && postId) {
+    await moveScheduledPost(userId, postId, { date, time });
+  }
+}
+
+/**
+ * Put a post in the local publish queue (one job per page) instead of scheduling it on Facebook
+ * The publish worker posts it at publishAt - no 10 minute minimum applies
+ */
+async function queuePost(userId, post, pages, { scheduledTime: publishAt, adjusted }, timeZone) {
+  // Jobs remember which calendar the post belongs to - a regenerated calendar reuses the post ids
+  const calendarPost = post.postId ? await getCalendarPost(userId, post.postId) : null;
+  const calendarId = calendarPost?.success ? calendarPost.data.calendar.id : null;
+
+  const pageResults = [];
+  for (const page of pages) {
+    const job = await enqueueJob({ userId, calendarId, calendarPostId: post.postId, page, post, publishAt: publishAt.toISOString() });
+    pageResults.push({ pageId: page.id, pageName: page.name, success: true, jobId: job.id, status: job.status });
+  }
+
+  if (calendarId) {
+    const postJobs = await listJobs(userId, { calendarId, calendarPostId: post.postId });
+    await syncQueuedPost(userId, calendarId, post.postId, postJobs);
+  }
+
+  console.log('Queued post for publishing:', {
+    pageIds: pages.map(page => page.id),
+    publishAt: publishAt.toISOString(),
+    timeZone
+  });
+
+  return {
+    success: true,
+    data: {
+      postId: post.postId,
+      queued: true,
+      mediaType: post.attachment ? (post.attachment.type === 'image' ? 'photo' : 'link') : null,
+      facebookPostId: null,
+      scheduledTime: publishAt.toISOString(),
+      scheduledTimeLocal: formatLocalIso(publishAt, timeZone),
+      timezone: timeZone,
+      adjusted,
+      pages: pageResults,
+      failedPages: 0
+    }
+  };
+}
+
+module.exports = {
+  SCHEDULING_MODES,
+  schedulePostToFacebook
+};
@@ -0,0 +1,134 @@
+/**
+ * Profile Extraction
+ * Reads business details out of the user's latest chat message with the extraction model and saves them
+ * to the profile - new fields and corrections of fields captured earlier alike. Runs at the start of each
+ * chat turn, so the reply already knows what was learned.
+ *
+ * The result is a typed diff of what changed:
+ *   [{ field, label, old, new, confidence }]   // old is null for a field that wasn't set; confidence is 0-1
+ * Values the model is less than PROFILE_EXTRACTION.MIN_CONFIDENCE sure about are not saved.
+ */
+
+const { getBusinessProfile, updateBusinessProfile } = require('./profileStorage');
+const { getProfileFields } = require('./onboardingFlow');
+const { PROFILE_EXTRACTION } = require('../constants');
+
+// Profile fields learned from the conversation (the onboarding flow's), with what each one means for the model
+const EXTRACTED_FIELDS = Object.fromEntries(getProfileFields().map(({ field, description }) => [field, description]));
+const FIELD_LABELS = Object.fromEntries(getProfileFields().map(({ field, label }) => [field, label]));
+
+/**
+ * Build the extraction prompt for the latest exchange
+ */
+function buildExtractionPrompt(profile, recentMessages, assistantMessage, userMessage) {
+  const fields = Object.keys(EXTRACTED_FIELDS);
+  const missing = fields.filter(field => !profile[field]);
+
+  return `Analyze the latest user message in this conversation with a business owner and extract business profile information.
+
+Current profile:
+${fields.map(field => `- ${field} (${EXTRACTED_FIELDS[field]}): ${profile[field] || 'not set'}`).join('\n')}
+
+Fields not captured yet: ${missing.join(', ') || 'none'}
+
+Recent conversation:
+${recentMessages || '(none)'}
+
+Latest exchange:
+Assistant: ${assistantMessage || '(conversation start)'}
+User: ${userMessage}
+
+Return ONLY a JSON object listing the fields the latest user message states or corrects:
+{
+  "updates": [
+    { "field": "industry", "value": "Bakery", "confidence": 0.9 }
+  ]
+}
+
+IMPORTANT:
+- field must be one of: ${fields.join(', ')}
+- Include a field that is already set only when the user corrects or changes it (e.g. "actually we're a cafe, not a bakery")
+- If the user picks an option the assistant offered (e.g. "Young professionals" when asked about the audience), use it
+- confidence: 1 when stated outright, around 0.5 when only implied
+- Greetings, questions and yes/no answers carry no profile information - return {"updates": []}`;
+}
+
+/**
+ * The model's updates as a diff against the profile (unknown fields, unchanged and unsure values dropped)
+ */
+function toChanges(updates, profile) {
+  if (!Array.isArray(updates)) {
+    return [];
+  }
+
+  const changes = new Map();
+  for (const update of updates) {
+    const value = typeof update?.value === 'string' ? update.value.trim() : '';
+    const confidence = Number(update?.confidence);
+    if (!EXTRACTED_FIELDS[update?.field] || !value || value === 'null') {
+      continue;
+    }
+    if (!(confidence >= PROFILE_EXTRACTION.MIN_CONFIDENCE) || value === profile[update.field]) {
+      continue;
+    }
+    changes.set(update.field, {
+      field: update.field,
+      label: FIELD_LABELS[update.field],
+      old: profile[update.field] || null,
+      new: value,
+      confidence: Math.min(confidence, 1)
+    });
+  }
+  return Array.from(changes.values());
+}
+
+/**
+ * Extract profile details from the user's message and save them
+ * conversationHistory is the conversation before this message
+ * Returns { success, data?: { changes, profile }, error? } - changes is empty when nothing was learned
+ */
+async function extractProfileUpdates(llm, userId, userMessage, conversationHistory = []) {
+  const profile = (await getBusinessProfile(userId)) || {};
+  const visible = conversationHistory.filter(msg => (msg.role === 'user' || msg.role === 'assistant') && msg.content);
+  const assistantMessage = visible.filter(msg => msg.role === 'assistant').pop()?.content || '';
+  const recentMessages = visible
+    .slice(-PROFILE_EXTRACTION.CONTEXT_MESSAGES)
+    .map(msg => `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}`)
+    .join('\n');
+
+  let extracted;
+  try {
+    extracted = await llm.json('extraction', [
+      {
+        role: 'system',
+        content: 'You are a precise information extraction assistant. Extract only business information the user states and return valid JSON.'
+      },
+      {
+        role: 'user',
+        content: buildExtractionPrompt(profile, recentMessages, assistantMessage, userMessage)
+      }
+    ]);
+  } catch (error) {
+    console.error('Profile extraction error:', error.message);
+    return { success: false, error: { message: error.message, code: 'EXTRACTION_FAILED' } };
+  }
+
+  if (!extracted.data) {
+    console.error('Error parsing LLM extraction response:', extracted.content);
+    return { success: false, error: { message: 'Extraction reply was not JSON', code: 'EXTRACTION_INVALID' } };
+  }
+
+  const changes = toChanges(extracted.data.updates, profile);
+  if (changes.length === 0) {
+    return { success: true, data: { changes, profile } };
+  }
+
+  const updated = await updateBusinessProfile(userId, Object.fromEntries(changes.map(change => [change.field, change.new])));
+  console.log('Business profile updated:', changes.map(change => `${change.field}=${change.new}`).join(', '));
+  return { success: true, data: { changes, profile: updated } };
+}
+
+module.exports = {
+  EXTRACTED_FIELDS,
+  extractProfileUpdates
+};
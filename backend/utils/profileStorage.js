@@ -1,54 +1,66 @@
-// In-memory storage for business profiles
-// In production, use a database (MongoDB, PostgreSQL, etc.)
+// Persistent storage for business profiles
+// Backed by the storage adapter (config.storage.driver) - file on disk by default, memory for tests
 
-const profiles = new Map();
+const { createStore } = require('./storage');
+const { getProfileFields } = require('./onboardingFlow');
+
+const profiles = createStore('profiles');
 
 /**
  * Get business profile for a user
  */
-function getBusinessProfile(userId) {
-  return profiles.get(userId) || null;
+async function getBusinessProfile(userId) {
+  if (!userId) {
+    return null;
+  }
+  return (await profiles.get(userId)) || null;
+}
+
+/**
+ * Keep only the business profile fields a client may write
+ * Everything else - the facebook* connection state, timestamps - is written by the server
+ */
+function pickBusinessProfileFields(data = {}) {
+  const fields = [...getProfileFields().map(({ field }) => field), 'timezone'];
+  return Object.fromEntries(fields.filter(field => data[field] !== undefined).map(field => [field, data[field]]));
 }
 
 /**
  * Update business profile for a user
  */
-function updateBusinessProfile(userId, updates) {
-  const existing = profiles.get(userId) || {};
-  const updated = {
-    ...existing,
+async function updateBusinessProfile(userId, updates) {
+  return profiles.update(userId, (existing) => ({
+    ...(existing || {}),
     ...updates,
     updatedAt: new Date().toISOString()
-  };
-  profiles.set(userId, updated);
-  return updated;
+  }));
 }
 
 /**
  * Create or update business profile
+ * The Facebook connection (only written by the OAuth flow) is kept as it is
  */
-function saveBusinessProfile(userId, profileData) {
-  const profile = {
+async function saveBusinessProfile(userId, profileData) {
+  return profiles.update(userId, (existing) => ({
+    ...(existing || {}),
     userId,
-    industry: profileData.industry || null,
-    audience: profileData.audience || null,
-    tone: profileData.tone || null,
-    contentPreferences: profileData.contentPreferences || null,
-    facebookConnected: profileData.facebookConnected || false,
-    facebookPageId: profileData.facebookPageId || null,
-    createdAt: profiles.get(userId)?.createdAt || new Date().toISOString(),
+    // Every field the onboarding flow collects (config/onboardingFlow.js)
+    ...Object.fromEntries(getProfileFields().map(({ field }) => [field, profileData[field] || null])),
+    // IANA timezone scheduling runs in - kept when the client doesn't resend it
+    timezone: profileData.timezone || existing?.timezone || null,
+    facebookConnected: existing?.facebookConnected || false,
+    facebookPageId: existing?.facebookPageId || null,
+    createdAt: existing?.createdAt || new Date().toISOString(),
     updatedAt: new Date().toISOString()
-  };
-  
-  profiles.set(userId, profile);
-  return profile;
+  }));
 }
 
 /**
  * Get all profiles (for debugging/admin)
  */
-function getAllProfiles() {
-  return Array.from(profiles.entries()).map(([userId, profile]) => ({
+async function getAllProfiles() {
+  const entries = await profiles.entries();
+  return entries.map(([userId, profile]) => ({
     userId,
     ...profile
   }));
@@ -58,6 +70,6 @@ module.exports = {
   getBusinessProfile,
   updateBusinessProfile,
   saveBusinessProfile,
+  pickBusinessProfileFields,
   getAllProfiles
 };
-
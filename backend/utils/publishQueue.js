@@ -0,0 +1,413 @@
+/**
+ * Publish Queue
+ * Durable local job queue for posts we publish ourselves at their target time
+ * (instead of Facebook's scheduled_publish_time) - persisted through the storage adapter
+ *
+ * Job shape (one job per post per page):
+ * {
+ *   id, userId, calendarId, calendarPostId, pageId, pageName,   // post ids repeat across regenerated calendars - calendarId tells them apart
+ *   post: { caption, hashtags, attachment },
+ *   publishAt: ISO string (UTC),
+ *   status: 'queued' | 'publishing' | 'published' | 'failed' | 'cancelled',
+ *   attempts, maxAttempts, nextAttemptAt, lastError, facebookPostId,
+ *   history: [{ status, at, error? }],
+ *   createdAt, updatedAt
+ * }
+ * Finished jobs (published, failed, cancelled) are deleted config.scheduling.queue.retentionMs after their last change.
+ *
+ * Jobs are indexed so neither the worker nor the API reads every user's jobs:
+ *   publish_jobs_by_user:   userId -> { jobIds }
+ *   publish_jobs_by_status: 'queued' | 'publishing' | 'finished' -> { jobs: { [jobId]: at } }
+ *     (at: nextAttemptAt for queued jobs, updatedAt otherwise - what the worker picks them by)
+ * The job record is the source of truth: an index entry whose job has moved on is dropped when it's read.
+ */
+
+const crypto = require('crypto');
+const config = require('../../config/config');
+const { createStore } = require('./storage');
+const { ERROR_MESSAGES } = require('../constants');
+
+const jobs = createStore('publish_jobs');
+const jobsByUser = createStore('publish_jobs_by_user');
+const jobsByStatus = createStore('publish_jobs_by_status');
+
+const JOB_STATUSES = ['queued', 'publishing', 'published', 'failed', 'cancelled'];
+const FINISHED_STATUSES = ['published', 'failed', 'cancelled'];
+
+// Not a valid userId (see widgetAuth), so it can't collide with a user's index
+const INDEX_MIGRATED_KEY = '*migrated';
+let indexReady = false;
+
+/**
+ * Apply a status transition to a job record (returns the new record)
+ */
+function transition(job, status, changes = {}) {
+  const now = new Date().toISOString();
+  return {
+    ...job,
+    ...changes,
+    status,
+    updatedAt: now,
+    history: [...(job.history || []), { status, at: now, ...(changes.lastError ? { error: changes.lastError.message } : {}) }]
+  };
+}
+
+/**
+ * The status index a job is kept in, and the time it's picked by there
+ */
+function statusIndexKey(status) {
+  return FINISHED_STATUSES.includes(status) ? 'finished' : status;
+}
+
+function statusIndexTime(job) {
+  return job.status === 'queued' ? job.nextAttemptAt : job.updatedAt;
+}
+
+async function removeFromStatusIndex(indexKey, jobId) {
+  await jobsByStatus.update(indexKey, (existing) => {
+    if (!existing?.jobs[jobId]) {
+      return undefined;
+    }
+    const { [jobId]: removed, ...rest } = existing.jobs;
+    return { jobs: rest };
+  });
+}
+
+/**
+ * Move a job to its status's index (from previousStatus's, if it changed)
+ */
+async function indexJob(job, previousStatus) {
+  if (previousStatus && statusIndexKey(previousStatus) !== statusIndexKey(job.status)) {
+    await removeFromStatusIndex(statusIndexKey(previousStatus), job.id);
+  }
+  await jobsByStatus.update(statusIndexKey(job.status), existing => ({
+    jobs: { ...(existing?.jobs || {}), [job.id]: statusIndexTime(job) }
+  }));
+}
+
+async function addToUserIndex(userId, jobId) {
+  await jobsByUser.update(userId, (existing) => {
+    const jobIds = existing?.jobIds || [];
+    return jobIds.includes(jobId) ? undefined : { jobIds: [...jobIds, jobId] };
+  });
+}
+
+async function removeFromUserIndex(userId, jobId) {
+  await jobsByUser.update(userId, (existing) => {
+    if (!existing?.jobIds.includes(jobId)) {
+      return undefined;
+    }
+    return { jobIds: existing.jobIds.filter(id => id !== jobId) };
+  });
+}
+
+/**
+ * Index jobs queued before the indexes existed - once per store
+ */
+async function ensureIndexed() {
+  if (indexReady) {
+    return;
+  }
+  if (!(await jobsByUser.get(INDEX_MIGRATED_KEY))) {
+    for (const [, job] of await jobs.entries()) {
+      await addToUserIndex(job.userId, job.id);
+      await indexJob(job);
+    }
+    await jobsByUser.set(INDEX_MIGRATED_KEY, { migratedAt: new Date().toISOString() });
+  }
+  indexReady = true;
+}
+
+/**
+ * Update a job record and keep its status index in step
+ * Same contract as the store's update(): the updater returning undefined leaves the job as it is
+ */
+async function updateJob(jobId, updater) {
+  let previousStatus;
+  let written = false;
+  const job = await jobs.update(jobId, async (current) => {
+    previousStatus = current?.status;
+    const updated = await updater(current);
+    written = updated !== undefined;
+    return updated;
+  });
+  if (written) {
+    await indexJob(job, previousStatus);
+  }
+  return job;
+}
+
+/**
+ * Jobs listed in a status index at or before a time, earliest first, as [jobId, at]
+ */
+async function getIndexedBefore(indexKey, before) {
+  const index = await jobsByStatus.get(indexKey);
+  return Object.entries(index?.jobs || {})
+    .filter(([, at]) => new Date(at).getTime() <= before)
+    .sort((a, b) => new Date(a[1]) - new Date(b[1]));
+}
+
+/**
+ * Add a job for one post on one page
+ */
+async function enqueueJob({ userId, calendarId, calendarPostId, page, post, publishAt }) {
+  const now = new Date().toISOString();
+  const job = {
+    id: `job_${crypto.randomBytes(12).toString('hex')}`,
+    userId,
+    calendarId: calendarId || null,
+    calendarPostId: calendarPostId || null,
+    pageId: page.id,
+    pageName: page.name,
+    post: {
+      caption: post.caption,
+      hashtags: post.hashtags || [],
+      attachment: post.attachment || null
+    },
+    publishAt,
+    status: 'queued',
+    attempts: 0,
+    maxAttempts: config.scheduling.queue.maxAttempts,
+    nextAttemptAt: publishAt,
+    lastError: null,
+    facebookPostId: null,
+    history: [{ status: 'queued', at: now }],
+    createdAt: now,
+    updatedAt: now
+  };
+  await jobs.set(job.id, job);
+  await addToUserIndex(userId, job.id);
+  await indexJob(job);
+  return job;
+}
+
+/**
+ * Get one job (null if unknown)
+ */
+async function getJob(jobId) {
+  return jobs.get(jobId);
+}
+
+/**
+ * List a user's jobs, optionally filtered by status and/or calendar post, ordered by publish time
+ * A calendar post is identified by calendarId plus calendarPostId (post ids repeat across calendars)
+ */
+async function listJobs(userId, { status, calendarId, calendarPostId } = {}) {
+  await ensureIndexed();
+  const index = await jobsByUser.get(userId);
+  const loaded = await Promise.all((index?.jobIds || []).map(jobId => jobs.get(jobId)));
+  return loaded
+    .filter(job => job && job.userId === userId)
+    .filter(job => !status || job.status === status)
+    .filter(job => !calendarId || job.calendarId === calendarId)
+    .filter(job => !calendarPostId || job.calendarPostId === calendarPostId)
+    .sort((a, b) => new Date(a.publishAt) - new Date(b.publishAt));
+}
+
+/**
+ * Count a user's jobs per status
+ */
+function countByStatus(jobList) {
+  const counts = Object.fromEntries(JOB_STATUSES.map(status => [status, 0]));
+  for (const job of jobList) {
+    counts[job.status]++;
+  }
+  return counts;
+}
+
+/**
+ * Move due jobs from 'queued' to 'publishing' and return them
+ * The transition happens inside a storage update, so a job is only claimed once
+ */
+async function claimDueJobs(now = new Date(), limit = 10) {
+  await ensureIndexed();
+  const due = await getIndexedBefore('queued', now.getTime());
+
+  const claimed = [];
+  for (const [jobId] of due) {
+    if (claimed.length >= limit) {
+      break;
+    }
+    let claimedJob = null;
+    let current = null;
+    await updateJob(jobId, (job) => {
+      current = job;
+      if (!job || job.status !== 'queued' || new Date(job.nextAttemptAt) > now) {
+        return undefined;
+      }
+      claimedJob = transition(job, 'publishing', { attempts: job.attempts + 1 });
+      return claimedJob;
+    });
+    if (claimedJob) {
+      claimed.push(claimedJob);
+    } else if (current?.status !== 'queued') {
+      await removeFromStatusIndex('queued', jobId);
+    }
+  }
+  return claimed;
+}
+
+/**
+ * Mark a job published
+ */
+async function completeJob(jobId, facebookPostId) {
+  return updateJob(jobId, (job) => (job ? transition(job, 'published', { facebookPostId, lastError: null }) : undefined));
+}
+
+/**
+ * Record a failed attempt - requeued with exponential backoff while attempts remain and the error is retryable
+ */
+async function failJob(jobId, error, { retryable = false } = {}) {
+  return updateJob(jobId, (job) => {
+    if (!job) {
+      return undefined;
+    }
+    if (retryable && job.attempts < job.maxAttempts) {
+      const delay = config.scheduling.queue.retryBaseDelayMs * 2 ** (job.attempts - 1);
+      return transition(job, 'queued', {
+        lastError: error,
+        nextAttemptAt: new Date(Date.now() + delay).toISOString()
+      });
+    }
+    return transition(job, 'failed', { lastError: error });
+  });
+}
+
+/**
+ * Cancel a queued (or failed) job
+ * Returns { success: boolean, data?: { job }, error?: { message, code } }
+ */
+async function cancelJob(userId, jobId) {
+  let result;
+  await updateJob(jobId, (job) => {
+    if (!job || job.userId !== userId) {
+      result = { success: false, error: { message: ERROR_MESSAGES.JOB_NOT_FOUND, code: 'JOB_NOT_FOUND' } };
+      return undefined;
+    }
+    if (!['queued', 'failed'].includes(job.status)) {
+      result = { success: false, error: { message: ERROR_MESSAGES.JOB_NOT_CANCELLABLE, code: 'JOB_NOT_CANCELLABLE' } };
+      return undefined;
+    }
+    const cancelled = transition(job, 'cancelled');
+    result = { success: true, data: { job: cancelled } };
+    return cancelled;
+  });
+  return result;
+}
+
+/**
+ * Put a failed job back in the queue to be published as soon as possible
+ */
+async function retryJob(userId, jobId) {
+  let result;
+  await updateJob(jobId, (job) => {
+    if (!job || job.userId !== userId) {
+      result = { success: false, error: { message: ERROR_MESSAGES.JOB_NOT_FOUND, code: 'JOB_NOT_FOUND' } };
+      return undefined;
+    }
+    if (job.status !== 'failed') {
+      result = { success: false, error: { message: ERROR_MESSAGES.JOB_NOT_RETRYABLE, code: 'JOB_NOT_RETRYABLE' } };
+      return undefined;
+    }
+    const requeued = transition(job, 'queued', {
+      attempts: 0,
+      nextAttemptAt: new Date().toISOString()
+    });
+    result = { success: true, data: { job: requeued } };
+    return requeued;
+  });
+  return result;
+}
+
+/**
+ * Requeue jobs left in 'publishing' by a server that stopped mid-publish
+ * Facebook may have accepted the post before the crash - the retry can then duplicate it
+ */
+async function recoverStaleJobs(now = new Date()) {
+  const staleBefore = now.getTime() - config.scheduling.queue.staleAfterMs;
+  await ensureIndexed();
+  let recovered = 0;
+
+  for (const [jobId] of await getIndexedBefore('publishing', staleBefore)) {
+    let current = null;
+    let stale = false;
+    await updateJob(jobId, (job) => {
+      current = job;
+      stale = job?.status === 'publishing' && new Date(job.updatedAt).getTime() <= staleBefore;
+      return stale ? transition(job, 'queued', { nextAttemptAt: now.toISOString() }) : undefined;
+    });
+    if (stale) {
+      recovered++;
+    } else if (current?.status !== 'publishing') {
+      await removeFromStatusIndex('publishing', jobId);
+    }
+  }
+  return recovered;
+}
+
+/**
+ * Delete finished jobs not changed for config.scheduling.queue.retentionMs, so users' job lists
+ * and the finished index stay the size of the recent work
+ * Returns the number of jobs deleted
+ */
+async function pruneFinishedJobs(now = new Date()) {
+  const expiredBefore = now.getTime() - config.scheduling.queue.retentionMs;
+  await ensureIndexed();
+  let pruned = 0;
+
+  for (const [jobId] of await getIndexedBefore('finished', expiredBefore)) {
+    const job = await jobs.get(jobId);
+    const finished = Boolean(job) && FINISHED_STATUSES.includes(job.status);
+    const expired = finished && new Date(job.updatedAt).getTime() <= expiredBefore;
+    if (expired) {
+      await jobs.delete(jobId);
+      await removeFromUserIndex(job.userId, jobId);
+      pruned++;
+    }
+    // Deleted, or the job has moved on since it was indexed
+    if (expired || !finished) {
+      await removeFromStatusIndex('finished', jobId);
+    }
+  }
+  return pruned;
+}
+
+/**
+ * Job as returned by the API (the post's attachment stays internal)
+ */
+function toPublicJob(job) {
+  return {
+    id: job.id,
+    calendarId: job.calendarId || null,
+    calendarPostId: job.calendarPostId,
+    pageId: job.pageId,
+    pageName: job.pageName,
+    publishAt: job.publishAt,
+    status: job.status,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    nextAttemptAt: job.status === 'queued' ? job.nextAttemptAt : null,
+    lastError: job.lastError,
+    facebookPostId: job.facebookPostId,
+    caption: job.post.caption,
+    history: job.history,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  };
+}
+
+module.exports = {
+  JOB_STATUSES,
+  enqueueJob,
+  getJob,
+  listJobs,
+  countByStatus,
+  claimDueJobs,
+  completeJob,
+  failJob,
+  cancelJob,
+  retryJob,
+  recoverStaleJobs,
+  pruneFinishedJobs,
+  toPublicJob
+};
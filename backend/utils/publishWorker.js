@@ -0,0 +1,142 @@
+/**
+ * Publish Worker
+ * Background loop that publishes due publish queue jobs (see publishQueue) to Facebook
+ *
+ * Runs inside the long-lived server process only - serverless deployments (Vercel) have no
+ * process to keep the timer alive, so they keep using Facebook's native scheduling.
+ */
+
+const config = require('../../config/config');
+const { getBusinessProfile, updateBusinessProfile } = require('./profileStorage');
+const { resolveTargetPages } = require('./facebookPageStorage');
+const { isReconnectRequired } = require('./facebookTokens');
+const { prepareAttachment } = require('./mediaStorage');
+const { syncQueuedPost } = require('./calendarStorage');
+const { RECONNECT_REQUIRED_CODE, reconnectRequiredError, publishToPage, formatCaption } = require('./facebookPublisher');
+const { claimDueJobs, completeJob, failJob, listJobs, recoverStaleJobs, pruneFinishedJobs } = require('./publishQueue');
+const { ERROR_MESSAGES } = require('../constants');
+
+let timer = null;
+let running = false;
+let lastPrunedAt = 0;
+
+/**
+ * Publish one claimed job right now
+ * Returns the per-page publish result (plus retryable for failures)
+ */
+async function publishJob(job) {
+  const profile = await getBusinessProfile(job.userId);
+  if (!profile) {
+    return { success: false, error: { message: ERROR_MESSAGES.PROFILE_NOT_FOUND } };
+  }
+
+  // Re-resolve the page so a token refreshed since the job was queued is used
+  const { pages } = resolveTargetPages(profile, [job.pageId]);
+  if (pages.length === 0) {
+    return {
+      success: false,
+      error: { message: ERROR_MESSAGES.FACEBOOK_PAGE_NOT_CONNECTED, code: 'PAGE_NOT_CONNECTED' }
+    };
+  }
+  if (isReconnectRequired(profile)) {
+    return { success: false, error: reconnectRequiredError() };
+  }
+
+  const prepared = await prepareAttachment(job.userId, job.post.attachment);
+  if (!prepared.success) {
+    // An unreachable image may come back; a missing or invalid one won't
+    return { ...prepared, retryable: prepared.error.code === 'MEDIA_UNREACHABLE' };
+  }
+
+  const result = await publishToPage(pages[0], {
+    message: formatCaption(job.post.caption, job.post.hashtags)
+  }, prepared.data.media);
+
+  if (result.error?.code === RECONNECT_REQUIRED_CODE) {
+    await updateBusinessProfile(job.userId, { facebookReconnectRequired: true });
+  }
+  return result;
+}
+
+/**
+ * Publish every due job once (safe to call concurrently - overlapping calls are skipped)
+ * Returns the number of jobs processed
+ */
+async function runPublishCycle(now = new Date()) {
+  if (running) {
+    return 0;
+  }
+  running = true;
+
+  try {
+    if (now.getTime() - lastPrunedAt >= config.scheduling.queue.pruneIntervalMs) {
+      lastPrunedAt = now.getTime();
+      const pruned = await pruneFinishedJobs(now);
+      if (pruned > 0) {
+        console.log(`Publish worker: deleted ${pruned} finished job(s) past retention`);
+      }
+    }
+    await recoverStaleJobs(now);
+    const jobs = await claimDueJobs(now);
+
+    for (const job of jobs) {
+      let result;
+      try {
+        result = await publishJob(job);
+      } catch (error) {
+        console.error(`Publish job ${job.id} error:`, error);
+        result = { success: false, retryable: true, error: { message: error.message } };
+      }
+
+      const updated = result.success
+        ? await completeJob(job.id, result.facebookPostId)
+        : await failJob(job.id, result.error, { retryable: result.retryable });
+      console.log(`Publish job ${job.id} (attempt ${updated.attempts}/${updated.maxAttempts}): ${updated.status}`);
+
+      if (job.calendarId && job.calendarPostId) {
+        const postJobs = await listJobs(job.userId, { calendarId: job.calendarId, calendarPostId: job.calendarPostId });
+        const synced = await syncQueuedPost(job.userId, job.calendarId, job.calendarPostId, postJobs);
+        if (!synced.success) {
+          // The post was deleted or the calendar regenerated - the job result still stands
+          console.warn(`Publish job ${job.id}: calendar post not updated (${synced.error.code})`);
+        }
+      }
+    }
+
+    return jobs.length;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start polling the queue (no-op if already started)
+ */
+function startPublishWorker() {
+  if (timer) {
+    return;
+  }
+
+  const tick = () => runPublishCycle().catch(error => console.error('Publish worker error:', error));
+  timer = setInterval(tick, config.scheduling.queue.pollIntervalMs);
+  // Don't keep the process alive just for the worker
+  timer.unref();
+  tick();
+  console.log(`📬 Publish worker started (polling every ${config.scheduling.queue.pollIntervalMs / 1000}s)`);
+}
+
+/**
+ * Stop polling the queue
+ */
+function stopPublishWorker() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  runPublishCycle,
+  startPublishWorker,
+  stopPublishWorker
+};
@@ -0,0 +1,223 @@
+/**
+ * Schedule Idempotency
+ * Makes scheduling a calendar post safe to repeat: the widget retries slow requests, and a retry
+ * of a request that already reached Facebook must return the original result instead of posting again
+ *
+ * The key is the client's idempotencyKey, or derived from the saved calendar and post id
+ * (`post:{calendarId}:{postId}` - post ids repeat across regenerated calendars, calendar ids don't).
+ *
+ * Record shape (one per user and key):
+ * {
+ *   userId, key, postId, fingerprint,   // fingerprint: hash of the request fields that matter
+ *   status: 'pending' | 'partial' | 'completed',
+ *   data,                               // schedule result data (partial: some pages failed)
+ *   createdAt, completedAt
+ * }
+ * Failed attempts delete their record, so they can be retried. A repeat of a partial result retries
+ * only the pages that failed, and completes once every page has the post.
+ */
+
+const crypto = require('crypto');
+const { createStore } = require('./storage');
+const { getCalendar } = require('./calendarStorage');
+const config = require('../../config/config');
+const { ERROR_MESSAGES } = require('../constants');
+
+const requests = createStore('schedule_requests');
+
+// Completed records are kept this long - the widget only retries within minutes
+const RECORD_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// A pending record older than this belongs to a request that died mid-way
+const PENDING_STALE_MS = 5 * 60 * 1000;
+const POLL_INTERVAL_MS = 500;
+
+// Calendar post states in which scheduling again is a new intent, not a repeat
+const RESCHEDULABLE_STATUSES = ['cancelled', 'failed'];
+// Calendar post states in which the scheduled result is still live on Facebook or in the queue
+const LIVE_STATUSES = ['scheduled', 'queued'];
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Hash of the fields that decide what gets posted
+ */
+function fingerprintRequest(postData) {
+  const { date, time, caption, hashtags, pageIds, attachment, mode } = postData;
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([date, time || null, caption, hashtags || [], pageIds || [], attachment || null, mode || null]))
+    .digest('hex');
+}
+
+/**
+ * The idempotency key for a request and the calendar post it schedules (null key: not idempotent)
+ */
+async function resolveKey(userId, postData) {
+  const calendar = postData.postId ? await getCalendar(userId) : null;
+  const post = calendar?.posts.find(p => p.id === postData.postId) || null;
+
+  if (postData.idempotencyKey) {
+    return { key: `client:${String(postData.idempotencyKey).slice(0, 200)}`, post };
+  }
+  if (post) {
+    return { key: `post:${calendar.id}:${post.id}`, post };
+  }
+  return { key: null, post: null };
+}
+
+/**
+ * Whether a stored record no longer blocks a new attempt
+ */
+function isExpired(record, calendarPost) {
+  if (record.status === 'pending') {
+    return Date.now() - new Date(record.createdAt).getTime() > PENDING_STALE_MS;
+  }
+  const completedAt = new Date(record.completedAt);
+  // Cancelled (or failed in the queue) after this result - scheduling it again is a new request
+  const rescheduled = RESCHEDULABLE_STATUSES.includes(calendarPost?.scheduleStatus) &&
+    new Date(calendarPost.updatedAt) > completedAt;
+  // Edited since - the post is no longer what was scheduled. Never while the result is live: scheduling
+  // again would leave the first post or job behind (calendar edits of scheduled posts are refused anyway)
+  const edited = Boolean(calendarPost?.editedAt) && new Date(calendarPost.editedAt) > completedAt &&
+    !LIVE_STATUSES.includes(calendarPost.scheduleStatus);
+  return Date.now() - completedAt.getTime() > RECORD_TTL_MS || rescheduled || edited;
+}
+
+/**
+ * Claim a key for this request (replacing an expired record), or return the record that holds it
+ * A partial result with the same fingerprint is claimed to retry its failed pages; its data comes back
+ * as `previous` (so does a retry that died mid-way, so posted pages are never posted again)
+ * Returns { claimed: true, previous } or { claimed: false, record }
+ */
+async function claimKey(recordKey, record, calendarPost) {
+  let existing = null;
+  let previous = null;
+  await requests.update(recordKey, (current) => {
+    const expired = current && isExpired(current, calendarPost);
+    const retryable = current && !expired && current.status === 'partial' && current.fingerprint === record.fingerprint;
+    if (current && !expired && !retryable) {
+      existing = current;
+      return undefined;
+    }
+    if (retryable || (expired && current.status === 'pending' && current.fingerprint === record.fingerprint)) {
+      previous = current.data;
+    }
+    return { ...record, data: previous };
+  });
+  return existing ? { claimed: false, record: existing } : { claimed: true, previous };
+}
+
+/**
+ * Pages of a schedule result that did not get the post
+ */
+function failedPageIds(data) {
+  return (data.pages || []).filter(page => !page.success).map(page => page.pageId);
+}
+
+/**
+ * Merge a retry of the failed pages into the earlier partial result
+ * A retry that failed outright still leaves the earlier pages posted
+ */
+function mergeRetry(previous, result) {
+  const retried = result.success ? result.data.pages : (result.error.pages || []);
+  const byPageId = new Map(retried.map(page => [page.pageId, page]));
+  const pages = previous.pages.map(page => byPageId.get(page.pageId) || page);
+  return {
+    success: true,
+    data: {
+      ...previous,
+      pages,
+      failedPages: pages.filter(page => !page.success).length
+    }
+  };
+}
+
+/**
+ * Run `schedule(postData)` at most once per idempotency key
+ * Repeats get the first successful result back with replayed: true; a repeat that arrives while the
+ * first request is still running waits for it. Same key with different content is a conflict.
+ * Returns the schedule result ({ success, data?, error? })
+ */
+async function scheduleOnce(userId, postData, schedule) {
+  const { key, post } = await resolveKey(userId, postData);
+  if (!key) {
+    return schedule(postData);
+  }
+
+  const recordKey = `${userId}:${key}`;
+  const fingerprint = fingerprintRequest(postData);
+  const deadline = Date.now() + config.scheduling.idempotencyWaitMs;
+
+  let previous = null;
+  while (true) {
+    const claim = await claimKey(recordKey, {
+      userId,
+      key,
+      postId: postData.postId || null,
+      fingerprint,
+      status: 'pending',
+      data: null,
+      createdAt: new Date().toISOString(),
+      completedAt: null
+    }, post);
+
+    if (claim.claimed) {
+      previous = claim.previous;
+      break;
+    }
+
+    const { record } = claim;
+    if (record.fingerprint !== fingerprint) {
+      return {
+        success: false,
+        error: { message: ERROR_MESSAGES.IDEMPOTENCY_CONFLICT, code: 'IDEMPOTENCY_CONFLICT' }
+      };
+    }
+
+    if (record.status === 'completed') {
+      return { success: true, data: { ...record.data, replayed: true } };
+    }
+
+    if (Date.now() > deadline) {
+      return {
+        success: false,
+        error: { message: ERROR_MESSAGES.SCHEDULE_IN_PROGRESS, code: 'SCHEDULE_IN_PROGRESS' }
+      };
+    }
+    await sleep(POLL_INTERVAL_MS);
+  }
+
+  let result;
+  try {
+    result = previous
+      ? mergeRetry(previous, await schedule({ ...postData, pageIds: failedPageIds(previous) }))
+      : await schedule(postData);
+  } catch (error) {
+    await (previous ? saveResult(recordKey, previous) : requests.delete(recordKey));
+    throw error;
+  }
+
+  if (result.success) {
+    await saveResult(recordKey, result.data);
+  } else {
+    await requests.delete(recordKey);
+  }
+  return result;
+}
+
+/**
+ * Store a successful result - 'completed' once every page has the post, 'partial' until then
+ */
+async function saveResult(recordKey, data) {
+  await requests.update(recordKey, current => ({
+    ...current,
+    status: failedPageIds(data).length > 0 ? 'partial' : 'completed',
+    data,
+    completedAt: new Date().toISOString()
+  }));
+}
+
+module.exports = {
+  scheduleOnce
+};
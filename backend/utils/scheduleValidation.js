@@ -0,0 +1,175 @@
+/**
+ * Schedule Validation
+ * Turns a requested date/time into a publish instant and decides what happens when it is
+ * invalid or already past - nothing is moved unless the caller picked a policy that allows it
+ *
+ * Policies for a past (or too soon) time:
+ *   reject        - fail with PAST_DATE / TOO_SOON and suggest the next available time (default)
+ *   nextAvailable - move the post to the next day its posting time is still ahead
+ *   shiftCalendar - move by whole days like nextAvailable; batches shift every post by the
+ *                   same number of days so the calendar keeps its spacing
+ */
+
+const config = require('../../config/config');
+const {
+  DATE_PATTERN,
+  isValidPostingTime,
+  zonedTimeToUtc,
+  getLocalDate,
+  formatLocalIso,
+  addDays
+} = require('./timezone');
+const { ERROR_MESSAGES } = require('../constants');
+
+const SCHEDULING_POLICIES = ['reject', 'nextAvailable', 'shiftCalendar'];
+
+// Facebook needs this much notice for scheduled_publish_time
+const NATIVE_MIN_LEAD_MS = 10 * 60 * 1000;
+
+function validationError(message, code, details) {
+  return { success: false, error: { message, code, ...(details ? { details } : {}) } };
+}
+
+/**
+ * Whether a 'YYYY-MM-DD' string is a real calendar date (rejects e.g. 2025-02-30)
+ */
+function isRealDate(date) {
+  return DATE_PATTERN.test(date) && addDays(date, 0) === date;
+}
+
+/**
+ * Whole days from one 'YYYY-MM-DD' date to another
+ */
+function daysBetween(from, to) {
+  const [fromYear, fromMonth, fromDay] = from.split('-').map(Number);
+  const [toYear, toMonth, toDay] = to.split('-').map(Number);
+  return Math.round((Date.UTC(toYear, toMonth - 1, toDay) - Date.UTC(fromYear, fromMonth - 1, fromDay)) / 86400000);
+}
+
+/**
+ * Parse a requested date (YYYY-MM-DD, or a full datetime) and optional HH:MM time
+ * Returns { success, data?: { date, time, scheduledTime }, error? } with date/time as local wall-clock values
+ */
+function parseRequestedTime({ date, time }, timeZone) {
+  if (time && !isValidPostingTime(time)) {
+    return validationError(ERROR_MESSAGES.INVALID_POSTING_TIME, 'INVALID_TIME');
+  }
+
+  if (typeof date === 'string' && DATE_PATTERN.test(date)) {
+    if (!isRealDate(date)) {
+      return validationError(ERROR_MESSAGES.INVALID_DATE, 'INVALID_DATE', { date });
+    }
+    const postingTime = time || config.scheduling.defaultPostingTime;
+    return {
+      success: true,
+      data: { date, time: postingTime, scheduledTime: zonedTimeToUtc(date, postingTime, timeZone) }
+    };
+  }
+
+  // Full datetime string (an explicit offset or Z pins the instant)
+  const scheduledTime = new Date(date);
+  if (typeof date !== 'string' || Number.isNaN(scheduledTime.getTime())) {
+    return validationError(ERROR_MESSAGES.INVALID_DATE, 'INVALID_DATE', { date });
+  }
+  const local = formatLocalIso(scheduledTime, timeZone);
+  return {
+    success: true,
+    data: { date: local.slice(0, 10), time: local.slice(11, 16), scheduledTime }
+  };
+}
+
+/**
+ * Days to add to a requested date so its posting time is no earlier than `earliest`
+ */
+function getDaysUntilAvailable(requested, earliest, timeZone) {
+  let days = Math.max(0, daysBetween(requested.date, getLocalDate(earliest, timeZone)));
+  while (zonedTimeToUtc(addDays(requested.date, days), requested.time, timeZone) < earliest) {
+    days++;
+  }
+  return days;
+}
+
+/**
+ * Resolve the publish instant for a request under a past-date policy
+ * options: { timeZone, policy, minLeadMs, now, shiftDays } - shiftDays forces the shift used by shiftCalendar
+ * Returns { success, data?: { date, time, scheduledTime, adjusted }, error? }
+ * where adjusted is null, or { policy, days, from, to } describing the move
+ */
+function resolvePublishTime(request, { timeZone, policy = 'reject', minLeadMs = 0, now = new Date(), shiftDays } = {}) {
+  if (!SCHEDULING_POLICIES.includes(policy)) {
+    return validationError(ERROR_MESSAGES.INVALID_SCHEDULING_POLICY, 'INVALID_POLICY');
+  }
+
+  const parsed = parseRequestedTime(request, timeZone);
+  if (!parsed.success) {
+    return parsed;
+  }
+
+  const requested = parsed.data;
+  const earliest = new Date(now.getTime() + minLeadMs);
+  const forcedShift = policy === 'shiftCalendar' && Number.isInteger(shiftDays) && shiftDays > 0;
+
+  if (requested.scheduledTime >= earliest && !forcedShift) {
+    return { success: true, data: { ...requested, adjusted: null } };
+  }
+
+  const days = forcedShift ? shiftDays : getDaysUntilAvailable(requested, earliest, timeZone);
+  const date = addDays(requested.date, days);
+  const scheduledTime = zonedTimeToUtc(date, requested.time, timeZone);
+
+  if (policy === 'reject' || scheduledTime < earliest) {
+    const isPast = requested.scheduledTime < now;
+    const suggested = policy === 'reject' ? scheduledTime : zonedTimeToUtc(
+      addDays(requested.date, getDaysUntilAvailable(requested, earliest, timeZone)), requested.time, timeZone
+    );
+    return validationError(
+      isPast ? ERROR_MESSAGES.PAST_DATE : ERROR_MESSAGES.SCHEDULE_TOO_SOON,
+      isPast ? 'PAST_DATE' : 'TOO_SOON',
+      {
+        requestedTime: requested.scheduledTime.toISOString(),
+        earliestTime: earliest.toISOString(),
+        suggestedTime: suggested.toISOString(),
+        suggestedTimeLocal: formatLocalIso(suggested, timeZone),
+        timezone: timeZone
+      }
+    );
+  }
+
+  return {
+    success: true,
+    data: {
+      date,
+      time: requested.time,
+      scheduledTime,
+      adjusted: {
+        policy,
+        days,
+        from: requested.scheduledTime.toISOString(),
+        to: scheduledTime.toISOString()
+      }
+    }
+  };
+}
+
+/**
+ * Days the shiftCalendar policy moves a whole batch: enough for every post to be available
+ * Posts with invalid dates are skipped here - they fail on their own when scheduled
+ */
+function getCalendarShiftDays(requests, { timeZone, minLeadMs = 0, now = new Date() } = {}) {
+  const earliest = new Date(now.getTime() + minLeadMs);
+  let shiftDays = 0;
+  for (const request of requests) {
+    const parsed = parseRequestedTime(request, timeZone);
+    if (parsed.success && parsed.data.scheduledTime < earliest) {
+      shiftDays = Math.max(shiftDays, getDaysUntilAvailable(parsed.data, earliest, timeZone));
+    }
+  }
+  return shiftDays;
+}
+
+module.exports = {
+  SCHEDULING_POLICIES,
+  NATIVE_MIN_LEAD_MS,
+  resolvePublishTime,
+  getCalendarShiftDays
+};
@@ -0,0 +1,131 @@
+/**
+ * File Storage Driver
+ * Persists each record as a JSON document under <dataDir>/<namespace>/
+ * Survives restarts and redeploys as long as dataDir is on durable disk
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Encode a key into a filesystem-safe file name (keys are user-supplied ids)
+ */
+function keyToFileName(key) {
+  return `${Buffer.from(String(key)).toString('base64url')}.json`;
+}
+
+function fileNameToKey(fileName) {
+  return Buffer.from(fileName.replace(/\.json$/, ''), 'base64url').toString();
+}
+
+/**
+ * Create a file-backed store for a namespace
+ */
+function createFileDriver(namespace, options) {
+  const directory = path.join(options.dataDir, namespace);
+  // Per-key write chains so concurrent updates in this process don't clobber each other
+  const locks = new Map();
+
+  async function ensureDirectory() {
+    await fs.mkdir(directory, { recursive: true });
+  }
+
+  async function readRecord(key) {
+    try {
+      const raw = await fs.readFile(path.join(directory, keyToFileName(key)), 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async function writeRecord(key, value) {
+    await ensureDirectory();
+    const filePath = path.join(directory, keyToFileName(key));
+    // Write to a temp file and rename so readers never see a half-written document
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(value, null, 2), 'utf8');
+    await fs.rename(tempPath, filePath);
+  }
+
+  function withLock(key, task) {
+    const previous = locks.get(key) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    locks.set(key, next);
+    next.finally(() => {
+      if (locks.get(key) === next) {
+        locks.delete(key);
+      }
+    }).catch(() => {});
+    return next;
+  }
+
+  return {
+    namespace,
+
+    async get(key) {
+      return readRecord(key);
+    },
+
+    async set(key, value) {
+      return withLock(key, async () => {
+        await writeRecord(key, value);
+        return value;
+      });
+    },
+
+    async update(key, updater) {
+      return withLock(key, async () => {
+        const existing = await readRecord(key);
+        const updated = await updater(existing);
+        // Updater returning undefined means "leave the record as it is"
+        if (updated === undefined) {
+          return existing;
+        }
+        await writeRecord(key, updated);
+        return updated;
+      });
+    },
+
+    async delete(key) {
+      return withLock(key, async () => {
+        try {
+          await fs.unlink(path.join(directory, keyToFileName(key)));
+          return true;
+        } catch (error) {
+          if (error.code === 'ENOENT') {
+            return false;
+          }
+          throw error;
+        }
+      });
+    },
+
+    async entries() {
+      let fileNames;
+      try {
+        fileNames = await fs.readdir(directory);
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return [];
+        }
+        throw error;
+      }
+
+      const entries = [];
+      for (const fileName of fileNames.filter(name => name.endsWith('.json'))) {
+        const key = fileNameToKey(fileName);
+        const value = await readRecord(key);
+        if (value !== null) {
+          entries.push([key, value]);
+        }
+      }
+      return entries;
+    }
+  };
+}
+
+module.exports = createFileDriver;
@@ -0,0 +1,43 @@
+/**
+ * Storage Adapter
+ * Hands out namespaced key-value stores backed by the driver selected in config.storage
+ *
+ * Every store exposes the same async interface regardless of driver:
+ *   get(key), set(key, value), update(key, updater), delete(key), entries()
+ *
+ * update() runs the updater under a per-key lock; returning undefined from it skips the write.
+ *
+ * Example:
+ *   const profiles = createStore('profiles');
+ *   await profiles.update(userId, existing => ({ ...existing, tone: 'Friendly' }));
+ */
+
+const config = require('../../../config/config');
+const createMemoryDriver = require('./memoryDriver');
+const createFileDriver = require('./fileDriver');
+
+const DRIVERS = {
+  memory: createMemoryDriver,
+  file: createFileDriver
+};
+
+// One store instance per namespace so per-key write locks are shared across modules
+const stores = new Map();
+
+/**
+ * Get (or lazily create) the store for a namespace
+ */
+function createStore(namespace) {
+  if (!stores.has(namespace)) {
+    const driverFactory = DRIVERS[config.storage.driver];
+    if (!driverFactory) {
+      throw new Error(`Unknown storage driver "${config.storage.driver}". Use one of: ${Object.keys(DRIVERS).join(', ')}`);
+    }
+    stores.set(namespace, driverFactory(namespace, config.storage));
+  }
+  return stores.get(namespace);
+}
+
+module.exports = {
+  createStore
+};
@@ -0,0 +1,64 @@
+/**
+ * In-Memory Storage Driver
+ * Process-local key-value store - used for tests and throwaway local runs
+ */
+
+/**
+ * Create a memory-backed store for a namespace
+ * Values are cloned on the way in and out so callers can't mutate stored state by accident
+ */
+function createMemoryDriver(namespace) {
+  const records = new Map();
+  // Per-key write chains so concurrent updates don't clobber each other while an updater awaits
+  const locks = new Map();
+
+  function withLock(key, task) {
+    const previous = locks.get(key) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    locks.set(key, next);
+    next.finally(() => {
+      if (locks.get(key) === next) {
+        locks.delete(key);
+      }
+    }).catch(() => {});
+    return next;
+  }
+
+  return {
+    namespace,
+
+    async get(key) {
+      return records.has(key) ? structuredClone(records.get(key)) : null;
+    },
+
+    async set(key, value) {
+      return withLock(key, async () => {
+        records.set(key, structuredClone(value));
+        return structuredClone(value);
+      });
+    },
+
+    async update(key, updater) {
+      return withLock(key, async () => {
+        const existing = records.has(key) ? structuredClone(records.get(key)) : null;
+        const updated = await updater(existing);
+        // Updater returning undefined means "leave the record as it is"
+        if (updated === undefined) {
+          return existing;
+        }
+        records.set(key, structuredClone(updated));
+        return structuredClone(updated);
+      });
+    },
+
+    async delete(key) {
+      return withLock(key, async () => records.delete(key));
+    },
+
+    async entries() {
+      return Array.from(records.entries()).map(([key, value]) => [key, structuredClone(value)]);
+    }
+  };
+}
+
+module.exports = createMemoryDriver;
@@ -0,0 +1,172 @@
+/**
+ * Store Checkpointer
+ * LangGraph checkpoint saver backed by the storage adapter, so graph state per thread (chat session)
+ * survives restarts and is shared between instances like the rest of our data
+ *
+ * One record per thread in the `conversation_checkpoints` namespace:
+ * {
+ *   threadId: String,
+ *   checkpoints: Array<{ ns, id, parentId, checkpoint, metadata }>,   // newest first
+ *   writes: { [checkpointId]: { 'taskId,index': [taskId, channel, value] } }
+ * }
+ * Serialized values are stored as [type, base64] pairs. Only the newest
+ * CONVERSATION_CHECKPOINTS.MAX_PER_THREAD checkpoints are kept.
+ */
+
+const { BaseCheckpointSaver, copyCheckpoint } = require('@langchain/langgraph');
+const { createStore } = require('./storage');
+const { CONVERSATION_CHECKPOINTS } = require('../constants');
+
+// Special channels LangGraph writes with fixed indexes (overwritten rather than appended)
+const SPECIAL_WRITE_INDEXES = {
+  __error__: -1,
+  __scheduled__: -2,
+  __interrupt__: -3,
+  __resume__: -4
+};
+
+class StoreCheckpointSaver extends BaseCheckpointSaver {
+  constructor(store = createStore('conversation_checkpoints'), serde) {
+    super(serde);
+    this.store = store;
+  }
+
+  async dump(value) {
+    const [type, bytes] = await this.serde.dumpsTyped(value);
+    return [type, Buffer.from(bytes).toString('base64')];
+  }
+
+  async load([type, data]) {
+    return this.serde.loadsTyped(type, new Uint8Array(Buffer.from(data, 'base64')));
+  }
+
+  /**
+   * Checkpoint entry as a LangGraph checkpoint tuple
+   */
+  async toTuple(threadId, entry, writes) {
+    const pendingWrites = await Promise.all(
+      Object.values(writes?.[entry.id] || {}).map(async ([taskId, channel, value]) => [taskId, channel, await this.load(value)])
+    );
+    const tuple = {
+      config: { configurable: { thread_id: threadId, checkpoint_ns: entry.ns, checkpoint_id: entry.id } },
+      checkpoint: await this.load(entry.checkpoint),
+      metadata: await this.load(entry.metadata),
+      pendingWrites
+    };
+    if (entry.parentId) {
+      tuple.parentConfig = { configurable: { thread_id: threadId, checkpoint_ns: entry.ns, checkpoint_id: entry.parentId } };
+    }
+    return tuple;
+  }
+
+  async getTuple(config) {
+    const threadId = config.configurable?.thread_id;
+    const ns = config.configurable?.checkpoint_ns ?? '';
+    const checkpointId = config.configurable?.checkpoint_id;
+    const record = threadId ? await this.store.get(threadId) : null;
+    if (!record) {
+      return undefined;
+    }
+
+    // Without an id, the newest checkpoint of the namespace
+    const entry = record.checkpoints.find(candidate => candidate.ns === ns && (!checkpointId || candidate.id === checkpointId));
+    return entry ? this.toTuple(threadId, entry, record.writes) : undefined;
+  }
+
+  async *list(config, options = {}) {
+    const { before, filter } = options;
+    let { limit } = options;
+    const threadIds = config.configurable?.thread_id
+      ? [config.configurable.thread_id]
+      : (await this.store.entries()).map(([key]) => key);
+
+    for (const threadId of threadIds) {
+      const record = await this.store.get(threadId);
+      for (const entry of record?.checkpoints || []) {
+        if (config.configurable?.checkpoint_ns !== undefined && entry.ns !== config.configurable.checkpoint_ns) {
+          continue;
+        }
+        if (config.configurable?.checkpoint_id && entry.id !== config.configurable.checkpoint_id) {
+          continue;
+        }
+        if (before?.configurable?.checkpoint_id && entry.id >= before.configurable.checkpoint_id) {
+          continue;
+        }
+        const tuple = await this.toTuple(threadId, entry, record.writes);
+        if (filter && !Object.entries(filter).every(([key, value]) => tuple.metadata?.[key] === value)) {
+          continue;
+        }
+        if (limit !== undefined) {
+          if (limit <= 0) {
+            return;
+          }
+          limit -= 1;
+        }
+        yield tuple;
+      }
+    }
+  }
+
+  async put(config, checkpoint, metadata) {
+    const threadId = config.configurable?.thread_id;
+    const ns = config.configurable?.checkpoint_ns ?? '';
+    if (threadId === undefined) {
+      throw new Error('Failed to put checkpoint: config.configurable.thread_id is required');
+    }
+
+    const entry = {
+      ns,
+      id: checkpoint.id,
+      parentId: config.configurable?.checkpoint_id || null,
+      checkpoint: await this.dump(copyCheckpoint(checkpoint)),
+      metadata: await this.dump(metadata)
+    };
+
+    await this.store.update(threadId, (existing) => {
+      // Checkpoint ids sort by creation time
+      const checkpoints = [entry, ...(existing?.checkpoints || []).filter(candidate => candidate.id !== entry.id)]
+        .sort((a, b) => b.id.localeCompare(a.id))
+        .slice(0, CONVERSATION_CHECKPOINTS.MAX_PER_THREAD);
+      const kept = new Set(checkpoints.map(candidate => candidate.id));
+      const writes = Object.fromEntries(Object.entries(existing?.writes || {}).filter(([id]) => kept.has(id)));
+      return { threadId, checkpoints, writes };
+    });
+
+    return { configurable: { thread_id: threadId, checkpoint_ns: ns, checkpoint_id: checkpoint.id } };
+  }
+
+  async putWrites(config, writes, taskId) {
+    const threadId = config.configurable?.thread_id;
+    const checkpointId = config.configurable?.checkpoint_id;
+    if (threadId === undefined || checkpointId === undefined) {
+      throw new Error('Failed to put writes: config.configurable.thread_id and checkpoint_id are required');
+    }
+
+    const serialized = await Promise.all(writes.map(async ([channel, value], index) => ({
+      key: `${taskId},${SPECIAL_WRITE_INDEXES[channel] ?? index}`,
+      special: channel in SPECIAL_WRITE_INDEXES,
+      write: [taskId, channel, await this.dump(value)]
+    })));
+
+    await this.store.update(threadId, (existing) => {
+      const record = existing || { threadId, checkpoints: [], writes: {} };
+      const checkpointWrites = { ...(record.writes[checkpointId] || {}) };
+      for (const { key, special, write } of serialized) {
+        // A task's regular writes are recorded once; special channels take the latest value
+        if (!special && key in checkpointWrites) {
+          continue;
+        }
+        checkpointWrites[key] = write;
+      }
+      return { ...record, writes: { ...record.writes, [checkpointId]: checkpointWrites } };
+    });
+  }
+
+  async deleteThread(threadId) {
+    await this.store.delete(threadId);
+  }
+}
+
+module.exports = {
+  StoreCheckpointSaver
+};
@@ -0,0 +1,161 @@
+/**
+ * Timezone Helpers
+ * Date math in a business's IANA timezone using Intl (no server-clock assumptions)
+ *
+ * Calendar dates are plain 'YYYY-MM-DD' strings and posting times 'HH:MM', both meaning
+ * wall-clock time in the profile's timezone; they become UTC instants only when scheduling.
+ */
+
+const config = require('../../config/config');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Whether a value is an IANA timezone name this runtime knows
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Whether a value is a 'HH:MM' (24h) posting time
+ */
+function isValidPostingTime(value) {
+  return typeof value === 'string' && TIME_PATTERN.test(value);
+}
+
+/**
+ * The timezone to schedule in for a profile (falls back to DEFAULT_TIMEZONE)
+ */
+function resolveTimeZone(profile) {
+  return isValidTimeZone(profile?.timezone) ? profile.timezone : config.scheduling.defaultTimezone;
+}
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ */
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    if (type !== 'literal') {
+      parts[type] = Number(value);
+    }
+  }
+  return parts;
+}
+
+/**
+ * Offset of a timezone from UTC at an instant, in minutes (e.g. -240 for EDT)
+ */
+function getOffsetMinutes(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * The UTC instant of a wall-clock date and time in a timezone
+ * Times skipped by a DST jump (e.g. 02:30 on spring-forward day) resolve to an hour earlier
+ */
+function zonedTimeToUtc(date, time, timeZone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+
+  const offset = getOffsetMinutes(new Date(guess), timeZone);
+  let result = guess - offset * 60000;
+  // The offset can differ on the other side of a DST change - correct once
+  const correctedOffset = getOffsetMinutes(new Date(result), timeZone);
+  if (correctedOffset !== offset) {
+    result = guess - correctedOffset * 60000;
+  }
+  return new Date(result);
+}
+
+/**
+ * 'YYYY-MM-DD' of an instant in a timezone
+ */
+function getLocalDate(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+/**
+ * 'HH:MM' wall-clock time of an instant in a timezone
+ */
+function getLocalTime(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  return `${String(p.hour).padStart(2, '0')}:${String(p.minute).padStart(2, '0')}`;
+}
+
+/**
+ * ISO 8601 local time with offset, e.g. '2025-03-10T09:00:00-04:00'
+ */
+function formatLocalIso(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const offset = getOffsetMinutes(date, timeZone);
+  const sign = offset < 0 ? '-' : '+';
+  const absolute = Math.abs(offset);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${getLocalDate(date, timeZone)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}` +
+    `${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+}
+
+/**
+ * Add days to a 'YYYY-MM-DD' date
+ */
+function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+}
+
+/**
+ * UTC and local representations of an instant: { utc, local, timezone }
+ */
+function describeTime(date, timeZone) {
+  return {
+    utc: date.toISOString(),
+    local: formatLocalIso(date, timeZone),
+    timezone: timeZone
+  };
+}
+
+module.exports = {
+  DATE_PATTERN,
+  isValidTimeZone,
+  isValidPostingTime,
+  resolveTimeZone,
+  zonedTimeToUtc,
+  getLocalDate,
+  getLocalTime,
+  formatLocalIso,
+  addDays,
+  describeTime
+};
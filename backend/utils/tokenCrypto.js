@@ -0,0 +1,109 @@
+/**
+ * Token Encryption
+ * AES-256-GCM encryption for access tokens stored at rest, plus redaction helpers
+ * so tokens never leave the server in API responses or log lines
+ *
+ * Encrypted values look like: enc:v1:<iv>.<authTag>.<ciphertext> (base64url parts)
+ */
+
+const crypto = require('crypto');
+const config = require('../../config/config');
+
+const ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'enc:v1:';
+const REDACTED = '[REDACTED]';
+
+// Keys whose values are secrets wherever they appear
+const SECRET_KEY_PATTERN = /(access_?token|client_secret|app_?secret|fb_exchange_token|input_token)/i;
+
+/**
+ * Derive a 32-byte key from the configured secret (any length string)
+ */
+function getKey() {
+  return crypto.createHash('sha256').update(config.security.getTokenEncryptionKey()).digest();
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * Encrypt a token for storage - empty and already-encrypted values are returned unchanged
+ */
+function encryptToken(token) {
+  if (!token || isEncrypted(token)) {
+    return token;
+  }
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(token), 'utf8'), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+
+  return `${PREFIX}${[iv, authTag, ciphertext].map(part => part.toString('base64url')).join('.')}`;
+}
+
+/**
+ * Decrypt a stored token
+ * Plaintext values saved before encryption was introduced are passed through
+ * Throws if the value was encrypted with a different key
+ */
+function decryptToken(value) {
+  if (!value || !isEncrypted(value)) {
+    return value;
+  }
+
+  const [iv, authTag, ciphertext] = value.slice(PREFIX.length).split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Mask secret query parameters inside a URL or free-form string
+ */
+function redactString(value) {
+  return value.replace(
+    /((?:access_token|client_secret|fb_exchange_token|input_token)=)[^&\s"']+/gi,
+    `$1${REDACTED}`
+  );
+}
+
+/**
+ * Deep-copy a value with every secret replaced by a placeholder - for API responses and logs
+ * Errors are reduced to their message and (for axios errors) the response body
+ */
+function redactSecrets(value, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (value instanceof Error) {
+    return {
+      message: redactString(value.message),
+      ...(value.response ? { status: value.response.status, data: redactSecrets(value.response.data, seen) } : {})
+    };
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redactSecrets(item, seen));
+  }
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = SECRET_KEY_PATTERN.test(key) && item ? REDACTED : redactSecrets(item, seen);
+  }
+  return copy;
+}
+
+module.exports = {
+  encryptToken,
+  decryptToken,
+  redactSecrets
+};
@@ -0,0 +1,215 @@
+/**
+ * Widget Authentication
+ * Signed session tokens (JWT, HS256) tying API calls to a HighLevel location and user
+ *
+ * The token is issued once when the widget boots (POST /api/auth/session) and sent as
+ * `Authorization: Bearer <token>` on every API call. Routes read the caller from req.auth
+ * instead of trusting userId values in the URL, query or body.
+ *
+ * A token is only issued for an identity the server can verify: the encrypted user context HighLevel
+ * hands the widget (SSO, decrypted with config.highlevel.ssoKey), or a userId sent by a trusted
+ * server-side caller holding config.auth.issuerSecret.
+ */
+
+const crypto = require('crypto');
+const config = require('../../config/config');
+const { HTTP_STATUS, ERROR_MESSAGES } = require('../constants');
+
+// Requests that can't carry a widget token (OAuth redirects/popups, <img> tags) or that issue one
+// `prefix` entries match any path below it
+const PUBLIC_PATHS = [
+  { method: 'POST', path: '/api/auth/session' },
+  { method: 'GET', path: '/api/facebook/callback' },
+  { method: 'POST', path: '/api/facebook/select-page' },
+  { method: 'GET', prefix: '/api/media/' }
+];
+
+// Identity values end up in storage keys and URLs - keep them boring
+const IDENTITY_PATTERN = /^[\w.:@-]{1,128}$/;
+
+function base64UrlJson(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', config.auth.getTokenSecret()).update(data).digest('base64url');
+}
+
+/**
+ * Check a userId/locationId supplied when starting a session
+ */
+function isValidIdentity(value) {
+  return typeof value === 'string' && IDENTITY_PATTERN.test(value);
+}
+
+/**
+ * Whether two secrets match (constant time)
+ */
+function secretsMatch(expected, actual) {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(actual || ''));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Decrypt HighLevel's SSO user context - AES-256-CBC in the OpenSSL "Salted__" format HighLevel
+ * produces with CryptoJS, keyed from the app's shared secret (EVP_BytesToKey with MD5)
+ * Returns { success, data?: { userId, locationId }, error? }
+ */
+function verifyHighLevelContext(payload) {
+  const unverified = { success: false, error: { message: ERROR_MESSAGES.AUTH_UNVERIFIED, code: 'AUTH_UNVERIFIED' } };
+  const secret = config.highlevel.ssoKey;
+  if (!secret || typeof payload !== 'string') {
+    return unverified;
+  }
+
+  const raw = Buffer.from(payload, 'base64');
+  if (raw.length < 32 || raw.subarray(0, 8).toString('latin1') !== 'Salted__') {
+    return unverified;
+  }
+
+  const salt = raw.subarray(8, 16);
+  let derived = Buffer.alloc(0);
+  let block = Buffer.alloc(0);
+  while (derived.length < 48) {
+    block = crypto.createHash('md5').update(Buffer.concat([block, Buffer.from(secret), salt])).digest();
+    derived = Buffer.concat([derived, block]);
+  }
+
+  let context;
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-cbc', derived.subarray(0, 32), derived.subarray(32, 48));
+    const plain = Buffer.concat([decipher.update(raw.subarray(16)), decipher.final()]);
+    context = JSON.parse(plain.toString('utf8'));
+  } catch (error) {
+    return unverified;
+  }
+
+  const locationId = context.activeLocation || null;
+  if (!isValidIdentity(context.userId) || (locationId && !isValidIdentity(locationId))) {
+    return unverified;
+  }
+  return { success: true, data: { userId: context.userId, locationId } };
+}
+
+/**
+ * Whether a session request comes from a trusted server-side caller (X-Widget-Issuer-Secret header)
+ */
+function isTrustedIssuer(req) {
+  const { issuerSecret } = config.auth;
+  return Boolean(issuerSecret) && secretsMatch(issuerSecret, req.get('x-widget-issuer-secret'));
+}
+
+/**
+ * Issue a session token for a HighLevel user (and location, when known)
+ * Returns { token, expiresAt }
+ */
+function signSessionToken({ userId, locationId = null }) {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const expiresAt = issuedAt + config.auth.tokenTtlSeconds;
+
+  const header = base64UrlJson({ alg: 'HS256', typ: 'JWT' });
+  const payload = base64UrlJson({ sub: userId, loc: locationId, iat: issuedAt, exp: expiresAt });
+  const signature = sign(`${header}.${payload}`);
+
+  return {
+    token: `${header}.${payload}.${signature}`,
+    expiresAt: new Date(expiresAt * 1000).toISOString()
+  };
+}
+
+/**
+ * Verify a session token
+ * Returns { success: boolean, data?: { userId, locationId, expiresAt }, error?: { message, code } }
+ */
+function verifySessionToken(token) {
+  const invalid = { success: false, error: { message: ERROR_MESSAGES.AUTH_INVALID, code: 'AUTH_INVALID' } };
+
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    return invalid;
+  }
+
+  const [header, payload, signature] = parts;
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return invalid;
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return invalid;
+  }
+
+  if (!claims.sub || !claims.exp || claims.exp * 1000 <= Date.now()) {
+    return invalid;
+  }
+
+  return {
+    success: true,
+    data: {
+      userId: claims.sub,
+      locationId: claims.loc || null,
+      expiresAt: new Date(claims.exp * 1000).toISOString()
+    }
+  };
+}
+
+/**
+ * Express middleware - requires a valid widget session token on /api requests
+ * Sets req.auth = { userId, locationId, expiresAt }
+ */
+function requireWidgetSession(req, res, next) {
+  const fullPath = req.baseUrl + req.path;
+  const isPublic = PUBLIC_PATHS.some(route => route.method === req.method &&
+    (route.prefix ? fullPath.startsWith(route.prefix) : route.path === fullPath));
+  if (isPublic || req.method === 'OPTIONS') {
+    return next();
+  }
+
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+      error: ERROR_MESSAGES.AUTH_REQUIRED,
+      code: 'AUTH_REQUIRED'
+    });
+  }
+
+  const result = verifySessionToken(token);
+  if (!result.success) {
+    return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+      error: result.error.message,
+      code: result.error.code
+    });
+  }
+
+  req.auth = result.data;
+  next();
+}
+
+/**
+ * router.param handler - a :userId in the URL must be the caller's own
+ * Kept so existing URLs work, but the identity always comes from the token
+ */
+function requireOwnUserId(req, res, next, userId) {
+  if (!req.auth || userId !== req.auth.userId) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json({
+      error: ERROR_MESSAGES.AUTH_FORBIDDEN,
+      code: 'AUTH_FORBIDDEN'
+    });
+  }
+  next();
+}
+
+module.exports = {
+  isValidIdentity,
+  verifyHighLevelContext,
+  isTrustedIssuer,
+  signSessionToken,
+  verifySessionToken,
+  requireWidgetSession,
+  requireOwnUserId
+};
@@ -12,6 +12,9 @@
  */
 
 require('dotenv').config();
+const path = require('path');
+
+const isVercel = process.env.VERCEL === '1' || !!process.env.VERCEL_ENV;
 
 const config = {
     // Server Configuration
@@ -19,19 +22,83 @@ const config = {
         port: process.env.PORT || 3000,
         env: process.env.NODE_ENV || 'development',
         backendUrl: process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 3000}`,
-        isVercel: process.env.VERCEL === '1' || !!process.env.VERCEL_ENV
+        isVercel
+    },
+
+    // Storage Configuration
+    storage: {
+        // 'file' persists JSON documents under dataDir, 'memory' is process-local (used for tests)
+        driver: process.env.STORAGE_DRIVER || (process.env.NODE_ENV === 'test' ? 'memory' : 'file'),
+        // Vercel only allows writes under /tmp - point STORAGE_DIR at a mounted volume for real durability
+        dataDir: process.env.STORAGE_DIR || (isVercel ? '/tmp/highlevel-copilot-data' : path.join(__dirname, '../data'))
+    },
+
+    // Scheduling Defaults - used when a profile has no timezone or a post has no time
+    scheduling: {
+        // IANA timezone, e.g. 'America/New_York'
+        defaultTimezone: process.env.DEFAULT_TIMEZONE || 'UTC',
+        // HH:MM in the business's timezone
+        defaultPostingTime: process.env.DEFAULT_POSTING_TIME || '09:00',
+        // 'native' hands posts to Facebook's scheduled_publish_time, 'queue' keeps them in the
+        // local publish queue until their time (needs a long-running server for the worker)
+        mode: process.env.SCHEDULING_MODE || 'native',
+        queue: {
+            // The worker runs inside the server process - not possible on Vercel's serverless functions
+            workerEnabled: process.env.PUBLISH_WORKER_ENABLED
+                ? process.env.PUBLISH_WORKER_ENABLED === 'true'
+                : !isVercel,
+            pollIntervalMs: parseInt(process.env.PUBLISH_POLL_INTERVAL_MS, 10) || 15000,
+            maxAttempts: parseInt(process.env.PUBLISH_MAX_ATTEMPTS, 10) || 5,
+            // Retries wait retryBaseDelayMs, then 2x, 4x, ...
+            retryBaseDelayMs: parseInt(process.env.PUBLISH_RETRY_BASE_DELAY_MS, 10) || 60000,
+            // Jobs stuck in 'publishing' this long (server died mid-publish) are picked up again
+            staleAfterMs: 10 * 60 * 1000,
+            // Published, failed and cancelled jobs are deleted this long after their last change
+            retentionMs: (parseInt(process.env.PUBLISH_JOB_RETENTION_DAYS, 10) || 30) * 24 * 60 * 60 * 1000,
+            // How often the worker looks for jobs to delete
+            pruneIntervalMs: 60 * 60 * 1000
+        },
+        // How long a repeated schedule request waits for the original to finish (then SCHEDULE_IN_PROGRESS)
+        idempotencyWaitMs: parseInt(process.env.SCHEDULE_IDEMPOTENCY_WAIT_MS, 10) || 25000,
+        // Posts scheduled at the same time by /schedule-batch
+        batchConcurrency: parseInt(process.env.BATCH_SCHEDULE_CONCURRENCY, 10) || 3
     },
 
     // AI/LLM Configuration - Groq (Llama Models)
     ai: {
-        provider: 'groq', // 'groq' or 'openai'
+        // 'groq', or 'openai' for any OpenAI-compatible endpoint (OpenAI, Ollama, llama.cpp, vLLM, ...)
+        provider: process.env.AI_PROVIDER || 'groq',
         groq: {
             apiKey: process.env.GROQ_API_KEY || null,
-            model: process.env.GROQ_MODEL || 'llama-3.3-70b-versatile' // Updated: llama-3.1-70b-versatile was decommissioned
+            model: process.env.GROQ_MODEL || 'llama-3.3-70b-versatile', // Updated: llama-3.1-70b-versatile was decommissioned
+            // Provider defaults for tasks that don't need the main model
+            taskModels: {
+                extraction: 'llama-3.1-8b-instant',
+                summary: 'llama-3.1-8b-instant'
+            }
         },
         openai: {
             apiKey: process.env.OPENAI_API_KEY || null,
-            model: process.env.OPENAI_MODEL || 'gpt-4'
+            // Point at a local server, e.g. http://localhost:11434/v1 (Ollama) or http://localhost:8080/v1 (llama.cpp)
+            baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+            model: process.env.OPENAI_MODEL || 'gpt-4',
+            timeoutMs: parseInt(process.env.OPENAI_TIMEOUT_MS, 10) || 60000
+        },
+        // Per-task settings - model overrides the provider's default for that task
+        tasks: {
+            chat: { model: process.env.AI_CHAT_MODEL || null, temperature: 0.7, maxTokens: 1000 },
+            extraction: { model: process.env.AI_EXTRACTION_MODEL || null, temperature: 0.1, maxTokens: 400 },
+            calendar: { model: process.env.AI_CALENDAR_MODEL || null, temperature: 0.8, maxTokens: 4000 },
+            summary: { model: process.env.AI_SUMMARY_MODEL || null, temperature: 0.3, maxTokens: 400 }
+        },
+        // Token budget for the messages a chat turn sends - older turns are summarized to stay under it
+        contextTokens: parseInt(process.env.AI_CONTEXT_TOKENS, 10) || 6000,
+        // Scripted model used in AI mock mode (see features.mockMode.ai)
+        mock: {
+            // Extra fixture file(s), comma-separated - their rules win over the built-in script
+            fixtures: process.env.MOCK_LLM_FIXTURES || null,
+            // Pause between streamed chunks, to look like a real model
+            chunkDelayMs: parseInt(process.env.MOCK_LLM_CHUNK_DELAY_MS, 10) || 0
         },
         // Helper to get active API key
         getApiKey: function () {
@@ -40,16 +107,32 @@ const config = {
             }
             return this.openai.apiKey;
         },
-        // Check if AI is configured
+        // Model used for a task ('chat', 'extraction', 'calendar', 'summary')
+        getModel: function (task) {
+            const provider = this[this.provider] || {};
+            return this.tasks[task]?.model || provider.taskModels?.[task] || provider.model;
+        },
+        // Check if AI is configured (a custom OpenAI-compatible endpoint, e.g. a local server, needs no key)
         isConfigured: function () {
+            if (this.provider === 'openai' && process.env.OPENAI_BASE_URL) {
+                return true;
+            }
             return !!this.getApiKey();
         }
     },
 
+    // Onboarding Conversation Configuration
+    onboarding: {
+        // JSON flow definition replacing config/onboardingFlow.js (same shape)
+        flowFile: process.env.ONBOARDING_FLOW_FILE || null
+    },
+
     // HighLevel API Configuration
     highlevel: {
         apiKey: process.env.HIGHLVL_API_KEY || null,
         accountId: process.env.HIGHLVL_ACCOUNT_ID || null,
+        // Marketplace app shared secret - decrypts the SSO user context HighLevel hands the widget
+        ssoKey: process.env.HIGHLEVEL_SSO_KEY || null,
         apiUrl: 'https://services.leadconnectorhq.com',
         isConfigured: function () {
             return !!(this.apiKey && this.accountId);
@@ -61,7 +144,21 @@ const config = {
         appId: process.env.FACEBOOK_APP_ID || null,
         appSecret: process.env.FACEBOOK_APP_SECRET || null,
         redirectUri: process.env.FACEBOOK_REDIRECT_URI || null,
-        graphApiUrl: 'https://graph.facebook.com/v18.0',
+        // Point both at scripts/graph-emulator.js for local development and CI
+        graphApiUrl: process.env.FACEBOOK_GRAPH_API_URL || 'https://graph.facebook.com/v18.0',
+        oauthDialogUrl: process.env.FACEBOOK_OAUTH_DIALOG_URL || (process.env.FACEBOOK_GRAPH_API_URL
+            ? `${process.env.FACEBOOK_GRAPH_API_URL}/dialog/oauth`
+            : 'https://www.facebook.com/v18.0/dialog/oauth'),
+        rateLimit: {
+            // Pause calls for a page once a Graph usage header (X-App-Usage, X-Page-Usage,
+            // X-Business-Use-Case-Usage) reports this percentage of the quota used
+            usageThreshold: parseInt(process.env.GRAPH_USAGE_THRESHOLD, 10) || 90,
+            // Rate-limited calls are retried this many times with exponential backoff
+            maxRetries: parseInt(process.env.GRAPH_RATE_LIMIT_RETRIES, 10) || 3,
+            retryBaseDelayMs: 2000,
+            // Longer waits fail the call instead (retryable) so requests don't hang
+            maxWaitMs: parseInt(process.env.GRAPH_RATE_LIMIT_MAX_WAIT_MS, 10) || 60000
+        },
         // Check if Facebook is configured
         isConfigured: function () {
             return !!(this.appId && this.appSecret);
@@ -86,12 +183,50 @@ const config = {
         }
     },
 
+    // Security Configuration
+    security: {
+        // Encrypts Facebook access tokens at rest - any long random string
+        // Changing it makes stored tokens unreadable (users must reconnect Facebook)
+        tokenEncryptionKey: process.env.TOKEN_ENCRYPTION_KEY || null,
+        // Falls back to the session secret so local development works without extra setup
+        getTokenEncryptionKey: function () {
+            return this.tokenEncryptionKey || config.session.secret;
+        },
+        isTokenEncryptionConfigured: function () {
+            return !!this.tokenEncryptionKey;
+        }
+    },
+
+    // Widget Authentication - signed session tokens issued when the widget boots
+    auth: {
+        // HMAC secret for widget session tokens - falls back to the session secret for local development
+        tokenSecret: process.env.WIDGET_TOKEN_SECRET || null,
+        tokenTtlSeconds: parseInt(process.env.WIDGET_TOKEN_TTL_SECONDS, 10) || 12 * 60 * 60,
+        getTokenSecret: function () {
+            return this.tokenSecret || config.session.secret;
+        },
+        isConfigured: function () {
+            return !!this.tokenSecret;
+        },
+        // Shared secret for trusted server-side callers that start sessions for users they already authenticated
+        issuerSecret: process.env.WIDGET_ISSUER_SECRET || null,
+        // Local development only: start sessions for any userId (the standalone widget) - refused in production
+        devSessions: process.env.WIDGET_DEV_SESSIONS === 'true',
+        // Whether any verified way of starting a session is configured
+        canIssueSessions: function () {
+            return !!(config.highlevel.ssoKey || this.issuerSecret || this.devSessions);
+        }
+    },
+
     // Feature Flags
     features: {
         // Enable mock mode if credentials are missing
         mockMode: {
             facebook: !process.env.FACEBOOK_APP_ID || !process.env.FACEBOOK_APP_SECRET,
-            ai: !process.env.GROQ_API_KEY && !process.env.OPENAI_API_KEY
+            // MOCK_AI=true forces the scripted mock model even when a provider is configured
+            ai: process.env.MOCK_AI
+                ? process.env.MOCK_AI === 'true'
+                : !process.env.GROQ_API_KEY && !process.env.OPENAI_API_KEY && !process.env.OPENAI_BASE_URL
         }
     },
 
@@ -101,8 +236,10 @@ const config = {
         const errors = [];
 
         // Check AI configuration
-        if (!this.ai.isConfigured()) {
-            warnings.push('AI API key not configured. Mock mode will be used for calendar generation.');
+        if (!['groq', 'openai'].includes(this.ai.provider)) {
+            errors.push('AI_PROVIDER must be "groq" or "openai"');
+        } else if (!this.ai.isConfigured()) {
+            warnings.push('AI API key not configured. The scripted mock model will be used for chat and calendar generation.');
         }
 
         // Check Facebook configuration
@@ -110,11 +247,51 @@ const config = {
             warnings.push('Facebook credentials not configured. Mock mode will be used for OAuth.');
         }
 
+        // Check storage durability
+        if (this.storage.driver === 'memory') {
+            warnings.push('Using in-memory storage. Profiles will be lost on restart.');
+        } else if (this.server.isVercel && !process.env.STORAGE_DIR) {
+            warnings.push('File storage on Vercel defaults to /tmp, which is not shared across instances. Set STORAGE_DIR.');
+        }
+
+        // Check scheduling defaults
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: this.scheduling.defaultTimezone });
+        } catch (error) {
+            errors.push(`DEFAULT_TIMEZONE "${this.scheduling.defaultTimezone}" is not a valid IANA timezone`);
+        }
+        if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(this.scheduling.defaultPostingTime)) {
+            errors.push('DEFAULT_POSTING_TIME must be HH:MM (24-hour)');
+        }
+        if (!['native', 'queue'].includes(this.scheduling.mode)) {
+            errors.push('SCHEDULING_MODE must be "native" or "queue"');
+        } else if (this.scheduling.mode === 'queue' && !this.scheduling.queue.workerEnabled) {
+            warnings.push('SCHEDULING_MODE=queue without a publish worker. Queued posts will not be published.');
+        }
+
         // Check session secret
         if (!this.session.isSecure()) {
             warnings.push('Using default session secret. Change SESSION_SECRET in production!');
         }
 
+        // Check token encryption key
+        if (!this.security.isTokenEncryptionConfigured()) {
+            warnings.push('TOKEN_ENCRYPTION_KEY not set. Facebook tokens are encrypted with SESSION_SECRET instead.');
+        }
+
+        // Check widget token secret
+        if (!this.auth.isConfigured()) {
+            warnings.push('WIDGET_TOKEN_SECRET not set. Widget session tokens are signed with SESSION_SECRET instead.');
+        }
+
+        // Check how widget sessions are verified
+        if (!this.auth.canIssueSessions()) {
+            warnings.push('Neither HIGHLEVEL_SSO_KEY nor WIDGET_ISSUER_SECRET is set. No widget sessions can be started.');
+        }
+        if (this.auth.devSessions) {
+            warnings.push('WIDGET_DEV_SESSIONS is on. Widget sessions are issued for any userId - local development only!');
+        }
+
         // Check required for production
         if (this.server.env === 'production') {
             if (!this.ai.isConfigured()) {
@@ -123,6 +300,15 @@ const config = {
             if (!this.session.isSecure()) {
                 errors.push('Secure SESSION_SECRET is required in production');
             }
+            if (!this.security.isTokenEncryptionConfigured()) {
+                errors.push('TOKEN_ENCRYPTION_KEY is required in production');
+            }
+            if (!this.auth.isConfigured()) {
+                errors.push('WIDGET_TOKEN_SECRET is required in production');
+            }
+            if (this.auth.devSessions) {
+                errors.push('WIDGET_DEV_SESSIONS must be off in production');
+            }
         }
 
         return {
@@ -138,9 +324,10 @@ const config = {
             environment: this.server.env,
             backendUrl: this.server.backendUrl,
             ai: {
-                provider: this.ai.provider,
+                provider: this.features.mockMode.ai ? 'mock' : this.ai.provider,
                 configured: this.ai.isConfigured(),
-                model: this.ai.provider === 'groq' ? this.ai.groq.model : this.ai.openai.model
+                model: this.ai.getModel('chat'),
+                models: Object.fromEntries(Object.keys(this.ai.tasks).map(task => [task, this.ai.getModel(task)]))
             },
             facebook: {
                 configured: this.facebook.isConfigured(),
@@ -149,6 +336,9 @@ const config = {
             highlevel: {
                 configured: this.highlevel.isConfigured()
             },
+            storage: {
+                driver: this.storage.driver
+            },
             mockMode: this.features.mockMode,
             validation: this.validate()
         };
@@ -0,0 +1,80 @@
+/**
+ * Onboarding Flow
+ *
+ * What the copilot asks a new business owner, in order, before it moves on to Facebook and posts.
+ * This one definition drives the conversation state machine, the context reminders sent to the chat
+ * model, the system prompt's flow section and which profile fields are extracted from messages.
+ *
+ * To customize it without editing this file, point ONBOARDING_FLOW_FILE at a JSON file with the same
+ * shape - its top-level keys replace these (facebook settings are merged key by key).
+ *
+ * Step shape:
+ * {
+ *   id: 'industry',                 // state name becomes collecting_<id>
+ *   field: 'industry',              // business profile field the answer is saved to
+ *   label: 'Industry',              // shown to the user (e.g. on the "Here's what I learned" card)
+ *   description: '...',             // what the field means - tells the extraction model what to look for
+ *   prompt: '...',                  // instruction for the chat model while this step is open
+ *   quickReplies: '...',            // hint for the quick reply options to offer
+ *   required: true                  // false: asked for one turn, then the flow moves on unanswered
+ * }
+ */
+
+module.exports = {
+    // How the first reply opens
+    greeting: 'Hope you are doing well! How can I help you today?',
+
+    steps: [
+        {
+            id: 'industry',
+            field: 'industry',
+            label: 'Industry',
+            description: 'industry or business type',
+            prompt: 'Ask "What industry are you in?"',
+            quickReplies: 'Generate 4-5 diverse industry quick reply options such as: Restaurant & Food, Fitness & Health, E-commerce, Professional Services, Beauty & Wellness, Education & Training, Real Estate, Technology & Software. Always include an "Other" option as the last option.'
+        },
+        {
+            id: 'products_services',
+            field: 'productsServices',
+            label: 'Products & services',
+            description: 'products or services they want to promote',
+            prompt: 'Ask about their specific products/services.',
+            quickReplies: 'Generate relevant options based on their industry. IMPORTANT: Start quick replies with "All of these" as the FIRST option, then list 3-4 specific categories, then "Other" as the last option.'
+        },
+        {
+            id: 'audience',
+            field: 'audience',
+            label: 'Target audience',
+            description: 'target audience',
+            prompt: 'Ask about their target audience.',
+            quickReplies: 'Generate relevant demographic or customer type options based on their industry.'
+        },
+        {
+            id: 'tone',
+            field: 'tone',
+            label: 'Brand tone',
+            description: 'brand tone / voice',
+            prompt: 'Ask about their brand tone/voice.',
+            quickReplies: 'Generate relevant options.'
+        }
+    ],
+
+    // Details saved when the user mentions them, without a question of their own
+    learnedFields: [
+        {
+            field: 'contentPreferences',
+            label: 'Content preferences',
+            description: 'kinds of content they want to post'
+        }
+    ],
+
+    facebook: {
+        // User messages before the copilot must ask for the Facebook connection (once the steps are done)
+        afterUserMessages: 3,
+        prompts: {
+            required: 'The user has answered multiple questions but Facebook is NOT connected. You MUST now ask them to connect their Facebook account. Include "Connect Facebook" as a quick reply option.',
+            connected: 'Facebook is connected! You can now ask if they want to generate posts. Include "Schedule FB Posts" or "Generate Posts" as a quick reply option.',
+            ready: 'All information gathered and Facebook is connected. You can help generate posts or calendars.'
+        }
+    }
+};
@@ -3,6 +3,13 @@
  * Custom JS widget for HighLevel platform
  */
 
+// Pages allowed to configure the widget and answer its user context request - HighLevel's app domains,
+// plus white-label domains listed in window.COPILOT_ALLOWED_ORIGINS
+const HIGHLEVEL_ORIGIN_PATTERNS = [
+    /^https:\/\/([a-z0-9-]+\.)*gohighlevel\.com$/,
+    /^https:\/\/([a-z0-9-]+\.)*leadconnectorhq\.com$/
+];
+
 class CopilotWidget {
     constructor() {
         // Get API URL from parent window message or fallback
@@ -22,21 +29,29 @@ class CopilotWidget {
         this.calendarView = 'grid'; // 'grid' or 'list'
         this.retryAttempts = new Map();
         this.maxRetries = 3;
-        // Track conversation context for contextual quick replies
-        this.conversationContext = {
-            industry: null,
-            businessType: null,
-            lastQuestion: null
-        };
+        // Where the conversation is (the server's conversation state) - drives the progress stepper
+        this.conversationState = null;
         this.facebookConnected = false;
+        this.facebookPages = []; // Connected pages posts can target
+        this.scheduledPosts = []; // Posts waiting to publish on Facebook (from the server)
+        // Business timezone - the HighLevel location's when the host sends one, else the browser's
+        this.timezone = Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+        this.timezoneSource = 'browser';
+        // Widget session token - every API call waits for it (see apiFetch)
+        this.authToken = null;
+        this.authReady = this.startSession();
         this.init();
 
-        // Listen for configuration from parent (HighLevel)
+        // Listen for configuration from parent (HighLevel) - the user comes from the verified session, not from here
         window.addEventListener('message', (event) => {
+            if (!this.isTrustedHost(event)) return;
             if (event.data && event.data.type === 'copilot-config') {
                 this.apiUrl = event.data.apiUrl || this.apiUrl;
-                this.userId = event.data.userId || this.userId;
-                console.log('Copilot configured:', { apiUrl: this.apiUrl, userId: this.userId });
+                if (event.data.timezone) {
+                    this.timezone = event.data.timezone;
+                    this.timezoneSource = 'location';
+                }
+                console.log('Copilot configured:', { apiUrl: this.apiUrl, userId: this.userId, timezone: this.timezone });
             }
         });
 
@@ -46,6 +61,99 @@ class CopilotWidget {
         }
     }
 
+    // Messages from the HighLevel page hosting the widget (any other page could frame it)
+    isTrustedHost(event) {
+        const allowed = window.COPILOT_ALLOWED_ORIGINS || [];
+        return this.isHighLevel && event.source === window.parent &&
+            (allowed.includes(event.origin) || HIGHLEVEL_ORIGIN_PATTERNS.some(pattern => pattern.test(event.origin)));
+    }
+
+    // Inside HighLevel the session is started from HighLevel's user context; standalone only in local development
+    startSession() {
+        return this.isHighLevel ? this.requestHighLevelSession() : this.requestSession({ userId: this.userId });
+    }
+
+    async requestHighLevelSession() {
+        const highLevelContext = await this.requestHighLevelContext();
+        if (!highLevelContext) {
+            console.error('HighLevel did not send a user context - cannot start a widget session');
+            this.authToken = null;
+            return null;
+        }
+        return this.requestSession({ highLevelContext });
+    }
+
+    // HighLevel's SSO handshake: the host answers with the user context, encrypted with the app's shared secret
+    requestHighLevelContext() {
+        return new Promise(resolve => {
+            const onResponse = (event) => {
+                if (!this.isTrustedHost(event) || !event.data || event.data.message !== 'REQUEST_USER_DATA_RESPONSE') return;
+                clearTimeout(timeoutTimer);
+                window.removeEventListener('message', onResponse);
+                resolve(event.data.payload || null);
+            };
+            const timeoutTimer = setTimeout(() => {
+                window.removeEventListener('message', onResponse);
+                resolve(null);
+            }, 10000);
+            window.addEventListener('message', onResponse);
+            // The request carries nothing secret - the answer is checked by origin above
+            window.parent.postMessage({ message: 'REQUEST_USER_DATA' }, '*');
+        });
+    }
+
+    async requestSession(credentials) {
+        try {
+            const response = await fetch(`${this.apiUrl}/api/auth/session`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(credentials)
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const data = await response.json();
+            this.authToken = data.token;
+            this.setUserId(data.userId);
+        } catch (error) {
+            console.error('Error starting widget session:', error);
+            this.authToken = null;
+        }
+        return this.authToken;
+    }
+
+    // The session's user - switches to that user's saved chat session when it differs
+    setUserId(userId) {
+        if (!userId || userId === this.userId) return;
+        this.userId = userId;
+        this.sessionId = this.getOrCreateSessionId();
+    }
+
+    // fetch() with the widget session token; renews the session once if the token expired
+    async apiFetch(url, options = {}) {
+        await this.authReady;
+
+        const send = () => fetch(url, {
+            ...options,
+            headers: { ...(options.headers || {}), Authorization: `Bearer ${this.authToken}` }
+        });
+
+        const response = await send();
+        if (response.status !== 401) {
+            return response;
+        }
+
+        // 401 is also used for "reconnect Facebook" - only renew on session errors
+        const data = await response.clone().json().catch(() => ({}));
+        if (data.code !== 'AUTH_INVALID' && data.code !== 'AUTH_REQUIRED') {
+            return response;
+        }
+
+        this.authReady = this.startSession();
+        await this.authReady;
+        return send();
+    }
+
     generateSessionId() {
         return `session_${Date.now()}_${Math.random().toString(36).substring(7)}`;
     }
@@ -68,7 +176,7 @@ class CopilotWidget {
             // Wait a bit to ensure DOM is ready
             await new Promise(resolve => setTimeout(resolve, 100));
 
-            const response = await fetch(`${this.apiUrl}/api/chat/history/${this.sessionId}`);
+            const response = await this.apiFetch(`${this.apiUrl}/api/chat/history/${this.sessionId}`);
             if (!response.ok) {
                 // No history - show welcome message
                 return;
@@ -117,16 +225,50 @@ class CopilotWidget {
         return false;
     }
 
-    async startNewChat() {
-        // Clear conversation history on backend
+    // Restore the progress stepper for the session (also picks up a Facebook connection made since the last turn)
+    async loadConversationState() {
         try {
-            await fetch(`${this.apiUrl}/api/chat/history/${this.sessionId}`, {
-                method: 'DELETE'
-            });
+            const response = await this.apiFetch(`${this.apiUrl}/api/chat/state/${this.sessionId}`);
+            if (!response.ok) return;
+
+            const data = await response.json();
+            this.updateConversationState(data.state);
         } catch (error) {
-            console.error('Error clearing conversation history:', error);
+            console.error('Error loading conversation state:', error);
+        }
+    }
+
+    // Render the onboarding stepper from a state summary - "Generate calendar" unlocks once posts are next
+    updateConversationState(state) {
+        if (!state || !Array.isArray(state.steps)) return;
+        this.conversationState = state;
+
+        const container = document.getElementById('onboarding-progress');
+        const list = document.getElementById('progress-steps');
+        const calendarBtn = document.getElementById('progress-calendar-btn');
+        if (!container || !list) return;
+
+        list.innerHTML = '';
+        state.steps.forEach(step => {
+            const item = document.createElement('li');
+            item.className = `progress-step ${step.status}`;
+            item.textContent = step.label;
+            if (step.status === 'current') {
+                item.setAttribute('aria-current', 'step');
+            }
+            list.appendChild(item);
+        });
+
+        if (calendarBtn) {
+            calendarBtn.disabled = !state.readyForCalendar;
+            calendarBtn.textContent = this.calendar ? 'Open calendar' : 'Generate calendar';
+            calendarBtn.title = state.readyForCalendar ? '' : `Next: ${state.nextAction?.label || ''}`;
         }
+        container.style.display = 'flex';
+    }
 
+    async startNewChat() {
+        // The previous conversation stays on the server - it can be reopened from the history panel
         // Generate new sessionId and store it
         const storageKey = `copilot_session_${this.userId}`;
         this.sessionId = this.generateSessionId();
@@ -138,17 +280,162 @@ class CopilotWidget {
             messagesContainer.innerHTML = '';
         }
 
-        // Reset conversation context
-        this.conversationContext = {
-            industry: null,
-            businessType: null,
-            lastQuestion: null
-        };
+        // The new session starts the onboarding flow over
+        this.conversationState = null;
+        this.loadConversationState();
 
         // Show initial greeting
         this.showChatScreen(true);
     }
 
+    // Show or hide the past conversations panel (refreshes the list when shown)
+    toggleHistoryPanel(show) {
+        const panel = document.getElementById('history-panel');
+        if (!panel) return;
+
+        const visible = show ?? panel.style.display === 'none';
+        panel.style.display = visible ? 'flex' : 'none';
+        if (visible) {
+            this.loadConversationList();
+        }
+    }
+
+    async loadConversationList() {
+        const list = document.getElementById('history-list');
+        if (!list) return;
+
+        try {
+            const response = await this.apiFetch(`${this.apiUrl}/api/chat/sessions/${this.userId}`);
+            if (!response.ok) {
+                throw new Error('Failed to load conversations');
+            }
+            const { sessions } = await response.json();
+            this.renderConversationList(sessions || []);
+        } catch (error) {
+            console.error('Error loading conversations:', error);
+            list.innerHTML = '<li class="history-empty">Could not load conversations.</li>';
+        }
+    }
+
+    renderConversationList(sessions) {
+        const list = document.getElementById('history-list');
+        list.innerHTML = '';
+
+        if (sessions.length === 0) {
+            list.innerHTML = '<li class="history-empty">No conversations yet.</li>';
+            return;
+        }
+
+        sessions.forEach(session => {
+            const item = document.createElement('li');
+            item.className = `history-item${session.sessionId === this.sessionId ? ' current' : ''}`;
+
+            const body = document.createElement('div');
+            body.className = 'history-item-body';
+
+            const title = document.createElement('div');
+            title.className = 'history-item-title';
+            title.textContent = session.title;
+
+            const date = document.createElement('div');
+            date.className = 'history-item-date';
+            date.textContent = new Date(session.createdAt).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+
+            body.append(title, date);
+            if (session.lastMessage) {
+                const preview = document.createElement('div');
+                preview.className = 'history-item-preview';
+                preview.textContent = `${session.lastMessage.role === 'user' ? 'You: ' : ''}${session.lastMessage.content}`;
+                body.appendChild(preview);
+            }
+
+            const actions = document.createElement('div');
+            actions.className = 'history-item-actions';
+
+            const renameBtn = document.createElement('button');
+            renameBtn.textContent = 'Rename';
+            renameBtn.addEventListener('click', (event) => {
+                event.stopPropagation();
+                this.renameConversation(session);
+            });
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.addEventListener('click', (event) => {
+                event.stopPropagation();
+                this.deleteConversation(session);
+            });
+
+            actions.append(renameBtn, deleteBtn);
+            item.append(body, actions);
+            item.addEventListener('click', () => this.openConversation(session.sessionId));
+            list.appendChild(item);
+        });
+    }
+
+    // Switch the chat to a past conversation
+    async openConversation(sessionId) {
+        this.toggleHistoryPanel(false);
+        if (sessionId === this.sessionId) return;
+
+        this.sessionId = sessionId;
+        localStorage.setItem(`copilot_session_${this.userId}`, sessionId);
+
+        const messagesContainer = document.getElementById('chat-messages');
+        if (messagesContainer) {
+            messagesContainer.innerHTML = '';
+        }
+        this.conversationState = null;
+
+        this.showChatScreen(false);
+        await this.loadConversationHistory();
+        this.loadConversationState();
+    }
+
+    async renameConversation(session) {
+        const title = prompt('Rename conversation', session.title);
+        if (title === null || !title.trim() || title.trim() === session.title) return;
+
+        try {
+            const response = await this.apiFetch(`${this.apiUrl}/api/chat/history/${session.sessionId}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ title: title.trim() })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to rename conversation');
+            }
+            this.loadConversationList();
+        } catch (error) {
+            console.error('Error renaming conversation:', error);
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    async deleteConversation(session) {
+        if (!confirm(`Delete "${session.title}"? This can't be undone.`)) return;
+
+        try {
+            const response = await this.apiFetch(`${this.apiUrl}/api/chat/history/${session.sessionId}`, {
+                method: 'DELETE'
+            });
+            if (!response.ok) {
+                throw new Error('Failed to delete conversation');
+            }
+
+            if (session.sessionId === this.sessionId) {
+                this.toggleHistoryPanel(false);
+                await this.startNewChat();
+            } else {
+                this.loadConversationList();
+            }
+        } catch (error) {
+            console.error('Error deleting conversation:', error);
+            this.showToast('Failed to delete conversation', 'error');
+        }
+    }
+
     scrollToBottom(smooth = true) {
         const messagesContainer = document.getElementById('chat-messages');
         if (!messagesContainer) return;
@@ -164,9 +451,14 @@ class CopilotWidget {
 
     async init() {
         this.setupEventListeners();
-        this.checkFacebookConnection();
         // Show chat screen directly on init (without welcome message yet)
         this.showChatScreen(false);
+        // The verified session decides the user - and with it the saved chat session
+        await this.authReady;
+        this.loadConversationState();
+        this.checkFacebookConnection();
+        this.syncTimezone();
+        this.loadCalendar().then(found => found && this.syncScheduledPosts());
         // Load previous conversation history if available (wait a bit for DOM to be ready)
         setTimeout(async () => {
             const historyLoaded = await this.loadConversationHistory();
@@ -199,6 +491,17 @@ class CopilotWidget {
             newChatBtn.addEventListener('click', () => this.startNewChat());
         }
 
+        // Conversation history panel
+        const historyBtn = document.getElementById('history-btn');
+        if (historyBtn) {
+            historyBtn.addEventListener('click', () => this.toggleHistoryPanel());
+        }
+
+        const closeHistoryBtn = document.getElementById('close-history-btn');
+        if (closeHistoryBtn) {
+            closeHistoryBtn.addEventListener('click', () => this.toggleHistoryPanel(false));
+        }
+
         // Chat input
         const chatInput = document.getElementById('chat-input');
         const sendBtn = document.getElementById('send-btn');
@@ -250,11 +553,18 @@ class CopilotWidget {
             maximizeCalendarBtn.addEventListener('click', () => this.toggleMaximizeCalendar());
         }
 
+        // Stepper's calendar button (enabled by the conversation state)
+        const progressCalendarBtn = document.getElementById('progress-calendar-btn');
+        if (progressCalendarBtn) {
+            progressCalendarBtn.addEventListener('click', () => this.showCalendarScreen());
+        }
+
         // Listen for Facebook connection messages
         window.addEventListener('message', (event) => {
             if (event.data && event.data.type === 'facebook-connected') {
                 this.facebookConnected = true;
                 this.checkFacebookConnection();
+                this.loadConversationState();
                 if (event.data.mock) {
                     this.showToast('Facebook connected (Demo Mode)', 'info');
                 } else {
@@ -274,6 +584,8 @@ class CopilotWidget {
                             'Generate calendar',
                             'Not yet'
                         ]);
+                        // Agencies often manage several pages - offer to switch the active one
+                        this.offerPageSwitch();
                     }, 500);
                 }, 1500);
             }
@@ -282,12 +594,15 @@ class CopilotWidget {
 
     async checkFacebookConnection() {
         try {
-            const response = await fetch(`${this.apiUrl}/api/facebook/status/${this.userId}`);
+            const response = await this.apiFetch(`${this.apiUrl}/api/facebook/status/${this.userId}`);
             const data = await response.json();
 
             this.facebookConnected = data.connected || false;
+            this.facebookPages = data.pages || [];
 
-            if (data.connected) {
+            if (data.reconnectRequired) {
+                this.showReconnectRequired();
+            } else if (data.connected) {
                 this.updateFacebookStatus(true);
             }
         } catch (error) {
@@ -296,6 +611,163 @@ class CopilotWidget {
         }
     }
 
+    // Restore the saved calendar from the server so a reload keeps the plan
+    async loadCalendar() {
+        try {
+            const response = await this.apiFetch(`${this.apiUrl}/api/calendar/${this.userId}`);
+            if (!response.ok) {
+                // No saved calendar yet
+                return false;
+            }
+
+            const data = await response.json();
+            if (data.success && Array.isArray(data.calendar)) {
+                this.calendar = data.calendar;
+                if (this.currentScreen === 'calendar') {
+                    this.renderCalendar();
+                }
+                return true;
+            }
+        } catch (error) {
+            console.error('Error loading saved calendar:', error);
+        }
+        return false;
+    }
+
+    // Store the business timezone on the profile so the server schedules in local time
+    // A HighLevel location timezone always wins; the browser's only fills in a missing one
+    async syncTimezone() {
+        if (!this.timezone) return;
+        try {
+            const response = await this.apiFetch(`${this.apiUrl}/api/profile/${this.userId}`);
+            const data = response.ok ? await response.json() : {};
+            const current = data.profile?.timezone;
+
+            if (current === this.timezone || (current && this.timezoneSource !== 'location')) {
+                // Keep labels in line with the timezone the server schedules in
+                this.timezone = current || this.timezone;
+                return;
+            }
+
+            await this.apiFetch(`${this.apiUrl}/api/profile/${this.userId}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ timezone: this.timezone })
+            });
+        } catch (error) {
+            console.error('Error saving timezone:', error);
+        }
+    }
+
+    // Ask the server what is really scheduled on Facebook - it also reconciles the saved calendar
+    // (posts published or deleted on Facebook directly), so the calendar is reloaded afterwards
+    async syncScheduledPosts() {
+        try {
+            const response = await this.apiFetch(`${this.apiUrl}/api/scheduling/posts/${this.userId}`);
+            const data = await response.json();
+
+            if (data.code === 'FACEBOOK_RECONNECT_REQUIRED') {
+                this.showReconnectRequired(data.error);
+            } else if (response.ok && data.success) {
+                this.scheduledPosts = data.posts;
+            }
+        } catch (error) {
+            console.error('Error loading scheduled posts:', error);
+        }
+        await this.loadCalendar();
+    }
+
+    // Let the user choose which pages to publish to when the Facebook login manages more than one
+    async offerPageSwitch() {
+        try {
+            const response = await this.apiFetch(`${this.apiUrl}/api/facebook/pages/${this.userId}`);
+            if (!response.ok) return;
+
+            const data = await response.json();
+            if (Array.isArray(data.pages) && data.pages.length > 1) {
+                this.showPagePicker(data.pages);
+            }
+        } catch (error) {
+            console.error('Error loading Facebook pages:', error);
+        }
+    }
+
+    showPagePicker(pages) {
+        const messagesContainer = document.getElementById('chat-messages');
+        if (!messagesContainer) return;
+
+        const pickerMessage = document.createElement('div');
+        pickerMessage.className = 'message assistant';
+
+        const content = document.createElement('div');
+        content.className = 'message-content page-picker';
+
+        const label = document.createElement('div');
+        label.className = 'page-picker-label';
+        label.textContent = 'Which Facebook pages should I publish to? Posts go to the default page unless you pick others for a post.';
+        content.appendChild(label);
+
+        const options = document.createElement('div');
+        options.className = 'page-picker-options';
+        pages.forEach(page => {
+            const option = document.createElement('label');
+            option.className = 'page-picker-option';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = page.id;
+            checkbox.checked = page.connected;
+            option.appendChild(checkbox);
+
+            const name = document.createElement('span');
+            name.textContent = page.active ? `${page.name} (default)` : page.name;
+            option.appendChild(name);
+
+            options.appendChild(option);
+        });
+        content.appendChild(options);
+
+        const saveBtn = document.createElement('button');
+        saveBtn.className = 'quick-reply-btn page-picker-save';
+        saveBtn.textContent = 'Save pages';
+        saveBtn.addEventListener('click', () => {
+            const pageIds = Array.from(options.querySelectorAll('input:checked')).map(input => input.value);
+            this.saveConnectedPages(pageIds, pickerMessage);
+        });
+        content.appendChild(saveBtn);
+
+        pickerMessage.appendChild(content);
+        messagesContainer.appendChild(pickerMessage);
+        this.scrollToBottom(true);
+    }
+
+    async saveConnectedPages(pageIds, pickerMessage) {
+        if (pageIds.length === 0) {
+            this.showToast('Select at least one page', 'error');
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch(`${this.apiUrl}/api/facebook/pages/${this.userId}/connected`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ pageIds })
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to update pages');
+            }
+
+            if (pickerMessage) pickerMessage.remove();
+            this.showToast(`Publishing to ${pageIds.length} page${pageIds.length === 1 ? '' : 's'}`, 'success');
+            this.checkFacebookConnection();
+        } catch (error) {
+            console.error('Error updating Facebook pages:', error);
+            this.showToast(error.message || 'Failed to update pages', 'error');
+        }
+    }
+
     async sendWelcomeMessage() {
         // Send an empty message to trigger AI welcome message with industry question
         // The backend state machine will detect first interaction and generate appropriate greeting
@@ -433,25 +905,7 @@ class CopilotWidget {
                 suggestionText.style.display = 'none';
             }
 
-            // Handle special actions directly
-            const normalizedReply = reply.toLowerCase().trim();
-            if (normalizedReply.includes('connect') && normalizedReply.includes('facebook')) {
-                // Directly trigger Facebook connection
-                // Call immediately to maintain user gesture context for popup
-                this.connectFacebook().catch(error => {
-                    console.error('Error in connectFacebook:', error);
-                    this.showToast('Failed to connect Facebook. Please try again.', 'error');
-                });
-                return;
-            }
-            
-            if (normalizedReply.includes('generate') && (normalizedReply.includes('calendar') || normalizedReply.includes('posts'))) {
-                // Directly trigger calendar generation
-                this.generateCalendarInline();
-                return;
-            }
-
-            // Send reply as a regular message - let backend/LLM handle all action detection
+            // Send reply as a regular message - the assistant calls tools for actions (see handleChatAction)
             input.value = reply;
             this.sendMessage();
         }
@@ -532,13 +986,13 @@ class CopilotWidget {
 
         // Create assistant message placeholder for streaming
         const assistantMessageId = this.addMessage('assistant', '', true);
-        const assistantMessageEl = document.querySelector(`[data-message-id="${assistantMessageId}"] .message-content`);
+        let assistantMessageEl = document.querySelector(`[data-message-id="${assistantMessageId}"] .message-content`);
 
         let fullResponse = '';
 
         try {
             // Use streaming endpoint
-            const response = await fetch(`${this.apiUrl}/api/chat/stream`, {
+            const response = await this.apiFetch(`${this.apiUrl}/api/chat/stream`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
@@ -580,6 +1034,13 @@ class CopilotWidget {
                             const parsed = JSON.parse(data);
 
                             if (parsed.type === 'chunk') {
+                                // Text after an action card goes into a new message below it
+                                if (!assistantMessageEl) {
+                                    const messageId = this.addMessage('assistant', '', true);
+                                    assistantMessageEl = document.querySelector(`[data-message-id="${messageId}"] .message-content`);
+                                    fullResponse = '';
+                                }
+
                                 // Add character by character
                                 fullResponse += parsed.content;
                                 if (assistantMessageEl) {
@@ -593,9 +1054,29 @@ class CopilotWidget {
                                     // Scroll to bottom during streaming (auto scroll for better UX during typing)
                                     this.scrollToBottom(false);
                                 }
+                            } else if (parsed.type === 'state') {
+                                this.updateConversationState(parsed);
+                            } else if (parsed.type === 'profile_update') {
+                                // Show what was learned above the reply it came with
+                                this.showProfileUpdateCard(parsed.changes, assistantMessageEl && assistantMessageEl.closest('.message'));
+                            } else if (parsed.type === 'action') {
+                                // Drop the placeholder if the assistant went straight to a tool call
+                                if (assistantMessageEl && !fullResponse) {
+                                    assistantMessageEl.closest('.message').remove();
+                                }
+                                assistantMessageEl = null;
+                                this.handleChatAction(parsed);
                             } else if (parsed.type === 'done') {
                                 // Final response with quick replies
                                 fullResponse = parsed.fullResponse || fullResponse;
+                                if (!assistantMessageEl && fullResponse) {
+                                    const messageId = this.addMessage('assistant', fullResponse);
+                                    assistantMessageEl = document.querySelector(`[data-message-id="${messageId}"] .message-content`);
+                                } else if (assistantMessageEl && !fullResponse) {
+                                    // Only action cards this turn
+                                    assistantMessageEl.closest('.message').remove();
+                                    assistantMessageEl = null;
+                                }
                                 if (assistantMessageEl) {
                                     assistantMessageEl.style.whiteSpace = 'pre-wrap';
                                     assistantMessageEl.textContent = fullResponse;
@@ -720,7 +1201,7 @@ class CopilotWidget {
             const useSameWindow = confirm('Popup was blocked. Would you like to open Facebook connection in this window instead?');
             if (useSameWindow) {
                 try {
-                    const response = await this.fetchWithRetry(`${this.apiUrl}/api/facebook/auth-url?userId=${this.userId}`);
+                    const response = await this.fetchWithRetry(`${this.apiUrl}/api/facebook/auth-url`);
                     const data = await response.json();
                     if (data.authUrl) {
                         window.location.href = data.authUrl;
@@ -735,7 +1216,7 @@ class CopilotWidget {
         try {
             this.showLoading('Connecting to Facebook...');
 
-            const response = await this.fetchWithRetry(`${this.apiUrl}/api/facebook/auth-url?userId=${this.userId}`);
+            const response = await this.fetchWithRetry(`${this.apiUrl}/api/facebook/auth-url`);
             const data = await response.json();
 
             if (data.authUrl) {
@@ -795,39 +1276,158 @@ class CopilotWidget {
         }
     }
 
-    async generateCalendarInline() {
-        try {
-            // Show loading message in chat
-            this.addMessage('assistant', 'Generating your 30-day content calendar... This may take a moment.');
+    // "Here's what I learned" card for profile_update events - values can be corrected in place
+    showProfileUpdateCard(changes, beforeEl) {
+        const messagesContainer = document.getElementById('chat-messages');
+        if (!messagesContainer || !Array.isArray(changes) || changes.length === 0) return;
+
+        const fieldLabels = {
+            industry: 'Industry',
+            productsServices: 'Products & services',
+            audience: 'Target audience',
+            tone: 'Brand tone',
+            contentPreferences: 'Content preferences'
+        };
 
-            const response = await this.fetchWithRetry(`${this.apiUrl}/api/calendar/generate`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    userId: this.userId
-                })
+        const card = document.createElement('div');
+        card.className = 'profile-update-card';
+        card.innerHTML = `<div class="profile-update-title">Here's what I learned</div>`;
+
+        changes.forEach(change => {
+            const row = document.createElement('label');
+            row.className = 'profile-update-row';
+
+            const label = document.createElement('span');
+            label.className = 'profile-update-label';
+            label.textContent = change.label || fieldLabels[change.field] || change.field;
+
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'profile-update-input';
+            input.value = change.new;
+            input.dataset.field = change.field;
+            input.dataset.saved = change.new;
+
+            row.appendChild(label);
+            row.appendChild(input);
+            if (change.old) {
+                const previous = document.createElement('span');
+                previous.className = 'profile-update-previous';
+                previous.textContent = `was: ${change.old}`;
+                row.appendChild(previous);
+            }
+            card.appendChild(row);
+        });
+
+        const saveBtn = document.createElement('button');
+        saveBtn.className = 'quick-reply-btn profile-update-save';
+        saveBtn.textContent = 'Save changes';
+        saveBtn.disabled = true;
+        card.appendChild(saveBtn);
+
+        const inputs = Array.from(card.querySelectorAll('.profile-update-input'));
+        const editedInputs = () => inputs.filter(input => input.value.trim() && input.value.trim() !== input.dataset.saved);
+        inputs.forEach(input => {
+            input.addEventListener('input', () => {
+                saveBtn.disabled = editedInputs().length === 0;
             });
+        });
 
-            const data = await response.json();
+        saveBtn.addEventListener('click', async () => {
+            const edited = editedInputs();
+            const updates = Object.fromEntries(edited.map(input => [input.dataset.field, input.value.trim()]));
+            saveBtn.disabled = true;
+            try {
+                const response = await this.apiFetch(`${this.apiUrl}/api/profile/${this.userId}`, {
+                    method: 'PATCH',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(updates)
+                });
+                if (!response.ok) {
+                    throw new Error('Profile update failed');
+                }
+                edited.forEach(input => {
+                    input.dataset.saved = input.value.trim();
+                });
+                this.showToast('Business profile updated', 'success');
+            } catch (error) {
+                console.error('Error saving profile correction:', error);
+                saveBtn.disabled = false;
+                this.showToast('Failed to save your changes. Please try again.', 'error');
+            }
+        });
 
-            if (data.success && data.calendar) {
-                this.calendar = data.calendar;
+        if (beforeEl && beforeEl.parentNode === messagesContainer) {
+            messagesContainer.insertBefore(card, beforeEl);
+        } else {
+            messagesContainer.appendChild(card);
+        }
+        this.scrollToBottom(true);
+    }
+
+    // Show a tool call the assistant made (action events from /api/chat/stream) and act on its result
+    handleChatAction(action) {
+        const messagesContainer = document.getElementById('chat-messages');
+        if (!messagesContainer) return;
 
-                // Show success message
-                this.addMessage('assistant', `Great! I've generated ${data.calendar.length} posts for your 30-day calendar. Here they are:`);
+        const runningLabels = {
+            get_profile: 'Checking your business profile',
+            update_profile_field: 'Saving your business profile',
+            generate_calendar: 'Generating your 30-day content calendar',
+            schedule_post: 'Scheduling the post',
+            check_facebook_status: 'Checking your Facebook connection',
+            connect_facebook: 'Preparing Facebook connection'
+        };
 
-                // Display posts inline in chat
-                setTimeout(() => {
-                    this.displayPostsInChat(data.calendar);
-                }, 500);
+        let card = messagesContainer.querySelector(`[data-action-id="${action.id}"]`);
+        if (!card) {
+            card = document.createElement('div');
+            card.className = 'chat-action-card';
+            card.setAttribute('data-action-id', action.id);
+            card.innerHTML = `
+                <span class="chat-action-icon"></span>
+                <span class="chat-action-text"></span>
+            `;
+            messagesContainer.appendChild(card);
+        }
+
+        card.classList.remove('running', 'completed', 'failed');
+        card.classList.add(action.status);
+        card.querySelector('.chat-action-icon').textContent = { running: '⏳', completed: '✓', failed: '⚠️' }[action.status] || '';
+        card.querySelector('.chat-action-text').textContent = action.status === 'running'
+            ? `${runningLabels[action.tool] || 'Working on it'}...`
+            : action.summary;
+        this.scrollToBottom(true);
+
+        if (action.status !== 'completed') return;
+
+        const data = action.data || {};
+        if (action.tool === 'generate_calendar' && Array.isArray(data.posts)) {
+            this.calendar = data.posts;
+            setTimeout(() => {
+                this.displayPostsInChat(data.posts);
+            }, 300);
+        } else if (action.tool === 'connect_facebook') {
+            // The login popup needs the user's click, so the card gets the button
+            const button = document.createElement('button');
+            button.className = 'quick-reply-btn chat-action-btn';
+            button.textContent = data.reconnect ? 'Reconnect Facebook' : 'Connect Facebook';
+            button.addEventListener('click', () => {
+                this.connectFacebook().catch(error => {
+                    console.error('Error in connectFacebook:', error);
+                    this.showToast('Failed to connect Facebook. Please try again.', 'error');
+                });
+            });
+            card.appendChild(button);
+        } else if (action.tool === 'check_facebook_status') {
+            this.facebookConnected = data.connected;
+            if (data.reconnectRequired) {
+                this.showReconnectRequired();
             } else {
-                throw new Error(data.error || 'Failed to generate calendar');
+                this.updateFacebookStatus(data.connected);
             }
-        } catch (error) {
-            console.error('Error generating calendar:', error);
-            this.addMessage('assistant', 'Sorry, I encountered an error generating your calendar. Please try again.');
+        } else if (action.tool === 'schedule_post') {
+            this.loadCalendar();
         }
     }
 
@@ -1127,7 +1727,7 @@ class CopilotWidget {
     // Fetch with retry mechanism
     async fetchWithRetry(url, options, retryCount = 0) {
         try {
-            const response = await fetch(url, options);
+            const response = await this.apiFetch(url, options);
 
             if (!response.ok && retryCount < this.maxRetries) {
                 throw new Error(`HTTP ${response.status}`);
@@ -1420,18 +2020,26 @@ class CopilotWidget {
             box-shadow: 0 20px 25px -5px rgba(0, 0, 0, 0.1);
         `;
 
-        const date = new Date(post.date);
+        // Calendar dates are the business's local dates - parse without a UTC shift
+        const date = new Date(`${post.date}T00:00:00`);
         const formattedDate = date.toLocaleDateString('en-US', {
             weekday: 'long',
             month: 'long',
             day: 'numeric',
             year: 'numeric'
-        });
+        }) + (post.publishAtLocal ? ` · ${this.formatLocalTime(post.publishAtLocal, { timeOnly: true })}` : '');
 
         const hashtagsHtml = (post.hashtags || []).map(tag =>
             `<span class="hashtag">${tag.startsWith('#') ? tag : '#' + tag}</span>`
         ).join('');
 
+        // Still waiting to publish on Facebook - can be moved or cancelled
+        const isPending = post.scheduleStatus === 'scheduled' && (post.facebookPosts || []).length > 0;
+        // Waiting in (or dropped out of) the local publish queue
+        const queueJobs = post.queueJobs || [];
+        const isQueued = post.scheduleStatus === 'queued';
+        const isFailed = post.scheduleStatus === 'failed';
+
         modalContent.innerHTML = `
             <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 16px;">
                 <h3 style="margin: 0; color: #1f2937;">${post.theme || 'Post Details'}</h3>
@@ -1449,11 +2057,29 @@ class CopilotWidget {
             <div style="display: flex; flex-wrap: wrap; gap: 6px; margin-bottom: 20px;">
                 ${hashtagsHtml}
             </div>
+            ${isPending ? `
+            <div class="scheduled-info">
+                Scheduled for ${this.formatLocalTime(post.scheduledTimeLocal || post.scheduledTime)}
+                on ${(post.facebookPosts || []).map(entry => entry.pageName || entry.pageId).join(', ')}
+            </div>
+            <div style="display: flex; gap: 12px; margin-bottom: 12px;">
+                <button class="btn-reschedule-modal secondary-btn" style="flex: 1;">🕒 Reschedule</button>
+                <button class="btn-cancel-schedule-modal secondary-btn" style="flex: 1;">✖ Cancel post</button>
+            </div>` : ''}
+            ${isQueued || isFailed ? `
+            <div class="scheduled-info ${isFailed ? 'failed' : ''}">
+                ${isFailed ? 'Publishing failed' : `Queued for ${this.formatLocalTime(post.scheduledTimeLocal || post.scheduledTime)}`}
+                on ${queueJobs.map(job => `${job.pageName || job.pageId} (${job.status})`).join(', ')}
+            </div>
+            <div style="display: flex; gap: 12px; margin-bottom: 12px;">
+                ${isFailed ? '<button class="btn-retry-queue-modal secondary-btn" style="flex: 1;">↻ Retry</button>' : ''}
+                <button class="btn-cancel-queue-modal secondary-btn" style="flex: 1;">✖ Cancel post</button>
+            </div>` : ''}
             <div style="display: flex; gap: 12px;">
                 <button class="btn-edit-modal primary-btn" style="flex: 1;">✏️ Edit</button>
                 <button class="btn-preview-modal secondary-btn" style="flex: 1;">👁️ Preview</button>
                 <button class="btn-schedule-modal primary-btn" style="flex: 1;" ${post.scheduled ? 'disabled' : ''}>
-                    ${post.scheduled ? '✓ Scheduled' : 'Schedule'}
+                    ${post.scheduleStatus === 'published' ? '✓ Published' : (isQueued ? '✓ Queued' : (post.scheduled ? '✓ Scheduled' : 'Schedule'))}
                 </button>
             </div>
         `;
@@ -1484,6 +2110,36 @@ class CopilotWidget {
             });
         }
 
+        if (isPending) {
+            modal.querySelector('.btn-reschedule-modal').addEventListener('click', () => {
+                modal.remove();
+                this.showRescheduleModal(post);
+            });
+            modal.querySelector('.btn-cancel-schedule-modal').addEventListener('click', async () => {
+                if (!confirm('Cancel this scheduled post on Facebook?')) {
+                    return;
+                }
+                modal.remove();
+                await this.cancelScheduledPost(post);
+            });
+        }
+
+        if (isQueued || isFailed) {
+            modal.querySelector('.btn-cancel-queue-modal').addEventListener('click', async () => {
+                if (!confirm('Cancel this post? It will not be published.')) {
+                    return;
+                }
+                modal.remove();
+                await this.changeQueueJobs(post, 'cancel');
+            });
+            if (isFailed) {
+                modal.querySelector('.btn-retry-queue-modal').addEventListener('click', async () => {
+                    modal.remove();
+                    await this.changeQueueJobs(post, 'retry');
+                });
+            }
+        }
+
         // Close on overlay click
         modal.addEventListener('click', (e) => {
             if (e.target === modal) {
@@ -1492,6 +2148,169 @@ class CopilotWidget {
         });
     }
 
+    // Move a scheduled post to a new time and/or change its text on every page it was scheduled to
+    showRescheduleModal(post) {
+        // datetime-local shows the business's wall-clock time; the server converts it in the profile timezone
+        const localValue = (post.scheduledTimeLocal || '').slice(0, 16);
+
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3>Reschedule Post</h3>
+                    <button class="modal-close" onclick="this.closest('.modal-overlay').remove()">×</button>
+                </div>
+                <div class="modal-body">
+                    <div class="form-group">
+                        <label>Publish at${this.timezone ? ` (${this.timezone})` : ''}</label>
+                        <input type="datetime-local" id="reschedule-time" class="form-input" value="${localValue}">
+                    </div>
+                    <div class="form-group">
+                        <label>Caption</label>
+                        <textarea id="reschedule-caption" class="form-textarea" rows="5"></textarea>
+                    </div>
+                </div>
+                <div class="modal-footer">
+                    <button class="secondary-btn" onclick="this.closest('.modal-overlay').remove()">Cancel</button>
+                    <button class="primary-btn" id="save-reschedule-btn">Update on Facebook</button>
+                </div>
+            </div>
+        `;
+        modal.querySelector('#reschedule-caption').value = post.caption || '';
+        document.body.appendChild(modal);
+        modal.style.display = 'flex';
+
+        const saveBtn = modal.querySelector('#save-reschedule-btn');
+        saveBtn.addEventListener('click', async () => {
+            const timeValue = modal.querySelector('#reschedule-time').value;
+            const caption = modal.querySelector('#reschedule-caption').value;
+            const changes = {};
+            if (timeValue && timeValue !== localValue) {
+                [changes.date, changes.time] = timeValue.split('T');
+            }
+            if (caption !== (post.caption || '')) {
+                changes.caption = caption;
+            }
+            if (Object.keys(changes).length === 0) {
+                modal.remove();
+                return;
+            }
+
+            saveBtn.disabled = true;
+            const updated = await this.updateScheduledPost(post, changes);
+            if (updated) {
+                modal.remove();
+            } else {
+                saveBtn.disabled = false;
+            }
+        });
+    }
+
+    // Apply changes to each Facebook post a calendar post was scheduled as
+    async updateScheduledPost(post, changes) {
+        try {
+            this.showLoading('Updating scheduled post...');
+
+            for (const entry of post.facebookPosts || []) {
+                const response = await this.apiFetch(`${this.apiUrl}/api/scheduling/post/${encodeURIComponent(entry.facebookPostId)}`, {
+                    method: 'PATCH',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ ...changes, pageId: entry.pageId })
+                });
+                const data = await response.json();
+
+                if (data.code === 'FACEBOOK_RECONNECT_REQUIRED') {
+                    this.showReconnectRequired(data.error);
+                    return false;
+                }
+                if (!response.ok || !data.success) {
+                    throw new Error(`${entry.pageName || entry.pageId}: ${data.error || 'Failed to update scheduled post'}`);
+                }
+            }
+
+            this.showToast('Scheduled post updated', 'success');
+            return true;
+        } catch (error) {
+            console.error('Error updating scheduled post:', error);
+            this.showToast(error.message || 'Failed to update scheduled post', 'error');
+            return false;
+        } finally {
+            await this.syncScheduledPosts();
+            this.hideLoading();
+        }
+    }
+
+    // Cancel a scheduled post on every page - the calendar post stays and can be scheduled again
+    async cancelScheduledPost(post) {
+        try {
+            this.showLoading('Cancelling scheduled post...');
+
+            for (const entry of post.facebookPosts || []) {
+                const response = await this.apiFetch(
+                    `${this.apiUrl}/api/scheduling/post/${encodeURIComponent(entry.facebookPostId)}?pageId=${encodeURIComponent(entry.pageId)}`,
+                    { method: 'DELETE' }
+                );
+                const data = await response.json();
+
+                if (data.code === 'FACEBOOK_RECONNECT_REQUIRED') {
+                    this.showReconnectRequired(data.error);
+                    return;
+                }
+                if (!response.ok || !data.success) {
+                    throw new Error(`${entry.pageName || entry.pageId}: ${data.error || 'Failed to cancel scheduled post'}`);
+                }
+            }
+
+            this.showToast('Scheduled post cancelled', 'success');
+        } catch (error) {
+            console.error('Error cancelling scheduled post:', error);
+            this.showToast(error.message || 'Failed to cancel scheduled post', 'error');
+        } finally {
+            await this.syncScheduledPosts();
+            this.hideLoading();
+        }
+    }
+
+    // Cancel or retry a post's publish queue jobs - only jobs in a state that allows it are touched
+    async changeQueueJobs(post, action) {
+        const allowed = action === 'retry' ? ['failed'] : ['queued', 'failed'];
+        try {
+            this.showLoading(action === 'retry' ? 'Queuing post again...' : 'Cancelling post...');
+
+            for (const job of (post.queueJobs || []).filter(entry => allowed.includes(entry.status))) {
+                const jobUrl = `${this.apiUrl}/api/scheduling/queue/job/${encodeURIComponent(job.jobId)}`;
+                const response = await this.apiFetch(action === 'retry' ? `${jobUrl}/retry` : jobUrl, {
+                    method: action === 'retry' ? 'POST' : 'DELETE'
+                });
+                const data = await response.json();
+                if (!response.ok || !data.success) {
+                    throw new Error(`${job.pageName || job.pageId}: ${data.error || 'Failed to update queued post'}`);
+                }
+            }
+
+            this.showToast(action === 'retry' ? 'Post queued again' : 'Post cancelled', 'success');
+        } catch (error) {
+            console.error('Error updating queued post:', error);
+            this.showToast(error.message || 'Failed to update queued post', 'error');
+        } finally {
+            await this.loadCalendar();
+            this.hideLoading();
+        }
+    }
+
+    // Format a server time as wall-clock time in the business timezone
+    // Local ISO strings ('2025-03-10T09:00:00-04:00') keep their own clock time, whatever the browser's timezone
+    formatLocalTime(isoString, { timeOnly = false } = {}) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/.exec(isoString || '');
+        if (!match) return '';
+        const [, year, month, day, hour, minute] = match.map(Number);
+        const wallClock = new Date(year, month - 1, day, hour, minute);
+        return timeOnly
+            ? wallClock.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })
+            : wallClock.toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+    }
+
     // Helper: Truncate text
     truncateText(text, maxLength) {
         if (text.length <= maxLength) return text;
@@ -1537,44 +2356,243 @@ class CopilotWidget {
                         <label>Hashtags (comma-separated)</label>
                         <input type="text" id="edit-hashtags" value="${(post.hashtags || []).join(', ')}" class="form-input">
                     </div>
+                    <div class="form-group">
+                        <label>Posting time${this.timezone ? ` (${this.timezone})` : ''}</label>
+                        <input type="time" id="edit-time" value="${post.time || '09:00'}" class="form-input">
+                    </div>
+                    ${this.facebookPages.length > 1 ? `
+                    <div class="form-group">
+                        <label>Publish to</label>
+                        <div class="page-target-options">
+                            ${this.facebookPages.map(page => `
+                            <label class="page-picker-option">
+                                <input type="checkbox" class="edit-page-target" value="${page.id}"
+                                    ${(post.pageIds && post.pageIds.length > 0 ? post.pageIds.includes(page.id) : page.active) ? 'checked' : ''}>
+                                <span>${page.name}${page.active ? ' (default)' : ''}</span>
+                            </label>`).join('')}
+                        </div>
+                    </div>` : ''}
+                    <div class="form-group">
+                        <label>Attachment</label>
+                        <select id="edit-attachment-type" class="form-select">
+                            <option value="">None</option>
+                            <option value="image" ${post.attachment?.type === 'image' ? 'selected' : ''}>Image</option>
+                            <option value="link" ${post.attachment?.type === 'link' ? 'selected' : ''}>Link</option>
+                        </select>
+                        <div class="attachment-fields">
+                            <input type="url" id="edit-attachment-url" class="form-input" placeholder="https://"
+                                value="${(post.attachment && !post.attachment.mediaId ? post.attachment.url : '').replace(/"/g, '&quot;')}">
+                            <input type="file" id="edit-attachment-file" class="attachment-file" accept="image/jpeg,image/png,image/gif">
+                        </div>
+                        <div class="attachment-preview" id="edit-attachment-preview"></div>
+                    </div>
                 </div>
                 <div class="modal-footer">
+                    <button class="secondary-btn" id="delete-post-btn">Delete</button>
                     <button class="secondary-btn" onclick="this.closest('.modal-overlay').remove()">Cancel</button>
                     <button class="primary-btn" id="save-post-btn">Save Changes</button>
                 </div>
             </div>
         `;
 
+        // Attachment being edited - uploads replace it as soon as the file is stored
+        let attachment = post.attachment || null;
+        const attachmentType = modal.querySelector('#edit-attachment-type');
+        const attachmentUrl = modal.querySelector('#edit-attachment-url');
+        const attachmentFile = modal.querySelector('#edit-attachment-file');
+        const attachmentPreview = modal.querySelector('#edit-attachment-preview');
+
+        const readAttachment = () => {
+            const type = attachmentType.value;
+            if (!type) {
+                return null;
+            }
+            if (type === 'image' && attachment?.mediaId && !attachmentUrl.value.trim()) {
+                return attachment;
+            }
+            const url = attachmentUrl.value.trim();
+            return url ? { type, url } : null;
+        };
+        const refreshAttachmentFields = () => {
+            const type = attachmentType.value;
+            attachmentUrl.style.display = type ? 'block' : 'none';
+            attachmentUrl.placeholder = type === 'image' ? 'Image URL (or upload a file)' : 'https://';
+            attachmentFile.style.display = type === 'image' ? 'block' : 'none';
+            attachmentPreview.innerHTML = this.renderAttachmentPreview(readAttachment());
+        };
+
+        attachmentType.addEventListener('change', refreshAttachmentFields);
+        attachmentUrl.addEventListener('input', refreshAttachmentFields);
+        attachmentFile.addEventListener('change', async () => {
+            const file = attachmentFile.files[0];
+            if (!file) {
+                return;
+            }
+            const uploaded = await this.uploadImage(file);
+            attachmentFile.value = '';
+            if (uploaded) {
+                attachment = { type: 'image', mediaId: uploaded.mediaId, url: uploaded.url };
+                attachmentUrl.value = '';
+                refreshAttachmentFields();
+            }
+        });
+        refreshAttachmentFields();
+
         const saveBtn = modal.querySelector('#save-post-btn');
         saveBtn.addEventListener('click', async () => {
             const updates = {
                 theme: modal.querySelector('#edit-theme').value,
                 caption: modal.querySelector('#edit-caption').value,
                 type: modal.querySelector('#edit-type').value,
-                hashtags: modal.querySelector('#edit-hashtags').value.split(',').map(t => t.trim()).filter(t => t)
+                hashtags: modal.querySelector('#edit-hashtags').value.split(',').map(t => t.trim()).filter(t => t),
+                time: modal.querySelector('#edit-time').value || null
             };
+            const pageTargets = modal.querySelectorAll('.edit-page-target');
+            if (pageTargets.length > 0) {
+                updates.pageIds = Array.from(pageTargets).filter(input => input.checked).map(input => input.value);
+            }
+            updates.attachment = readAttachment();
 
-            // Update local calendar
-            this.calendar[index] = { ...this.calendar[index], ...updates };
+            saveBtn.disabled = true;
 
-            // Save to backend
+            // Save to backend - the server copy is the source of truth
             try {
-                await this.fetchWithRetry(`${this.apiUrl}/api/calendar/post/${post.id}`, {
+                const response = await this.apiFetch(`${this.apiUrl}/api/calendar/post/${post.id}`, {
                     method: 'PATCH',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ userId: this.userId, updates })
+                    body: JSON.stringify({ userId: this.userId, updates, version: post.version })
                 });
+                const data = await response.json();
+
+                if (data.code === 'POST_SCHEDULED') {
+                    // Already with Facebook or the publish queue - cancel it before editing
+                    saveBtn.disabled = false;
+                    this.showToast('This post is scheduled. Cancel it to edit it, then schedule it again.', 'error');
+                    return;
+                }
+
+                if (response.status === 409) {
+                    // Someone else changed this post - reload the saved calendar
+                    await this.loadCalendar();
+                    this.renderCalendar();
+                    modal.remove();
+                    this.showToast(data.error || 'This post changed elsewhere. The calendar has been reloaded.', 'error');
+                    return;
+                }
+
+                if (data.code === 'ATTACHMENT_INVALID' || data.code === 'INVALID_TIME') {
+                    saveBtn.disabled = false;
+                    this.showToast(data.error, 'error');
+                    return;
+                }
+
+                if (!response.ok || !data.success) {
+                    throw new Error(data.error || 'Failed to update post');
+                }
+
+                // Update local calendar with the saved post (includes new version)
+                this.calendar[index] = { ...this.calendar[index], ...data.post };
                 this.showToast('Post updated successfully!', 'success');
                 this.renderCalendar();
                 modal.remove();
             } catch (error) {
+                console.error('Error updating post:', error);
+                saveBtn.disabled = false;
                 this.showToast('Failed to update post', 'error');
             }
         });
 
+        const deleteBtn = modal.querySelector('#delete-post-btn');
+        deleteBtn.addEventListener('click', async () => {
+            if (!confirm('Delete this post from your calendar?')) {
+                return;
+            }
+            const deleted = await this.deletePost(post);
+            if (deleted) {
+                modal.remove();
+            }
+        });
+
         return modal;
     }
 
+    // Delete post from the saved calendar
+    async deletePost(post) {
+        try {
+            const response = await this.apiFetch(`${this.apiUrl}/api/calendar/post/${post.id}`, {
+                method: 'DELETE'
+            });
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || 'Failed to delete post');
+            }
+
+            this.calendar = this.calendar.filter(p => p.id !== post.id);
+            this.showToast('Post deleted', 'success');
+            this.renderCalendar();
+            return true;
+        } catch (error) {
+            console.error('Error deleting post:', error);
+            this.showToast('Failed to delete post', 'error');
+            return false;
+        }
+    }
+
+    // Upload an image file for a post attachment - returns { mediaId, url } or null
+    async uploadImage(file) {
+        try {
+            this.showLoading('Uploading image...');
+
+            const dataUrl = await new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsDataURL(file);
+            });
+
+            const response = await this.apiFetch(`${this.apiUrl}/api/media`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ dataUrl, fileName: file.name })
+            });
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || 'Failed to upload image');
+            }
+            return data;
+        } catch (error) {
+            console.error('Error uploading image:', error);
+            this.showToast(error.message || 'Failed to upload image', 'error');
+            return null;
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    // Image thumbnail or link card for a post attachment
+    renderAttachmentPreview(attachment) {
+        if (!attachment || !attachment.url) {
+            return '';
+        }
+        const url = attachment.url.replace(/"/g, '&quot;');
+        if (attachment.type === 'image') {
+            return `<img class="preview-image" src="${url}" alt="Post image">`;
+        }
+        let host = attachment.url;
+        try {
+            host = new URL(attachment.url).hostname;
+        } catch (error) {
+            // Not a full URL yet (still typing) - show it as entered
+        }
+        return `
+            <a class="preview-link" href="${url}" target="_blank" rel="noopener noreferrer">
+                <span class="preview-link-icon">🔗</span>
+                <span class="preview-link-host">${host.replace(/</g, '&lt;')}</span>
+            </a>`;
+    }
+
     // Preview post
     previewPost(post) {
         const modal = document.createElement('div');
@@ -1602,6 +2620,7 @@ class CopilotWidget {
             `<span class="hashtag">${tag.startsWith('#') ? tag : '#' + tag}</span>`
         ).join('')}
                             </div>
+                            ${this.renderAttachmentPreview(post.attachment)}
                         </div>
                     </div>
                 </div>
@@ -1646,7 +2665,8 @@ class CopilotWidget {
         }, 5000);
     }
 
-    async schedulePost(post, index) {
+    // policy: how the server may treat a past date - omitted means reject, so the user is asked first
+    async schedulePost(post, index, policy) {
         // Prevent duplicate calls - check if already scheduling
         if (post._scheduling) {
             console.log('Post is already being scheduled, skipping duplicate call');
@@ -1655,6 +2675,8 @@ class CopilotWidget {
 
         // Mark as scheduling to prevent duplicates
         post._scheduling = true;
+        // Set when the server rejects the date as past - holds its suggested time
+        let pastDate = null;
 
         try {
             this.showLoading('Scheduling post...');
@@ -1668,40 +2690,49 @@ class CopilotWidget {
                     userId: this.userId,
                     postId: post.id || `post-${index}`,
                     date: post.date,
+                    time: post.time,
                     caption: post.caption,
-                    hashtags: post.hashtags
+                    hashtags: post.hashtags,
+                    pageIds: post.pageIds,
+                    attachment: post.attachment,
+                    policy
                 })
             });
 
             if (!response.ok) {
                 const errorData = await response.json();
+                if (errorData.code === 'FACEBOOK_RECONNECT_REQUIRED') {
+                    this.showReconnectRequired(errorData.error);
+                    return;
+                }
+                if (['PAST_DATE', 'TOO_SOON'].includes(errorData.code) && errorData.details) {
+                    pastDate = { message: errorData.error, ...errorData.details };
+                    return;
+                }
                 throw new Error(errorData.message || errorData.error || 'Failed to schedule post');
             }
 
             const data = await response.json();
 
             if (data.success) {
-                // Update post state in calendar array first - this is the source of truth
-                if (this.calendar && this.calendar[index]) {
-                    this.calendar[index].scheduled = true;
-                    this.calendar[index]._scheduling = false;
+                // The server records the schedule on the calendar post - reload it instead of flagging locally
+                await this.loadCalendar();
+
+                let message = data.scheduledTimeLocal
+                    ? `Post scheduled for ${this.formatLocalTime(data.scheduledTimeLocal)} (${data.timezone})`
+                    : 'Post scheduled successfully!';
+                if (data.replayed) {
+                    // An earlier (retried) request already scheduled it - nothing was posted twice
+                    message = `Post was already scheduled for ${this.formatLocalTime(data.scheduledTimeLocal)}`;
+                }
+                if (data.failedPages > 0) {
+                    const failed = data.pages.filter(page => !page.success).map(page => page.pageName);
+                    message = `Post scheduled, but failed on: ${failed.join(', ')}`;
                 }
-                // Update local post object reference
-                post.scheduled = true;
-                post._scheduling = false; // Clear scheduling flag
-
-                let message = 'Post scheduled successfully!';
                 if (data.adjusted) {
-                    message += ` (${data.adjusted})`;
+                    message += ` (moved ${data.adjusted.days} day${data.adjusted.days === 1 ? '' : 's'} later)`;
                 }
-                this.showToast(message, 'success');
-
-                // Use the calendar array post (source of truth) for button update
-                const calendarPost = this.calendar && this.calendar[index] ? this.calendar[index] : post;
-                this.updatePostButtonState(calendarPost, index);
-
-                // Don't call renderCalendar() - it will recreate everything and might overwrite
-                // The button state is already updated above
+                this.showToast(message, data.failedPages > 0 ? 'error' : 'success');
             } else {
                 throw new Error(data.error || data.message || 'Failed to schedule post');
             }
@@ -1714,20 +2745,58 @@ class CopilotWidget {
                 this.schedulePost(post, index);
             });
         } finally {
-            // Only clear the scheduling flag if not successfully scheduled
-            // (success case already handled above and state is already updated)
-            if (!post.scheduled) {
-                post._scheduling = false;
-                // Update in calendar array too
-                if (this.calendar && this.calendar[index]) {
-                    this.calendar[index]._scheduling = false;
+            post._scheduling = false;
+            // The calendar array holds the server's copy (reloaded after a successful schedule)
+            const calendarPost = this.calendar && this.calendar[index] ? this.calendar[index] : post;
+            calendarPost._scheduling = false;
+            this.updatePostButtonState(calendarPost, index);
+            this.hideLoading();
+
+            // Never move a post without asking
+            if (pastDate) {
+                const suggested = this.formatLocalTime(pastDate.suggestedTimeLocal);
+                if (confirm(`${pastDate.message}. Schedule this post for ${suggested} instead?`)) {
+                    await this.schedulePost(post, index, 'nextAvailable');
                 }
-                this.updatePostButtonState(post, index);
             }
-            this.hideLoading();
         }
     }
 
+    // Ask what to do with posts whose time has passed: resolves 'shiftCalendar', 'nextAvailable' or null (cancel)
+    askPastDatePolicy(pastCount, totalCount) {
+        return new Promise((resolve) => {
+            const modal = document.createElement('div');
+            modal.className = 'modal-overlay';
+            modal.innerHTML = `
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3>Some dates have passed</h3>
+                        <button class="modal-close">×</button>
+                    </div>
+                    <div class="modal-body">
+                        <p>${pastCount} of ${totalCount} posts are scheduled for a time that has passed (or is less than 10 minutes away).</p>
+                        <p>Shift the whole calendar forward so every post keeps its spacing, or move only those posts to the next day their time is free?</p>
+                    </div>
+                    <div class="modal-footer">
+                        <button class="secondary-btn" data-policy="">Cancel</button>
+                        <button class="secondary-btn" data-policy="nextAvailable">Move past posts</button>
+                        <button class="primary-btn" data-policy="shiftCalendar">Shift calendar</button>
+                    </div>
+                </div>
+            `;
+            const choose = (policy) => {
+                modal.remove();
+                resolve(policy || null);
+            };
+            modal.querySelector('.modal-close').addEventListener('click', () => choose(null));
+            modal.querySelectorAll('[data-policy]').forEach(button => {
+                button.addEventListener('click', () => choose(button.dataset.policy));
+            });
+            document.body.appendChild(modal);
+            modal.style.display = 'flex';
+        });
+    }
+
     async scheduleAllPosts() {
         if (!this.calendar || this.calendar.length === 0) {
             alert('No posts to schedule.');
@@ -1740,14 +2809,24 @@ class CopilotWidget {
             return;
         }
 
-        if (!confirm(`Schedule ${unscheduledPosts.length} posts?`)) {
+        // publishAtUtc comes from the server (profile timezone) - Facebook needs 10 minutes' notice
+        const earliest = Date.now() + 10 * 60 * 1000;
+        const pastPosts = unscheduledPosts.filter(post => post.publishAtUtc && new Date(post.publishAtUtc).getTime() < earliest);
+        let policy = 'reject';
+        if (pastPosts.length > 0) {
+            policy = await this.askPastDatePolicy(pastPosts.length, unscheduledPosts.length);
+            if (!policy) {
+                return;
+            }
+        } else if (!confirm(`Schedule ${unscheduledPosts.length} posts?`)) {
             return;
         }
 
-        try {
-            this.showLoading(`Scheduling ${unscheduledPosts.length} posts...`);
+        const progress = this.showBatchProgress(unscheduledPosts);
 
-            const response = await fetch(`${this.apiUrl}/api/scheduling/schedule-batch`, {
+        try {
+            // Streams one event per post as it is scheduled
+            const response = await this.apiFetch(`${this.apiUrl}/api/scheduling/schedule-batch/stream`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
@@ -1757,27 +2836,148 @@ class CopilotWidget {
                     posts: unscheduledPosts.map((post, index) => ({
                         id: post.id || `post-${index}`,
                         date: post.date,
+                        time: post.time,
                         caption: post.caption,
-                        hashtags: post.hashtags
-                    }))
+                        hashtags: post.hashtags,
+                        pageIds: post.pageIds,
+                        attachment: post.attachment
+                    })),
+                    policy
                 })
             });
 
-            const data = await response.json();
+            // Validation errors arrive as plain JSON before any post is scheduled
+            if (!response.ok) {
+                const data = await response.json();
+                progress.close();
+                if (data.code === 'FACEBOOK_RECONNECT_REQUIRED') {
+                    this.showReconnectRequired(data.error);
+                    return;
+                }
+                throw new Error(data.error || 'Failed to schedule posts');
+            }
 
-            if (data.success) {
-                alert(`Successfully scheduled ${data.succeeded} posts!`);
-                // Refresh calendar view
-                this.renderCalendar();
-            } else {
-                throw new Error('Failed to schedule posts');
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+            let summary = null;
+
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+
+                // Events can be split across chunks - only parse complete lines
+                buffer += decoder.decode(value, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+
+                for (const line of lines) {
+                    if (!line.startsWith('data: ') || line === 'data: [DONE]') continue;
+                    const event = JSON.parse(line.slice(6));
+                    if (event.type === 'progress') {
+                        progress.update(event);
+                    } else if (event.type === 'done') {
+                        summary = event;
+                    } else if (event.type === 'error') {
+                        throw new Error(event.error || 'Failed to schedule posts');
+                    }
+                }
             }
+
+            if (!summary) {
+                throw new Error('The connection closed before all posts were scheduled');
+            }
+            progress.finish(summary);
         } catch (error) {
             console.error('Error scheduling posts:', error);
-            alert('Failed to schedule some posts. Please check your Facebook connection.');
+            progress.finish(null, error.message || 'Failed to schedule some posts. Please check your Facebook connection.');
         } finally {
-            this.hideLoading();
+            // Reload the calendar - the server marked each scheduled post, even if the stream broke off
+            await this.loadCalendar();
+            this.renderCalendar();
+        }
+    }
+
+    // Live list of a batch's posts; returns { update(event), finish(summary, errorMessage), close() }
+    showBatchProgress(posts) {
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        modal.innerHTML = `
+            <div class="modal-content batch-progress">
+                <div class="modal-header">
+                    <h3>Scheduling ${posts.length} posts</h3>
+                </div>
+                <div class="modal-body">
+                    <div class="batch-progress-bar"><div class="batch-progress-fill"></div></div>
+                    <ul class="batch-progress-list">
+                        ${posts.map((post, index) => `
+                            <li class="batch-progress-item" data-index="${index}">
+                                <span class="batch-progress-status">•</span>
+                                <span class="batch-progress-label">${post.date || ''} · ${this.truncateText(post.caption || post.theme || '', 50)}</span>
+                                <span class="batch-progress-detail"></span>
+                            </li>`).join('')}
+                    </ul>
+                    <p class="batch-progress-summary"></p>
+                </div>
+                <div class="modal-footer">
+                    <button class="primary-btn batch-progress-close" disabled>Close</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        modal.style.display = 'flex';
+
+        const closeBtn = modal.querySelector('.batch-progress-close');
+        closeBtn.addEventListener('click', () => modal.remove());
+        const icons = { scheduling: '⏳', scheduled: '✓', failed: '✗' };
+
+        return {
+            update: (event) => {
+                const item = modal.querySelector(`.batch-progress-item[data-index="${event.index}"]`);
+                if (item) {
+                    item.className = `batch-progress-item ${event.status}`;
+                    item.querySelector('.batch-progress-status').textContent = icons[event.status] || '•';
+                    if (event.status === 'failed') {
+                        item.querySelector('.batch-progress-detail').textContent = event.outcome?.error || 'Failed';
+                    } else if (event.status === 'scheduled' && event.outcome?.scheduledTimeLocal) {
+                        const time = this.formatLocalTime(event.outcome.scheduledTimeLocal);
+                        item.querySelector('.batch-progress-detail').textContent = event.outcome.replayed ? `already scheduled · ${time}` : time;
+                    }
+                }
+                modal.querySelector('.batch-progress-fill').style.width = `${Math.round((event.completed / event.total) * 100)}%`;
+            },
+            finish: (summary, errorMessage) => {
+                const lines = [];
+                if (summary) {
+                    lines.push(`${summary.succeeded} of ${summary.total} posts scheduled.`);
+                    if (summary.shiftedDays > 0) {
+                        lines.push(`The calendar was shifted ${summary.shiftedDays} day(s) forward.`);
+                    }
+                    if ((summary.pages || []).length > 1) {
+                        lines.push(...summary.pages.map(page => `${page.pageName}: ${page.succeeded} scheduled, ${page.failed} failed`));
+                    }
+                }
+                if (errorMessage) {
+                    lines.push(errorMessage);
+                }
+                const summaryEl = modal.querySelector('.batch-progress-summary');
+                summaryEl.textContent = lines.join(' ');
+                summaryEl.classList.toggle('error', Boolean(errorMessage || summary?.failed));
+                closeBtn.disabled = false;
+            },
+            close: () => modal.remove()
+        };
+    }
+
+    // Facebook token expired or was revoked - scheduling is blocked until the user reconnects
+    showReconnectRequired(message) {
+        const statusIndicator = document.getElementById('status-indicator');
+        if (statusIndicator) {
+            statusIndicator.textContent = 'Reconnect Facebook';
         }
+        this.showToast(message || 'Your Facebook connection has expired. Please reconnect.', 'error', () => {
+            this.connectFacebook();
+        });
     }
 
     updateFacebookStatus(connected) {
@@ -35,6 +35,9 @@
     // For local development, use:
     // const COPILOT_API_URL = 'http://localhost:3000';
 
+    // The widget iframe's origin - the only window config messages go to and are accepted from
+    const COPILOT_ORIGIN = new URL(COPILOT_API_URL).origin;
+
     // Try to get HighLevel user ID from window context
     const getHighLevelUserId = () => {
         // Try multiple ways to get HighLevel user ID
@@ -51,6 +54,25 @@
 
     const COPILOT_USER_ID = getHighLevelUserId();
 
+    // HighLevel location (sub-account) the user is working in, when available
+    const getHighLevelLocationId = () => {
+        if (window.HIGHLVL_LOCATION_ID) return window.HIGHLVL_LOCATION_ID;
+        if (window.gohighlevel?.location?.id) return window.gohighlevel.location.id;
+        const match = window.location?.pathname?.match(/\/location\/([^/]+)/);
+        return match ? match[1] : null;
+    };
+
+    const COPILOT_LOCATION_ID = getHighLevelLocationId();
+
+    // Location timezone (IANA) - scheduled posts go out in the business's local time
+    const getHighLevelTimezone = () => {
+        if (window.HIGHLVL_LOCATION_TIMEZONE) return window.HIGHLVL_LOCATION_TIMEZONE;
+        if (window.gohighlevel?.location?.timezone) return window.gohighlevel.location.timezone;
+        return null;
+    };
+
+    const COPILOT_TIMEZONE = getHighLevelTimezone();
+
     // Widget styling configuration
     const WIDGET_CONFIG = {
         position: 'bottom-right',
@@ -87,6 +109,24 @@
     let isOpen = false;
     let iframe = null;
 
+    // Send configuration to the iframe - the widget starts its own session from HighLevel's
+    // SSO user context, so nothing here identifies the user to the API
+    function sendConfigToIframe() {
+        if (!iframe || !iframe.contentWindow) {
+            return;
+        }
+        try {
+            iframe.contentWindow.postMessage({
+                type: 'copilot-config',
+                apiUrl: COPILOT_API_URL,
+                timezone: COPILOT_TIMEZONE,
+                source: 'highlevel'
+            }, COPILOT_ORIGIN);
+        } catch (e) {
+            console.warn('Could not configure iframe:', e);
+        }
+    }
+
     function initializeWidget() {
         // Don't initialize if already exists
         if (document.getElementById('hl-copilot-widget-container')) {
@@ -122,22 +162,7 @@
         });
 
         // Configure iframe communication
-        iframe.onload = function () {
-            try {
-                // Send configuration to iframe
-                const iframeWindow = iframe.contentWindow;
-                if (iframeWindow) {
-                    iframeWindow.postMessage({
-                        type: 'copilot-config',
-                        apiUrl: COPILOT_API_URL,
-                        userId: COPILOT_USER_ID,
-                        source: 'highlevel'
-                    }, '*');
-                }
-            } catch (e) {
-                console.warn('Could not configure iframe:', e);
-            }
-        };
+        iframe.onload = sendConfigToIframe;
 
         widgetContainer.appendChild(iframe);
         document.body.appendChild(widgetContainer);
@@ -260,15 +285,17 @@
     }
 
     function handleMessage(event) {
-        // Security: Verify origin (in production, check event.origin)
-        // For now, accept all origins for development
+        // Only the widget iframe may drive the widget container
+        if (event.origin !== COPILOT_ORIGIN) {
+            return;
+        }
         if (event.data && event.data.type === 'closeCopilot') {
             closeWidget();
         }
 
-        // Handle other message types as needed
+        // Widget is ready - (re)send config in case it missed the onload message
         if (event.data && event.data.type === 'copilot-ready') {
-            // Copilot widget is ready
+            sendConfigToIframe();
         }
     }
 
@@ -283,7 +310,9 @@
         isOpen: () => isOpen,
         config: {
             apiUrl: COPILOT_API_URL,
-            userId: COPILOT_USER_ID
+            userId: COPILOT_USER_ID,
+            locationId: COPILOT_LOCATION_ID,
+            timezone: COPILOT_TIMEZONE
         }
     };
 
@@ -0,0 +1,609 @@
+/**
+ * Facebook Graph API Emulator
+ *
+ * Local stand-in for graph.facebook.com so OAuth, page listing and post scheduling can be
+ * exercised in development and CI without a Facebook app. State is in memory.
+ *
+ * Run:   node scripts/graph-emulator.js            (listens on GRAPH_EMULATOR_PORT, default 4100)
+ * App:   FACEBOOK_APP_ID=emulator FACEBOOK_APP_SECRET=emulator \
+ *        FACEBOOK_GRAPH_API_URL=http://localhost:4100/v18.0 npm start
+ *
+ * Graph endpoints (with or without a /vXX.X prefix):
+ *   GET    /dialog/oauth                  - approves at once and redirects back with a code
+ *   GET    /oauth/access_token            - code exchange and fb_exchange_token (long-lived) exchange
+ *   GET    /debug_token                   - token expiry and scopes
+ *   GET    /me, /me/accounts              - the user and their pages (with page tokens)
+ *   POST   /{page}/feed, /{page}/photos   - publish now, or schedule with published=false + scheduled_publish_time
+ *   GET    /{page}/scheduled_posts        - posts still waiting to publish (cursor pagination)
+ *   GET    /{post}, POST /{post}, DELETE /{post}
+ *
+ * Control endpoints (not part of Graph):
+ *   GET    /_emulator/state               - pages, tokens and posts
+ *   POST   /_emulator/reset               - forget everything
+ *   POST   /_emulator/errors              - fail upcoming calls: { code, path?, method?, times?, headers? }
+ *   DELETE /_emulator/errors              - drop pending failures
+ *   POST   /_emulator/delays              - slow down upcoming calls: { ms, path?, method?, times? }
+ *   POST   /_emulator/revoke              - revoke every token issued so far (calls then fail with 190)
+ *   POST   /_emulator/pages               - add a page the user manages: { name?, tokenExpiresIn? } (seconds, may be negative)
+ *   DELETE /_emulator/pages/:pageId       - remove a page
+ *
+ * Environment:
+ *   GRAPH_EMULATOR_PORT        - port (default 4100)
+ *   GRAPH_EMULATOR_PAGES       - number of pages the test user manages (default 1)
+ *   GRAPH_EMULATOR_APP_ID      - only accept this app id / secret pair (default: any)
+ *   GRAPH_EMULATOR_APP_SECRET
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+
+const SHORT_LIVED_TOKEN_SECONDS = 2 * 60 * 60;
+const LONG_LIVED_TOKEN_SECONDS = 60 * 24 * 60 * 60;
+const DATA_ACCESS_SECONDS = 90 * 24 * 60 * 60;
+// Facebook's window for scheduled_publish_time
+const MIN_SCHEDULE_LEAD_SECONDS = 10 * 60;
+const MAX_SCHEDULE_LEAD_SECONDS = 75 * 24 * 60 * 60;
+
+const SCOPES = ['pages_manage_posts', 'pages_read_engagement', 'pages_show_list', 'public_profile'];
+
+// Graph errors the emulator can return: code -> [HTTP status, type, message]
+const GRAPH_ERRORS = {
+  1: [500, 'OAuthException', 'An unknown error occurred'],
+  2: [503, 'OAuthException', 'An unexpected error has occurred. Please retry your request later.'],
+  4: [403, 'OAuthException', '(#4) Application request limit reached'],
+  17: [403, 'OAuthException', '(#17) User request limit reached'],
+  32: [403, 'OAuthException', '(#32) Page request limit reached'],
+  100: [400, 'OAuthException', '(#100) Invalid parameter'],
+  190: [400, 'OAuthException', 'Error validating access token: The session has been invalidated because the user changed their password or Facebook has changed the session for security reasons.'],
+  200: [403, 'OAuthException', '(#200) The user hasn\'t authorized the application to perform this action'],
+  368: [400, 'OAuthException', 'It looks like you were misusing this feature by going too fast. You\'ve been temporarily blocked from using it.'],
+  613: [403, 'OAuthException', '(#613) Calls to this api have exceeded the rate limit.']
+};
+
+function randomId(bytes = 8) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * Fresh emulator state
+ */
+function createState(pageCount) {
+  const pages = Array.from({ length: pageCount }, (_, index) => ({
+    id: String(100000000000001 + index),
+    name: index === 0 ? 'Emulator Test Page' : `Emulator Test Page ${index + 1}`,
+    category: 'Local business'
+  }));
+
+  return {
+    user: { id: '900000000000001', name: 'Emulator Test User' },
+    pages,
+    codes: new Map(), // code -> { redirectUri }
+    tokens: new Map(), // token -> { type: 'user' | 'page', pageId?, expiresAt (unix s, 0 = never), dataAccessExpiresAt, revoked }
+    posts: new Map(), // id -> post
+    failures: [], // pending injected errors
+    delays: [], // pending injected delays
+    pageTokenExpiry: new Map(), // pageId -> page token lifetime in seconds (added pages only)
+    nextPageIndex: pageCount,
+    postCounter: 0
+  };
+}
+
+/**
+ * Parse the text fields of a multipart/form-data body (file parts are recorded by size only)
+ */
+function parseMultipart(buffer, contentType) {
+  const boundary = (contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/) || []).slice(1).find(Boolean);
+  const fields = {};
+  if (!boundary || !buffer?.length) {
+    return fields;
+  }
+
+  for (const part of buffer.toString('latin1').split(`--${boundary}`)) {
+    const separator = part.indexOf('\r\n\r\n');
+    if (separator === -1) {
+      continue;
+    }
+    const headers = part.slice(0, separator);
+    const name = (headers.match(/name="([^"]*)"/) || [])[1];
+    if (!name) {
+      continue;
+    }
+    const value = part.slice(separator + 4).replace(/\r\n$/, '');
+    fields[name] = /filename="/.test(headers)
+      ? { fileSize: value.length }
+      : Buffer.from(value, 'latin1').toString('utf8');
+  }
+  return fields;
+}
+
+/**
+ * Create the emulator app
+ * options: { pages, appId, appSecret }
+ */
+function createGraphEmulator(options = {}) {
+  const pageCount = options.pages || 1;
+  let state = createState(pageCount);
+
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+  app.use(express.raw({ type: 'multipart/form-data', limit: '10mb' }));
+
+  function graphError(res, code, message, extra = {}) {
+    const [status, type, defaultMessage] = GRAPH_ERRORS[code] || [400, 'OAuthException', 'Emulated error'];
+    return res.status(status).json({
+      error: {
+        message: message || defaultMessage,
+        type,
+        code,
+        ...extra,
+        fbtrace_id: `emu${randomId(6)}`
+      }
+    });
+  }
+
+  function issueToken(record) {
+    const token = `EMU${record.type === 'page' ? 'PAGE' : 'USER'}${randomId(16)}`;
+    state.tokens.set(token, { revoked: false, ...record });
+    return token;
+  }
+
+  /**
+   * The token record for a request, or null after sending a 190 error
+   */
+  function requireToken(req, res) {
+    const record = state.tokens.get(req.graphParams.access_token);
+    const expired = record && record.expiresAt && record.expiresAt <= nowSeconds();
+    if (!record || record.revoked || expired) {
+      graphError(res, 190, expired ? 'Error validating access token: Session has expired.' : undefined, { error_subcode: expired ? 463 : 460 });
+      return null;
+    }
+    return record;
+  }
+
+  /**
+   * Check the token is this page's token, or null after sending an error
+   */
+  function requirePageToken(req, res, pageId) {
+    const record = requireToken(req, res);
+    if (!record) {
+      return null;
+    }
+    if (record.type !== 'page' || record.pageId !== pageId) {
+      graphError(res, 200, '(#200) The access token is not a page access token for this page');
+      return null;
+    }
+    return record;
+  }
+
+  function validateScheduleTime(value) {
+    const seconds = Number(value);
+    const lead = seconds - nowSeconds();
+    if (!Number.isFinite(seconds) || lead < MIN_SCHEDULE_LEAD_SECONDS || lead > MAX_SCHEDULE_LEAD_SECONDS) {
+      return '(#100) The specified scheduled publish time is invalid.';
+    }
+    return null;
+  }
+
+  // Scheduled posts whose time has come are published
+  function publishDuePosts() {
+    for (const post of state.posts.values()) {
+      if (post.status === 'scheduled' && post.scheduledPublishTime <= nowSeconds()) {
+        post.status = 'published';
+        post.createdTime = new Date(post.scheduledPublishTime * 1000).toISOString();
+      }
+    }
+  }
+
+  function toGraphPost(post) {
+    return {
+      id: post.id,
+      message: post.message || undefined,
+      link: post.link || undefined,
+      full_picture: post.picture || undefined,
+      created_time: post.createdTime,
+      is_published: post.status === 'published',
+      scheduled_publish_time: post.status === 'scheduled' ? post.scheduledPublishTime : undefined,
+      permalink_url: `https://www.facebook.com/${post.id}`
+    };
+  }
+
+  /**
+   * Create a post on a page from the request parameters
+   */
+  function createPost(req, res, pageId, { kind, message, link, picture }) {
+    const published = !['false', false, '0', 0].includes(req.graphParams.published ?? true);
+    const scheduledTime = req.graphParams.scheduled_publish_time;
+
+    if (kind === 'feed' && !message && !link) {
+      return graphError(res, 100, '(#100) Missing message or attachment');
+    }
+    if (kind === 'photo' && !picture) {
+      return graphError(res, 100, '(#100) Missing url or source for photo');
+    }
+    if (scheduledTime !== undefined) {
+      if (published) {
+        return graphError(res, 100, '(#100) Cannot schedule a published post. Set published to false.');
+      }
+      const invalid = validateScheduleTime(scheduledTime);
+      if (invalid) {
+        return graphError(res, 100, invalid);
+      }
+    }
+
+    state.postCounter++;
+    const post = {
+      id: `${pageId}_${state.postCounter}`,
+      pageId,
+      kind,
+      message: message || '',
+      link: link || null,
+      picture: picture || null,
+      status: scheduledTime !== undefined ? 'scheduled' : (published ? 'published' : 'unpublished'),
+      scheduledPublishTime: scheduledTime !== undefined ? Number(scheduledTime) : null,
+      createdTime: new Date().toISOString()
+    };
+    state.posts.set(post.id, post);
+
+    if (kind === 'photo') {
+      return res.json({ id: `${randomId(6)}`, post_id: post.id });
+    }
+    return res.json({ id: post.id });
+  }
+
+  // ---- Control endpoints ----
+
+  app.get('/_emulator/state', (req, res) => {
+    res.json({
+      user: state.user,
+      pages: state.pages,
+      tokens: [...state.tokens.entries()].map(([token, record]) => ({ token, ...record })),
+      posts: [...state.posts.values()],
+      failures: state.failures,
+      delays: state.delays
+    });
+  });
+
+  app.post('/_emulator/reset', (req, res) => {
+    state = createState(pageCount);
+    res.json({ success: true });
+  });
+
+  app.post('/_emulator/errors', (req, res) => {
+    const { code, path, method, times = 1, message, headers } = req.body || {};
+    if (!Number.isInteger(code)) {
+      return res.status(400).json({ error: 'code (Graph error code) is required' });
+    }
+    const failure = { code, path: path || null, method: method ? method.toUpperCase() : null, remaining: times, message: message || null, headers: headers || null };
+    state.failures.push(failure);
+    res.json({ success: true, failure });
+  });
+
+  app.delete('/_emulator/errors', (req, res) => {
+    state.failures = [];
+    res.json({ success: true });
+  });
+
+  app.post('/_emulator/delays', (req, res) => {
+    const { ms, path, method, times = 1 } = req.body || {};
+    if (!Number.isInteger(ms) || ms <= 0) {
+      return res.status(400).json({ error: 'ms (delay in milliseconds) is required' });
+    }
+    const delay = { ms, path: path || null, method: method ? method.toUpperCase() : null, remaining: times };
+    state.delays.push(delay);
+    res.json({ success: true, delay });
+  });
+
+  app.post('/_emulator/revoke', (req, res) => {
+    for (const record of state.tokens.values()) {
+      record.revoked = true;
+    }
+    res.json({ success: true });
+  });
+
+  app.post('/_emulator/pages', (req, res) => {
+    const { name, tokenExpiresIn } = req.body || {};
+    if (tokenExpiresIn !== undefined && !Number.isInteger(tokenExpiresIn)) {
+      return res.status(400).json({ error: 'tokenExpiresIn must be a number of seconds' });
+    }
+    const id = String(100000000000001 + state.nextPageIndex++);
+    const page = { id, name: name || `Emulator Test Page ${id}`, category: 'Local business' };
+    state.pages.push(page);
+    if (tokenExpiresIn !== undefined) {
+      state.pageTokenExpiry.set(id, tokenExpiresIn);
+    }
+    res.json({ success: true, page });
+  });
+
+  app.delete('/_emulator/pages/:pageId', (req, res) => {
+    state.pages = state.pages.filter(page => page.id !== req.params.pageId);
+    state.pageTokenExpiry.delete(req.params.pageId);
+    res.json({ success: true });
+  });
+
+  // ---- Graph API ----
+
+  const graph = express.Router();
+
+  // Graph reads parameters from the query string and the body alike
+  graph.use((req, res, next) => {
+    const body = req.is('multipart/form-data')
+      ? parseMultipart(req.body, req.get('content-type'))
+      : (req.body && !Buffer.isBuffer(req.body) ? req.body : {});
+    req.graphParams = { ...req.query, ...body };
+    next();
+  });
+
+  // Injected delays
+  graph.use((req, res, next) => {
+    const delay = state.delays.find(candidate =>
+      (!candidate.path || req.path.includes(candidate.path)) &&
+      (!candidate.method || candidate.method === req.method)
+    );
+    if (!delay) {
+      return next();
+    }
+    delay.remaining--;
+    if (delay.remaining <= 0) {
+      state.delays = state.delays.filter(candidate => candidate !== delay);
+    }
+    setTimeout(next, delay.ms);
+  });
+
+  // Injected failures
+  graph.use((req, res, next) => {
+    const failure = state.failures.find(candidate =>
+      (!candidate.path || req.path.includes(candidate.path)) &&
+      (!candidate.method || candidate.method === req.method)
+    );
+    if (!failure) {
+      res.set('x-app-usage', JSON.stringify({ call_count: 1, total_cputime: 1, total_time: 1 }));
+      return next();
+    }
+    failure.remaining--;
+    if (failure.remaining <= 0) {
+      state.failures = state.failures.filter(candidate => candidate !== failure);
+    }
+    if (failure.headers) {
+      res.set(failure.headers);
+    }
+    return graphError(res, failure.code, failure.message);
+  });
+
+  graph.get('/dialog/oauth', (req, res) => {
+    const { client_id: clientId, redirect_uri: redirectUri, state: oauthState } = req.query;
+    if (!clientId || !redirectUri || (options.appId && clientId !== options.appId)) {
+      return res.status(400).send('<h1>Invalid app ID or redirect_uri</h1>');
+    }
+    const code = `EMUCODE${randomId(12)}`;
+    state.codes.set(code, { redirectUri });
+
+    const target = new URL(redirectUri);
+    target.searchParams.set('code', code);
+    if (oauthState) {
+      target.searchParams.set('state', oauthState);
+    }
+    res.redirect(target.toString());
+  });
+
+  graph.get('/oauth/access_token', (req, res) => {
+    const params = req.graphParams;
+    if (!params.client_id || !params.client_secret ||
+      (options.appId && (params.client_id !== options.appId || params.client_secret !== options.appSecret))) {
+      return graphError(res, 101, 'Error validating application. Invalid application ID.');
+    }
+
+    if (params.grant_type === 'fb_exchange_token') {
+      const record = state.tokens.get(params.fb_exchange_token);
+      if (!record || record.revoked || record.type !== 'user') {
+        return graphError(res, 190);
+      }
+      const expiresAt = nowSeconds() + LONG_LIVED_TOKEN_SECONDS;
+      const token = issueToken({ type: 'user', expiresAt, dataAccessExpiresAt: nowSeconds() + DATA_ACCESS_SECONDS });
+      return res.json({ access_token: token, token_type: 'bearer', expires_in: LONG_LIVED_TOKEN_SECONDS });
+    }
+
+    const grant = state.codes.get(params.code);
+    if (!grant) {
+      return graphError(res, 100, 'Invalid verification code format.');
+    }
+    if (grant.redirectUri !== params.redirect_uri) {
+      return graphError(res, 100, 'Error validating verification code. Please make sure your redirect_uri is identical to the one you used in the OAuth dialog request');
+    }
+    state.codes.delete(params.code);
+
+    const token = issueToken({
+      type: 'user',
+      expiresAt: nowSeconds() + SHORT_LIVED_TOKEN_SECONDS,
+      dataAccessExpiresAt: nowSeconds() + DATA_ACCESS_SECONDS
+    });
+    res.json({ access_token: token, token_type: 'bearer', expires_in: SHORT_LIVED_TOKEN_SECONDS });
+  });
+
+  graph.get('/debug_token', (req, res) => {
+    const record = state.tokens.get(req.graphParams.input_token);
+    if (!record) {
+      return graphError(res, 190, 'Invalid OAuth access token.');
+    }
+    res.json({
+      data: {
+        app_id: options.appId || 'emulator',
+        type: record.type === 'page' ? 'PAGE' : 'USER',
+        is_valid: !record.revoked && (!record.expiresAt || record.expiresAt > nowSeconds()),
+        expires_at: record.expiresAt,
+        data_access_expires_at: record.dataAccessExpiresAt,
+        scopes: SCOPES,
+        user_id: state.user.id,
+        ...(record.pageId ? { profile_id: record.pageId } : {})
+      }
+    });
+  });
+
+  graph.get('/me', (req, res) => {
+    if (requireToken(req, res)) {
+      res.json(state.user);
+    }
+  });
+
+  graph.get('/me/accounts', (req, res) => {
+    const record = requireToken(req, res);
+    if (!record) {
+      return;
+    }
+    if (record.type !== 'user') {
+      return graphError(res, 100, '(#100) Tried accessing nonexisting field (accounts) on node type (Page)');
+    }
+
+    // Page tokens from a long-lived user token don't expire (unless a control call said otherwise)
+    const longLived = record.expiresAt - nowSeconds() > SHORT_LIVED_TOKEN_SECONDS;
+    const pageExpiry = (page) => {
+      if (state.pageTokenExpiry.has(page.id)) {
+        return nowSeconds() + state.pageTokenExpiry.get(page.id);
+      }
+      return longLived ? 0 : record.expiresAt;
+    };
+    const data = state.pages.map(page => ({
+      ...page,
+      access_token: issueToken({
+        type: 'page',
+        pageId: page.id,
+        expiresAt: pageExpiry(page),
+        dataAccessExpiresAt: record.dataAccessExpiresAt
+      }),
+      tasks: ['ANALYZE', 'ADVERTISE', 'MODERATE', 'CREATE_CONTENT', 'MANAGE']
+    }));
+    res.json({ data, paging: { cursors: { before: 'MA==', after: 'MA==' } } });
+  });
+
+  graph.post('/:pageId/feed', (req, res) => {
+    const { pageId } = req.params;
+    if (!state.pages.some(page => page.id === pageId)) {
+      return graphError(res, 100, `(#100) Unsupported post request. Object with ID '${pageId}' does not exist`);
+    }
+    if (!requirePageToken(req, res, pageId)) {
+      return;
+    }
+    const { message, link } = req.graphParams;
+    createPost(req, res, pageId, { kind: 'feed', message, link });
+  });
+
+  graph.post('/:pageId/photos', (req, res) => {
+    const { pageId } = req.params;
+    if (!state.pages.some(page => page.id === pageId)) {
+      return graphError(res, 100, `(#100) Unsupported post request. Object with ID '${pageId}' does not exist`);
+    }
+    if (!requirePageToken(req, res, pageId)) {
+      return;
+    }
+    const { caption, url, source } = req.graphParams;
+    const picture = url || (source ? `https://emulator.invalid/photos/${randomId(6)}.jpg` : null);
+    createPost(req, res, pageId, { kind: 'photo', message: caption, picture });
+  });
+
+  graph.get('/:pageId/scheduled_posts', (req, res) => {
+    const { pageId } = req.params;
+    if (!requirePageToken(req, res, pageId)) {
+      return;
+    }
+    publishDuePosts();
+
+    const scheduled = [...state.posts.values()]
+      .filter(post => post.pageId === pageId && post.status === 'scheduled')
+      .sort((a, b) => a.scheduledPublishTime - b.scheduledPublishTime);
+    const limit = Math.min(parseInt(req.graphParams.limit, 10) || 25, 100);
+    const offset = req.graphParams.after ? parseInt(Buffer.from(req.graphParams.after, 'base64').toString(), 10) || 0 : 0;
+    const page = scheduled.slice(offset, offset + limit);
+
+    const paging = {};
+    if (offset + limit < scheduled.length) {
+      const after = Buffer.from(String(offset + limit)).toString('base64');
+      const next = new URL(`${req.protocol}://${req.get('host')}${req.originalUrl}`);
+      next.searchParams.set('after', after);
+      paging.cursors = { after };
+      paging.next = next.toString();
+    }
+    res.json({ data: page.map(toGraphPost), paging });
+  });
+
+  graph.get('/:postId', (req, res) => {
+    const post = state.posts.get(req.params.postId);
+    if (!post) {
+      return graphError(res, 100, '(#100) Object does not exist, cannot be loaded due to missing permissions, or does not support this operation');
+    }
+    if (requirePageToken(req, res, post.pageId)) {
+      publishDuePosts();
+      res.json(toGraphPost(post));
+    }
+  });
+
+  graph.post('/:postId', (req, res) => {
+    const post = state.posts.get(req.params.postId);
+    if (!post) {
+      return graphError(res, 100, '(#100) Object does not exist, cannot be loaded due to missing permissions, or does not support this operation');
+    }
+    if (!requirePageToken(req, res, post.pageId)) {
+      return;
+    }
+    publishDuePosts();
+
+    const { message, scheduled_publish_time: scheduledTime } = req.graphParams;
+    if (scheduledTime !== undefined) {
+      if (post.status !== 'scheduled') {
+        return graphError(res, 100, '(#100) Cannot reschedule a post that is already published');
+      }
+      const invalid = validateScheduleTime(scheduledTime);
+      if (invalid) {
+        return graphError(res, 100, invalid);
+      }
+      post.scheduledPublishTime = Number(scheduledTime);
+    }
+    if (message !== undefined) {
+      post.message = message;
+    }
+    res.json({ success: true });
+  });
+
+  graph.delete('/:postId', (req, res) => {
+    const post = state.posts.get(req.params.postId);
+    if (!post) {
+      return graphError(res, 100, '(#100) Object does not exist, cannot be loaded due to missing permissions, or does not support this operation');
+    }
+    if (!requirePageToken(req, res, post.pageId)) {
+      return;
+    }
+    state.posts.delete(post.id);
+    res.json({ success: true });
+  });
+
+  // Accept a /vXX.X version prefix like graph.facebook.com
+  app.use((req, res, next) => {
+    req.url = req.url.replace(/^\/v\d+\.\d+(?=\/)/, '');
+    next();
+  });
+  app.use(graph);
+
+  app.use((req, res) => graphError(res, 100, `(#100) Unknown path components: ${req.path}`));
+
+  return app;
+}
+
+module.exports = {
+  createGraphEmulator
+};
+
+if (require.main === module) {
+  const port = parseInt(process.env.GRAPH_EMULATOR_PORT, 10) || 4100;
+  const app = createGraphEmulator({
+    pages: parseInt(process.env.GRAPH_EMULATOR_PAGES, 10) || 1,
+    appId: process.env.GRAPH_EMULATOR_APP_ID || null,
+    appSecret: process.env.GRAPH_EMULATOR_APP_SECRET || null
+  });
+  app.listen(port, () => {
+    console.log(`Facebook Graph API emulator running on http://localhost:${port}`);
+    console.log(`   • Set FACEBOOK_GRAPH_API_URL=http://localhost:${port}/v18.0 (plus any FACEBOOK_APP_ID/SECRET)`);
+  });
+}
@@ -7,7 +7,8 @@
  * Or: npm test:api
  */
 
-const { test, expect } = require('@playwright/test');
+const crypto = require('crypto');
+const { test: base, expect } = require('@playwright/test');
 
 const BASE_URL = process.env.TEST_BASE_URL || 'http://localhost:3000';
 const API_BASE = `${BASE_URL}/api`;
@@ -16,6 +17,65 @@ const API_BASE = `${BASE_URL}/api`;
 const TEST_USER_ID = 'test_user_' + Date.now();
 const TEST_SESSION_ID = 'test_session_' + Date.now();
 
+// Set when the server runs against scripts/graph-emulator.js (e.g. http://localhost:4100)
+const GRAPH_EMULATOR_URL = process.env.GRAPH_EMULATOR_URL || null;
+// Must match the server's SCHEDULE_IDEMPOTENCY_WAIT_MS
+const SCHEDULE_IDEMPOTENCY_WAIT_MS = parseInt(process.env.SCHEDULE_IDEMPOTENCY_WAIT_MS, 10) || 25000;
+
+// The server's WIDGET_ISSUER_SECRET and HIGHLEVEL_SSO_KEY - sessions are only issued for verified users
+const ISSUER_HEADERS = { 'X-Widget-Issuer-Secret': process.env.WIDGET_ISSUER_SECRET || '' };
+const HIGHLEVEL_SSO_KEY = process.env.HIGHLEVEL_SSO_KEY || null;
+
+/**
+ * Authorization header for a widget session as the given user
+ */
+async function sessionHeaders(request, userId) {
+  const response = await request.post(`${API_BASE}/auth/session`, {
+    headers: ISSUER_HEADERS,
+    data: { userId }
+  });
+  const { token } = await response.json();
+  return { Authorization: `Bearer ${token}` };
+}
+
+/**
+ * HighLevel SSO user context, encrypted the way HighLevel does it (CryptoJS AES with the shared secret)
+ */
+function encryptHighLevelContext(context, secret) {
+  const salt = crypto.randomBytes(8);
+  let derived = Buffer.alloc(0);
+  let block = Buffer.alloc(0);
+  while (derived.length < 48) {
+    block = crypto.createHash('md5').update(Buffer.concat([block, Buffer.from(secret), salt])).digest();
+    derived = Buffer.concat([derived, block]);
+  }
+  const cipher = crypto.createCipheriv('aes-256-cbc', derived.subarray(0, 32), derived.subarray(32, 48));
+  const encrypted = Buffer.concat([cipher.update(JSON.stringify(context)), cipher.final()]);
+  return Buffer.concat([Buffer.from('Salted__'), salt, encrypted]).toString('base64');
+}
+
+/**
+ * Connect the user's Facebook through the graph emulator's OAuth dialog (approves at once)
+ */
+async function connectFacebook(request, headers) {
+  const { authUrl } = await (await request.get(`${API_BASE}/facebook/auth-url`, { headers })).json();
+  const callback = await request.get(authUrl);
+  expect(callback.status()).toBe(200);
+}
+
+// API calls need a widget session token - `request` is signed in as TEST_USER_ID
+const test = base.extend({
+  request: async ({ playwright }, use) => {
+    const bootstrap = await playwright.request.newContext();
+    const headers = await sessionHeaders(bootstrap, TEST_USER_ID);
+    await bootstrap.dispose();
+
+    const context = await playwright.request.newContext({ extraHTTPHeaders: headers });
+    await use(context);
+    await context.dispose();
+  }
+});
+
 test.describe('API Health Check', () => {
   test('should return health status', async ({ request }) => {
     const response = await request.get(`${BASE_URL}/health`);
@@ -36,6 +96,71 @@ test.describe('API Health Check', () => {
   });
 });
 
+test.describe('Auth API', () => {
+  test('POST /api/auth/session - should issue a session token to a trusted issuer', async ({ request }) => {
+    const response = await request.post(`${API_BASE}/auth/session`, {
+      headers: ISSUER_HEADERS,
+      data: { userId: TEST_USER_ID, locationId: 'test_location' }
+    });
+    expect(response.status()).toBe(200);
+
+    const data = await response.json();
+    expect(typeof data.token).toBe('string');
+    expect(data.userId).toBe(TEST_USER_ID);
+    expect(data.locationId).toBe('test_location');
+  });
+
+  test('POST /api/auth/session - should refuse a userId nobody vouches for', async ({ playwright }) => {
+    const anonymous = await playwright.request.newContext();
+    const response = await anonymous.post(`${API_BASE}/auth/session`, { data: { userId: 'someone_else' } });
+    expect(response.status()).toBe(401);
+    expect((await response.json()).code).toBe('AUTH_UNVERIFIED');
+
+    const wrongSecret = await anonymous.post(`${API_BASE}/auth/session`, {
+      headers: { 'X-Widget-Issuer-Secret': 'not-the-secret' },
+      data: { userId: 'someone_else' }
+    });
+    expect(wrongSecret.status()).toBe(401);
+    await anonymous.dispose();
+  });
+
+  test('POST /api/auth/session - should issue a session for a HighLevel SSO user context', async ({ playwright }) => {
+    test.skip(!HIGHLEVEL_SSO_KEY, 'needs HIGHLEVEL_SSO_KEY');
+    const anonymous = await playwright.request.newContext();
+    const context = { userId: 'hl_user_sso_' + Date.now(), activeLocation: 'hl_location_1', companyId: 'hl_company' };
+
+    // The body's userId is ignored - the identity comes from the decrypted context
+    const response = await anonymous.post(`${API_BASE}/auth/session`, {
+      data: { highLevelContext: encryptHighLevelContext(context, HIGHLEVEL_SSO_KEY), userId: 'someone_else' }
+    });
+    expect(response.status()).toBe(200);
+    const data = await response.json();
+    expect(data.userId).toBe(context.userId);
+    expect(data.locationId).toBe('hl_location_1');
+
+    const forged = await anonymous.post(`${API_BASE}/auth/session`, {
+      data: { highLevelContext: encryptHighLevelContext(context, 'a-guessed-secret') }
+    });
+    expect(forged.status()).toBe(401);
+    await anonymous.dispose();
+  });
+
+  test('should reject API calls without a session token', async ({ playwright }) => {
+    const anonymous = await playwright.request.newContext();
+    const response = await anonymous.get(`${API_BASE}/profile/${TEST_USER_ID}`);
+
+    expect(response.status()).toBe(401);
+    const data = await response.json();
+    expect(data.code).toBe('AUTH_REQUIRED');
+    await anonymous.dispose();
+  });
+
+  test('should not allow access to another user\'s data', async ({ request }) => {
+    const response = await request.post(`${API_BASE}/facebook/disconnect/someone_else`);
+    expect(response.status()).toBe(403);
+  });
+});
+
 test.describe('Chat API', () => {
   test('POST /api/chat/stream - should stream chat response', async ({ request }) => {
     const response = await request.post(`${API_BASE}/chat/stream`, {
@@ -85,6 +210,171 @@ test.describe('Chat API', () => {
     }
   });
 
+  test('POST /api/chat/stream - should run tools and stream action events', async ({ request }) => {
+    const userId = 'test_user_tools_' + Date.now();
+    const sessionId = 'test_session_tools_' + Date.now();
+    const headers = await sessionHeaders(request, userId);
+    await request.post(`${API_BASE}/profile/${userId}`, {
+      headers,
+      data: { industry: 'Bakery', audience: 'Families', tone: 'Friendly' }
+    });
+
+    const response = await request.post(`${API_BASE}/chat/stream`, {
+      headers,
+      data: { message: 'Generate my 30-day content calendar posts', sessionId }
+    });
+    expect(response.status()).toBe(200);
+
+    const events = (await response.text())
+      .split('\n')
+      .filter(line => line.startsWith('data: {'))
+      .map(line => JSON.parse(line.slice(6)));
+    const actions = events.filter(event => event.type === 'action');
+
+    const completed = actions.find(action => action.tool === 'generate_calendar' && action.status === 'completed');
+    expect(completed).toBeTruthy();
+    expect(completed.data.posts.length).toBe(30);
+    expect(actions[0].status).toBe('running');
+    expect(events[events.length - 1].type).toBe('done');
+
+    // Tool calls and results stay out of the visible history
+    const historyResponse = await request.get(`${API_BASE}/chat/history/${sessionId}`, { headers });
+    const { history } = await historyResponse.json();
+    expect(history.every(message => ['user', 'assistant'].includes(message.role) && message.content)).toBe(true);
+  });
+
+  test('POST /api/chat/stream - should report and correct learned profile fields', async ({ request }) => {
+    const userId = 'test_user_extract_' + Date.now();
+    const sessionId = 'test_session_extract_' + Date.now();
+    const headers = await sessionHeaders(request, userId);
+
+    const readProfileUpdate = async (message) => {
+      const response = await request.post(`${API_BASE}/chat/stream`, { headers, data: { message, sessionId } });
+      expect(response.status()).toBe(200);
+      const line = (await response.text()).split('\n').find(text => text.includes('"type":"profile_update"'));
+      return line ? JSON.parse(line.slice(6)) : { changes: [] };
+    };
+
+    const learned = await readProfileUpdate('We are a bakery');
+    const industry = learned.changes.find(change => change.field === 'industry');
+    expect(industry).toBeTruthy();
+    expect(industry.old).toBeNull();
+    // Labels come from the onboarding flow definition
+    expect(industry.label).toBe('Industry');
+    expect(typeof industry.confidence).toBe('number');
+
+    const corrected = await readProfileUpdate('Actually our industry is Coffee shop');
+    const correction = corrected.changes.find(change => change.field === 'industry');
+    expect(correction.old).toBe(industry.new);
+    expect(correction.new).toMatch(/coffee/i);
+
+    const profileResponse = await request.get(`${API_BASE}/profile/${userId}`, { headers });
+    const { profile } = await profileResponse.json();
+    expect(profile.industry).toBe(correction.new);
+  });
+
+  test('GET /api/chat/state/:sessionId - should report the onboarding step and next action', async ({ request }) => {
+    const userId = 'test_user_state_' + Date.now();
+    const sessionId = 'test_session_state_' + Date.now();
+    const headers = await sessionHeaders(request, userId);
+
+    const before = await request.get(`${API_BASE}/chat/state/${sessionId}`, { headers });
+    expect(before.status()).toBe(200);
+    const { state: initial } = await before.json();
+    expect(initial.state).toBe('greeting');
+    expect(initial.readyForCalendar).toBe(false);
+
+    const response = await request.post(`${API_BASE}/chat/stream`, { headers, data: { message: 'We are a bakery', sessionId } });
+    expect(response.status()).toBe(200);
+    const stateEvent = (await response.text())
+      .split('\n')
+      .filter(line => line.startsWith('data: {'))
+      .map(line => JSON.parse(line.slice(6)))
+      .find(event => event.type === 'state');
+    expect(stateEvent.state).toBe('collecting_products_services');
+    expect(stateEvent.collected).toContain('industry');
+    expect(stateEvent.missing).toContain('productsServices');
+    expect(stateEvent.nextAction).toEqual({ type: 'answer_question', label: 'Products & services', field: 'productsServices' });
+    expect(stateEvent.steps.find(step => step.id === 'industry').status).toBe('done');
+
+    const after = await request.get(`${API_BASE}/chat/state/${sessionId}`, { headers });
+    expect((await after.json()).state.state).toBe('collecting_products_services');
+  });
+
+  test('GET /api/chat/sessions/:userId - should list, rename and keep past conversations', async ({ request }) => {
+    const userId = 'test_user_sessions_' + Date.now();
+    const sessionId = 'test_session_sessions_' + Date.now();
+    const headers = await sessionHeaders(request, userId);
+
+    const empty = await request.get(`${API_BASE}/chat/sessions/${userId}`, { headers });
+    expect(empty.status()).toBe(200);
+    expect((await empty.json()).sessions).toEqual([]);
+
+    const forbidden = await request.get(`${API_BASE}/chat/sessions/someone_else`, { headers });
+    expect(forbidden.status()).toBe(403);
+
+    const chat = await request.post(`${API_BASE}/chat`, { headers, data: { message: 'We are a bakery', sessionId } });
+    expect(chat.status()).toBe(200);
+
+    const listed = await request.get(`${API_BASE}/chat/sessions/${userId}`, { headers });
+    const [session] = (await listed.json()).sessions;
+    expect(session.sessionId).toBe(sessionId);
+    expect(session.title).toBe('We are a bakery');
+    expect(session.lastMessage.role).toBe('assistant');
+
+    const invalid = await request.patch(`${API_BASE}/chat/history/${sessionId}`, { headers, data: { title: '  ' } });
+    expect(invalid.status()).toBe(400);
+
+    const renamed = await request.patch(`${API_BASE}/chat/history/${sessionId}`, { headers, data: { title: 'Bakery launch' } });
+    expect(renamed.status()).toBe(200);
+    expect((await renamed.json()).session.title).toBe('Bakery launch');
+
+    const missing = await request.patch(`${API_BASE}/chat/history/no_such_session_${Date.now()}`, { headers, data: { title: 'x' } });
+    expect(missing.status()).toBe(404);
+  });
+
+  test('POST /api/chat - should keep answering and keep the full history once a long conversation is summarized', async ({ request }) => {
+    const userId = 'test_user_memory_' + Date.now();
+    const sessionId = 'test_session_memory_' + Date.now();
+    const headers = await sessionHeaders(request, userId);
+    const turns = 8;
+
+    // ~900 tokens per message - well past the default 6000 token context budget
+    for (let i = 0; i < turns; i++) {
+      const response = await request.post(`${API_BASE}/chat`, {
+        headers,
+        data: { message: `Turn ${i}: ${'we bake sourdough and pastries every morning. '.repeat(80)}`, sessionId }
+      });
+      expect(response.status()).toBe(200);
+      expect((await response.json()).response).toBeTruthy();
+    }
+
+    const history = await request.get(`${API_BASE}/chat/history/${sessionId}`, { headers });
+    const { history: messages } = await history.json();
+    expect(messages.filter(msg => msg.role === 'user')).toHaveLength(turns);
+    expect(messages[0].content).toMatch(/^Turn 0:/);
+    // What the model is sent (summary, budget, reminder) is covered in tests/conversation-store.spec.js
+  });
+
+  test('POST /api/chat - should move the conversation flow on as the profile fills', async ({ request }) => {
+    const userId = 'test_user_flow_' + Date.now();
+    const sessionId = 'test_session_flow_' + Date.now();
+    const headers = await sessionHeaders(request, userId);
+
+    const first = await request.post(`${API_BASE}/chat`, { headers, data: { message: 'Hello', sessionId } });
+    expect(first.status()).toBe(200);
+    expect((await first.json()).response).toMatch(/what industry/i);
+
+    // The industry is learned from this message, so the flow moves straight on to products/services
+    const second = await request.post(`${API_BASE}/chat`, { headers, data: { message: 'We are a bakery', sessionId } });
+    expect((await second.json()).response).toMatch(/products or services/i);
+
+    // Clearing the history starts the flow over (the profile is kept)
+    await request.delete(`${API_BASE}/chat/history/${sessionId}`, { headers });
+    const restarted = await request.post(`${API_BASE}/chat`, { headers, data: { message: 'Hi again', sessionId } });
+    expect((await restarted.json()).response).toMatch(/products or services/i);
+  });
+
   test('POST /api/chat - should handle empty message', async ({ request }) => {
     const response = await request.post(`${API_BASE}/chat`, {
       data: {
@@ -155,6 +445,44 @@ test.describe('Profile API', () => {
     const data = await response.json();
     expect(data.profile.industry).toBe('E-commerce');
   });
+
+  test('PATCH /api/profile/:userId - should reject an unknown timezone', async ({ request }) => {
+    const response = await request.patch(`${API_BASE}/profile/${TEST_USER_ID}`, {
+      data: { timezone: 'Mars/Olympus_Mons' }
+    });
+
+    expect(response.status()).toBe(400);
+    const data = await response.json();
+    expect(data.code).toBe('INVALID_TIMEZONE');
+  });
+
+  test('PATCH /api/profile/:userId - should never store or return access tokens', async ({ request }) => {
+    const patchResponse = await request.patch(`${API_BASE}/profile/${TEST_USER_ID}`, {
+      data: { industry: 'Retail', facebookAccessToken: 'plaintext-token' }
+    });
+    expect(patchResponse.status()).toBe(200);
+
+    const response = await request.get(`${API_BASE}/profile/${TEST_USER_ID}`);
+    expect(response.status()).toBe(200);
+
+    const body = await response.text();
+    expect(body).not.toContain('plaintext-token');
+  });
+
+  test('should ignore server-owned Facebook fields in profile writes', async ({ request }) => {
+    const ownerId = `test_user_profile_fields_${Date.now()}`;
+    const headers = await sessionHeaders(request, ownerId);
+    const forged = { facebookConnected: true, facebookPageId: 'forged-page', facebookReconnectRequired: true };
+
+    const saved = await request.post(`${API_BASE}/profile/${ownerId}`, { headers, data: { industry: 'Retail', ...forged } });
+    expect(saved.status()).toBe(200);
+    const patched = await request.patch(`${API_BASE}/profile/${ownerId}`, { headers, data: { tone: 'Friendly', ...forged } });
+    expect(patched.status()).toBe(200);
+
+    const { profile } = await (await request.get(`${API_BASE}/profile/${ownerId}`, { headers })).json();
+    expect(profile).toMatchObject({ industry: 'Retail', tone: 'Friendly', facebookConnected: false, facebookPageId: null });
+    expect(profile.facebookReconnectRequired).toBeUndefined();
+  });
 });
 
 test.describe('Facebook API', () => {
@@ -167,7 +495,8 @@ test.describe('Facebook API', () => {
     if (response.status() === 200) {
       const data = await response.json();
       expect(data).toHaveProperty('authUrl');
-      expect(data.authUrl).toContain('facebook.com');
+      // facebook.com, or the Graph emulator when FACEBOOK_GRAPH_API_URL points at it
+      expect(data.authUrl).toContain('/dialog/oauth');
     }
   });
 
@@ -192,6 +521,39 @@ test.describe('Facebook API', () => {
       expect(Array.isArray(data.pages)).toBe(true);
     }
   });
+
+  test('PUT /api/facebook/pages/:userId/connected - should reject pages not granted during OAuth', async ({ request }) => {
+    const emptyResponse = await request.put(`${API_BASE}/facebook/pages/${TEST_USER_ID}/connected`, {
+      data: { pageIds: [] }
+    });
+    expect(emptyResponse.status()).toBe(400);
+
+    const unknownResponse = await request.put(`${API_BASE}/facebook/pages/${TEST_USER_ID}/connected`, {
+      data: { pageIds: ['unknown-page'] }
+    });
+    expect(unknownResponse.status()).toBe(404);
+
+    const data = await unknownResponse.json();
+    expect(data.missingPageIds).toEqual(['unknown-page']);
+  });
+
+  test('GET /api/facebook/pages/:userId - should list nothing for a user who never connected', async ({ request }) => {
+    const strangerId = `test_user_no_pages_${Date.now()}`;
+    const headers = await sessionHeaders(request, strangerId);
+
+    const response = await request.get(`${API_BASE}/facebook/pages/${strangerId}`, { headers });
+    expect(response.status()).toBe(200);
+    expect(await response.json()).toEqual({ pages: [], activePageId: null, connectedPageIds: [] });
+
+    const select = await request.post(`${API_BASE}/facebook/pages/${strangerId}/select`, { headers, data: { pageId: '100000000000001' } });
+    expect(select.status()).toBe(404);
+  });
+
+  test('GET /api/facebook/pages/:userId - should refuse another user\'s pages', async ({ request }) => {
+    const response = await request.get(`${API_BASE}/facebook/pages/someone_else_${Date.now()}`);
+    expect(response.status()).toBe(403);
+    expect((await response.json()).code).toBe('AUTH_FORBIDDEN');
+  });
 });
 
 test.describe('Calendar API', () => {
@@ -241,7 +603,8 @@ test.describe('Calendar API', () => {
         userId: newUserId
       },
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...(await sessionHeaders(request, newUserId))
       }
     });
 
@@ -287,10 +650,64 @@ test.describe('Calendar API', () => {
       }
     }
   });
+
+  test('GET /api/calendar/:userId - should return 404 when no calendar is saved', async ({ request }) => {
+    const newUserId = 'user_without_calendar_' + Date.now();
+    const response = await request.get(`${API_BASE}/calendar/${newUserId}`, {
+      headers: await sessionHeaders(request, newUserId)
+    });
+
+    expect(response.status()).toBe(404);
+    const data = await response.json();
+    expect(data).toHaveProperty('error');
+  });
+
+  test('GET /api/calendar/:userId - should restore the generated calendar', async ({ request }) => {
+    const calendarResponse = await request.post(`${API_BASE}/calendar/generate`, {
+      data: { userId: TEST_USER_ID },
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+    if (calendarResponse.status() === 200) {
+      const generated = await calendarResponse.json();
+      const response = await request.get(`${API_BASE}/calendar/${TEST_USER_ID}`);
+      expect(response.status()).toBe(200);
+
+      const data = await response.json();
+      expect(data.calendarId).toBe(generated.calendarId);
+      expect(data.calendar.length).toBe(generated.calendar.length);
+    }
+  });
+
+  test('PATCH /api/calendar/post/:postId - should reject an invalid date', async ({ request }) => {
+    const dateUserId = `test_user_post_date_${Date.now()}`;
+    const headers = await sessionHeaders(request, dateUserId);
+    await request.post(`${API_BASE}/profile/${dateUserId}`, { headers, data: { industry: 'Bakery' } });
+    const generated = await (await request.post(`${API_BASE}/calendar/generate`, { headers, data: {} })).json();
+    const [post] = generated.posts;
+
+    for (const date of ['2026/11/01', '2026-02-30', null]) {
+      const response = await request.patch(`${API_BASE}/calendar/post/${post.id}`, { headers, data: { updates: { date } } });
+      expect(response.status()).toBe(400);
+      expect((await response.json()).code).toBe('INVALID_DATE');
+    }
+
+    const { post: unchanged } = await (await request.get(`${API_BASE}/calendar/post/${post.id}`, { headers })).json();
+    expect(unchanged.date).toBe(post.date);
+  });
+
+  test('DELETE /api/calendar/post/:postId - should return 404 for unknown post', async ({ request }) => {
+    const newUserId = 'user_without_calendar_' + Date.now();
+    const response = await request.delete(`${API_BASE}/calendar/post/post-1`, {
+      headers: await sessionHeaders(request, newUserId)
+    });
+
+    expect(response.status()).toBe(404);
+  });
 });
 
 test.describe('Scheduling API', () => {
-  test('POST /api/scheduling/schedule - should schedule a post', async ({ request }) => {
+  test('POST /api/scheduling/schedule - should reject a post without a date', async ({ request }) => {
     const postData = {
       userId: TEST_USER_ID,
       postId: 'test_post_' + Date.now(),
@@ -306,13 +723,60 @@ test.describe('Scheduling API', () => {
       }
     });
 
-    // Should return 200 or handle mock mode / not connected
-    expect([200, 400, 404, 503]).toContain(response.status());
-    
-    if (response.status() === 200) {
-      const data = await response.json();
-      expect(data).toHaveProperty('success');
-    }
+    expect(response.status()).toBe(400);
+    expect((await response.json()).code).toBe('REQUIRED_FIELDS');
+  });
+
+  test('POST /api/scheduling/schedule - should reject a malformed posting time', async ({ request }) => {
+    const response = await request.post(`${API_BASE}/scheduling/schedule`, {
+      data: { date: '2030-01-15', time: '9am', caption: 'Morning post' }
+    });
+
+    expect(response.status()).toBe(400);
+    const data = await response.json();
+    expect(data.code).toBe('INVALID_TIME');
+  });
+
+  test('POST /api/scheduling/schedule - should reject a past date and suggest the next available time', async ({ request }) => {
+    const response = await request.post(`${API_BASE}/scheduling/schedule`, {
+      data: { date: '2020-01-15', caption: 'Old post' }
+    });
+
+    expect(response.status()).toBe(400);
+    const data = await response.json();
+    expect(data.code).toBe('PAST_DATE');
+    expect(new Date(data.details.suggestedTime).getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('POST /api/scheduling/schedule - should reject a date that does not exist', async ({ request }) => {
+    const response = await request.post(`${API_BASE}/scheduling/schedule`, {
+      data: { date: '2030-02-30', caption: 'Leap post' }
+    });
+
+    expect(response.status()).toBe(400);
+    const data = await response.json();
+    expect(data.code).toBe('INVALID_DATE');
+  });
+
+  test('POST /api/scheduling/schedule-batch - should reject an unknown past-date policy', async ({ request }) => {
+    const response = await request.post(`${API_BASE}/scheduling/schedule-batch`, {
+      data: { posts: [], policy: 'whenever' }
+    });
+
+    expect(response.status()).toBe(400);
+    const data = await response.json();
+    expect(data.code).toBe('INVALID_POLICY');
+  });
+
+  test('POST /api/scheduling/schedule-batch/stream - should return validation errors as JSON', async ({ request }) => {
+    const response = await request.post(`${API_BASE}/scheduling/schedule-batch/stream`, {
+      data: { policy: 'reject' }
+    });
+
+    expect(response.status()).toBe(400);
+    expect(response.headers()['content-type']).toContain('application/json');
+    const data = await response.json();
+    expect(data.code).toBe('POSTS_REQUIRED');
   });
 
   test('POST /api/scheduling/schedule-batch - should schedule multiple posts', async ({ request }) => {
@@ -351,6 +815,469 @@ test.describe('Scheduling API', () => {
   });
 });
 
+test.describe('Scheduled Posts API', () => {
+  test('GET /api/scheduling/posts/:userId - should list scheduled posts', async ({ request }) => {
+    const response = await request.get(`${API_BASE}/scheduling/posts/${TEST_USER_ID}`);
+
+    expect(response.status()).toBe(200);
+    const data = await response.json();
+    expect(data.success).toBe(true);
+    expect(Array.isArray(data.posts)).toBe(true);
+  });
+
+  test('DELETE /api/scheduling/post/:facebookPostId - should require a Facebook connection', async ({ request }) => {
+    const newUserId = `test_user_cancel_${Date.now()}`;
+    const response = await request.delete(`${API_BASE}/scheduling/post/123_456`, {
+      headers: await sessionHeaders(request, newUserId)
+    });
+
+    expect(response.status()).toBe(400);
+    const data = await response.json();
+    expect(data.code).toBe('FACEBOOK_NOT_CONNECTED');
+  });
+});
+
+test.describe('Facebook Graph Emulator', () => {
+  test.skip(!GRAPH_EMULATOR_URL, 'Needs the server running against scripts/graph-emulator.js (GRAPH_EMULATOR_URL)');
+
+  const userId = `test_user_emulator_${Date.now()}`;
+  const publishDate = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+  test('OAuth connect, schedule and list a post', async ({ request }) => {
+    const headers = await sessionHeaders(request, userId);
+
+    const authResponse = await request.get(`${API_BASE}/facebook/auth-url`, { headers });
+    expect(authResponse.status()).toBe(200);
+    const { authUrl } = await authResponse.json();
+
+    // The emulator's dialog approves at once and redirects to our callback
+    const callbackResponse = await request.get(authUrl);
+    expect(callbackResponse.status()).toBe(200);
+    expect(await callbackResponse.text()).toContain('Facebook Connected');
+
+    const statusResponse = await request.get(`${API_BASE}/facebook/status/${userId}`, { headers });
+    const status = await statusResponse.json();
+    expect(status.connected).toBe(true);
+    expect(status.reconnectRequired).toBe(false);
+
+    const scheduleResponse = await request.post(`${API_BASE}/scheduling/schedule`, {
+      headers,
+      data: { userId, date: publishDate, time: '10:00', caption: 'Hello from the emulator' }
+    });
+    expect(scheduleResponse.status()).toBe(200);
+    const scheduled = await scheduleResponse.json();
+    expect(scheduled.facebookPostId).toBeTruthy();
+
+    const listResponse = await request.get(`${API_BASE}/scheduling/posts/${userId}`, { headers });
+    const { posts } = await listResponse.json();
+    expect(posts.map(post => post.facebookPostId)).toContain(scheduled.facebookPostId);
+  });
+
+  test('Graph errors 368 and 190 surface as scheduling failures', async ({ request }) => {
+    const headers = await sessionHeaders(request, userId);
+
+    await request.post(`${GRAPH_EMULATOR_URL}/_emulator/errors`, { data: { code: 368, path: '/feed' } });
+    const blockedResponse = await request.post(`${API_BASE}/scheduling/schedule`, {
+      headers,
+      data: { userId, date: publishDate, time: '11:00', caption: 'Blocked post' }
+    });
+    expect(blockedResponse.ok()).toBe(false);
+
+    await request.post(`${GRAPH_EMULATOR_URL}/_emulator/errors`, { data: { code: 190, path: '/feed' } });
+    const revokedResponse = await request.post(`${API_BASE}/scheduling/schedule`, {
+      headers,
+      data: { userId, date: publishDate, time: '12:00', caption: 'Revoked token post' }
+    });
+    expect(revokedResponse.status()).toBe(401);
+    const revoked = await revokedResponse.json();
+    expect(revoked.code).toBe('FACEBOOK_RECONNECT_REQUIRED');
+  });
+
+  test('list the granted pages and select one', async ({ request }) => {
+    const ownerId = `test_user_pages_${Date.now()}`;
+    const headers = await sessionHeaders(request, ownerId);
+    await connectFacebook(request, headers);
+
+    const listed = await (await request.get(`${API_BASE}/facebook/pages/${ownerId}`, { headers })).json();
+    expect(listed.pages).toEqual([
+      { id: '100000000000001', name: 'Emulator Test Page', category: 'Local business', active: true, connected: true }
+    ]);
+    expect(listed.pages[0]).not.toHaveProperty('accessToken');
+
+    const selected = await request.post(`${API_BASE}/facebook/pages/${ownerId}/select`, { headers, data: { pageId: '100000000000001' } });
+    expect(selected.status()).toBe(200);
+    expect(await selected.json()).toMatchObject({ pageId: '100000000000001', pageName: 'Emulator Test Page' });
+
+    const unknown = await request.post(`${API_BASE}/facebook/pages/${ownerId}/select`, { headers, data: { pageId: 'unknown-page' } });
+    expect(unknown.status()).toBe(404);
+    const missing = await request.post(`${API_BASE}/facebook/pages/${ownerId}/select`, { headers, data: {} });
+    expect(missing.status()).toBe(400);
+  });
+
+  test('an OAuth state works once', async ({ request }) => {
+    const ownerId = `test_user_oauth_state_${Date.now()}`;
+    const headers = await sessionHeaders(request, ownerId);
+    const { authUrl } = await (await request.get(`${API_BASE}/facebook/auth-url`, { headers })).json();
+
+    expect((await request.get(authUrl)).status()).toBe(200);
+    const replay = await request.get(authUrl);
+    expect(replay.status()).toBe(400);
+    expect((await replay.json()).error).toBe('Invalid state parameter');
+  });
+
+  test('saving the profile keeps the Facebook connection', async ({ request }) => {
+    const ownerId = `test_user_profile_connected_${Date.now()}`;
+    const headers = await sessionHeaders(request, ownerId);
+    await connectFacebook(request, headers);
+
+    await request.post(`${API_BASE}/profile/${ownerId}`, { headers, data: { industry: 'Bakery' } });
+    const status = await (await request.get(`${API_BASE}/facebook/status/${ownerId}`, { headers })).json();
+    expect(status.connected).toBe(true);
+  });
+
+  test('a regenerated calendar does not pick up the old calendar\'s queued jobs', async ({ request }) => {
+    const queueUserId = `test_user_regenerate_${Date.now()}`;
+    const headers = await sessionHeaders(request, queueUserId);
+    await request.post(`${API_BASE}/profile/${queueUserId}`, { headers, data: { industry: 'Bakery' } });
+    await connectFacebook(request, headers);
+
+    const first = await (await request.post(`${API_BASE}/calendar/generate`, { headers, data: { startDate: publishDate } })).json();
+    const [oldPost] = first.posts;
+    const queued = await request.post(`${API_BASE}/scheduling/schedule`, {
+      headers,
+      data: { postId: oldPost.id, date: oldPost.date, time: '10:00', caption: oldPost.caption, mode: 'queue' }
+    });
+    expect(queued.status()).toBe(200);
+    const oldJobId = (await queued.json()).pages[0].jobId;
+
+    // Same post ids, new calendar - the old job is still outstanding
+    const second = await (await request.post(`${API_BASE}/calendar/generate`, { headers, data: { startDate: publishDate } })).json();
+    expect(second.calendarId).not.toBe(first.calendarId);
+    expect(second.posts[0].id).toBe(oldPost.id);
+
+    const cancelled = await request.delete(`${API_BASE}/scheduling/queue/job/${oldJobId}`, { headers });
+    expect(cancelled.status()).toBe(200);
+    expect((await cancelled.json()).job.calendarId).toBe(first.calendarId);
+
+    const untouched = await (await request.get(`${API_BASE}/calendar/post/${oldPost.id}`, { headers })).json();
+    expect(untouched.post.scheduleStatus).toBeUndefined();
+    expect(untouched.post.queueJobs).toBeUndefined();
+
+    const requeued = await request.post(`${API_BASE}/scheduling/schedule`, {
+      headers,
+      data: { postId: oldPost.id, date: oldPost.date, time: '11:00', caption: second.posts[0].caption, mode: 'queue' }
+    });
+    const newJobId = (await requeued.json()).pages[0].jobId;
+    const { post } = await (await request.get(`${API_BASE}/calendar/post/${oldPost.id}`, { headers })).json();
+    expect(post.scheduleStatus).toBe('queued');
+    expect(post.queueJobs.map(job => job.jobId)).toEqual([newJobId]);
+  });
+
+  test('image URLs on internal addresses are refused without being requested', async ({ request }) => {
+    const ssrfUserId = `test_user_image_url_${Date.now()}`;
+    const headers = await sessionHeaders(request, ssrfUserId);
+    await connectFacebook(request, headers);
+
+    for (const url of [
+      'http://169.254.169.254/latest/meta-data/',
+      'http://localhost:3000/api/health',
+      'http://10.0.0.1/photo.png',
+      'http://[::1]/photo.png'
+    ]) {
+      const response = await request.post(`${API_BASE}/scheduling/schedule`, {
+        headers,
+        data: { date: publishDate, time: '12:00', caption: 'Internal image', attachment: { type: 'image', url } }
+      });
+      expect(response.status()).toBe(400);
+      expect((await response.json()).code).toBe('MEDIA_URL_NOT_ALLOWED');
+    }
+  });
+
+  test('rescheduling moves the calendar post to its new slot in the profile timezone', async ({ request }) => {
+    const rescheduleUserId = `test_user_reschedule_${Date.now()}`;
+    const headers = await sessionHeaders(request, rescheduleUserId);
+    await request.post(`${API_BASE}/profile/${rescheduleUserId}`, { headers, data: { industry: 'Bakery', timezone: 'Asia/Tokyo' } });
+    await connectFacebook(request, headers);
+    const { posts } = await (await request.post(`${API_BASE}/calendar/generate`, { headers, data: { startDate: publishDate } })).json();
+    const scheduled = await (await request.post(`${API_BASE}/scheduling/schedule`, {
+      headers,
+      data: { postId: posts[0].id, date: posts[0].date, time: '10:00', caption: posts[0].caption }
+    })).json();
+    const nextDay = new Date(Date.parse(`${posts[0].date}T00:00:00Z`) + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+    const byDate = await request.patch(`${API_BASE}/scheduling/post/${scheduled.facebookPostId}`, {
+      headers,
+      data: { date: nextDay, time: '15:30' }
+    });
+    expect(byDate.status()).toBe(200);
+    let { post } = await (await request.get(`${API_BASE}/calendar/post/${posts[0].id}`, { headers })).json();
+    expect(post).toMatchObject({ date: nextDay, time: '15:30', publishAtLocal: `${nextDay}T15:30:00+09:00` });
+
+    // A UTC instant lands on Tokyo's wall clock
+    const byInstant = await request.patch(`${API_BASE}/scheduling/post/${scheduled.facebookPostId}`, {
+      headers,
+      data: { scheduledTime: `${nextDay}T03:00:00.000Z` }
+    });
+    expect(byInstant.status()).toBe(200);
+    ({ post } = await (await request.get(`${API_BASE}/calendar/post/${posts[0].id}`, { headers })).json());
+    expect(post).toMatchObject({ date: nextDay, time: '12:00', scheduledTime: `${nextDay}T03:00:00.000Z` });
+    expect(post.publishAtUtc).toBe(post.scheduledTime);
+  });
+
+  test.describe('idempotent scheduling', () => {
+    const idemUserId = `test_user_idempotency_${Date.now()}`;
+    let headers;
+    let posts;
+
+    const schedule = (request, post, overrides = {}) => request.post(`${API_BASE}/scheduling/schedule`, {
+      headers,
+      data: { postId: post.id, date: post.date, time: '10:00', caption: post.caption, ...overrides }
+    });
+    const emulatorPostsWith = async (request, caption) => {
+      const state = await (await request.get(`${GRAPH_EMULATOR_URL}/_emulator/state`)).json();
+      return state.posts.filter(post => post.message === caption);
+    };
+    // Live Facebook posts for a calendar post, whatever its caption was edited to
+    const emulatorPostsFor = async (request, post) => {
+      const state = await (await request.get(`${GRAPH_EMULATOR_URL}/_emulator/state`)).json();
+      return state.posts.filter(entry => entry.message.startsWith(post.caption));
+    };
+
+    test.beforeAll(async ({ request }) => {
+      headers = await sessionHeaders(request, idemUserId);
+      await request.post(`${API_BASE}/profile/${idemUserId}`, { headers, data: { industry: 'Bakery' } });
+      await connectFacebook(request, headers);
+      const generated = await (await request.post(`${API_BASE}/calendar/generate`, { headers, data: { startDate: publishDate } })).json();
+      posts = generated.posts.map((post, index) => ({ ...post, caption: `Idempotency post ${index} ${idemUserId}` }));
+    });
+
+    test('a replay returns the stored result without publishing twice', async ({ request }) => {
+      const first = await schedule(request, posts[0]);
+      expect(first.status()).toBe(200);
+      const original = await first.json();
+      expect(original.replayed).toBe(false);
+
+      const replay = await schedule(request, posts[0]);
+      expect(replay.status()).toBe(200);
+      const replayed = await replay.json();
+      expect(replayed.replayed).toBe(true);
+      expect(replayed.facebookPostId).toBe(original.facebookPostId);
+      expect(await emulatorPostsWith(request, posts[0].caption)).toHaveLength(1);
+    });
+
+    test('the same key with a changed payload is a conflict', async ({ request }) => {
+      await schedule(request, posts[1]);
+      const changed = await schedule(request, posts[1], { caption: `${posts[1].caption} (changed)` });
+      expect(changed.status()).toBe(409);
+      expect((await changed.json()).code).toBe('IDEMPOTENCY_CONFLICT');
+    });
+
+    test('a concurrent duplicate gets SCHEDULE_IN_PROGRESS', async ({ request }) => {
+      test.setTimeout(SCHEDULE_IDEMPOTENCY_WAIT_MS * 2 + 30000);
+      // Hold the first request at Facebook for longer than a duplicate waits
+      await request.post(`${GRAPH_EMULATOR_URL}/_emulator/delays`, { data: { ms: SCHEDULE_IDEMPOTENCY_WAIT_MS + 2000, path: '/feed' } });
+
+      const first = schedule(request, posts[2]);
+      await new Promise(resolve => setTimeout(resolve, 500));
+      const duplicate = await schedule(request, posts[2]);
+      expect(duplicate.status()).toBe(409);
+      expect((await duplicate.json()).code).toBe('SCHEDULE_IN_PROGRESS');
+
+      expect((await first).status()).toBe(200);
+      expect(await emulatorPostsWith(request, posts[2].caption)).toHaveLength(1);
+    });
+
+    test('a cancelled post can be scheduled again', async ({ request }) => {
+      const original = await (await schedule(request, posts[3])).json();
+      const cancelled = await request.delete(`${API_BASE}/scheduling/post/${original.facebookPostId}`, { headers });
+      expect(cancelled.status()).toBe(200);
+
+      const again = await schedule(request, posts[3]);
+      expect(again.status()).toBe(200);
+      const rescheduled = await again.json();
+      expect(rescheduled.replayed).toBe(false);
+      expect(rescheduled.facebookPostId).not.toBe(original.facebookPostId);
+    });
+
+    test('a scheduled post can\'t be edited in the calendar, so it stays one Facebook post', async ({ request }) => {
+      const original = await (await schedule(request, posts[4])).json();
+      const caption = `${posts[4].caption} (edited)`;
+
+      const edited = await request.patch(`${API_BASE}/calendar/post/${posts[4].id}`, { headers, data: { updates: { caption } } });
+      expect(edited.status()).toBe(409);
+      expect((await edited.json()).code).toBe('POST_SCHEDULED');
+
+      // Still the same schedule request - the new caption conflicts, the old one replays
+      const withEdit = await schedule(request, posts[4], { caption });
+      expect(withEdit.status()).toBe(409);
+      expect((await withEdit.json()).code).toBe('IDEMPOTENCY_CONFLICT');
+      expect((await (await schedule(request, posts[4])).json()).replayed).toBe(true);
+
+      const { post } = await (await request.get(`${API_BASE}/calendar/post/${posts[4].id}`, { headers })).json();
+      expect(post.facebookPosts.map(entry => entry.facebookPostId)).toEqual([original.facebookPostId]);
+      expect(await emulatorPostsFor(request, posts[4])).toHaveLength(1);
+    });
+
+    test('a cancelled post can be edited and scheduled again with its new content', async ({ request }) => {
+      const original = await (await schedule(request, posts[5])).json();
+      await request.delete(`${API_BASE}/scheduling/post/${original.facebookPostId}`, { headers });
+
+      const caption = `${posts[5].caption} (edited)`;
+      const edited = await request.patch(`${API_BASE}/calendar/post/${posts[5].id}`, { headers, data: { updates: { caption } } });
+      expect(edited.status()).toBe(200);
+
+      const again = await schedule(request, posts[5], { caption });
+      expect(again.status()).toBe(200);
+      expect((await again.json()).replayed).toBe(false);
+      const live = await emulatorPostsFor(request, posts[5]);
+      expect(live.map(post => post.message)).toEqual([caption]);
+    });
+
+    test('a queued post can\'t be edited in the calendar, so it keeps one job', async ({ request }) => {
+      await schedule(request, posts[6], { mode: 'queue' });
+      const caption = `${posts[6].caption} (edited)`;
+
+      const edited = await request.patch(`${API_BASE}/calendar/post/${posts[6].id}`, { headers, data: { updates: { caption } } });
+      expect(edited.status()).toBe(409);
+      expect((await edited.json()).code).toBe('POST_SCHEDULED');
+      expect((await schedule(request, posts[6], { caption, mode: 'queue' })).status()).toBe(409);
+
+      const { post } = await (await request.get(`${API_BASE}/calendar/post/${posts[6].id}`, { headers })).json();
+      expect(post.queueJobs).toHaveLength(1);
+      const { jobs } = await (await request.get(`${API_BASE}/scheduling/queue/${idemUserId}`, { headers })).json();
+      expect(jobs.filter(job => job.calendarPostId === posts[6].id)).toHaveLength(1);
+    });
+  });
+
+  test.describe('reconnect detection', () => {
+    const healthyPageId = '100000000000001';
+    let expiredPage;
+
+    // Connect through the page picker shown when the user manages several pages
+    const connectPages = async (request, headers, pageIds) => {
+      const { authUrl } = await (await request.get(`${API_BASE}/facebook/auth-url`, { headers })).json();
+      const picker = await (await request.get(authUrl)).text();
+      const selectionId = picker.match(/name="selectionId" value="([^"]+)"/)[1];
+      const selected = await request.post(`${API_BASE}/facebook/select-page`, { data: { selectionId, pageIds } });
+      expect(selected.status()).toBe(200);
+    };
+
+    test.beforeAll(async ({ request }) => {
+      // A second page whose token has already expired when it is granted
+      const added = await request.post(`${GRAPH_EMULATOR_URL}/_emulator/pages`, { data: { name: 'Expired Token Page', tokenExpiresIn: -60 } });
+      expiredPage = (await added.json()).page;
+    });
+
+    test.afterAll(async ({ request }) => {
+      await request.delete(`${GRAPH_EMULATOR_URL}/_emulator/pages/${expiredPage.id}`);
+    });
+
+    test('an expired token on any connected page requires a reconnect', async ({ request }) => {
+      const ownerId = `test_user_expired_page_${Date.now()}`;
+      const headers = await sessionHeaders(request, ownerId);
+      await connectPages(request, headers, [healthyPageId, expiredPage.id]);
+
+      const status = await (await request.get(`${API_BASE}/facebook/status/${ownerId}`, { headers })).json();
+      expect(status.connected).toBe(true);
+      expect(status.reconnectRequired).toBe(true);
+      expect(status.tokenExpiresAt).not.toBeNull();
+
+      const scheduled = await request.post(`${API_BASE}/scheduling/schedule`, {
+        headers,
+        data: { date: publishDate, time: '10:00', caption: 'Expired page post', pageIds: [healthyPageId, expiredPage.id] }
+      });
+      expect(scheduled.status()).toBe(401);
+      expect((await scheduled.json()).code).toBe('FACEBOOK_RECONNECT_REQUIRED');
+    });
+
+    test('an expired token on a page that is not connected does not', async ({ request }) => {
+      const ownerId = `test_user_healthy_page_${Date.now()}`;
+      const headers = await sessionHeaders(request, ownerId);
+      await connectPages(request, headers, [healthyPageId]);
+
+      const status = await (await request.get(`${API_BASE}/facebook/status/${ownerId}`, { headers })).json();
+      expect(status.reconnectRequired).toBe(false);
+      expect(status.tokenExpiresAt).toBeNull();
+    });
+  });
+});
+
+test.describe('Publish Queue API', () => {
+  test('GET /api/scheduling/queue/:userId - should list queued jobs with counts', async ({ request }) => {
+    const response = await request.get(`${API_BASE}/scheduling/queue/${TEST_USER_ID}`);
+
+    expect(response.status()).toBe(200);
+    const data = await response.json();
+    expect(data.success).toBe(true);
+    expect(Array.isArray(data.jobs)).toBe(true);
+    expect(data.counts).toMatchObject({ queued: expect.any(Number), failed: expect.any(Number) });
+  });
+
+  test('DELETE /api/scheduling/queue/job/:jobId - should return 404 for unknown job', async ({ request }) => {
+    const response = await request.delete(`${API_BASE}/scheduling/queue/job/job_unknown`);
+
+    expect(response.status()).toBe(404);
+    const data = await response.json();
+    expect(data.code).toBe('JOB_NOT_FOUND');
+  });
+
+  test('POST /api/scheduling/schedule - should reject an unknown scheduling mode', async ({ request }) => {
+    const response = await request.post(`${API_BASE}/scheduling/schedule`, {
+      data: { date: '2030-01-15', caption: 'Test post', mode: 'later' }
+    });
+
+    expect(response.status()).toBe(400);
+    const data = await response.json();
+    expect(data.code).toBe('INVALID_MODE');
+  });
+});
+
+test.describe('Media API', () => {
+  // 1x1 transparent PNG
+  const PNG_DATA_URL = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+  test('POST /api/media - should store an image and serve it publicly', async ({ request, playwright }) => {
+    const response = await request.post(`${API_BASE}/media`, {
+      data: { dataUrl: PNG_DATA_URL, fileName: 'pixel.png' }
+    });
+
+    expect(response.status()).toBe(201);
+    const data = await response.json();
+    expect(data.mediaId).toMatch(/^med_/);
+    expect(data.contentType).toBe('image/png');
+
+    // Served without a widget token so <img> tags (and Facebook) can load it
+    const anonymous = await playwright.request.newContext();
+    const image = await anonymous.get(`${API_BASE}/media/${data.mediaId}`);
+    expect(image.status()).toBe(200);
+    expect(image.headers()['content-type']).toBe('image/png');
+    await anonymous.dispose();
+  });
+
+  test('POST /api/media - should reject unsupported file types', async ({ request }) => {
+    const response = await request.post(`${API_BASE}/media`, {
+      data: { dataUrl: 'data:text/plain;base64,aGVsbG8=' }
+    });
+
+    expect(response.status()).toBe(400);
+    const data = await response.json();
+    expect(data.code).toBe('MEDIA_TYPE_UNSUPPORTED');
+  });
+
+  test('POST /api/scheduling/schedule - should reject an invalid attachment before calling Facebook', async ({ request }) => {
+    const response = await request.post(`${API_BASE}/scheduling/schedule`, {
+      data: {
+        date: '2030-01-15',
+        caption: 'Post with a broken attachment',
+        attachment: { type: 'image', url: 'ftp://example.com/photo.png' }
+      }
+    });
+
+    // 400 without a Facebook connection or with one - the attachment is never sent
+    expect(response.status()).toBe(400);
+  });
+});
+
 test.describe('Error Handling', () => {
   test('should handle invalid endpoints gracefully', async ({ request }) => {
     const response = await request.get(`${API_BASE}/invalid-endpoint`);
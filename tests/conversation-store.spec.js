@@ -0,0 +1,180 @@
+/**
+ * Conversation Store Tests - Playwright
+ *
+ * Runs the conversation store (and the chat context built from it) in fresh Node processes on the
+ * file storage driver, so a save and a later read are separated by a real restart - no server needed
+ *
+ * Run with: npx playwright test tests/conversation-store.spec.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { test, expect } = require('@playwright/test');
+const { isConversationOwner } = require('../backend/utils/conversationStore');
+
+const STORE_MODULE = path.join(__dirname, '../backend/utils/conversationStore');
+const STORAGE_MODULE = path.join(__dirname, '../backend/utils/storage');
+const MEMORY_MODULE = path.join(__dirname, '../backend/utils/conversationMemory');
+const MOCK_DRIVER_MODULE = path.join(__dirname, '../backend/utils/llm/mockDriver');
+
+/**
+ * Run a script against the conversation store (`store`) in a new Node process; returns its JSON output
+ * The storage adapter, conversation memory and mock LLM driver are there too, as `storage`, `memory`
+ * and `createMockDriver`
+ */
+function runInNewProcess(dataDir, script) {
+  const output = execFileSync(process.execPath, ['-e', `
+    const store = require(${JSON.stringify(STORE_MODULE)});
+    const storage = require(${JSON.stringify(STORAGE_MODULE)});
+    const memory = require(${JSON.stringify(MEMORY_MODULE)});
+    const createMockDriver = require(${JSON.stringify(MOCK_DRIVER_MODULE)});
+    (async () => { console.log(JSON.stringify(await (${script})())); })();
+  `], {
+    env: { ...process.env, STORAGE_DRIVER: 'file', STORAGE_DIR: dataDir },
+    encoding: 'utf8'
+  });
+  return JSON.parse(output.trim().split('\n').pop());
+}
+
+test.describe('Conversation store', () => {
+  test('a conversation survives a restart on the file driver', async () => {
+    const dataDir = test.info().outputPath('data');
+
+    runInNewProcess(dataDir, `async () => {
+      const conversation = await store.getOrCreateConversation('session-reload', 'user-a', 'System prompt');
+      const turn = [{ role: 'user', content: 'We run a bakery' }, { role: 'assistant', content: 'Lovely!' }];
+      conversation.messages.push(...turn);
+      return store.appendConversationTurn(conversation, turn);
+    }`);
+
+    const reloaded = runInNewProcess(dataDir, `() => store.getConversation('session-reload')`);
+    expect(reloaded).toMatchObject({ sessionId: 'session-reload', userId: 'user-a', metadata: { turnCount: 1 } });
+    expect(reloaded.messages.map(message => message.content)).toEqual(['System prompt', 'We run a bakery', 'Lovely!']);
+
+    const listed = runInNewProcess(dataDir, `() => store.listConversations('user-a')`);
+    expect(listed.map(entry => entry.title)).toEqual(['We run a bakery']);
+  });
+
+  test('overlapping turns on one session keep each other\'s messages', async () => {
+    const dataDir = test.info().outputPath('data');
+
+    const saved = runInNewProcess(dataDir, `async () => {
+      // Both turns load the session before either is saved, as two tabs sending at once do
+      const first = await store.getOrCreateConversation('session-overlap', 'user-a', 'System prompt');
+      const second = await store.getOrCreateConversation('session-overlap', 'user-a', 'System prompt');
+      const turn = (conversation, text) => {
+        const messages = [
+          { role: 'user', content: text },
+          { role: 'system', content: 'Reminder for ' + text },
+          { role: 'assistant', content: 'Reply to ' + text }
+        ];
+        conversation.messages.push(...messages);
+        return store.appendConversationTurn(conversation, messages);
+      };
+      await Promise.all([turn(first, 'first'), turn(second, 'second')]);
+      return store.getConversation('session-overlap');
+    }`);
+
+    expect(saved.metadata.turnCount).toBe(2);
+    // Only the latest turn's context reminder is kept
+    expect(saved.messages.map(message => message.content)).toEqual([
+      'System prompt', 'first', 'Reply to first', 'second', 'Reminder for second', 'Reply to second'
+    ]);
+  });
+
+  test('lists a user\'s conversations from their index, including ones saved before it existed', async () => {
+    const dataDir = test.info().outputPath('data');
+
+    // Saved straight to storage, as conversations were before the index
+    runInNewProcess(dataDir, `async () => {
+      const conversations = storage.createStore('conversations');
+      for (const [sessionId, userId] of [['session-old', 'user-a'], ['session-other', 'user-b']]) {
+        await conversations.set(sessionId, {
+          sessionId,
+          userId,
+          messages: [{ role: 'user', content: 'Hello from ' + sessionId }],
+          metadata: { createdAt: '2026-01-01T00:00:00.000Z', updatedAt: '2026-01-01T00:00:00.000Z', turnCount: 1 }
+        });
+      }
+      return true;
+    }`);
+
+    const listed = runInNewProcess(dataDir, `async () => {
+      const conversation = await store.getOrCreateConversation('session-new', 'user-a', 'System prompt');
+      const turn = [{ role: 'user', content: 'A new one' }];
+      conversation.messages.push(...turn);
+      await store.appendConversationTurn(conversation, turn);
+      return store.listConversations('user-a');
+    }`);
+    expect(listed.map(entry => entry.sessionId)).toEqual(['session-new', 'session-old']);
+
+    const afterDelete = runInNewProcess(dataDir, `async () => {
+      await store.deleteConversation('session-old');
+      return {
+        listed: await store.listConversations('user-a'),
+        index: await storage.createStore('conversation_index').get('user-a')
+      };
+    }`);
+    expect(afterDelete.listed.map(entry => entry.sessionId)).toEqual(['session-new']);
+    expect(afterDelete.index).toEqual({ sessionIds: ['session-new'] });
+  });
+
+  test('older turns are folded into the stored summary and the context stays within budget', async () => {
+    const dataDir = test.info().outputPath('data');
+    const fixtures = test.info().outputPath('fixtures.json');
+    fs.writeFileSync(fixtures, JSON.stringify({ summary: [{ reply: 'A bakery owner planning sourdough posts.' }] }));
+
+    const result = runInNewProcess(dataDir, `async () => {
+      const driver = createMockDriver({ fixtures: ${JSON.stringify(fixtures)} });
+      const llm = { complete: (task, messages) => driver.complete({ task, messages }) };
+      const budget = 2000;
+      const contexts = [];
+
+      // ~400 tokens per turn - the budget holds about four
+      for (let i = 0; i < 8; i++) {
+        const conversation = await store.getOrCreateConversation('session-memory', 'user-a', 'System prompt');
+        const userMessage = { role: 'user', content: 'Turn ' + i + ': ' + 'we bake sourdough every morning. '.repeat(40) };
+        conversation.messages.push(userMessage);
+        memory.setContextReminder(conversation.messages, 'Reminder for turn ' + i);
+
+        const context = await memory.buildChatContext(llm, conversation, { systemPrompt: 'System prompt', budget });
+        contexts.push({
+          tokens: context.reduce((sum, message) => sum + memory.estimateTokens(message), 0),
+          reminders: context.filter(message => message.content.startsWith('Reminder for turn')).map(message => message.content),
+          summarized: context.some(message => message.content.includes('A bakery owner planning sourdough posts.'))
+        });
+
+        conversation.messages.push({ role: 'assistant', content: 'Reply ' + i + ': ' + 'lovely. '.repeat(40) });
+        await store.appendConversationTurn(conversation, conversation.messages.slice(conversation.messages.indexOf(userMessage)));
+      }
+      return { contexts, stored: await store.getConversation('session-memory') };
+    }`);
+
+    for (const [turn, context] of result.contexts.entries()) {
+      expect(context.tokens).toBeLessThanOrEqual(2000);
+      expect(context.reminders).toEqual([`Reminder for turn ${turn}`]);
+    }
+    expect(result.contexts[0].summarized).toBe(false);
+    expect(result.contexts[7].summarized).toBe(true);
+
+    const { memory, messages } = result.stored;
+    expect(memory.summary).toBe('A bakery owner planning sourdough posts.');
+    // Whole turns (user message and reply) are folded in, the current one never
+    expect(memory.summarizedCount % 2).toBe(0);
+    expect(memory.summarizedCount).toBeGreaterThan(0);
+    expect(memory.summarizedCount).toBeLessThan(16);
+    // The stored conversation keeps every message
+    expect(messages.filter(message => message.role === 'user')).toHaveLength(8);
+  });
+
+  test('isConversationOwner accepts only the conversation\'s user', async () => {
+    const conversation = { sessionId: 'session-owned', userId: 'user-a', messages: [], metadata: {} };
+
+    expect(isConversationOwner(conversation, 'user-a')).toBe(true);
+    expect(isConversationOwner(conversation, 'user-b')).toBe(false);
+    expect(isConversationOwner(conversation, undefined)).toBe(false);
+    // A session id nobody has used yet can be started by anyone
+    expect(isConversationOwner(null, 'user-b')).toBe(true);
+  });
+});
@@ -0,0 +1,292 @@
+/**
+ * LLM Client & Driver Tests - Playwright
+ *
+ * Runs the LLM client and drivers in-process against a local stub of the chat completions API,
+ * so no server, API key or model is needed
+ *
+ * Run with: npx playwright test tests/llm-drivers.spec.js
+ * Or: npm run test:llm
+ */
+
+const fs = require('fs');
+const http = require('http');
+const { test, expect } = require('@playwright/test');
+const config = require('../config/config');
+const { getLLMClient } = require('../backend/utils/llm');
+const createOpenAIDriver = require('../backend/utils/llm/openaiDriver');
+const createGroqDriver = require('../backend/utils/llm/groqDriver');
+const createMockDriver = require('../backend/utils/llm/mockDriver');
+
+/**
+ * Start a stub chat completions server on a free port
+ * `handler(request, res)` answers each call; request: { method, path, headers, body }
+ */
+async function startStub(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let text = '';
+    req.on('data', (chunk) => { text += chunk; });
+    req.on('end', () => {
+      const request = { method: req.method, path: req.url, headers: req.headers, body: text ? JSON.parse(text) : null };
+      requests.push(request);
+      handler(request, res);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Answer with server-sent events, one per chunk, then [DONE]
+ */
+function sendStream(res, chunks) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  for (const chunk of chunks) {
+    res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+  }
+  res.end('data: [DONE]\n\n');
+}
+
+async function collect(events) {
+  const collected = [];
+  for await (const event of events) {
+    collected.push(event);
+  }
+  return collected;
+}
+
+const request = {
+  model: 'stub-model',
+  messages: [{ role: 'user', content: 'Schedule my post' }],
+  temperature: 0.2,
+  maxTokens: 100,
+  tools: [{ type: 'function', function: { name: 'schedule_post', parameters: { type: 'object', properties: {} } } }]
+};
+
+// A tool call split over several chunks, as OpenAI and Groq stream it - chunks without one carry tool_calls: null
+const toolCallChunks = [
+  { choices: [{ index: 0, delta: { role: 'assistant', content: 'On it.', tool_calls: null } }] },
+  { choices: [{ index: 0, delta: { tool_calls: [{ index: 0, id: 'call_1', type: 'function', function: { name: 'schedule_post', arguments: '' } }] } }] },
+  { choices: [{ index: 0, delta: { tool_calls: [{ index: 0, function: { arguments: '{"postId":' } }] } }] },
+  { choices: [{ index: 0, delta: { tool_calls: [{ index: 0, function: { arguments: '"post-1"}' } }] } }] },
+  { choices: [{ index: 0, delta: { tool_calls: null }, finish_reason: 'tool_calls' }] }
+];
+
+const expectedEvents = [
+  { type: 'text', content: 'On it.' },
+  { type: 'tool_call', id: 'call_1', name: 'schedule_post', arguments: { postId: 'post-1' } }
+];
+
+test.describe('LLM client', () => {
+  let stub;
+  let saved;
+
+  // The shared client is created on first use, so the config points at the stub before any test runs
+  test.beforeAll(async () => {
+    stub = await startStub((req, res) => sendJson(res, 200, {
+      model: req.body.model,
+      choices: [{ message: { role: 'assistant', content: 'Here you go:\n```json\n{ "industry": "Bakery" }\n```' } }],
+      usage: { prompt_tokens: 10, completion_tokens: 5 }
+    }));
+    saved = {
+      mockMode: config.features.mockMode.ai,
+      provider: config.ai.provider,
+      openai: config.ai.openai,
+      extractionModel: config.ai.tasks.extraction.model
+    };
+    config.features.mockMode.ai = false;
+    config.ai.provider = 'openai';
+    config.ai.openai = { ...config.ai.openai, apiKey: 'stub-key', baseUrl: stub.url, model: 'stub-default-model' };
+    config.ai.tasks.extraction.model = 'stub-extraction-model';
+  });
+
+  test.afterAll(async () => {
+    config.features.mockMode.ai = saved.mockMode;
+    config.ai.provider = saved.provider;
+    config.ai.openai = saved.openai;
+    config.ai.tasks.extraction.model = saved.extractionModel;
+    await stub.close();
+  });
+
+  test('picks each task\'s model and settings from config.ai.tasks', async () => {
+    const llm = getLLMClient();
+    expect(llm.provider).toBe('openai');
+
+    const chat = await llm.complete('chat', request.messages);
+    expect(chat.model).toBe('stub-default-model');
+    await llm.complete('extraction', request.messages);
+    await llm.complete('calendar', request.messages, { model: 'per-call-model', maxTokens: 50 });
+
+    const [chatBody, extractionBody, calendarBody] = stub.requests.slice(-3).map(req => req.body);
+    expect(chatBody).toMatchObject({ model: 'stub-default-model', temperature: 0.7, max_tokens: 1000 });
+    expect(extractionBody).toMatchObject({ model: 'stub-extraction-model', temperature: 0.1, max_tokens: 400 });
+    expect(calendarBody).toMatchObject({ model: 'per-call-model', temperature: 0.8, max_tokens: 50 });
+  });
+
+  test('json() asks for a JSON object and parses a fenced reply', async () => {
+    const { data } = await getLLMClient().json('extraction', request.messages);
+    expect(data).toEqual({ industry: 'Bakery' });
+    expect(stub.requests[stub.requests.length - 1].body.response_format).toEqual({ type: 'json_object' });
+  });
+
+  test('rejects an unknown task', async () => {
+    await expect(getLLMClient().complete('poetry', request.messages)).rejects.toThrow('Unknown LLM task "poetry"');
+  });
+
+  test('Groq uses the small model for extraction and summaries unless a task overrides it', async () => {
+    const provider = config.ai.provider;
+    config.ai.provider = 'groq';
+    config.ai.tasks.extraction.model = null;
+    try {
+      expect(config.ai.getModel('chat')).toBe(config.ai.groq.model);
+      expect(config.ai.getModel('extraction')).toBe('llama-3.1-8b-instant');
+      expect(config.ai.getModel('summary')).toBe('llama-3.1-8b-instant');
+    } finally {
+      config.ai.provider = provider;
+      config.ai.tasks.extraction.model = 'stub-extraction-model';
+    }
+  });
+});
+
+test.describe('OpenAI-compatible driver', () => {
+  let stub;
+
+  test.afterEach(async () => {
+    await stub?.close();
+    stub = null;
+  });
+
+  test('sends requests under the base URL, trailing slash trimmed', async () => {
+    stub = await startStub((req, res) => sendJson(res, 200, {
+      choices: [{ message: { role: 'assistant', content: 'Hello' } }]
+    }));
+    const driver = createOpenAIDriver({ baseUrl: `${stub.url}/v1/`, apiKey: 'stub-key', timeoutMs: 5000 });
+
+    const result = await driver.complete(request);
+    expect(result).toMatchObject({ content: 'Hello', toolCalls: [], model: 'stub-model' });
+    expect(stub.requests[0].path).toBe('/v1/chat/completions');
+    expect(stub.requests[0].headers.authorization).toBe('Bearer stub-key');
+  });
+
+  test('gives up on a server that does not answer within timeoutMs', async () => {
+    // Never answers - the connection is dropped when the stub closes
+    stub = await startStub(() => {});
+    const driver = createOpenAIDriver({ baseUrl: stub.url, timeoutMs: 200 });
+
+    await expect(driver.complete(request)).rejects.toThrow('timeout of 200ms exceeded');
+  });
+
+  test('reports the server\'s error message, for plain and streamed calls', async () => {
+    stub = await startStub((req, res) => sendJson(res, 401, { error: { message: 'Invalid API key' } }));
+    const driver = createOpenAIDriver({ baseUrl: stub.url, timeoutMs: 5000 });
+
+    await expect(driver.complete(request)).rejects.toThrow('LLM request failed (401): Invalid API key');
+    await expect(collect(driver.stream(request))).rejects.toThrow('LLM request failed (401): Invalid API key');
+  });
+
+  test('assembles a streamed tool call, including chunks with tool_calls: null', async () => {
+    stub = await startStub((req, res) => sendStream(res, toolCallChunks));
+    const driver = createOpenAIDriver({ baseUrl: stub.url, timeoutMs: 5000 });
+
+    expect(await collect(driver.stream(request))).toEqual(expectedEvents);
+    expect(stub.requests[0].body.stream).toBe(true);
+  });
+});
+
+test.describe('Groq driver', () => {
+  let stub;
+
+  test.afterEach(async () => {
+    await stub?.close();
+    stub = null;
+    delete process.env.GROQ_BASE_URL;
+  });
+
+  test('sends the request\'s model, limits and tools', async () => {
+    stub = await startStub((req, res) => sendJson(res, 200, {
+      model: req.body.model,
+      choices: [{ message: { role: 'assistant', content: 'Hello' } }]
+    }));
+    process.env.GROQ_BASE_URL = stub.url;
+    const driver = createGroqDriver({ apiKey: 'stub-key' });
+
+    expect(await driver.complete(request)).toMatchObject({ content: 'Hello', model: 'stub-model' });
+    expect(stub.requests[0].body).toMatchObject({
+      model: 'stub-model',
+      temperature: 0.2,
+      max_tokens: 100,
+      tools: request.tools,
+      tool_choice: 'auto'
+    });
+  });
+
+  test('assembles a streamed tool call, including chunks with tool_calls: null', async () => {
+    stub = await startStub((req, res) => sendStream(res, toolCallChunks));
+    // groq-sdk reads its base URL from the environment
+    process.env.GROQ_BASE_URL = stub.url;
+    const driver = createGroqDriver({ apiKey: 'stub-key' });
+
+    expect(await collect(driver.stream(request))).toEqual(expectedEvents);
+    expect(stub.requests[0].path).toBe('/openai/v1/chat/completions');
+  });
+});
+
+test.describe('Mock driver', () => {
+  const toolRequest = (content, tools = request.tools) => ({
+    task: 'chat',
+    messages: [{ role: 'system', content: 'You are a copilot.' }, { role: 'user', content }],
+    tools
+  });
+
+  test('streams a fixture rule\'s tool call after its text, only when the tool is offered', async () => {
+    const fixtures = test.info().outputPath('fixtures.json');
+    fs.writeFileSync(fixtures, JSON.stringify({
+      chat: [{ match: 'schedule', reply: 'On it.', toolCalls: [{ name: 'schedule_post', arguments: { postId: 'post-1' } }] }]
+    }));
+    const driver = createMockDriver({ fixtures });
+
+    const events = await collect(driver.stream(toolRequest('Please schedule my post')));
+    expect(events.filter(event => event.type === 'text').map(event => event.content).join('')).toBe('On it.');
+    expect(events.filter(event => event.type === 'tool_call')).toEqual([
+      { type: 'tool_call', id: 'mock_call_2_0', name: 'schedule_post', arguments: { postId: 'post-1' } }
+    ]);
+
+    const withoutTools = await collect(driver.stream(toolRequest('Please schedule my post', [])));
+    expect(withoutTools.some(event => event.type === 'tool_call')).toBe(false);
+  });
+
+  test('answers the built-in script without fixtures', async () => {
+    const driver = createMockDriver();
+
+    const question = await driver.complete({
+      task: 'chat',
+      messages: [
+        { role: 'system', content: 'You are a copilot.' },
+        { role: 'user', content: 'Hi' },
+        { role: 'system', content: 'Next question: What industry are you in?' }
+      ]
+    });
+    expect(question.content).toContain('QUICK_REPLIES: ["Restaurant & Food"');
+
+    const calendar = await driver.complete({
+      task: 'calendar',
+      messages: [{ role: 'user', content: 'Start date: 2026-11-01. Industry: Bakery' }]
+    });
+    const { posts } = JSON.parse(calendar.content);
+    expect(posts).toHaveLength(30);
+    expect(posts[0]).toHaveProperty('caption');
+  });
+});
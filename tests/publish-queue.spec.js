@@ -0,0 +1,138 @@
+/**
+ * Publish Queue Tests - Playwright
+ *
+ * Runs the publish queue in a fresh Node process on the file storage driver - no server needed
+ *
+ * Run with: npx playwright test tests/publish-queue.spec.js
+ */
+
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { test, expect } = require('@playwright/test');
+
+const QUEUE_MODULE = path.join(__dirname, '../backend/utils/publishQueue');
+const STORAGE_MODULE = path.join(__dirname, '../backend/utils/storage');
+
+/**
+ * Run a script against the publish queue (`queue`) and storage adapter (`storage`) in a new Node process
+ * `enqueue(userId, postId, publishAt)` adds a job; returns the script's JSON output
+ */
+function runInNewProcess(dataDir, script) {
+  const output = execFileSync(process.execPath, ['-e', `
+    const queue = require(${JSON.stringify(QUEUE_MODULE)});
+    const storage = require(${JSON.stringify(STORAGE_MODULE)});
+    const enqueue = (userId, postId, publishAt) => queue.enqueueJob({
+      userId,
+      calendarId: 'cal_1',
+      calendarPostId: postId,
+      page: { id: 'page_1', name: 'Bakery' },
+      post: { caption: 'Fresh bread ' + postId },
+      publishAt
+    });
+    // Fail the script if anything reads every job after the one-time indexing of older jobs
+    const forbidFullScan = async () => {
+      await queue.listJobs('user-none');
+      storage.createStore('publish_jobs').entries = async () => { throw new Error('read every job'); };
+    };
+    (async () => { console.log(JSON.stringify(await (${script})())); })();
+  `], {
+    env: { ...process.env, STORAGE_DRIVER: 'file', STORAGE_DIR: dataDir },
+    encoding: 'utf8'
+  });
+  return JSON.parse(output.trim().split('\n').pop());
+}
+
+test.describe('Publish queue', () => {
+  test('claims due jobs and lists a user\'s jobs without reading every job', async () => {
+    const dataDir = test.info().outputPath('data');
+
+    const result = runInNewProcess(dataDir, `async () => {
+      await forbidFullScan();
+      await enqueue('user-a', 'post-2', '2026-11-02T10:00:00.000Z');
+      await enqueue('user-a', 'post-1', '2026-11-01T10:00:00.000Z');
+      await enqueue('user-b', 'post-1', '2026-11-01T11:00:00.000Z');
+      await enqueue('user-a', 'post-3', '2026-12-01T10:00:00.000Z');
+
+      const claimed = await queue.claimDueJobs(new Date('2026-11-05T00:00:00.000Z'), 2);
+      const again = await queue.claimDueJobs(new Date('2026-11-05T00:00:00.000Z'));
+      return {
+        claimed: claimed.map(job => job.userId + '/' + job.calendarPostId),
+        again: again.map(job => job.userId + '/' + job.calendarPostId),
+        listed: (await queue.listJobs('user-a')).map(job => job.calendarPostId + ':' + job.status)
+      };
+    }`);
+
+    expect(result.claimed).toEqual(['user-a/post-1', 'user-b/post-1']);
+    expect(result.again).toEqual(['user-a/post-2']);
+    expect(result.listed).toEqual(['post-1:publishing', 'post-2:publishing', 'post-3:queued']);
+  });
+
+  test('recovered and pruned jobs move between the indexes', async () => {
+    const dataDir = test.info().outputPath('data');
+
+    const result = runInNewProcess(dataDir, `async () => {
+      await forbidFullScan();
+      const job = await enqueue('user-a', 'post-1', '2026-11-01T10:00:00.000Z');
+      const published = await enqueue('user-a', 'post-2', '2026-11-01T10:00:00.000Z');
+      await queue.claimDueJobs(new Date('2026-11-01T10:00:00.000Z'));
+      await queue.completeJob(published.id, 'page_1_9');
+
+      // Left in 'publishing' by a server that stopped - picked up again once stale
+      const recovered = await queue.recoverStaleJobs(new Date(Date.now() + 11 * 60 * 1000));
+      const reclaimed = await queue.claimDueJobs(new Date(Date.now() + 11 * 60 * 1000));
+
+      const pruned = await queue.pruneFinishedJobs(new Date(Date.now() + 31 * 24 * 60 * 60 * 1000));
+      return {
+        recovered,
+        reclaimed: reclaimed.map(item => item.id === job.id),
+        pruned,
+        listed: (await queue.listJobs('user-a')).map(item => item.calendarPostId),
+        finishedIndex: await storage.createStore('publish_jobs_by_status').get('finished')
+      };
+    }`);
+
+    expect(result.recovered).toBe(1);
+    expect(result.reclaimed).toEqual([true]);
+    expect(result.pruned).toBe(1);
+    expect(result.listed).toEqual(['post-1']);
+    expect(result.finishedIndex).toEqual({ jobs: {} });
+  });
+
+  test('indexes jobs queued before the indexes existed', async () => {
+    const dataDir = test.info().outputPath('data');
+
+    runInNewProcess(dataDir, `async () => {
+      await storage.createStore('publish_jobs').set('job_legacy', {
+        id: 'job_legacy',
+        userId: 'user-a',
+        calendarId: 'cal_1',
+        calendarPostId: 'post-1',
+        pageId: 'page_1',
+        pageName: 'Bakery',
+        post: { caption: 'Fresh bread', hashtags: [], attachment: null },
+        publishAt: '2026-11-01T10:00:00.000Z',
+        status: 'queued',
+        attempts: 0,
+        maxAttempts: 5,
+        nextAttemptAt: '2026-11-01T10:00:00.000Z',
+        history: [{ status: 'queued', at: '2026-10-01T10:00:00.000Z' }],
+        createdAt: '2026-10-01T10:00:00.000Z',
+        updatedAt: '2026-10-01T10:00:00.000Z'
+      });
+      return true;
+    }`);
+
+    const claimed = runInNewProcess(dataDir, `async () => {
+      const jobs = await queue.claimDueJobs(new Date('2026-11-01T10:00:00.000Z'));
+      return jobs.map(job => job.id);
+    }`);
+    expect(claimed).toEqual(['job_legacy']);
+
+    // Indexed once - later processes don't read every job
+    const listed = runInNewProcess(dataDir, `async () => {
+      await forbidFullScan();
+      return (await queue.listJobs('user-a')).map(job => job.id + ':' + job.status);
+    }`);
+    expect(listed).toEqual(['job_legacy:publishing']);
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Storage Driver Tests - Playwright
+ *
+ * Runs the memory and file drivers in-process, and one-time tokens in a fresh Node process
+ * on the file driver - no server needed
+ *
+ * Run with: npx playwright test tests/storage.spec.js
+ */
+
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { test, expect } = require('@playwright/test');
+const createMemoryDriver = require('../backend/utils/storage/memoryDriver');
+const createFileDriver = require('../backend/utils/storage/fileDriver');
+
+const drivers = {
+  memory: () => createMemoryDriver('counters'),
+  file: () => createFileDriver('counters', { dataDir: test.info().outputPath('data') })
+};
+
+for (const [name, createDriver] of Object.entries(drivers)) {
+  test.describe(`${name} driver`, () => {
+    test('update() runs concurrent updaters on one key one at a time', async () => {
+      const store = createDriver();
+      const increment = () => store.update('visits', async (existing) => {
+        // Yield mid-update, as updaters that call other stores do
+        await new Promise(resolve => setTimeout(resolve, 5));
+        return { count: (existing?.count || 0) + 1 };
+      });
+
+      await Promise.all(Array.from({ length: 10 }, increment));
+      expect(await store.get('visits')).toEqual({ count: 10 });
+    });
+
+    test('update() skips the write when the updater returns undefined', async () => {
+      const store = createDriver();
+      await store.set('visits', { count: 1 });
+
+      expect(await store.update('visits', () => undefined)).toEqual({ count: 1 });
+      expect(await store.update('missing', () => undefined)).toBeNull();
+      expect(await store.get('missing')).toBeNull();
+    });
+
+    test('only one of two concurrent deletes removes the record', async () => {
+      const store = createDriver();
+      await store.set('visits', { count: 1 });
+
+      const results = await Promise.all([store.delete('visits'), store.delete('visits')]);
+      expect(results.sort()).toEqual([false, true]);
+    });
+  });
+}
+
+const TOKENS_MODULE = path.join(__dirname, '../backend/utils/oneTimeTokens');
+const STORAGE_MODULE = path.join(__dirname, '../backend/utils/storage');
+
+/**
+ * Run a script with `createOneTimeTokens` and the storage adapter (`storage`) in a new Node process
+ */
+function runInNewProcess(dataDir, script) {
+  const output = execFileSync(process.execPath, ['-e', `
+    const createOneTimeTokens = require(${JSON.stringify(TOKENS_MODULE)});
+    const storage = require(${JSON.stringify(STORAGE_MODULE)});
+    (async () => { console.log(JSON.stringify(await (${script})())); })();
+  `], {
+    env: { ...process.env, STORAGE_DRIVER: 'file', STORAGE_DIR: dataDir },
+    encoding: 'utf8'
+  });
+  return JSON.parse(output.trim().split('\n').pop());
+}
+
+test.describe('One-time tokens', () => {
+  test('a token is consumed by exactly one of two concurrent callers', async () => {
+    const results = runInNewProcess(test.info().outputPath('data'), `async () => {
+      const tokens = createOneTimeTokens('selections', 60000);
+      const token = await tokens.issue('user-a');
+      return Promise.all([tokens.consume(token), tokens.consume(token)]);
+    }`);
+
+    expect(results.sort()).toEqual(['user-a', null].sort());
+  });
+
+  test('expired tokens are deleted when a new one is issued', async () => {
+    const remaining = runInNewProcess(test.info().outputPath('data'), `async () => {
+      const store = storage.createStore('selections');
+      await store.set('expired-token', { userId: 'user-a', expiresAt: Date.now() - 1000 });
+      const tokens = createOneTimeTokens('selections', 60000);
+      const fresh = await tokens.issue('user-b');
+      return { keys: (await store.entries()).map(([key]) => key), fresh };
+    }`);
+
+    expect(remaining.keys).toEqual([remaining.fresh]);
+  });
+});